@@ -0,0 +1,46 @@
+// Supported carriers and their tracking page URL templates
+const allCarriers = {
+  ups: {
+    name: 'UPS',
+    trackingUrl: 'https://www.ups.com/track?tracknum={trackingNumber}',
+  },
+  fedex: {
+    name: 'FedEx',
+    trackingUrl: 'https://www.fedex.com/fedextrack/?trknbr={trackingNumber}',
+  },
+  usps: {
+    name: 'USPS',
+    trackingUrl: 'https://tools.usps.com/go/TrackConfirmAction?tLabels={trackingNumber}',
+  },
+  dhl: {
+    name: 'DHL',
+    trackingUrl: 'https://www.dhl.com/en/express/tracking.html?AWB={trackingNumber}',
+  },
+  other: {
+    name: 'Other',
+    trackingUrl: null,
+  },
+};
+
+const carriers = Object.keys(allCarriers);
+const carrierDetails = new Map(Object.entries(allCarriers));
+
+/**
+ * Build the tracking page URL of a parcel
+ * @param {string} carrier - Carrier key
+ * @param {string} trackingNumber - Tracking number
+ * @returns {string|null}
+ */
+const getTrackingUrl = (carrier, trackingNumber) => {
+  const details = carrierDetails.get(carrier);
+  if (!details || !details.trackingUrl || !trackingNumber) {
+    return null;
+  }
+  return details.trackingUrl.replace('{trackingNumber}', encodeURIComponent(trackingNumber));
+};
+
+module.exports = {
+  carriers,
+  carrierDetails,
+  getTrackingUrl,
+};
@@ -36,12 +36,32 @@ const envVarsSchema = Joi.object()
     SMTP_PASSWORD: Joi.string().description('SMTP password'),
     EMAIL_FROM: Joi.string().description('Email sender address'),
     EMAIL_FROM_NAME: Joi.string().default('YourApp'),
+    SUPPORT_EMAIL: Joi.string().allow('').description('Inbox notified about customer messages'),
 
     // Stripe
     STRIPE_SECRET_KEY: Joi.string().allow(''),
     STRIPE_WEBHOOK_SECRET: Joi.string().allow(''),
     STRIPE_PUBLISHABLE_KEY: Joi.string().allow(''),
 
+    // PayPal
+    PAYPAL_CLIENT_ID: Joi.string().allow(''),
+    PAYPAL_CLIENT_SECRET: Joi.string().allow(''),
+    PAYPAL_WEBHOOK_ID: Joi.string().allow(''),
+    PAYPAL_MODE: Joi.string().valid('sandbox', 'live').default('sandbox'),
+
+    // Fake payment provider for offline development and tests
+    PAYMENT_FAKE_PROVIDER: Joi.boolean()
+      .default(false)
+      .when('NODE_ENV', { is: 'production', then: Joi.valid(false) }),
+    PAYMENT_FAKE_WEBHOOK_DELAY_MS: Joi.number().integer().min(0).default(0),
+
+    // Bank transfer
+    BANK_TRANSFER_ACCOUNT_HOLDER: Joi.string().allow(''),
+    BANK_TRANSFER_BANK_NAME: Joi.string().allow(''),
+    BANK_TRANSFER_IBAN: Joi.string().allow(''),
+    BANK_TRANSFER_BIC: Joi.string().allow(''),
+    BANK_TRANSFER_PAYMENT_DAYS: Joi.number().integer().min(1).default(7),
+
     // OpenAI
     OPENAI_API_KEY: Joi.string().allow(''),
     OPENAI_MODEL: Joi.string().default('gpt-4'),
@@ -82,6 +102,63 @@ const envVarsSchema = Joi.object()
     CRON_CLEANUP_SCHEDULE: Joi.string().default('0 0 * * *'),
     CRON_REPORT_SCHEDULE: Joi.string().default('0 9 * * 1'),
     CRON_SYNC_SCHEDULE: Joi.string().default('*/15 * * * *'),
+
+    // Orders
+    ORDER_CURRENCY: Joi.string().default('usd'),
+    ORDER_TAX_RATE: Joi.number().min(0).default(0).description('Tax rate in percent'),
+    ORDER_SHIPPING_FEE: Joi.number().min(0).default(0),
+    ORDER_FREE_SHIPPING_THRESHOLD: Joi.number().min(0).default(0),
+    RETURN_WINDOW_DAYS: Joi.number().min(0).default(30),
+    ORDER_NUMBER_PREFIX: Joi.string().default('ORD'),
+    ORDER_NUMBER_SEQUENCE: Joi.string().valid('daily', 'global').default('daily'),
+    ORDER_NUMBER_FORMAT: Joi.string()
+      .pattern(/\{seq\}/)
+      .when('ORDER_NUMBER_SEQUENCE', { is: 'daily', then: Joi.string().pattern(/\{date\}/) })
+      .default('{prefix}-{date}-{seq}')
+      .description('Tokens: {prefix}, {date} (YYMMDD), {seq}'),
+    ORDER_NUMBER_PADDING: Joi.number().integer().min(1).max(12).default(5),
+    ORDER_ARCHIVE_AFTER_DAYS: Joi.number().integer().min(1).default(180),
+    ORDER_ARCHIVE_BATCH_SIZE: Joi.number().integer().min(1).default(500),
+    ORDER_PAYMENT_TIMEOUT_MINUTES: Joi.number().integer().min(1).default(60),
+
+    // Cart
+    CART_COOKIE_NAME: Joi.string().default('cartId'),
+    CART_ANONYMOUS_TTL_DAYS: Joi.number().integer().min(1).default(30),
+    CART_REMINDER_INTERVALS_HOURS: Joi.string()
+      .pattern(/^\d+(,\d+)*$/)
+      .default('1,24,72')
+      .description('Comma-separated idle hours after which each reminder is sent'),
+    CART_RECOVERY_WINDOW_DAYS: Joi.number().integer().min(1).default(7),
+
+    // Fraud risk
+    RISK_REVIEW_THRESHOLD: Joi.number().min(0).max(100).default(50),
+    RISK_IP_WINDOW_MINUTES: Joi.number().integer().min(1).default(60),
+    RISK_IP_MAX_ORDERS: Joi.number().integer().min(1).default(5),
+    RISK_NEW_ACCOUNT_DAYS: Joi.number().min(0).default(7),
+    RISK_HIGH_ORDER_VALUE: Joi.number().min(0).default(500),
+    RISK_MAX_FAILED_PAYMENTS: Joi.number().integer().min(1).default(3),
+
+    // Loyalty points
+    LOYALTY_POINTS_PER_UNIT: Joi.number()
+      .min(0)
+      .default(1)
+      .description('Points earned per unit of currency spent'),
+    LOYALTY_POINT_VALUE: Joi.number()
+      .positive()
+      .default(0.01)
+      .description('Discount one point is worth at checkout'),
+    LOYALTY_POINTS_EXPIRY_DAYS: Joi.number().integer().min(1).default(365),
+    LOYALTY_REVIEW_BONUS: Joi.number().integer().min(0).default(50),
+    LOYALTY_REFERRAL_BONUS: Joi.number().integer().min(0).default(200),
+
+    // Invoices
+    INVOICE_PREFIX: Joi.string().default('INV'),
+    CREDIT_NOTE_PREFIX: Joi.string().default('CN'),
+    INVOICE_SELLER_NAME: Joi.string().allow('').description('Legal name printed on invoices'),
+    INVOICE_SELLER_ADDRESS: Joi.string()
+      .allow('')
+      .description('Seller address, lines separated by |'),
+    INVOICE_SELLER_TAX_ID: Joi.string().allow('').description('Seller VAT / tax ID'),
   })
   .unknown();
 
@@ -134,6 +211,7 @@ module.exports = {
     },
     from: envVars.EMAIL_FROM,
     fromName: envVars.EMAIL_FROM_NAME,
+    support: envVars.SUPPORT_EMAIL,
   },
 
   stripe: {
@@ -142,6 +220,26 @@ module.exports = {
     publishableKey: envVars.STRIPE_PUBLISHABLE_KEY,
   },
 
+  paypal: {
+    clientId: envVars.PAYPAL_CLIENT_ID,
+    clientSecret: envVars.PAYPAL_CLIENT_SECRET,
+    webhookId: envVars.PAYPAL_WEBHOOK_ID,
+    mode: envVars.PAYPAL_MODE,
+  },
+
+  payment: {
+    fakeProvider: envVars.PAYMENT_FAKE_PROVIDER,
+    fakeWebhookDelayMs: envVars.PAYMENT_FAKE_WEBHOOK_DELAY_MS,
+  },
+
+  bankTransfer: {
+    accountHolder: envVars.BANK_TRANSFER_ACCOUNT_HOLDER,
+    bankName: envVars.BANK_TRANSFER_BANK_NAME,
+    iban: envVars.BANK_TRANSFER_IBAN,
+    bic: envVars.BANK_TRANSFER_BIC,
+    paymentDays: envVars.BANK_TRANSFER_PAYMENT_DAYS,
+  },
+
   openai: {
     apiKey: envVars.OPENAI_API_KEY,
     model: envVars.OPENAI_MODEL,
@@ -191,4 +289,59 @@ module.exports = {
     reportSchedule: envVars.CRON_REPORT_SCHEDULE,
     syncSchedule: envVars.CRON_SYNC_SCHEDULE,
   },
+
+  order: {
+    currency: envVars.ORDER_CURRENCY,
+    taxRate: envVars.ORDER_TAX_RATE,
+    shippingFee: envVars.ORDER_SHIPPING_FEE,
+    freeShippingThreshold: envVars.ORDER_FREE_SHIPPING_THRESHOLD,
+    returnWindowDays: envVars.RETURN_WINDOW_DAYS,
+    archiveAfterDays: envVars.ORDER_ARCHIVE_AFTER_DAYS,
+    archiveBatchSize: envVars.ORDER_ARCHIVE_BATCH_SIZE,
+    paymentTimeoutMinutes: envVars.ORDER_PAYMENT_TIMEOUT_MINUTES,
+    number: {
+      prefix: envVars.ORDER_NUMBER_PREFIX,
+      sequence: envVars.ORDER_NUMBER_SEQUENCE,
+      format: envVars.ORDER_NUMBER_FORMAT,
+      padding: envVars.ORDER_NUMBER_PADDING,
+    },
+  },
+
+  cart: {
+    cookieName: envVars.CART_COOKIE_NAME,
+    anonymousTtlDays: envVars.CART_ANONYMOUS_TTL_DAYS,
+    reminderIntervalsHours: envVars.CART_REMINDER_INTERVALS_HOURS.split(',')
+      .map(Number)
+      .sort((a, b) => a - b),
+    recoveryWindowDays: envVars.CART_RECOVERY_WINDOW_DAYS,
+  },
+
+  risk: {
+    reviewThreshold: envVars.RISK_REVIEW_THRESHOLD,
+    ipWindowMinutes: envVars.RISK_IP_WINDOW_MINUTES,
+    ipMaxOrders: envVars.RISK_IP_MAX_ORDERS,
+    newAccountDays: envVars.RISK_NEW_ACCOUNT_DAYS,
+    highOrderValue: envVars.RISK_HIGH_ORDER_VALUE,
+    maxFailedPayments: envVars.RISK_MAX_FAILED_PAYMENTS,
+  },
+
+  loyalty: {
+    pointsPerUnit: envVars.LOYALTY_POINTS_PER_UNIT,
+    pointValue: envVars.LOYALTY_POINT_VALUE,
+    expiryDays: envVars.LOYALTY_POINTS_EXPIRY_DAYS,
+    bonuses: {
+      review: envVars.LOYALTY_REVIEW_BONUS,
+      referral: envVars.LOYALTY_REFERRAL_BONUS,
+    },
+  },
+
+  invoice: {
+    prefix: envVars.INVOICE_PREFIX,
+    creditNotePrefix: envVars.CREDIT_NOTE_PREFIX,
+    seller: {
+      name: envVars.INVOICE_SELLER_NAME || envVars.EMAIL_FROM_NAME,
+      address: envVars.INVOICE_SELLER_ADDRESS ? envVars.INVOICE_SELLER_ADDRESS.split('|') : [],
+      taxId: envVars.INVOICE_SELLER_TAX_ID,
+    },
+  },
 };
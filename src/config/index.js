@@ -2,3 +2,4 @@ module.exports.config = require('./config');
 module.exports.logger = require('./logger');
 module.exports.connectDB = require('./database');
 module.exports.roles = require('./roles');
+module.exports.carriers = require('./carriers');
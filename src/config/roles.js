@@ -12,6 +12,9 @@ const allRoles = {
     'viewOwnOrders',
     'viewAnalytics',
     'manageSettings',
+    'manageCoupons',
+    'managePromotions',
+    'manageGiftCards',
   ],
   moderator: [
     'getUsers',
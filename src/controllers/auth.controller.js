@@ -1,13 +1,29 @@
 const { catchAsync } = require('../utils');
-const { authService, tokenService, userService } = require('../services');
+const { authService, tokenService, userService, cartService } = require('../services');
 const { config } = require('../config');
 
+/**
+ * Merge the anonymous cart of the request, if any, into the user's cart and
+ * drop its cookie once merged
+ */
+const adoptAnonymousCart = async (req, res, user) => {
+  const anonymousId = req.signedCookies[config.cart.cookieName];
+  if (!anonymousId) {
+    return;
+  }
+
+  if (await cartService.mergeAnonymousCart(anonymousId, user._id)) {
+    res.clearCookie(config.cart.cookieName);
+  }
+};
+
 /**
  * Register a new user
  */
 const register = catchAsync(async (req, res) => {
   const user = await authService.register(req.body);
   const tokens = await tokenService.generateAuthTokens(user);
+  await adoptAnonymousCart(req, res, user);
 
   // Set refresh token in HTTP-only cookie
   res.cookie('refreshToken', tokens.refresh.token, {
@@ -36,6 +52,7 @@ const login = catchAsync(async (req, res) => {
   const { email, password } = req.body;
   const user = await authService.login(email, password);
   const tokens = await tokenService.generateAuthTokens(user);
+  await adoptAnonymousCart(req, res, user);
 
   // Set refresh token in HTTP-only cookie
   res.cookie('refreshToken', tokens.refresh.token, {
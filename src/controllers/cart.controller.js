@@ -0,0 +1,102 @@
+const { catchAsync } = require('../utils');
+const { cartService, cartRecoveryService } = require('../services');
+
+/**
+ * Get the current cart
+ */
+const getCart = catchAsync(async (req, res) => {
+  const cart = await cartService.getCart(req.cartOwner);
+
+  res.json({
+    success: true,
+    data: { cart },
+  });
+});
+
+/**
+ * Add a product to the current cart
+ */
+const addItem = catchAsync(async (req, res) => {
+  const cart = await cartService.addItem(req.cartOwner, req.body);
+
+  res.json({
+    success: true,
+    message: 'Item added to cart',
+    data: { cart },
+  });
+});
+
+/**
+ * Change the quantity of a product in the current cart
+ */
+const updateItem = catchAsync(async (req, res) => {
+  const { productId } = req.params;
+  const cart = await cartService.updateItemQuantity(req.cartOwner, productId, req.body.quantity);
+
+  res.json({
+    success: true,
+    message: 'Cart updated successfully',
+    data: { cart },
+  });
+});
+
+/**
+ * Remove a product from the current cart
+ */
+const removeItem = catchAsync(async (req, res) => {
+  const cart = await cartService.removeItem(req.cartOwner, req.params.productId);
+
+  res.json({
+    success: true,
+    message: 'Item removed from cart',
+    data: { cart },
+  });
+});
+
+/**
+ * Empty the current cart
+ */
+const clearCart = catchAsync(async (req, res) => {
+  const cart = await cartService.clearCart(req.cartOwner);
+
+  res.json({
+    success: true,
+    message: 'Cart cleared',
+    data: { cart },
+  });
+});
+
+/**
+ * Check a coupon code against the current cart
+ */
+const applyCoupon = catchAsync(async (req, res) => {
+  const coupon = await cartService.checkCoupon(req.cartOwner, req.body.code);
+
+  res.json({
+    success: true,
+    message: coupon.valid ? 'Coupon applied' : coupon.message,
+    data: { coupon },
+  });
+});
+
+/**
+ * Get abandoned cart reminder conversion statistics
+ */
+const getRecoveryStats = catchAsync(async (req, res) => {
+  const stats = await cartRecoveryService.getRecoveryStats(req.query);
+
+  res.json({
+    success: true,
+    data: { stats },
+  });
+});
+
+module.exports = {
+  getCart,
+  addItem,
+  updateItem,
+  removeItem,
+  clearCart,
+  applyCoupon,
+  getRecoveryStats,
+};
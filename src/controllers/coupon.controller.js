@@ -0,0 +1,83 @@
+const { catchAsync } = require('../utils');
+const { couponService } = require('../services');
+const { helpers } = require('../utils');
+
+/**
+ * Create a coupon
+ */
+const createCoupon = catchAsync(async (req, res) => {
+  const coupon = await couponService.createCoupon({
+    ...req.body,
+    createdBy: req.user.id,
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Coupon created successfully',
+    data: { coupon },
+  });
+});
+
+/**
+ * Get all coupons with pagination
+ */
+const getCoupons = catchAsync(async (req, res) => {
+  const filter = helpers.pick(req.query, ['type', 'isActive']);
+  const options = helpers.getPaginationOptions(req.query);
+
+  if (req.query.code) {
+    filter.code = req.query.code.toUpperCase();
+  }
+
+  const result = await couponService.getCoupons(filter, options);
+
+  res.json({
+    success: true,
+    data: result,
+  });
+});
+
+/**
+ * Get coupon by ID
+ */
+const getCoupon = catchAsync(async (req, res) => {
+  const coupon = await couponService.getCouponById(req.params.couponId);
+
+  res.json({
+    success: true,
+    data: { coupon },
+  });
+});
+
+/**
+ * Update coupon by ID
+ */
+const updateCoupon = catchAsync(async (req, res) => {
+  const coupon = await couponService.updateCouponById(req.params.couponId, req.body);
+
+  res.json({
+    success: true,
+    message: 'Coupon updated successfully',
+    data: { coupon },
+  });
+});
+
+/**
+ * Delete coupon by ID
+ */
+const deleteCoupon = catchAsync(async (req, res) => {
+  await couponService.deleteCouponById(req.params.couponId);
+
+  res.json({
+    success: true,
+    message: 'Coupon deleted successfully',
+  });
+});
+
+module.exports = {
+  createCoupon,
+  getCoupons,
+  getCoupon,
+  updateCoupon,
+  deleteCoupon,
+};
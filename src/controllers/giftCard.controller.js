@@ -0,0 +1,92 @@
+const { catchAsync } = require('../utils');
+const { giftCardService } = require('../services');
+const { helpers } = require('../utils');
+
+/**
+ * Check the balance of a gift card by its code
+ */
+const checkGiftCard = catchAsync(async (req, res) => {
+  const giftCard = await giftCardService.checkGiftCard(req.body.code);
+
+  res.json({
+    success: true,
+    data: { giftCard },
+  });
+});
+
+/**
+ * Issue a gift card
+ */
+const createGiftCard = catchAsync(async (req, res) => {
+  const giftCard = await giftCardService.createGiftCard(req.body, req.user.id);
+
+  res.status(201).json({
+    success: true,
+    message: 'Gift card issued successfully',
+    data: { giftCard },
+  });
+});
+
+/**
+ * Get all gift cards with pagination
+ */
+const getGiftCards = catchAsync(async (req, res) => {
+  const filter = helpers.pick(req.query, ['isActive', 'purchaser']);
+  const options = helpers.getPaginationOptions(req.query);
+
+  const result = await giftCardService.getGiftCards(filter, options);
+
+  res.json({
+    success: true,
+    data: result,
+  });
+});
+
+/**
+ * Get gift card by ID with its transactions
+ */
+const getGiftCard = catchAsync(async (req, res) => {
+  const options = helpers.getPaginationOptions(req.query);
+  const result = await giftCardService.getGiftCardWithTransactions(req.params.giftCardId, options);
+
+  res.json({
+    success: true,
+    data: result,
+  });
+});
+
+/**
+ * Update gift card by ID
+ */
+const updateGiftCard = catchAsync(async (req, res) => {
+  const giftCard = await giftCardService.updateGiftCardById(req.params.giftCardId, req.body);
+
+  res.json({
+    success: true,
+    message: 'Gift card updated successfully',
+    data: { giftCard },
+  });
+});
+
+/**
+ * Adjust a gift card balance
+ */
+const adjustGiftCard = catchAsync(async (req, res) => {
+  const { giftCardId } = req.params;
+  const giftCard = await giftCardService.adjustGiftCard(giftCardId, req.body, req.user.id);
+
+  res.json({
+    success: true,
+    message: 'Gift card balance adjusted successfully',
+    data: { giftCard },
+  });
+});
+
+module.exports = {
+  checkGiftCard,
+  createGiftCard,
+  getGiftCards,
+  getGiftCard,
+  updateGiftCard,
+  adjustGiftCard,
+};
@@ -1,3 +1,11 @@
 module.exports.authController = require('./auth.controller');
 module.exports.userController = require('./user.controller');
 module.exports.productController = require('./product.controller');
+module.exports.orderController = require('./order.controller');
+module.exports.returnController = require('./return.controller');
+module.exports.cartController = require('./cart.controller');
+module.exports.couponController = require('./coupon.controller');
+module.exports.promotionController = require('./promotion.controller');
+module.exports.giftCardController = require('./giftCard.controller');
+module.exports.paymentController = require('./payment.controller');
+module.exports.wishlistController = require('./wishlist.controller');
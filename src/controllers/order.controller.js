@@ -0,0 +1,421 @@
+const { catchAsync } = require('../utils');
+const {
+  orderService,
+  orderEditService,
+  orderMessageService,
+  invoiceService,
+  shipmentService,
+} = require('../services');
+const { helpers } = require('../utils');
+
+/**
+ * Place an order
+ */
+const createOrder = catchAsync(async (req, res) => {
+  const { order, payment } = await orderService.createOrder(req.user, req.body, {
+    ip: req.ip,
+    userAgent: req.get('user-agent'),
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Order placed successfully',
+    data: {
+      order,
+      ...(payment && { payment }),
+    },
+  });
+});
+
+/**
+ * Place an order without an account
+ */
+const createGuestOrder = catchAsync(async (req, res) => {
+  const metadata = { ip: req.ip, userAgent: req.get('user-agent') };
+  const result = await orderService.createGuestOrder(req.body, metadata);
+  const { order, payment, lookupToken } = result;
+
+  res.status(201).json({
+    success: true,
+    message: 'Order placed successfully',
+    data: {
+      order,
+      lookupToken,
+      ...(payment && { payment }),
+    },
+  });
+});
+
+/**
+ * Get a guest order by its lookup token
+ */
+const getGuestOrder = catchAsync(async (req, res) => {
+  const order = await orderService.getGuestOrder(req.params.token);
+
+  res.json({
+    success: true,
+    data: { order },
+  });
+});
+
+/**
+ * Get the current user's orders
+ */
+const getMyOrders = catchAsync(async (req, res) => {
+  const filter = helpers.pick(req.query, ['status']);
+  const options = helpers.getPaginationOptions(req.query);
+  const result = await orderService.getUserOrders(req.user.id, filter, options);
+
+  res.json({
+    success: true,
+    data: result,
+  });
+});
+
+/**
+ * Get one of the current user's orders by order number
+ */
+const getMyOrder = catchAsync(async (req, res) => {
+  const order = await orderService.lookupUserOrderByNumber(req.user.id, req.params.orderNumber);
+
+  res.json({
+    success: true,
+    data: { order },
+  });
+});
+
+/**
+ * Cancel one of the current user's orders
+ */
+const cancelMyOrder = catchAsync(async (req, res) => {
+  const { orderNumber } = req.params;
+  const order = await orderService.cancelUserOrder(req.user.id, orderNumber, req.body.reason);
+
+  res.json({
+    success: true,
+    message: 'Order cancelled successfully',
+    data: { order },
+  });
+});
+
+/**
+ * Get all orders with filtering (staff only)
+ */
+const getOrders = catchAsync(async (req, res) => {
+  const filter = await orderService.buildOrderFilter(req.query);
+  const options = helpers.getPaginationOptions(req.query);
+  const result = await orderService.getOrders(filter, options);
+
+  res.json({
+    success: true,
+    data: result,
+  });
+});
+
+/**
+ * Export orders matching the filters as CSV (staff only)
+ */
+const exportOrders = catchAsync(async (req, res) => {
+  const filter = await orderService.buildOrderFilter(req.query);
+  const filename = `orders-${new Date().toISOString().split('T')[0]}.csv`;
+
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+  await orderService.streamOrdersCsv(filter, res);
+  res.end();
+});
+
+/**
+ * Change the items of one of the current user's orders
+ */
+const editMyOrder = catchAsync(async (req, res) => {
+  const { orderNumber } = req.params;
+  const result = await orderEditService.editUserOrder(req.user, orderNumber, req.body);
+  const { order, payment } = result;
+
+  res.json({
+    success: true,
+    message: 'Order updated successfully',
+    data: {
+      order,
+      ...(payment && { payment }),
+    },
+  });
+});
+
+/**
+ * Get order by ID (staff only)
+ */
+const getOrder = catchAsync(async (req, res) => {
+  const order = await orderService.lookupOrderById(req.params.orderId);
+  await order.populate('user', 'name email');
+
+  res.json({
+    success: true,
+    data: { order },
+  });
+});
+
+/**
+ * Get order by order number (staff only)
+ */
+const getOrderByNumber = catchAsync(async (req, res) => {
+  const order = await orderService.lookupOrderByNumber(req.params.orderNumber);
+  await order.populate('user', 'name email');
+
+  res.json({
+    success: true,
+    data: { order },
+  });
+});
+
+/**
+ * Change the items of an order (staff only)
+ */
+const editOrder = catchAsync(async (req, res) => {
+  const { orderId } = req.params;
+  const { order, payment } = await orderEditService.editOrder(orderId, req.body, req.user);
+
+  res.json({
+    success: true,
+    message: 'Order updated successfully',
+    data: {
+      order,
+      ...(payment && { payment }),
+    },
+  });
+});
+
+/**
+ * Update order status (staff only)
+ */
+const updateOrderStatus = catchAsync(async (req, res) => {
+  const order = await orderService.updateOrderStatus(req.params.orderId, req.body, req.user);
+
+  res.json({
+    success: true,
+    message: `Order status updated to ${order.status}`,
+    data: { order },
+  });
+});
+
+/**
+ * Refund an order by amount or by items (staff only)
+ */
+const refundOrder = catchAsync(async (req, res) => {
+  const order = await orderService.refundOrder(req.params.orderId, req.body, req.user);
+
+  res.status(201).json({
+    success: true,
+    message: 'Refund issued successfully',
+    data: { order },
+  });
+});
+
+/**
+ * Record a cash-on-delivery or bank-transfer payment (staff only)
+ */
+const markOrderPaid = catchAsync(async (req, res) => {
+  const order = await orderService.markOrderPaid(req.params.orderId, req.body, req.user);
+
+  res.json({
+    success: true,
+    message: 'Payment recorded',
+    data: { order },
+  });
+});
+
+/**
+ * Release an order held for fraud review (staff only)
+ */
+const approveOrder = catchAsync(async (req, res) => {
+  const order = await orderService.approveOrder(req.params.orderId, req.body, req.user);
+
+  res.json({
+    success: true,
+    message: 'Order approved',
+    data: { order },
+  });
+});
+
+/**
+ * Reject and cancel an order held for fraud review (staff only)
+ */
+const rejectOrder = catchAsync(async (req, res) => {
+  const order = await orderService.rejectOrder(req.params.orderId, req.body, req.user);
+
+  res.json({
+    success: true,
+    message: 'Order rejected',
+    data: { order },
+  });
+});
+
+/**
+ * Send an invoice or credit note as PDF download
+ * @param {Response} res - Express response
+ * @param {Invoice} invoice - Invoice or credit note
+ */
+const sendPdf = async (res, invoice) => {
+  const pdf = await invoiceService.renderPdf(invoice);
+
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${invoice.number}.pdf"`);
+  res.send(pdf);
+};
+
+/**
+ * Download the invoice of an order (owner or staff)
+ */
+const getInvoice = catchAsync(async (req, res) => {
+  const order = await orderService.getViewableOrder(req.params.orderId, req.user);
+  const invoice = await invoiceService.getOrderInvoice(order);
+
+  await sendPdf(res, invoice);
+});
+
+/**
+ * Download the credit note of a refund (owner or staff)
+ */
+const getCreditNote = catchAsync(async (req, res) => {
+  const order = await orderService.getViewableOrder(req.params.orderId, req.user);
+  const creditNote = await invoiceService.getCreditNote(order, req.params.refundId);
+
+  await sendPdf(res, creditNote);
+});
+
+/**
+ * Ship some or all items of an order (staff only)
+ */
+const createShipment = catchAsync(async (req, res) => {
+  const order = await shipmentService.createShipment(req.params.orderId, req.body, req.user);
+
+  res.status(201).json({
+    success: true,
+    message: 'Shipment created successfully',
+    data: { order },
+  });
+});
+
+/**
+ * Get the shipments and tracking history of an order (owner or staff)
+ */
+const getShipments = catchAsync(async (req, res) => {
+  const order = await orderService.getViewableOrder(req.params.orderId, req.user);
+
+  res.json({
+    success: true,
+    data: { shipments: shipmentService.getShipments(order) },
+  });
+});
+
+/**
+ * Record a tracking event on a shipment (staff only)
+ */
+const addShipmentEvent = catchAsync(async (req, res) => {
+  const { orderId, shipmentId } = req.params;
+  const order = await shipmentService.addTrackingEvent(orderId, shipmentId, req.body, req.user);
+
+  res.status(201).json({
+    success: true,
+    message: 'Tracking event recorded',
+    data: { order },
+  });
+});
+
+/**
+ * Get the conversation about one of the current user's orders
+ */
+const getMyOrderMessages = catchAsync(async (req, res) => {
+  const { orderNumber } = req.params;
+  const messages = await orderMessageService.getCustomerThread(req.user.id, orderNumber);
+
+  res.json({
+    success: true,
+    data: { messages },
+  });
+});
+
+/**
+ * Post a message about one of the current user's orders
+ */
+const postMyOrderMessage = catchAsync(async (req, res) => {
+  const { orderNumber } = req.params;
+  const message = await orderMessageService.postCustomerMessage(req.user, orderNumber, req.body);
+
+  res.status(201).json({
+    success: true,
+    message: 'Message sent',
+    data: { message },
+  });
+});
+
+/**
+ * Get the conversation about an order including internal notes (staff only)
+ */
+const getOrderMessages = catchAsync(async (req, res) => {
+  const messages = await orderMessageService.getStaffThread(req.params.orderId);
+
+  res.json({
+    success: true,
+    data: { messages },
+  });
+});
+
+/**
+ * Reply to the customer or add an internal note (staff only)
+ */
+const postOrderMessage = catchAsync(async (req, res) => {
+  const { orderId } = req.params;
+  const message = await orderMessageService.postStaffMessage(orderId, req.body, req.user);
+
+  res.status(201).json({
+    success: true,
+    message: message.internal ? 'Note added' : 'Message sent',
+    data: { message },
+  });
+});
+
+/**
+ * Mark the customer messages of an order as read (staff only)
+ */
+const markOrderMessagesRead = catchAsync(async (req, res) => {
+  const order = await orderMessageService.markRead(req.params.orderId);
+
+  res.json({
+    success: true,
+    message: 'Messages marked as read',
+    data: { order },
+  });
+});
+
+module.exports = {
+  createOrder,
+  createGuestOrder,
+  getGuestOrder,
+  getMyOrders,
+  getMyOrder,
+  cancelMyOrder,
+  getOrders,
+  exportOrders,
+  editMyOrder,
+  getOrder,
+  getOrderByNumber,
+  editOrder,
+  updateOrderStatus,
+  refundOrder,
+  markOrderPaid,
+  approveOrder,
+  rejectOrder,
+  getInvoice,
+  getCreditNote,
+  createShipment,
+  getShipments,
+  addShipmentEvent,
+  getMyOrderMessages,
+  postMyOrderMessage,
+  getOrderMessages,
+  postOrderMessage,
+  markOrderMessagesRead,
+};
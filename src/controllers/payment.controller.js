@@ -0,0 +1,31 @@
+const { catchAsync } = require('../utils');
+const { paymentService } = require('../services');
+
+/**
+ * Confirm a fake payment (development only)
+ */
+const confirmFakePayment = catchAsync(async (req, res) => {
+  const payment = await paymentService.confirmFakePayment(req.params.paymentId, req.body);
+
+  res.json({
+    success: true,
+    data: { payment },
+  });
+});
+
+/**
+ * Complete the 3D Secure challenge of a fake payment (development only)
+ */
+const authenticateFakePayment = catchAsync(async (req, res) => {
+  const payment = await paymentService.authenticateFakePayment(req.params.paymentId, req.body);
+
+  res.json({
+    success: true,
+    data: { payment },
+  });
+});
+
+module.exports = {
+  confirmFakePayment,
+  authenticateFakePayment,
+};
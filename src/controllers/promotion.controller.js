@@ -0,0 +1,79 @@
+const { catchAsync } = require('../utils');
+const { promotionService } = require('../services');
+const { helpers } = require('../utils');
+
+/**
+ * Create a promotion
+ */
+const createPromotion = catchAsync(async (req, res) => {
+  const promotion = await promotionService.createPromotion({
+    ...req.body,
+    createdBy: req.user.id,
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Promotion created successfully',
+    data: { promotion },
+  });
+});
+
+/**
+ * Get all promotions with pagination
+ */
+const getPromotions = catchAsync(async (req, res) => {
+  const filter = helpers.pick(req.query, ['type', 'isActive']);
+  const options = helpers.getPaginationOptions({ sortBy: 'priority', ...req.query });
+
+  const result = await promotionService.getPromotions(filter, options);
+
+  res.json({
+    success: true,
+    data: result,
+  });
+});
+
+/**
+ * Get promotion by ID
+ */
+const getPromotion = catchAsync(async (req, res) => {
+  const promotion = await promotionService.getPromotionById(req.params.promotionId);
+
+  res.json({
+    success: true,
+    data: { promotion },
+  });
+});
+
+/**
+ * Update promotion by ID
+ */
+const updatePromotion = catchAsync(async (req, res) => {
+  const promotion = await promotionService.updatePromotionById(req.params.promotionId, req.body);
+
+  res.json({
+    success: true,
+    message: 'Promotion updated successfully',
+    data: { promotion },
+  });
+});
+
+/**
+ * Delete promotion by ID
+ */
+const deletePromotion = catchAsync(async (req, res) => {
+  await promotionService.deletePromotionById(req.params.promotionId);
+
+  res.json({
+    success: true,
+    message: 'Promotion deleted successfully',
+  });
+});
+
+module.exports = {
+  createPromotion,
+  getPromotions,
+  getPromotion,
+  updatePromotion,
+  deletePromotion,
+};
@@ -0,0 +1,155 @@
+const { catchAsync } = require('../utils');
+const { returnService } = require('../services');
+const { helpers } = require('../utils');
+
+/**
+ * Request a return (customer)
+ */
+const createReturn = catchAsync(async (req, res) => {
+  const returnRequest = await returnService.createReturn(req.user, req.body);
+
+  res.status(201).json({
+    success: true,
+    message: 'Return requested successfully',
+    data: { return: returnRequest },
+  });
+});
+
+/**
+ * Get the current user's returns
+ */
+const getMyReturns = catchAsync(async (req, res) => {
+  const returns = await returnService.getUserReturns(req.user.id);
+
+  res.json({
+    success: true,
+    data: { returns },
+  });
+});
+
+/**
+ * Get all returns (staff only)
+ */
+const getReturns = catchAsync(async (req, res) => {
+  const filter = helpers.pick(req.query, ['status']);
+  const options = helpers.getPaginationOptions(req.query);
+  const result = await returnService.getReturns(filter, options);
+
+  res.json({
+    success: true,
+    data: result,
+  });
+});
+
+/**
+ * Get return by ID (staff only)
+ */
+const getReturn = catchAsync(async (req, res) => {
+  const returnRequest = await returnService.getReturnById(req.params.returnId);
+  await returnRequest.populate([
+    { path: 'order', select: 'orderNumber status payment.status' },
+    { path: 'user', select: 'name email' },
+  ]);
+
+  res.json({
+    success: true,
+    data: { return: returnRequest },
+  });
+});
+
+/**
+ * Approve a return (staff only)
+ */
+const approveReturn = catchAsync(async (req, res) => {
+  const { returnId } = req.params;
+  const returnRequest = await returnService.approveReturn(returnId, req.user, req.body.note);
+
+  res.json({
+    success: true,
+    message: 'Return approved',
+    data: { return: returnRequest },
+  });
+});
+
+/**
+ * Reject a return (staff only)
+ */
+const rejectReturn = catchAsync(async (req, res) => {
+  const { returnId } = req.params;
+  const returnRequest = await returnService.rejectReturn(returnId, req.user, req.body.note);
+
+  res.json({
+    success: true,
+    message: 'Return rejected',
+    data: { return: returnRequest },
+  });
+});
+
+/**
+ * Mark returned items as received (staff only)
+ */
+const receiveReturn = catchAsync(async (req, res) => {
+  const { returnId } = req.params;
+  const returnRequest = await returnService.receiveReturn(returnId, req.user, req.body.note);
+
+  res.json({
+    success: true,
+    message: 'Return marked as received',
+    data: { return: returnRequest },
+  });
+});
+
+/**
+ * Record inspection results and restock items (staff only)
+ */
+const inspectReturn = catchAsync(async (req, res) => {
+  const { returnId } = req.params;
+  const returnRequest = await returnService.inspectReturn(returnId, req.body, req.user);
+
+  res.json({
+    success: true,
+    message: 'Return inspected',
+    data: { return: returnRequest },
+  });
+});
+
+/**
+ * Refund the returned items (staff only)
+ */
+const refundReturn = catchAsync(async (req, res) => {
+  const { returnId } = req.params;
+  const returnRequest = await returnService.refundReturn(returnId, req.user, req.body.note);
+
+  res.json({
+    success: true,
+    message: 'Return refunded',
+    data: { return: returnRequest },
+  });
+});
+
+/**
+ * Close an inspected return without refund (staff only)
+ */
+const closeReturn = catchAsync(async (req, res) => {
+  const { returnId } = req.params;
+  const returnRequest = await returnService.closeReturn(returnId, req.user, req.body.note);
+
+  res.json({
+    success: true,
+    message: 'Return closed',
+    data: { return: returnRequest },
+  });
+});
+
+module.exports = {
+  createReturn,
+  getMyReturns,
+  getReturns,
+  getReturn,
+  approveReturn,
+  rejectReturn,
+  receiveReturn,
+  inspectReturn,
+  refundReturn,
+  closeReturn,
+};
@@ -1,5 +1,5 @@
 const { catchAsync } = require('../utils');
-const { userService } = require('../services');
+const { userService, balanceService, loyaltyService } = require('../services');
 const { helpers } = require('../utils');
 
 /**
@@ -125,6 +125,86 @@ const getUserStats = catchAsync(async (req, res) => {
   });
 });
 
+/**
+ * Get the current user's store credit and its transactions
+ */
+const getMyStoreCredit = catchAsync(async (req, res) => {
+  const options = helpers.getPaginationOptions(req.query);
+  const storeCredit = await balanceService.getStoreCredit(req.user.id, options);
+
+  res.json({
+    success: true,
+    data: { storeCredit },
+  });
+});
+
+/**
+ * Get a user's store credit and its transactions (admin only)
+ */
+const getStoreCredit = catchAsync(async (req, res) => {
+  const options = helpers.getPaginationOptions(req.query);
+  const storeCredit = await balanceService.getStoreCredit(req.params.userId, options);
+
+  res.json({
+    success: true,
+    data: { storeCredit },
+  });
+});
+
+/**
+ * Adjust a user's store credit (admin only)
+ */
+const adjustStoreCredit = catchAsync(async (req, res) => {
+  const { userId } = req.params;
+  const storeCredit = await balanceService.adjustStoreCredit(userId, req.body, req.user.id);
+
+  res.json({
+    success: true,
+    message: 'Store credit adjusted successfully',
+    data: { storeCredit },
+  });
+});
+
+/**
+ * Get the current user's loyalty points and their history
+ */
+const getMyPoints = catchAsync(async (req, res) => {
+  const options = helpers.getPaginationOptions(req.query);
+  const points = await loyaltyService.getPoints(req.user.id, options);
+
+  res.json({
+    success: true,
+    data: { points },
+  });
+});
+
+/**
+ * Get a user's loyalty points and their history (admin only)
+ */
+const getPoints = catchAsync(async (req, res) => {
+  const options = helpers.getPaginationOptions(req.query);
+  const points = await loyaltyService.getPoints(req.params.userId, options);
+
+  res.json({
+    success: true,
+    data: { points },
+  });
+});
+
+/**
+ * Grant bonus loyalty points to a user (admin only)
+ */
+const awardBonusPoints = catchAsync(async (req, res) => {
+  const { userId } = req.params;
+  const transaction = await loyaltyService.awardBonusPoints(userId, req.body, req.user.id);
+
+  res.status(201).json({
+    success: true,
+    message: 'Bonus points awarded successfully',
+    data: { transaction },
+  });
+});
+
 module.exports = {
   createUser,
   getUsers,
@@ -135,4 +215,10 @@ module.exports = {
   activateUser,
   searchUsers,
   getUserStats,
+  getMyStoreCredit,
+  getStoreCredit,
+  adjustStoreCredit,
+  getMyPoints,
+  getPoints,
+  awardBonusPoints,
 };
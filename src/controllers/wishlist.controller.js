@@ -0,0 +1,160 @@
+const { catchAsync } = require('../utils');
+const { wishlistService } = require('../services');
+
+/**
+ * List the current user's wishlists
+ */
+const getWishlists = catchAsync(async (req, res) => {
+  const wishlists = await wishlistService.getWishlists(req.user.id);
+
+  res.json({
+    success: true,
+    data: { wishlists },
+  });
+});
+
+/**
+ * Create a wishlist
+ */
+const createWishlist = catchAsync(async (req, res) => {
+  const wishlist = await wishlistService.createWishlist(req.user.id, req.body);
+
+  res.status(201).json({
+    success: true,
+    message: 'Wishlist created successfully',
+    data: { wishlist },
+  });
+});
+
+/**
+ * Get one of the current user's wishlists
+ */
+const getWishlist = catchAsync(async (req, res) => {
+  const wishlist = await wishlistService.getWishlist(req.user.id, req.params.wishlistId);
+
+  res.json({
+    success: true,
+    data: { wishlist },
+  });
+});
+
+/**
+ * Rename a wishlist
+ */
+const updateWishlist = catchAsync(async (req, res) => {
+  const { wishlistId } = req.params;
+  const wishlist = await wishlistService.updateWishlist(req.user.id, wishlistId, req.body);
+
+  res.json({
+    success: true,
+    message: 'Wishlist updated successfully',
+    data: { wishlist },
+  });
+});
+
+/**
+ * Delete a wishlist
+ */
+const deleteWishlist = catchAsync(async (req, res) => {
+  await wishlistService.deleteWishlist(req.user.id, req.params.wishlistId);
+
+  res.json({
+    success: true,
+    message: 'Wishlist deleted successfully',
+  });
+});
+
+/**
+ * Share a wishlist through a public link
+ */
+const shareWishlist = catchAsync(async (req, res) => {
+  const wishlist = await wishlistService.shareWishlist(req.user.id, req.params.wishlistId);
+
+  res.json({
+    success: true,
+    message: 'Wishlist shared',
+    data: { wishlist },
+  });
+});
+
+/**
+ * Stop sharing a wishlist
+ */
+const unshareWishlist = catchAsync(async (req, res) => {
+  const wishlist = await wishlistService.unshareWishlist(req.user.id, req.params.wishlistId);
+
+  res.json({
+    success: true,
+    message: 'Wishlist is no longer shared',
+    data: { wishlist },
+  });
+});
+
+/**
+ * Get a wishlist shared through a public link
+ */
+const getSharedWishlist = catchAsync(async (req, res) => {
+  const wishlist = await wishlistService.getSharedWishlist(req.params.shareToken);
+
+  res.json({
+    success: true,
+    data: { wishlist },
+  });
+});
+
+/**
+ * Save a product to a wishlist
+ */
+const addItem = catchAsync(async (req, res) => {
+  const wishlist = await wishlistService.addItem(req.user.id, req.params.wishlistId, req.body);
+
+  res.json({
+    success: true,
+    message: 'Product saved to wishlist',
+    data: { wishlist },
+  });
+});
+
+/**
+ * Change the alerts of a saved product
+ */
+const updateItem = catchAsync(async (req, res) => {
+  const { wishlistId, productId } = req.params;
+  const { alerts } = req.body;
+  const userId = req.user.id;
+  const wishlist = await wishlistService.updateItemAlerts(userId, wishlistId, productId, alerts);
+
+  res.json({
+    success: true,
+    message: 'Wishlist alerts updated',
+    data: { wishlist },
+  });
+});
+
+/**
+ * Remove a product from a wishlist
+ */
+const removeItem = catchAsync(async (req, res) => {
+  const { wishlistId, productId } = req.params;
+  const wishlist = await wishlistService.removeItem(req.user.id, wishlistId, productId);
+
+  res.json({
+    success: true,
+    message: 'Product removed from wishlist',
+    data: { wishlist },
+  });
+});
+
+module.exports = {
+  getWishlists,
+  createWishlist,
+  getWishlist,
+  updateWishlist,
+  deleteWishlist,
+  shareWishlist,
+  unshareWishlist,
+  getSharedWishlist,
+  addItem,
+  updateItem,
+  removeItem,
+};
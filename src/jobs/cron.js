@@ -1,6 +1,45 @@
 const cron = require('node-cron');
 const { config, logger } = require('../config');
-const { Token, Order, Product, User } = require('../models');
+const { Token, Order, Product, User, JobLock } = require('../models');
+const {
+  archiveService,
+  orderService,
+  wishlistService,
+  cartRecoveryService,
+  loyaltyService,
+} = require('../services');
+
+// Longest an archive run may hold its lock before another instance can take over
+const ARCHIVE_LOCK_TTL_MS = 60 * 60 * 1000;
+const WISHLIST_ALERTS_LOCK_TTL_MS = 30 * 60 * 1000;
+const CART_REMINDERS_LOCK_TTL_MS = 15 * 60 * 1000;
+const POINTS_EXPIRY_LOCK_TTL_MS = 60 * 60 * 1000;
+const OVERDUE_TRANSFERS_LOCK_TTL_MS = 30 * 60 * 1000;
+const UNPAID_ORDERS_LOCK_TTL_MS = 15 * 60 * 1000;
+
+/**
+ * Run a job on one app instance at a time
+ * The job is skipped while another instance holds its lease. Errors of the job
+ * are passed on to the caller once the lease is released.
+ * @param {string} name - Job name
+ * @param {number} ttlMs - Lease duration in milliseconds
+ * @param {Function} fn - Job to run
+ */
+const withJobLock = async (name, ttlMs, fn) => {
+  const owner = await JobLock.acquire(name, ttlMs);
+  if (!owner) {
+    logger.info(`Job ${name}: already running on another instance`);
+    return;
+  }
+
+  try {
+    await fn();
+  } finally {
+    await JobLock.release(name, owner).catch((error) => {
+      logger.error(`Job ${name}: failed to release its lock:`, error);
+    });
+  }
+};
 
 /**
  * Cleanup expired tokens
@@ -149,23 +188,96 @@ const generateWeeklyAnalytics = async () => {
 };
 
 /**
- * Archive old orders
- * Runs monthly on the 1st at 2 AM
+ * Move settled orders to the archive collection
+ * Runs monthly on the 1st at 2 AM. Only one app instance runs it at a time;
+ * an interrupted run is completed by the next one.
  */
 const archiveOldOrders = async () => {
   try {
-    const sixMonthsAgo = new Date();
-    sixMonthsAgo.setMonth(sixMonthsAgo.getMonth() - 6);
+    await withJobLock('archiveOldOrders', ARCHIVE_LOCK_TTL_MS, async () => {
+      const { archived, batches } = await archiveService.archiveOrders();
+      logger.info(`Archive job: Moved ${archived} orders to the archive in ${batches} batches`);
+    });
+  } catch (error) {
+    logger.error('Archive job failed:', error);
+  }
+};
 
-    // Here you would typically move old orders to an archive collection
-    const oldOrders = await Order.countDocuments({
-      createdAt: { $lt: sixMonthsAgo },
-      status: { $in: ['delivered', 'cancelled', 'refunded'] },
+/**
+ * Cancel bank-transfer orders whose payment is overdue
+ * Runs hourly, on one app instance at a time; cancelling releases the reserved stock
+ */
+const cancelOverdueTransfers = async () => {
+  try {
+    await withJobLock('cancelOverdueTransfers', OVERDUE_TRANSFERS_LOCK_TTL_MS, async () => {
+      const cancelled = await orderService.cancelOverdueTransfers();
+      logger.info(`Bank transfer job: Cancelled ${cancelled} unpaid orders`);
     });
+  } catch (error) {
+    logger.error('Bank transfer job failed:', error);
+  }
+};
 
-    logger.info(`Archive check: ${oldOrders} orders eligible for archiving`);
+/**
+ * Cancel online orders whose payment was never completed
+ * Runs every 15 minutes, on one app instance at a time; cancelling releases the reserved stock
+ */
+const expireUnpaidOrders = async () => {
+  try {
+    await withJobLock('expireUnpaidOrders', UNPAID_ORDERS_LOCK_TTL_MS, async () => {
+      const cancelled = await orderService.expireUnpaidOrders();
+      logger.info(`Unpaid order job: Cancelled ${cancelled} abandoned orders`);
+    });
   } catch (error) {
-    logger.error('Archive job failed:', error);
+    logger.error('Unpaid order job failed:', error);
+  }
+};
+
+/**
+ * Email price-drop and back-in-stock alerts for wishlisted products
+ * Runs hourly. Only one app instance runs it at a time, so that no alert is
+ * sent twice.
+ */
+const sendWishlistAlerts = async () => {
+  try {
+    await withJobLock('sendWishlistAlerts', WISHLIST_ALERTS_LOCK_TTL_MS, async () => {
+      const sent = await wishlistService.sendWishlistAlerts();
+      logger.info(`Wishlist alert job: Sent ${sent} alert emails`);
+    });
+  } catch (error) {
+    logger.error('Wishlist alert job failed:', error);
+  }
+};
+
+/**
+ * Email reminders for abandoned carts and record recovered ones
+ * Runs every 15 minutes, on one app instance at a time
+ */
+const sendCartReminders = async () => {
+  try {
+    await withJobLock('sendCartReminders', CART_REMINDERS_LOCK_TTL_MS, async () => {
+      const { sent, recovered } = await cartRecoveryService.sendCartReminders();
+      const { conversionRate } = await cartRecoveryService.getRecoveryStats();
+      logger.info(`Cart reminder job: Sent ${sent} reminders, ${recovered} carts recovered`);
+      logger.info(`Cart reminder job: ${conversionRate}% of settled reminder sequences recovered`);
+    });
+  } catch (error) {
+    logger.error('Cart reminder job failed:', error);
+  }
+};
+
+/**
+ * Expire loyalty points past their expiry date
+ * Runs daily at 3 AM
+ */
+const expireLoyaltyPoints = async () => {
+  try {
+    await withJobLock('expireLoyaltyPoints', POINTS_EXPIRY_LOCK_TTL_MS, async () => {
+      const expired = await loyaltyService.expirePoints();
+      logger.info(`Points expiry job: Expired ${expired} loyalty points`);
+    });
+  } catch (error) {
+    logger.error('Points expiry job failed:', error);
   }
 };
 
@@ -229,6 +341,41 @@ const initCronJobs = () => {
   });
   logger.info('Scheduled: Archive old orders (0 2 1 * *)');
 
+  // Cancel unpaid bank transfers - Hourly
+  cron.schedule('0 * * * *', cancelOverdueTransfers, {
+    scheduled: true,
+    timezone: 'UTC',
+  });
+  logger.info('Scheduled: Cancel overdue bank transfers (0 * * * *)');
+
+  // Cancel abandoned online orders - Every 15 minutes
+  cron.schedule('*/15 * * * *', expireUnpaidOrders, {
+    scheduled: true,
+    timezone: 'UTC',
+  });
+  logger.info('Scheduled: Expire unpaid orders (*/15 * * * *)');
+
+  // Wishlist price-drop and back-in-stock alerts - Hourly at half past
+  cron.schedule('30 * * * *', sendWishlistAlerts, {
+    scheduled: true,
+    timezone: 'UTC',
+  });
+  logger.info('Scheduled: Wishlist alerts (30 * * * *)');
+
+  // Abandoned cart reminders - Every 15 minutes
+  cron.schedule('*/15 * * * *', sendCartReminders, {
+    scheduled: true,
+    timezone: 'UTC',
+  });
+  logger.info('Scheduled: Cart reminders (*/15 * * * *)');
+
+  // Loyalty points expiry - Daily at 3 AM
+  cron.schedule('0 3 * * *', expireLoyaltyPoints, {
+    scheduled: true,
+    timezone: 'UTC',
+  });
+  logger.info('Scheduled: Loyalty points expiry (0 3 * * *)');
+
   logger.info('All cron jobs initialized successfully');
 };
 
@@ -242,4 +389,9 @@ module.exports = {
   cleanupInactiveSessions,
   generateWeeklyAnalytics,
   archiveOldOrders,
+  cancelOverdueTransfers,
+  expireUnpaidOrders,
+  sendWishlistAlerts,
+  sendCartReminders,
+  expireLoyaltyPoints,
 };
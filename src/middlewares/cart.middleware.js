@@ -0,0 +1,39 @@
+const crypto = require('crypto');
+const { config } = require('../config');
+const { authorize } = require('./auth.middleware');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const requireOrderRights = authorize('createOrder');
+
+/**
+ * Identify the cart a request works on and attach its owner to the request
+ * Signed-in users get their own cart. Visitors get an anonymous cart, tracked
+ * by a signed cookie that is issued on their first request and renewed on
+ * every one after. Must run after optionalAuth.
+ */
+const identifyCart = (req, res, next) => {
+  if (req.user) {
+    req.cartOwner = { user: req.user._id };
+    return requireOrderRights(req, res, next);
+  }
+
+  // Tampered cookies come back as false and get a fresh cart
+  const { cookieName, anonymousTtlDays } = config.cart;
+  const anonymousId = req.signedCookies[cookieName] || crypto.randomBytes(24).toString('hex');
+
+  res.cookie(cookieName, anonymousId, {
+    signed: true,
+    httpOnly: true,
+    secure: config.env === 'production',
+    sameSite: 'lax',
+    maxAge: anonymousTtlDays * DAY_MS,
+  });
+
+  req.cartOwner = { anonymousId };
+  next();
+};
+
+module.exports = {
+  identifyCart,
+};
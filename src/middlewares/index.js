@@ -2,3 +2,4 @@ module.exports.auth = require('./auth.middleware');
 module.exports.error = require('./error.middleware');
 module.exports.validate = require('./validate.middleware');
 module.exports.rateLimiter = require('./rateLimiter.middleware');
+module.exports.cart = require('./cart.middleware');
@@ -62,6 +62,21 @@ const emailVerificationLimiter = rateLimit({
   legacyHeaders: false,
 });
 
+/**
+ * Guest checkout rate limiter - for unauthenticated order endpoints
+ */
+const guestOrderLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 30, // 30 requests per window
+  message: {
+    success: false,
+    status: 429,
+    message: 'Too many requests, please try again after 15 minutes.',
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
 /**
  * API rate limiter - for third-party API endpoints
  */
@@ -102,6 +117,7 @@ module.exports = {
   authLimiter,
   passwordResetLimiter,
   emailVerificationLimiter,
+  guestOrderLimiter,
   apiLimiter,
   createLimiter,
 };
@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+const balanceTransactionTypes = {
+  // A gift card was issued with its initial balance
+  ISSUE: 'issue',
+  // Balance spent on an order
+  REDEMPTION: 'redemption',
+  // Balance given back for an order that was cancelled or could not be placed
+  RELEASE: 'release',
+  // Part of an order refund paid into the balance
+  REFUND: 'refund',
+  // Manual change by staff
+  ADJUSTMENT: 'adjustment',
+};
+
+// One change to a gift card balance or a user's store credit. Amounts are
+// positive for credits and negative for debits.
+const balanceTransactionSchema = new mongoose.Schema(
+  {
+    giftCard: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'GiftCard',
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    type: {
+      type: String,
+      enum: Object.values(balanceTransactionTypes),
+      required: true,
+    },
+    amount: {
+      type: Number,
+      required: true,
+    },
+    balanceAfter: {
+      type: Number,
+      required: true,
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order',
+    },
+    reason: String,
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+balanceTransactionSchema.index({ giftCard: 1, createdAt: -1 }, { sparse: true });
+balanceTransactionSchema.index({ user: 1, createdAt: -1 }, { sparse: true });
+balanceTransactionSchema.index({ order: 1 }, { sparse: true });
+
+const BalanceTransaction = mongoose.model('BalanceTransaction', balanceTransactionSchema);
+
+module.exports = { BalanceTransaction, balanceTransactionTypes };
@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+// Most product lines a cart can hold
+const MAX_CART_ITEMS = 50;
+
+// One product in a cart; the price it was added at is kept to tell the
+// buyer when the price has changed since
+const cartItemSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true,
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    priceWhenAdded: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    addedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+// A cart belongs to a user, or to a visitor identified by a signed cookie
+// until they sign in
+const cartSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    anonymousId: {
+      type: String,
+    },
+    items: [cartItemSchema],
+    // Anonymous carts only; refreshed on every change
+    expiresAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Indexes
+const hasUser = { user: { $exists: true } };
+cartSchema.index({ user: 1 }, { unique: true, partialFilterExpression: hasUser });
+cartSchema.index({ anonymousId: 1 }, { unique: true, sparse: true });
+cartSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Cart = mongoose.model('Cart', cartSchema);
+
+module.exports = { Cart, MAX_CART_ITEMS };
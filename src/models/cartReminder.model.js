@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+// active: more reminders are due; waiting: no more reminders, waiting for an
+// order within the recovery window; recovered: an order followed a reminder;
+// lost: the window passed without an order
+const cartReminderStatuses = {
+  ACTIVE: 'active',
+  WAITING: 'waiting',
+  RECOVERED: 'recovered',
+  LOST: 'lost',
+};
+
+// The reminder emails sent for one idle period of a user's cart. A new
+// sequence starts when the cart goes idle again after being changed.
+const cartReminderSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    cart: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Cart',
+      required: true,
+    },
+    // Last change to the cart before it was left
+    idleSince: {
+      type: Date,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: Object.values(cartReminderStatuses),
+      default: cartReminderStatuses.ACTIVE,
+    },
+    remindersSent: {
+      type: Number,
+      default: 0,
+    },
+    firstReminderAt: Date,
+    lastReminderAt: Date,
+    // Cart total when the first reminder was sent
+    cartTotal: {
+      type: Number,
+      min: 0,
+    },
+    recovery: {
+      order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order',
+      },
+      orderTotal: Number,
+      recoveredAt: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+cartReminderSchema.index({ cart: 1, idleSince: 1 }, { unique: true });
+cartReminderSchema.index({ status: 1 });
+cartReminderSchema.index({ firstReminderAt: 1 });
+
+const CartReminder = mongoose.model('CartReminder', cartReminderSchema);
+
+module.exports = { CartReminder, cartReminderStatuses };
@@ -38,6 +38,12 @@ const categorySchema = new mongoose.Schema(
       type: Number,
       default: 0,
     },
+    // Multiplies the loyalty points earned on products of the category; a
+    // subcategory's multiplier takes precedence over its parent's
+    pointsMultiplier: {
+      type: Number,
+      min: 0,
+    },
     seo: {
       metaTitle: String,
       metaDescription: String,
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// Named, monotonically increasing sequences shared by all app instances
+const counterSchema = new mongoose.Schema(
+  {
+    _id: {
+      type: String,
+      required: true,
+    },
+    seq: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+/**
+ * Atomically increment a counter and return its new value
+ * The counter is created on first use. Concurrent first uses can race on the
+ * upsert, in which case the loser retries against the now existing document.
+ * @param {string} name - Counter name
+ * @returns {Promise<number>}
+ */
+counterSchema.statics.next = async function (name) {
+  const update = { $inc: { seq: 1 } };
+  const options = { new: true, upsert: true };
+
+  try {
+    const counter = await this.findByIdAndUpdate(name, update, options);
+    return counter.seq;
+  } catch (error) {
+    if (error.code !== 11000) {
+      throw error;
+    }
+    const counter = await this.findByIdAndUpdate(name, update, options);
+    return counter.seq;
+  }
+};
+
+const Counter = mongoose.model('Counter', counterSchema);
+
+module.exports = Counter;
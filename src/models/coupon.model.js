@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+
+const couponTypes = {
+  PERCENTAGE: 'percentage',
+  FIXED: 'fixed',
+  FREE_SHIPPING: 'free_shipping',
+};
+
+const couponSchema = new mongoose.Schema(
+  {
+    code: {
+      type: String,
+      required: [true, 'Coupon code is required'],
+      unique: true,
+      uppercase: true,
+      trim: true,
+      match: [/^[A-Z0-9_-]{3,32}$/, 'Coupon codes are 3-32 letters, digits, - or _'],
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Description cannot exceed 500 characters'],
+    },
+    type: {
+      type: String,
+      enum: Object.values(couponTypes),
+      required: true,
+    },
+    // Percent off for percentage coupons, amount off for fixed coupons
+    value: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    // Cart subtotal required before the coupon applies
+    minSubtotal: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    startsAt: Date,
+    endsAt: Date,
+    // Unlimited when not set
+    usageLimit: {
+      type: Number,
+      min: 1,
+    },
+    usageLimitPerUser: {
+      type: Number,
+      min: 1,
+    },
+    // Orders that redeemed the coupon and were not cancelled
+    usageCount: {
+      type: Number,
+      default: 0,
+    },
+    // When any inclusion is set, only those products (or products in those
+    // categories) are discounted; exclusions always win
+    products: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Product' }],
+    categories: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Category' }],
+    excludedProducts: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Product' }],
+    excludedCategories: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Category' }],
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Indexes
+couponSchema.index({ isActive: 1, endsAt: 1 });
+
+const Coupon = mongoose.model('Coupon', couponSchema);
+
+module.exports = { Coupon, couponTypes };
@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+// Uses of a coupon by one customer, counted atomically against the coupon's
+// per-customer limit
+const couponUsageSchema = new mongoose.Schema(
+  {
+    code: {
+      type: String,
+      required: true,
+    },
+    // "user:<id>" for accounts, "guest:<email>" for guest checkouts
+    customer: {
+      type: String,
+      required: true,
+    },
+    uses: {
+      type: Number,
+      min: 0,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+couponUsageSchema.index({ code: 1, customer: 1 }, { unique: true });
+
+const CouponUsage = mongoose.model('CouponUsage', couponUsageSchema);
+
+module.exports = { CouponUsage };
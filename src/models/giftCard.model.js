@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+
+const giftCardSchema = new mongoose.Schema(
+  {
+    // Grouped in fours (XXXX-XXXX-XXXX-XXXX); buyers may type it without dashes
+    code: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    initialBalance: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    // Only changed together with a balance transaction
+    balance: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    expiresAt: Date,
+    // Set for cards bought as a product: the order line and which of its
+    // units the card is for
+    purchase: {
+      order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order' },
+      orderItem: mongoose.Schema.Types.ObjectId,
+      unit: Number,
+    },
+    purchaser: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    recipientEmail: {
+      type: String,
+      lowercase: true,
+      trim: true,
+    },
+    note: {
+      type: String,
+      maxlength: [500, 'Note cannot exceed 500 characters'],
+    },
+    issuedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Indexes
+giftCardSchema.index(
+  { 'purchase.order': 1, 'purchase.orderItem': 1, 'purchase.unit': 1 },
+  { unique: true, partialFilterExpression: { 'purchase.order': { $exists: true } } }
+);
+
+/**
+ * Write a gift card code the way it is stored
+ * @param {string} code - Code as typed, with or without dashes
+ * @returns {string} - Code grouped in fours
+ */
+const formatCode = (code) => {
+  const compact = code.replace(/[\s-]/g, '').toUpperCase();
+  return (compact.match(/.{1,4}/g) || []).join('-');
+};
+
+// Find a gift card by the code a buyer typed
+giftCardSchema.statics.findByCode = function (code) {
+  return this.findOne({ code: formatCode(code) });
+};
+
+// Check whether the card can pay for an order now
+giftCardSchema.methods.isUsable = function () {
+  return this.isActive && (!this.expiresAt || this.expiresAt > new Date());
+};
+
+const GiftCard = mongoose.model('GiftCard', giftCardSchema);
+
+module.exports = { GiftCard };
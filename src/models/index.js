@@ -1,6 +1,44 @@
 module.exports.User = require('./user.model');
 module.exports.Product = require('./product.model');
 module.exports.Category = require('./category.model');
-module.exports.Order = require('./order.model');
+module.exports.Order = require('./order.model').Order;
+module.exports.orderStatuses = require('./order.model').orderStatuses;
+module.exports.paymentStatuses = require('./order.model').paymentStatuses;
+module.exports.orderStatusTransitions = require('./order.model').orderStatusTransitions;
+module.exports.refundSources = require('./order.model').refundSources;
+module.exports.tenderTypes = require('./order.model').tenderTypes;
+module.exports.adjustmentStatuses = require('./order.model').adjustmentStatuses;
+module.exports.riskDecisions = require('./order.model').riskDecisions;
+module.exports.shipmentStatuses = require('./order.model').shipmentStatuses;
+module.exports.OrderArchive = require('./orderArchive.model');
+module.exports.Counter = require('./counter.model');
+module.exports.JobLock = require('./jobLock.model');
 module.exports.Token = require('./token.model').Token;
 module.exports.tokenTypes = require('./token.model').tokenTypes;
+module.exports.Invoice = require('./invoice.model').Invoice;
+module.exports.invoiceTypes = require('./invoice.model').invoiceTypes;
+module.exports.OrderMessage = require('./orderMessage.model').OrderMessage;
+module.exports.messageAuthorTypes = require('./orderMessage.model').messageAuthorTypes;
+module.exports.Cart = require('./cart.model').Cart;
+module.exports.MAX_CART_ITEMS = require('./cart.model').MAX_CART_ITEMS;
+module.exports.CartReminder = require('./cartReminder.model').CartReminder;
+module.exports.cartReminderStatuses = require('./cartReminder.model').cartReminderStatuses;
+module.exports.Coupon = require('./coupon.model').Coupon;
+module.exports.couponTypes = require('./coupon.model').couponTypes;
+module.exports.CouponUsage = require('./couponUsage.model').CouponUsage;
+module.exports.Promotion = require('./promotion.model').Promotion;
+module.exports.promotionTypes = require('./promotion.model').promotionTypes;
+module.exports.promotionDiscountTypes = require('./promotion.model').promotionDiscountTypes;
+module.exports.GiftCard = require('./giftCard.model').GiftCard;
+module.exports.BalanceTransaction = require('./balanceTransaction.model').BalanceTransaction;
+module.exports.balanceTransactionTypes =
+  require('./balanceTransaction.model').balanceTransactionTypes;
+module.exports.PointsTransaction = require('./pointsTransaction.model').PointsTransaction;
+module.exports.pointsTransactionTypes = require('./pointsTransaction.model').pointsTransactionTypes;
+module.exports.pointsBonusTypes = require('./pointsTransaction.model').pointsBonusTypes;
+module.exports.Wishlist = require('./wishlist.model').Wishlist;
+module.exports.MAX_WISHLISTS = require('./wishlist.model').MAX_WISHLISTS;
+module.exports.MAX_WISHLIST_ITEMS = require('./wishlist.model').MAX_WISHLIST_ITEMS;
+module.exports.Return = require('./return.model').Return;
+module.exports.returnStatuses = require('./return.model').returnStatuses;
+module.exports.returnReasons = require('./return.model').returnReasons;
@@ -0,0 +1,116 @@
+const mongoose = require('mongoose');
+
+const invoiceTypes = {
+  INVOICE: 'invoice',
+  CREDIT_NOTE: 'credit_note',
+};
+
+const invoiceLineSchema = new mongoose.Schema(
+  {
+    description: { type: String, required: true },
+    sku: String,
+    quantity: { type: Number, required: true },
+    unitPrice: { type: Number, required: true },
+    amount: { type: Number, required: true },
+  },
+  { _id: false }
+);
+
+// Invoices are immutable snapshots of an order (or refund) at the time of issue
+const invoiceSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: Object.values(invoiceTypes),
+      required: true,
+    },
+    sequence: {
+      type: Number,
+      required: true,
+    },
+    number: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order',
+      required: true,
+    },
+    // Invoices of an edited order are reissued; the latest revision is current
+    revision: {
+      type: Number,
+      default: 1,
+    },
+    // Refund ledger entry a credit note was issued for
+    refund: mongoose.Schema.Types.ObjectId,
+    // Invoice a credit note corrects
+    invoice: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Invoice',
+    },
+    // Invoice a credit note cancels in full because it was reissued
+    cancels: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Invoice',
+    },
+    orderNumber: String,
+    currency: { type: String, required: true },
+    customer: {
+      name: String,
+      email: String,
+    },
+    billingAddress: {
+      fullName: String,
+      address: String,
+      city: String,
+      state: String,
+      postalCode: String,
+      country: String,
+    },
+    lines: [invoiceLineSchema],
+    totals: {
+      subtotal: { type: Number, default: 0 },
+      discount: { type: Number, default: 0 },
+      shipping: { type: Number, default: 0 },
+      tax: { type: Number, default: 0 },
+      taxRate: { type: Number, default: 0 },
+      total: { type: Number, required: true },
+    },
+    reason: String,
+    issuedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+// Sequences are gap-free per document type; the unique index rejects a
+// number allocated twice by concurrent requests
+invoiceSchema.index({ type: 1, sequence: -1 }, { unique: true });
+// At most one invoice per order revision, one credit note per refund and one
+// cancelling credit note per reissued invoice
+const oneInvoicePerRevision = {
+  unique: true,
+  partialFilterExpression: { type: invoiceTypes.INVOICE },
+};
+const oneCreditNotePerRefund = {
+  unique: true,
+  partialFilterExpression: { type: invoiceTypes.CREDIT_NOTE, refund: { $exists: true } },
+};
+const oneCancellationPerInvoice = {
+  unique: true,
+  partialFilterExpression: { cancels: { $exists: true } },
+};
+invoiceSchema.index({ order: 1, revision: -1 }, oneInvoicePerRevision);
+invoiceSchema.index({ refund: 1 }, oneCreditNotePerRefund);
+invoiceSchema.index({ cancels: 1 }, oneCancellationPerInvoice);
+
+const Invoice = mongoose.model('Invoice', invoiceSchema);
+
+module.exports = { Invoice, invoiceTypes };
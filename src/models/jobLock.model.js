@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+const { v4: uuidv4 } = require('uuid');
+
+// Leases that keep a scheduled job from running on several app instances at once
+const jobLockSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    required: true,
+  },
+  owner: {
+    type: String,
+    required: true,
+  },
+  lockedUntil: {
+    type: Date,
+    required: true,
+  },
+});
+
+/**
+ * Try to take the lock of a job
+ * Expired leases (e.g. from a crashed instance) can be taken over.
+ * @param {string} name - Job name
+ * @param {number} ttlMs - Lease duration in milliseconds
+ * @returns {Promise<string|null>} - Lease owner token, or null if the job is locked
+ */
+jobLockSchema.statics.acquire = async function (name, ttlMs) {
+  const now = new Date();
+  const owner = uuidv4();
+  const filter = { _id: name, lockedUntil: { $lt: now } };
+  const update = { owner, lockedUntil: new Date(now.getTime() + ttlMs) };
+
+  try {
+    await this.findOneAndUpdate(filter, update, { upsert: true });
+    return owner;
+  } catch (error) {
+    // The lock exists and has not expired, so the upsert collided on _id
+    if (error.code === 11000) {
+      return null;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Release a lock taken with acquire
+ * @param {string} name - Job name
+ * @param {string} owner - Lease owner token
+ */
+jobLockSchema.statics.release = async function (name, owner) {
+  await this.deleteOne({ _id: name, owner });
+};
+
+const JobLock = mongoose.model('JobLock', jobLockSchema);
+
+module.exports = JobLock;
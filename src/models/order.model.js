@@ -1,4 +1,180 @@
 const mongoose = require('mongoose');
+const Counter = require('./counter.model');
+const { couponTypes } = require('./coupon.model');
+const { promotionTypes } = require('./promotion.model');
+const config = require('../config/config');
+
+const orderStatuses = {
+  PENDING: 'pending',
+  REVIEW: 'review',
+  CONFIRMED: 'confirmed',
+  PROCESSING: 'processing',
+  PARTIALLY_SHIPPED: 'partially_shipped',
+  SHIPPED: 'shipped',
+  DELIVERED: 'delivered',
+  CANCELLED: 'cancelled',
+  REFUNDED: 'refunded',
+};
+
+const paymentStatuses = {
+  PENDING: 'pending',
+  PROCESSING: 'processing',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed',
+  REFUNDED: 'refunded',
+  PARTIALLY_REFUNDED: 'partially_refunded',
+};
+
+// Allowed status transitions; an order can only move along these edges
+const orderStatusTransitions = {
+  [orderStatuses.PENDING]: [orderStatuses.REVIEW, orderStatuses.CONFIRMED, orderStatuses.CANCELLED],
+  // Orders held for fraud review are released or cancelled by staff
+  [orderStatuses.REVIEW]: [orderStatuses.PENDING, orderStatuses.CONFIRMED, orderStatuses.CANCELLED],
+  [orderStatuses.CONFIRMED]: [orderStatuses.PROCESSING, orderStatuses.CANCELLED],
+  [orderStatuses.PROCESSING]: [
+    orderStatuses.PARTIALLY_SHIPPED,
+    orderStatuses.SHIPPED,
+    orderStatuses.CANCELLED,
+  ],
+  [orderStatuses.PARTIALLY_SHIPPED]: [orderStatuses.SHIPPED],
+  [orderStatuses.SHIPPED]: [orderStatuses.DELIVERED],
+  [orderStatuses.DELIVERED]: [orderStatuses.REFUNDED],
+  [orderStatuses.CANCELLED]: [],
+  [orderStatuses.REFUNDED]: [],
+};
+
+// Where a refund ledger entry originated
+const refundSources = {
+  ADMIN: 'admin',
+  RETURN: 'return',
+  CANCELLATION: 'cancellation',
+  // Refund made directly with the payment provider (e.g. its dashboard)
+  PROVIDER: 'provider',
+  // Difference paid back after items were removed from a paid order
+  ORDER_EDIT: 'order_edit',
+};
+
+const adjustmentStatuses = {
+  PENDING: 'pending',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled',
+};
+
+// Extra payment collected after items were added to a paid order
+const paymentAdjustmentSchema = new mongoose.Schema({
+  amount: { type: Number, required: true, min: 0 },
+  providerPaymentId: String,
+  status: {
+    type: String,
+    enum: Object.values(adjustmentStatuses),
+    default: adjustmentStatuses.PENDING,
+  },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  createdAt: { type: Date, default: Date.now },
+  paidAt: Date,
+});
+
+const tenderTypes = {
+  GIFT_CARD: 'gift_card',
+  STORE_CREDIT: 'store_credit',
+};
+
+// Gift card or store credit balance spent on the order
+const tenderSchema = new mongoose.Schema({
+  type: { type: String, enum: Object.values(tenderTypes), required: true },
+  giftCard: { type: mongoose.Schema.Types.ObjectId, ref: 'GiftCard' },
+  // Last characters of the gift card code, for display
+  codeEnding: String,
+  amount: { type: Number, required: true, min: 0 },
+  // Given back by refunds or when the order was cancelled
+  returned: { type: Number, default: 0 },
+});
+
+const refundSchema = new mongoose.Schema({
+  amount: { type: Number, required: true, min: 0 },
+  // Part of the amount paid back to gift cards or store credit instead of
+  // the payment provider
+  balanceAmount: { type: Number, default: 0 },
+  reason: String,
+  items: [
+    {
+      orderItem: { type: mongoose.Schema.Types.ObjectId, required: true },
+      quantity: { type: Number, required: true, min: 1 },
+    },
+  ],
+  source: {
+    type: String,
+    enum: Object.values(refundSources),
+    default: refundSources.ADMIN,
+  },
+  providerRefundId: String,
+  returnRequest: { type: mongoose.Schema.Types.ObjectId, ref: 'Return' },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  createdAt: { type: Date, default: Date.now },
+});
+
+const shipmentStatuses = {
+  IN_TRANSIT: 'in_transit',
+  OUT_FOR_DELIVERY: 'out_for_delivery',
+  DELIVERED: 'delivered',
+  EXCEPTION: 'exception',
+};
+
+// One box/parcel of an order; an order may ship in several
+const shipmentSchema = new mongoose.Schema({
+  items: [
+    {
+      orderItem: { type: mongoose.Schema.Types.ObjectId, required: true },
+      quantity: { type: Number, required: true, min: 1 },
+    },
+  ],
+  carrier: { type: String, required: true },
+  trackingNumber: String,
+  trackingUrl: String,
+  status: {
+    type: String,
+    enum: Object.values(shipmentStatuses),
+    default: shipmentStatuses.IN_TRANSIT,
+  },
+  events: [
+    {
+      status: { type: String, enum: Object.values(shipmentStatuses) },
+      description: String,
+      location: String,
+      occurredAt: { type: Date, default: Date.now },
+    },
+  ],
+  shippedAt: { type: Date, default: Date.now },
+  deliveredAt: Date,
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+});
+
+const riskDecisions = {
+  APPROVED: 'approved',
+  REJECTED: 'rejected',
+};
+
+// A fraud rule that matched when the order was scored
+const riskRuleSchema = new mongoose.Schema(
+  {
+    code: { type: String, required: true },
+    score: { type: Number, required: true },
+    detail: String,
+  },
+  { _id: false }
+);
+
+// A promotion applied when the order was priced
+const appliedPromotionSchema = new mongoose.Schema(
+  {
+    promotion: { type: mongoose.Schema.Types.ObjectId, ref: 'Promotion' },
+    name: String,
+    type: { type: String, enum: Object.values(promotionTypes) },
+    discount: Number,
+  },
+  { _id: false }
+);
 
 const orderItemSchema = new mongoose.Schema({
   product: {
@@ -20,10 +196,26 @@ const orderSchema = new mongoose.Schema(
       unique: true,
       required: true,
     },
+    // Guest orders have no user until they are claimed by an account
     user: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
-      required: true,
+      required: function () {
+        return !this.guest || !this.guest.email;
+      },
+    },
+    guest: {
+      email: {
+        type: String,
+        lowercase: true,
+        trim: true,
+      },
+      // SHA-256 of the token emailed to the buyer for looking up the order
+      lookupTokenHash: {
+        type: String,
+        select: false,
+      },
+      claimedAt: Date,
     },
     items: [orderItemSchema],
     shippingAddress: {
@@ -49,32 +241,60 @@ const orderSchema = new mongoose.Schema(
         enum: ['stripe', 'paypal', 'cod', 'bank_transfer'],
         required: true,
       },
-      stripePaymentIntentId: String,
-      stripeChargeId: String,
+      // Payment provider that processed an online payment and its IDs there
+      provider: String,
+      providerPaymentId: String,
+      providerChargeId: String,
       status: {
         type: String,
-        enum: ['pending', 'processing', 'succeeded', 'failed', 'refunded', 'partially_refunded'],
-        default: 'pending',
+        enum: Object.values(paymentStatuses),
+        default: paymentStatuses.PENDING,
       },
       paidAt: Date,
+      // Bank transfers: reference the customer quotes and the payment deadline
+      reference: String,
+      dueAt: Date,
+      // Offline payments recorded by staff
+      receivedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      failedAttempts: { type: Number, default: 0 },
+      adjustments: [paymentAdjustmentSchema],
+      tenders: [tenderSchema],
     },
     pricing: {
       subtotal: { type: Number, required: true },
       tax: { type: Number, default: 0 },
       taxRate: { type: Number, default: 0 },
       shipping: { type: Number, default: 0 },
+      // Coupon, promotion and loyalty points discounts together
       discount: { type: Number, default: 0 },
+      promotions: [appliedPromotionSchema],
+      pointsDiscount: { type: Number, default: 0 },
       total: { type: Number, required: true },
     },
+    refunds: [refundSchema],
+    loyalty: {
+      redeemedPoints: { type: Number, default: 0 },
+      // Set once the redeemed points were given back
+      redemptionReleased: { type: Boolean, default: false },
+      // Earned on delivery; reversedPoints were taken back by refunds
+      earnedPoints: { type: Number, default: 0 },
+      reversedPoints: { type: Number, default: 0 },
+    },
     coupon: {
       code: String,
       discount: Number,
-      type: { type: String, enum: ['percentage', 'fixed'] },
+      type: { type: String, enum: Object.values(couponTypes) },
+      // Percent or amount off when the order was placed
+      value: Number,
+      // Minimum subtotal the coupon required when the order was placed
+      minSubtotal: Number,
+      // Whether the use was counted against the coupon's per-customer limit
+      limitedPerCustomer: Boolean,
     },
     status: {
       type: String,
-      enum: ['pending', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled', 'refunded'],
-      default: 'pending',
+      enum: Object.values(orderStatuses),
+      default: orderStatuses.PENDING,
     },
     statusHistory: [
       {
@@ -93,10 +313,28 @@ const orderSchema = new mongoose.Schema(
       shippedAt: Date,
       deliveredAt: Date,
     },
+    shipments: [shipmentSchema],
     notes: {
       customer: String,
       internal: String,
     },
+    // Set when the customer posts a message and cleared once staff have read it
+    hasUnreadMessages: {
+      type: Boolean,
+      default: false,
+    },
+    lastMessageAt: Date,
+    risk: {
+      score: { type: Number, min: 0, max: 100 },
+      rules: [riskRuleSchema],
+      assessedAt: Date,
+      review: {
+        decision: { type: String, enum: Object.values(riskDecisions) },
+        note: String,
+        reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        reviewedAt: Date,
+      },
+    },
     metadata: {
       ip: String,
       userAgent: String,
@@ -115,28 +353,46 @@ const orderSchema = new mongoose.Schema(
 // Indexes
 orderSchema.index({ orderNumber: 1 });
 orderSchema.index({ user: 1, createdAt: -1 });
+orderSchema.index({ 'guest.email': 1 }, { sparse: true });
+orderSchema.index({ 'guest.lookupTokenHash': 1 }, { sparse: true });
 orderSchema.index({ status: 1 });
 orderSchema.index({ 'payment.status': 1 });
+orderSchema.index({ 'payment.providerPaymentId': 1 }, { sparse: true });
+orderSchema.index({ 'payment.reference': 1 }, { sparse: true });
+orderSchema.index({ 'payment.dueAt': 1 }, { sparse: true });
+orderSchema.index({ hasUnreadMessages: 1, lastMessageAt: -1 });
+orderSchema.index({ 'metadata.ip': 1, createdAt: -1 });
 orderSchema.index({ createdAt: -1 });
 
-// Generate order number before saving
-orderSchema.pre('save', async function (next) {
+/**
+ * Build the next order number from the configured format, e.g. ORD-240131-00042
+ * The sequence comes from a counter in MongoDB, so numbers are unique across
+ * all app instances. Daily sequences are keyed by the UTC date.
+ * @param {Date} date - Order date
+ * @returns {Promise<string>}
+ */
+const generateOrderNumber = async (date = new Date()) => {
+  const { prefix, format, sequence, padding } = config.order.number;
+  const day = date.toISOString().slice(2, 10).replace(/-/g, '');
+  const seq = await Counter.next(sequence === 'daily' ? `order:${day}` : 'order');
+
+  return format
+    .replace('{prefix}', prefix)
+    .replace('{date}', day)
+    .replace('{seq}', seq.toString().padStart(padding, '0'));
+};
+
+// Generate order number before validation so the required check passes
+orderSchema.pre('validate', async function (next) {
   if (!this.orderNumber) {
-    const date = new Date();
-    const year = date.getFullYear().toString().slice(-2);
-    const month = (date.getMonth() + 1).toString().padStart(2, '0');
-    const day = date.getDate().toString().padStart(2, '0');
-    const random = Math.floor(Math.random() * 10000)
-      .toString()
-      .padStart(4, '0');
-    this.orderNumber = `ORD-${year}${month}${day}-${random}`;
+    this.orderNumber = await generateOrderNumber();
   }
   next();
 });
 
-// Add status to history when status changes
+// Record the initial status; later changes are recorded by the order service
 orderSchema.pre('save', function (next) {
-  if (this.isModified('status')) {
+  if (this.isNew && this.statusHistory.length === 0) {
     this.statusHistory.push({
       status: this.status,
       updatedAt: new Date(),
@@ -145,11 +401,58 @@ orderSchema.pre('save', function (next) {
   next();
 });
 
+// Check whether the order may move to the given status
+orderSchema.methods.canTransitionTo = function (status) {
+  return orderStatusTransitions[this.status].includes(status);
+};
+
 // Virtual for item count
 orderSchema.virtual('itemCount').get(function () {
   return this.items.reduce((total, item) => total + item.quantity, 0);
 });
 
+// Virtual for the total amount refunded so far
+orderSchema.virtual('refundedTotal').get(function () {
+  const total = (this.refunds || []).reduce((sum, refund) => sum + refund.amount, 0);
+  return Math.round(total * 100) / 100;
+});
+
+// Virtual for the part of the total left to pay with the payment method
+// after gift cards and store credit
+orderSchema.virtual('amountDue').get(function () {
+  if (!this.pricing || this.pricing.total === undefined) {
+    return undefined;
+  }
+  const tenders = (this.payment && this.payment.tenders) || [];
+  const tendered = tenders.reduce((sum, tender) => sum + tender.amount, 0);
+  return Math.max(Math.round((this.pricing.total - tendered) * 100) / 100, 0);
+});
+
+// Static method for paginated results
+orderSchema.statics.paginate = async function (filter, options) {
+  const { sortBy = 'createdAt', order = 'desc', page = 1, limit = 10, select } = options;
+
+  const skip = (page - 1) * limit;
+  const sortOrder = order === 'desc' ? -1 : 1;
+
+  const [results, total] = await Promise.all([
+    this.find(filter)
+      .sort({ [sortBy]: sortOrder })
+      .skip(skip)
+      .limit(limit)
+      .select(select),
+    this.countDocuments(filter),
+  ]);
+
+  return {
+    results,
+    page,
+    limit,
+    totalPages: Math.ceil(total / limit),
+    totalResults: total,
+  };
+};
+
 // Static method for getting order stats
 orderSchema.statics.getStats = async function (startDate, endDate) {
   const match = {};
@@ -175,4 +478,14 @@ orderSchema.statics.getStats = async function (startDate, endDate) {
 
 const Order = mongoose.model('Order', orderSchema);
 
-module.exports = Order;
+module.exports = {
+  Order,
+  orderStatuses,
+  paymentStatuses,
+  orderStatusTransitions,
+  refundSources,
+  tenderTypes,
+  adjustmentStatuses,
+  riskDecisions,
+  shipmentStatuses,
+};
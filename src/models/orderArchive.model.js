@@ -0,0 +1,12 @@
+const mongoose = require('mongoose');
+const { Order } = require('./order.model');
+
+// Archived orders keep the live order schema (virtuals, methods, indexes) in a
+// cold collection; they are read-only and only written by the archive job
+const orderArchiveSchema = Order.schema.clone();
+orderArchiveSchema.add({ archivedAt: Date });
+orderArchiveSchema.index({ archivedAt: 1 });
+
+const OrderArchive = mongoose.model('OrderArchive', orderArchiveSchema, 'orders_archive');
+
+module.exports = OrderArchive;
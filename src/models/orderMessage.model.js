@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+const messageAuthorTypes = {
+  CUSTOMER: 'customer',
+  STAFF: 'staff',
+};
+
+// One message in the conversation about an order; internal messages are
+// staff notes the customer never sees
+const orderMessageSchema = new mongoose.Schema(
+  {
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order',
+      required: true,
+    },
+    author: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    authorType: {
+      type: String,
+      enum: Object.values(messageAuthorTypes),
+      required: true,
+    },
+    body: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 5000,
+    },
+    internal: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+orderMessageSchema.index({ order: 1, createdAt: 1 });
+
+const OrderMessage = mongoose.model('OrderMessage', orderMessageSchema);
+
+module.exports = { OrderMessage, messageAuthorTypes };
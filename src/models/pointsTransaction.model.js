@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+
+const pointsTransactionTypes = {
+  // Earned on a delivered order
+  EARN: 'earn',
+  // Granted by staff, e.g. for a review or a referral
+  BONUS: 'bonus',
+  // Spent as a discount on an order
+  REDEMPTION: 'redemption',
+  // Given back for an order that was cancelled or could not be placed
+  RELEASE: 'release',
+  // Taken back when an order that earned points is refunded
+  REVERSAL: 'reversal',
+  // Left unspent past their expiry date
+  EXPIRY: 'expiry',
+};
+
+const pointsBonusTypes = {
+  REVIEW: 'review',
+  REFERRAL: 'referral',
+  OTHER: 'other',
+};
+
+// One change to a user's loyalty points. Points are positive for credits and
+// negative for debits. Credits are lots that expire: `remaining` is what is
+// left of them after redemptions and reversals, which spend the lots that
+// expire first.
+const pointsTransactionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: Object.values(pointsTransactionTypes),
+      required: true,
+    },
+    points: {
+      type: Number,
+      required: true,
+    },
+    balanceAfter: {
+      type: Number,
+      required: true,
+    },
+    remaining: Number,
+    expiresAt: Date,
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order',
+    },
+    bonusType: {
+      type: String,
+      enum: Object.values(pointsBonusTypes),
+    },
+    reason: String,
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+pointsTransactionSchema.index({ user: 1, createdAt: -1 });
+pointsTransactionSchema.index(
+  { expiresAt: 1 },
+  { partialFilterExpression: { remaining: { $gt: 0 } } }
+);
+pointsTransactionSchema.index({ order: 1 }, { sparse: true });
+
+const PointsTransaction = mongoose.model('PointsTransaction', pointsTransactionSchema);
+
+module.exports = { PointsTransaction, pointsTransactionTypes, pointsBonusTypes };
@@ -96,6 +96,11 @@ const productSchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
+    // Each unit sold issues a gift card worth the price paid for it
+    isGiftCard: {
+      type: Boolean,
+      default: false,
+    },
     weight: {
       value: Number,
       unit: { type: String, enum: ['kg', 'lb', 'g', 'oz'], default: 'kg' },
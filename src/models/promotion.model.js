@@ -0,0 +1,114 @@
+const mongoose = require('mongoose');
+
+// buy_x_get_y: every buyQuantity + getQuantity units in scope, the cheapest
+// getQuantity units get value percent off; spend_threshold: the best tier met
+// by the subtotal in scope; bundle: an amount or percentage off each complete
+// set of bundleItems
+const promotionTypes = {
+  BUY_X_GET_Y: 'buy_x_get_y',
+  SPEND_THRESHOLD: 'spend_threshold',
+  BUNDLE: 'bundle',
+};
+
+const promotionDiscountTypes = {
+  PERCENTAGE: 'percentage',
+  FIXED: 'fixed',
+};
+
+const tierSchema = new mongoose.Schema(
+  {
+    minSubtotal: { type: Number, required: true, min: 0 },
+    discountType: { type: String, enum: Object.values(promotionDiscountTypes), required: true },
+    value: { type: Number, required: true, min: 0 },
+  },
+  { _id: false }
+);
+
+const bundleItemSchema = new mongoose.Schema(
+  {
+    product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+    quantity: { type: Number, default: 1, min: 1 },
+  },
+  { _id: false }
+);
+
+const promotionSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Promotion name is required'],
+      trim: true,
+      maxlength: [100, 'Name cannot exceed 100 characters'],
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Description cannot exceed 500 characters'],
+    },
+    type: {
+      type: String,
+      enum: Object.values(promotionTypes),
+      required: true,
+    },
+    // Promotions are applied from the highest priority down
+    priority: {
+      type: Number,
+      default: 0,
+    },
+    // An exclusive promotion only applies when no other promotion has, and
+    // stops the ones after it
+    exclusive: {
+      type: Boolean,
+      default: false,
+    },
+    combinesWithCoupons: {
+      type: Boolean,
+      default: true,
+    },
+    // Products buy_x_get_y and spend_threshold count; all when both are empty
+    products: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Product' }],
+    categories: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Category' }],
+    buyQuantity: {
+      type: Number,
+      min: 1,
+    },
+    getQuantity: {
+      type: Number,
+      min: 1,
+    },
+    tiers: [tierSchema],
+    bundleItems: [bundleItemSchema],
+    // Percent off the free units of buy_x_get_y (100 makes them free), or the
+    // discount on each bundle
+    discountType: {
+      type: String,
+      enum: Object.values(promotionDiscountTypes),
+    },
+    value: {
+      type: Number,
+      min: 0,
+    },
+    startsAt: Date,
+    endsAt: Date,
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Indexes
+promotionSchema.index({ isActive: 1, priority: -1 });
+
+const Promotion = mongoose.model('Promotion', promotionSchema);
+
+module.exports = { Promotion, promotionTypes, promotionDiscountTypes };
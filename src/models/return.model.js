@@ -0,0 +1,138 @@
+const mongoose = require('mongoose');
+
+const returnStatuses = {
+  REQUESTED: 'requested',
+  APPROVED: 'approved',
+  REJECTED: 'rejected',
+  RECEIVED: 'received',
+  INSPECTED: 'inspected',
+  REFUNDED: 'refunded',
+  CLOSED: 'closed',
+};
+
+// Allowed status transitions; a return can only move along these edges
+const returnStatusTransitions = {
+  [returnStatuses.REQUESTED]: [returnStatuses.APPROVED, returnStatuses.REJECTED],
+  [returnStatuses.APPROVED]: [returnStatuses.RECEIVED],
+  [returnStatuses.RECEIVED]: [returnStatuses.INSPECTED],
+  [returnStatuses.INSPECTED]: [returnStatuses.REFUNDED, returnStatuses.CLOSED],
+  [returnStatuses.REJECTED]: [],
+  [returnStatuses.REFUNDED]: [],
+  [returnStatuses.CLOSED]: [],
+};
+
+const returnReasons = [
+  'damaged',
+  'defective',
+  'wrong_item',
+  'not_as_described',
+  'no_longer_needed',
+  'other',
+];
+
+const returnItemSchema = new mongoose.Schema({
+  orderItem: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true,
+  },
+  name: { type: String, required: true },
+  price: { type: Number, required: true },
+  quantity: { type: Number, required: true, min: 1 },
+  reason: {
+    type: String,
+    enum: returnReasons,
+    required: true,
+  },
+  restockedQuantity: { type: Number, default: 0, min: 0 },
+});
+
+const returnSchema = new mongoose.Schema(
+  {
+    returnNumber: {
+      type: String,
+      unique: true,
+      required: true,
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order',
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    items: {
+      type: [returnItemSchema],
+      validate: [(items) => items.length > 0, 'A return needs at least one item'],
+    },
+    customerNote: {
+      type: String,
+      maxlength: [1000, 'Note cannot exceed 1000 characters'],
+    },
+    status: {
+      type: String,
+      enum: Object.values(returnStatuses),
+      default: returnStatuses.REQUESTED,
+    },
+    statusHistory: [
+      {
+        status: String,
+        note: String,
+        updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        updatedAt: { type: Date, default: Date.now },
+      },
+    ],
+    inspection: {
+      note: String,
+      inspectedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      inspectedAt: Date,
+    },
+    refund: {
+      amount: Number,
+      providerRefundId: String,
+      refundedAt: Date,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Indexes
+returnSchema.index({ order: 1 });
+returnSchema.index({ user: 1, createdAt: -1 });
+returnSchema.index({ status: 1, createdAt: -1 });
+
+// Record the initial status; later changes are recorded by the return service
+returnSchema.pre('save', function (next) {
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({
+      status: this.status,
+      updatedAt: new Date(),
+    });
+  }
+  next();
+});
+
+// Check whether the return may move to the given status
+returnSchema.methods.canTransitionTo = function (status) {
+  return returnStatusTransitions[this.status].includes(status);
+};
+
+// Virtual for the merchandise value of the returned lines
+returnSchema.virtual('itemsTotal').get(function () {
+  return this.items.reduce((total, item) => total + item.price * item.quantity, 0);
+});
+
+const Return = mongoose.model('Return', returnSchema);
+
+module.exports = { Return, returnStatuses, returnStatusTransitions, returnReasons };
@@ -88,6 +88,18 @@ const userSchema = new mongoose.Schema(
       type: String,
       default: null,
     },
+    // Only changed together with a balance transaction
+    storeCredit: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // Only changed together with a points transaction
+    loyaltyPoints: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
   },
   {
     timestamps: true,
@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+
+// Most wishlists a user can keep, and most products one wishlist can hold
+const MAX_WISHLISTS = 20;
+const MAX_WISHLIST_ITEMS = 100;
+
+// One saved product. The price it was saved at is the reference for price-drop
+// alerts; the alert state keeps each drop or restock from being announced twice.
+const wishlistItemSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true,
+    },
+    priceWhenAdded: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    addedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    alerts: {
+      priceDrop: { type: Boolean, default: false },
+      backInStock: { type: Boolean, default: false },
+    },
+    // Lowest price already announced by a price-drop alert
+    lastAlertedPrice: {
+      type: Number,
+    },
+    // Set while the product is out of stock, cleared when its restock is announced
+    awaitingRestock: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  { _id: false }
+);
+
+const wishlistSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    name: {
+      type: String,
+      required: [true, 'Wishlist name is required'],
+      trim: true,
+      maxlength: [100, 'Wishlist name cannot exceed 100 characters'],
+    },
+    // Anyone with the token can view the wishlist while it is set
+    shareToken: {
+      type: String,
+    },
+    items: [wishlistItemSchema],
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Indexes
+wishlistSchema.index({ user: 1, createdAt: 1 });
+wishlistSchema.index({ shareToken: 1 }, { unique: true, sparse: true });
+wishlistSchema.index({ 'items.alerts.priceDrop': 1 });
+wishlistSchema.index({ 'items.alerts.backInStock': 1 });
+
+const Wishlist = mongoose.model('Wishlist', wishlistSchema);
+
+module.exports = { Wishlist, MAX_WISHLISTS, MAX_WISHLIST_ITEMS };
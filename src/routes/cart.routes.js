@@ -0,0 +1,87 @@
+const express = require('express');
+const { cartController } = require('../controllers');
+const { auth, cart, validate } = require('../middlewares');
+const { cartValidation } = require('../validations');
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/v1/cart
+ * @desc    Get the current cart with live prices
+ * @access  Public (anonymous cart) / Private
+ */
+router.get('/', auth.optionalAuth, cart.identifyCart, cartController.getCart);
+
+/**
+ * @route   DELETE /api/v1/cart
+ * @desc    Remove every item from the cart
+ * @access  Public (anonymous cart) / Private
+ */
+router.delete('/', auth.optionalAuth, cart.identifyCart, cartController.clearCart);
+
+/**
+ * @route   POST /api/v1/cart/apply-coupon
+ * @desc    Check a coupon code against the cart and preview the discount
+ * @access  Public (anonymous cart) / Private
+ */
+router.post(
+  '/apply-coupon',
+  auth.optionalAuth,
+  cart.identifyCart,
+  validate(cartValidation.applyCoupon),
+  cartController.applyCoupon
+);
+
+/**
+ * @route   GET /api/v1/cart/recovery/stats
+ * @desc    Get abandoned cart reminder conversion statistics
+ * @access  Private/Admin
+ */
+router.get(
+  '/recovery/stats',
+  auth.verifyToken,
+  auth.authorize('viewAnalytics'),
+  validate(cartValidation.getRecoveryStats),
+  cartController.getRecoveryStats
+);
+
+/**
+ * @route   POST /api/v1/cart/items
+ * @desc    Add a product to the cart
+ * @access  Public (anonymous cart) / Private
+ */
+router.post(
+  '/items',
+  auth.optionalAuth,
+  cart.identifyCart,
+  validate(cartValidation.addItem),
+  cartController.addItem
+);
+
+/**
+ * @route   PATCH /api/v1/cart/items/:productId
+ * @desc    Change the quantity of a product in the cart
+ * @access  Public (anonymous cart) / Private
+ */
+router.patch(
+  '/items/:productId',
+  auth.optionalAuth,
+  cart.identifyCart,
+  validate(cartValidation.updateItem),
+  cartController.updateItem
+);
+
+/**
+ * @route   DELETE /api/v1/cart/items/:productId
+ * @desc    Remove a product from the cart
+ * @access  Public (anonymous cart) / Private
+ */
+router.delete(
+  '/items/:productId',
+  auth.optionalAuth,
+  cart.identifyCart,
+  validate(cartValidation.removeItem),
+  cartController.removeItem
+);
+
+module.exports = router;
@@ -0,0 +1,73 @@
+const express = require('express');
+const { couponController } = require('../controllers');
+const { auth, validate } = require('../middlewares');
+const { couponValidation } = require('../validations');
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/v1/coupons
+ * @desc    Get all coupons
+ * @access  Private/Admin
+ */
+router.get(
+  '/',
+  auth.verifyToken,
+  auth.authorize('manageCoupons'),
+  validate(couponValidation.getCoupons),
+  couponController.getCoupons
+);
+
+/**
+ * @route   POST /api/v1/coupons
+ * @desc    Create a coupon
+ * @access  Private/Admin
+ */
+router.post(
+  '/',
+  auth.verifyToken,
+  auth.authorize('manageCoupons'),
+  validate(couponValidation.createCoupon),
+  couponController.createCoupon
+);
+
+/**
+ * @route   GET /api/v1/coupons/:couponId
+ * @desc    Get coupon by ID
+ * @access  Private/Admin
+ */
+router.get(
+  '/:couponId',
+  auth.verifyToken,
+  auth.authorize('manageCoupons'),
+  validate(couponValidation.getCoupon),
+  couponController.getCoupon
+);
+
+/**
+ * @route   PATCH /api/v1/coupons/:couponId
+ * @desc    Update coupon by ID
+ * @access  Private/Admin
+ */
+router.patch(
+  '/:couponId',
+  auth.verifyToken,
+  auth.authorize('manageCoupons'),
+  validate(couponValidation.updateCoupon),
+  couponController.updateCoupon
+);
+
+/**
+ * @route   DELETE /api/v1/coupons/:couponId
+ * @desc    Delete coupon by ID
+ * @access  Private/Admin
+ */
+router.delete(
+  '/:couponId',
+  auth.verifyToken,
+  auth.authorize('manageCoupons'),
+  validate(couponValidation.deleteCoupon),
+  couponController.deleteCoupon
+);
+
+module.exports = router;
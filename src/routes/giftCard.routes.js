@@ -0,0 +1,80 @@
+const express = require('express');
+const { giftCardController } = require('../controllers');
+const { auth, validate } = require('../middlewares');
+const { giftCardValidation } = require('../validations');
+
+const router = express.Router();
+
+/**
+ * @route   POST /api/v1/gift-cards/check
+ * @desc    Check the balance of a gift card by its code
+ * @access  Public
+ */
+router.post('/check', validate(giftCardValidation.checkGiftCard), giftCardController.checkGiftCard);
+
+/**
+ * @route   GET /api/v1/gift-cards
+ * @desc    Get all gift cards
+ * @access  Private/Admin
+ */
+router.get(
+  '/',
+  auth.verifyToken,
+  auth.authorize('manageGiftCards'),
+  validate(giftCardValidation.getGiftCards),
+  giftCardController.getGiftCards
+);
+
+/**
+ * @route   POST /api/v1/gift-cards
+ * @desc    Issue a gift card
+ * @access  Private/Admin
+ */
+router.post(
+  '/',
+  auth.verifyToken,
+  auth.authorize('manageGiftCards'),
+  validate(giftCardValidation.createGiftCard),
+  giftCardController.createGiftCard
+);
+
+/**
+ * @route   GET /api/v1/gift-cards/:giftCardId
+ * @desc    Get gift card by ID with its transactions
+ * @access  Private/Admin
+ */
+router.get(
+  '/:giftCardId',
+  auth.verifyToken,
+  auth.authorize('manageGiftCards'),
+  validate(giftCardValidation.getGiftCard),
+  giftCardController.getGiftCard
+);
+
+/**
+ * @route   PATCH /api/v1/gift-cards/:giftCardId
+ * @desc    Update gift card by ID
+ * @access  Private/Admin
+ */
+router.patch(
+  '/:giftCardId',
+  auth.verifyToken,
+  auth.authorize('manageGiftCards'),
+  validate(giftCardValidation.updateGiftCard),
+  giftCardController.updateGiftCard
+);
+
+/**
+ * @route   POST /api/v1/gift-cards/:giftCardId/adjustments
+ * @desc    Adjust a gift card balance
+ * @access  Private/Admin
+ */
+router.post(
+  '/:giftCardId/adjustments',
+  auth.verifyToken,
+  auth.authorize('manageGiftCards'),
+  validate(giftCardValidation.adjustGiftCard),
+  giftCardController.adjustGiftCard
+);
+
+module.exports = router;
@@ -2,7 +2,16 @@ const express = require('express');
 const authRoutes = require('./auth.routes');
 const userRoutes = require('./user.routes');
 const productRoutes = require('./product.routes');
+const orderRoutes = require('./order.routes');
+const returnRoutes = require('./return.routes');
+const cartRoutes = require('./cart.routes');
+const couponRoutes = require('./coupon.routes');
+const promotionRoutes = require('./promotion.routes');
+const giftCardRoutes = require('./giftCard.routes');
+const wishlistRoutes = require('./wishlist.routes');
 const webhookRoutes = require('./webhook.routes');
+const paymentRoutes = require('./payment.routes');
+const { config } = require('../config');
 
 const router = express.Router();
 
@@ -21,8 +30,20 @@ router.get('/health', (req, res) => {
 router.use('/auth', authRoutes);
 router.use('/users', userRoutes);
 router.use('/products', productRoutes);
+router.use('/orders', orderRoutes);
+router.use('/returns', returnRoutes);
+router.use('/cart', cartRoutes);
+router.use('/coupons', couponRoutes);
+router.use('/promotions', promotionRoutes);
+router.use('/gift-cards', giftCardRoutes);
+router.use('/wishlists', wishlistRoutes);
 router.use('/webhooks', webhookRoutes);
 
+// Fake payment provider actions, never mounted in production
+if (config.payment.fakeProvider) {
+  router.use('/payments', paymentRoutes);
+}
+
 // API documentation endpoint
 router.get('/', (req, res) => {
   res.json({
@@ -50,6 +71,12 @@ router.get('/', (req, res) => {
         delete: 'DELETE /api/v1/users/:userId',
         stats: 'GET /api/v1/users/stats',
         search: 'GET /api/v1/users/search',
+        myStoreCredit: 'GET /api/v1/users/me/store-credit',
+        storeCredit: 'GET /api/v1/users/:userId/store-credit',
+        adjustStoreCredit: 'POST /api/v1/users/:userId/store-credit/adjustments',
+        myPoints: 'GET /api/v1/users/me/points',
+        points: 'GET /api/v1/users/:userId/points',
+        awardBonusPoints: 'POST /api/v1/users/:userId/points/bonus',
       },
       products: {
         list: 'GET /api/v1/products',
@@ -62,8 +89,94 @@ router.get('/', (req, res) => {
         byCategory: 'GET /api/v1/products/category/:categoryId',
         stats: 'GET /api/v1/products/stats',
       },
+      orders: {
+        list: 'GET /api/v1/orders',
+        create: 'POST /api/v1/orders',
+        createGuest: 'POST /api/v1/orders/guest',
+        guestOrder: 'GET /api/v1/orders/guest/:token',
+        export: 'GET /api/v1/orders/export',
+        get: 'GET /api/v1/orders/:orderId',
+        getByNumber: 'GET /api/v1/orders/number/:orderNumber',
+        myOrders: 'GET /api/v1/orders/me',
+        myOrder: 'GET /api/v1/orders/me/:orderNumber',
+        cancelMyOrder: 'POST /api/v1/orders/me/:orderNumber/cancel',
+        editMyOrder: 'PATCH /api/v1/orders/me/:orderNumber/items',
+        editItems: 'PATCH /api/v1/orders/:orderId/items',
+        updateStatus: 'PATCH /api/v1/orders/:orderId/status',
+        refund: 'POST /api/v1/orders/:orderId/refunds',
+        markPaid: 'POST /api/v1/orders/:orderId/mark-paid',
+        approveReview: 'POST /api/v1/orders/:orderId/review/approve',
+        rejectReview: 'POST /api/v1/orders/:orderId/review/reject',
+        invoice: 'GET /api/v1/orders/:orderId/invoice.pdf',
+        creditNote: 'GET /api/v1/orders/:orderId/refunds/:refundId/credit-note.pdf',
+        shipments: 'GET /api/v1/orders/:orderId/shipments',
+        createShipment: 'POST /api/v1/orders/:orderId/shipments',
+        shipmentEvent: 'POST /api/v1/orders/:orderId/shipments/:shipmentId/events',
+        myMessages: 'GET /api/v1/orders/me/:orderNumber/messages',
+        postMyMessage: 'POST /api/v1/orders/me/:orderNumber/messages',
+        messages: 'GET /api/v1/orders/:orderId/messages',
+        postMessage: 'POST /api/v1/orders/:orderId/messages',
+        markMessagesRead: 'POST /api/v1/orders/:orderId/messages/read',
+      },
+      returns: {
+        list: 'GET /api/v1/returns',
+        create: 'POST /api/v1/returns',
+        myReturns: 'GET /api/v1/returns/me',
+        get: 'GET /api/v1/returns/:returnId',
+        approve: 'POST /api/v1/returns/:returnId/approve',
+        reject: 'POST /api/v1/returns/:returnId/reject',
+        receive: 'POST /api/v1/returns/:returnId/receive',
+        inspect: 'POST /api/v1/returns/:returnId/inspect',
+        refund: 'POST /api/v1/returns/:returnId/refund',
+        close: 'POST /api/v1/returns/:returnId/close',
+      },
+      cart: {
+        get: 'GET /api/v1/cart',
+        clear: 'DELETE /api/v1/cart',
+        addItem: 'POST /api/v1/cart/items',
+        updateItem: 'PATCH /api/v1/cart/items/:productId',
+        removeItem: 'DELETE /api/v1/cart/items/:productId',
+        applyCoupon: 'POST /api/v1/cart/apply-coupon',
+        recoveryStats: 'GET /api/v1/cart/recovery/stats',
+      },
+      coupons: {
+        list: 'GET /api/v1/coupons',
+        create: 'POST /api/v1/coupons',
+        get: 'GET /api/v1/coupons/:couponId',
+        update: 'PATCH /api/v1/coupons/:couponId',
+        delete: 'DELETE /api/v1/coupons/:couponId',
+      },
+      promotions: {
+        list: 'GET /api/v1/promotions',
+        create: 'POST /api/v1/promotions',
+        get: 'GET /api/v1/promotions/:promotionId',
+        update: 'PATCH /api/v1/promotions/:promotionId',
+        delete: 'DELETE /api/v1/promotions/:promotionId',
+      },
+      giftCards: {
+        check: 'POST /api/v1/gift-cards/check',
+        list: 'GET /api/v1/gift-cards',
+        create: 'POST /api/v1/gift-cards',
+        get: 'GET /api/v1/gift-cards/:giftCardId',
+        update: 'PATCH /api/v1/gift-cards/:giftCardId',
+        adjust: 'POST /api/v1/gift-cards/:giftCardId/adjustments',
+      },
+      wishlists: {
+        list: 'GET /api/v1/wishlists',
+        create: 'POST /api/v1/wishlists',
+        get: 'GET /api/v1/wishlists/:wishlistId',
+        update: 'PATCH /api/v1/wishlists/:wishlistId',
+        delete: 'DELETE /api/v1/wishlists/:wishlistId',
+        share: 'POST /api/v1/wishlists/:wishlistId/share',
+        unshare: 'DELETE /api/v1/wishlists/:wishlistId/share',
+        shared: 'GET /api/v1/wishlists/shared/:shareToken',
+        addItem: 'POST /api/v1/wishlists/:wishlistId/items',
+        updateItem: 'PATCH /api/v1/wishlists/:wishlistId/items/:productId',
+        removeItem: 'DELETE /api/v1/wishlists/:wishlistId/items/:productId',
+      },
       webhooks: {
         stripe: 'POST /api/v1/webhooks/stripe',
+        paypal: 'POST /api/v1/webhooks/paypal',
       },
     },
   });
@@ -0,0 +1,357 @@
+const express = require('express');
+const { orderController } = require('../controllers');
+const { auth, validate, rateLimiter } = require('../middlewares');
+const { orderValidation } = require('../validations');
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/v1/orders
+ * @desc    Get all orders with filtering
+ * @access  Private/Admin
+ */
+router.get(
+  '/',
+  auth.verifyToken,
+  auth.authorize('getOrders'),
+  validate(orderValidation.getOrders),
+  orderController.getOrders
+);
+
+/**
+ * @route   POST /api/v1/orders
+ * @desc    Place a new order
+ * @access  Private
+ */
+router.post(
+  '/',
+  auth.verifyToken,
+  auth.authorize('createOrder'),
+  validate(orderValidation.createOrder),
+  orderController.createOrder
+);
+
+/**
+ * @route   POST /api/v1/orders/guest
+ * @desc    Place a new order without an account
+ * @access  Public
+ */
+router.post(
+  '/guest',
+  rateLimiter.guestOrderLimiter,
+  validate(orderValidation.createGuestOrder),
+  orderController.createGuestOrder
+);
+
+/**
+ * @route   GET /api/v1/orders/guest/:token
+ * @desc    Get a guest order by the lookup token emailed to the buyer
+ * @access  Public
+ */
+router.get(
+  '/guest/:token',
+  rateLimiter.guestOrderLimiter,
+  validate(orderValidation.getGuestOrder),
+  orderController.getGuestOrder
+);
+
+/**
+ * @route   GET /api/v1/orders/me
+ * @desc    Get current user's orders
+ * @access  Private
+ */
+router.get(
+  '/me',
+  auth.verifyToken,
+  auth.authorize('viewOwnOrders'),
+  validate(orderValidation.getMyOrders),
+  orderController.getMyOrders
+);
+
+/**
+ * @route   GET /api/v1/orders/me/:orderNumber
+ * @desc    Get one of current user's orders
+ * @access  Private
+ */
+router.get(
+  '/me/:orderNumber',
+  auth.verifyToken,
+  auth.authorize('viewOwnOrders'),
+  validate(orderValidation.getMyOrder),
+  orderController.getMyOrder
+);
+
+/**
+ * @route   POST /api/v1/orders/me/:orderNumber/cancel
+ * @desc    Cancel one of current user's orders
+ * @access  Private
+ */
+router.post(
+  '/me/:orderNumber/cancel',
+  auth.verifyToken,
+  auth.authorize('viewOwnOrders'),
+  validate(orderValidation.cancelMyOrder),
+  orderController.cancelMyOrder
+);
+
+/**
+ * @route   GET /api/v1/orders/me/:orderNumber/messages
+ * @desc    Get the conversation about one of current user's orders
+ * @access  Private
+ */
+router.get(
+  '/me/:orderNumber/messages',
+  auth.verifyToken,
+  auth.authorize('viewOwnOrders'),
+  validate(orderValidation.getMyOrderMessages),
+  orderController.getMyOrderMessages
+);
+
+/**
+ * @route   POST /api/v1/orders/me/:orderNumber/messages
+ * @desc    Send a message about one of current user's orders
+ * @access  Private
+ */
+router.post(
+  '/me/:orderNumber/messages',
+  auth.verifyToken,
+  auth.authorize('viewOwnOrders'),
+  validate(orderValidation.postMyOrderMessage),
+  orderController.postMyOrderMessage
+);
+
+/**
+ * @route   PATCH /api/v1/orders/me/:orderNumber/items
+ * @desc    Change the items of one of current user's unfulfilled orders
+ * @access  Private
+ */
+router.patch(
+  '/me/:orderNumber/items',
+  auth.verifyToken,
+  auth.authorize('viewOwnOrders'),
+  validate(orderValidation.editMyOrder),
+  orderController.editMyOrder
+);
+
+/**
+ * @route   GET /api/v1/orders/export
+ * @desc    Export orders matching the filters as CSV
+ * @access  Private/Admin
+ */
+router.get(
+  '/export',
+  auth.verifyToken,
+  auth.authorize('getOrders'),
+  validate(orderValidation.exportOrders),
+  orderController.exportOrders
+);
+
+/**
+ * @route   GET /api/v1/orders/number/:orderNumber
+ * @desc    Get order by order number, including archived orders
+ * @access  Private/Admin
+ */
+router.get(
+  '/number/:orderNumber',
+  auth.verifyToken,
+  auth.authorize('getOrders'),
+  validate(orderValidation.getOrderByNumber),
+  orderController.getOrderByNumber
+);
+
+/**
+ * @route   POST /api/v1/orders/:orderId/mark-paid
+ * @desc    Record a cash-on-delivery or bank-transfer payment
+ * @access  Private/Admin
+ */
+router.post(
+  '/:orderId/mark-paid',
+  auth.verifyToken,
+  auth.authorize('manageOrders'),
+  validate(orderValidation.markOrderPaid),
+  orderController.markOrderPaid
+);
+
+/**
+ * @route   POST /api/v1/orders/:orderId/review/approve
+ * @desc    Release an order held for fraud review
+ * @access  Private/Admin
+ */
+router.post(
+  '/:orderId/review/approve',
+  auth.verifyToken,
+  auth.authorize('manageOrders'),
+  validate(orderValidation.reviewOrder),
+  orderController.approveOrder
+);
+
+/**
+ * @route   POST /api/v1/orders/:orderId/review/reject
+ * @desc    Reject and cancel an order held for fraud review
+ * @access  Private/Admin
+ */
+router.post(
+  '/:orderId/review/reject',
+  auth.verifyToken,
+  auth.authorize('manageOrders'),
+  validate(orderValidation.reviewOrder),
+  orderController.rejectOrder
+);
+
+/**
+ * @route   GET /api/v1/orders/:orderId/invoice.pdf
+ * @desc    Download the invoice of an order
+ * @access  Private (owner or staff)
+ */
+router.get(
+  '/:orderId/invoice.pdf',
+  auth.verifyToken,
+  auth.authorize('viewOwnOrders'),
+  validate(orderValidation.getOrder),
+  orderController.getInvoice
+);
+
+/**
+ * @route   GET /api/v1/orders/:orderId/refunds/:refundId/credit-note.pdf
+ * @desc    Download the credit note of a refund
+ * @access  Private (owner or staff)
+ */
+router.get(
+  '/:orderId/refunds/:refundId/credit-note.pdf',
+  auth.verifyToken,
+  auth.authorize('viewOwnOrders'),
+  validate(orderValidation.getCreditNote),
+  orderController.getCreditNote
+);
+
+/**
+ * @route   GET /api/v1/orders/:orderId
+ * @desc    Get order by ID
+ * @access  Private/Admin
+ */
+router.get(
+  '/:orderId',
+  auth.verifyToken,
+  auth.authorize('getOrders'),
+  validate(orderValidation.getOrder),
+  orderController.getOrder
+);
+
+/**
+ * @route   PATCH /api/v1/orders/:orderId/items
+ * @desc    Change the items of an unfulfilled order
+ * @access  Private/Admin
+ */
+router.patch(
+  '/:orderId/items',
+  auth.verifyToken,
+  auth.authorize('manageOrders'),
+  validate(orderValidation.editOrder),
+  orderController.editOrder
+);
+
+/**
+ * @route   PATCH /api/v1/orders/:orderId/status
+ * @desc    Move an order to a new status
+ * @access  Private/Admin
+ */
+router.patch(
+  '/:orderId/status',
+  auth.verifyToken,
+  auth.authorize('manageOrders'),
+  validate(orderValidation.updateOrderStatus),
+  orderController.updateOrderStatus
+);
+
+/**
+ * @route   POST /api/v1/orders/:orderId/refunds
+ * @desc    Refund an order by amount or by items
+ * @access  Private/Admin
+ */
+router.post(
+  '/:orderId/refunds',
+  auth.verifyToken,
+  auth.authorize('manageOrders'),
+  validate(orderValidation.refundOrder),
+  orderController.refundOrder
+);
+
+/**
+ * @route   GET /api/v1/orders/:orderId/shipments
+ * @desc    Get the shipments and tracking history of an order
+ * @access  Private (owner or staff)
+ */
+router.get(
+  '/:orderId/shipments',
+  auth.verifyToken,
+  auth.authorize('viewOwnOrders'),
+  validate(orderValidation.getOrder),
+  orderController.getShipments
+);
+
+/**
+ * @route   POST /api/v1/orders/:orderId/shipments
+ * @desc    Ship some or all items of an order
+ * @access  Private/Admin
+ */
+router.post(
+  '/:orderId/shipments',
+  auth.verifyToken,
+  auth.authorize('manageOrders'),
+  validate(orderValidation.createShipment),
+  orderController.createShipment
+);
+
+/**
+ * @route   POST /api/v1/orders/:orderId/shipments/:shipmentId/events
+ * @desc    Record a tracking event on a shipment
+ * @access  Private/Admin
+ */
+router.post(
+  '/:orderId/shipments/:shipmentId/events',
+  auth.verifyToken,
+  auth.authorize('manageOrders'),
+  validate(orderValidation.addShipmentEvent),
+  orderController.addShipmentEvent
+);
+
+/**
+ * @route   GET /api/v1/orders/:orderId/messages
+ * @desc    Get the conversation about an order including internal notes
+ * @access  Private/Admin
+ */
+router.get(
+  '/:orderId/messages',
+  auth.verifyToken,
+  auth.authorize('getOrders'),
+  validate(orderValidation.getOrderMessages),
+  orderController.getOrderMessages
+);
+
+/**
+ * @route   POST /api/v1/orders/:orderId/messages
+ * @desc    Reply to the customer or add an internal note
+ * @access  Private/Admin
+ */
+router.post(
+  '/:orderId/messages',
+  auth.verifyToken,
+  auth.authorize('manageOrders'),
+  validate(orderValidation.postOrderMessage),
+  orderController.postOrderMessage
+);
+
+/**
+ * @route   POST /api/v1/orders/:orderId/messages/read
+ * @desc    Mark the customer messages of an order as read
+ * @access  Private/Admin
+ */
+router.post(
+  '/:orderId/messages/read',
+  auth.verifyToken,
+  auth.authorize('getOrders'),
+  validate(orderValidation.getOrderMessages),
+  orderController.markOrderMessagesRead
+);
+
+module.exports = router;
@@ -0,0 +1,30 @@
+const express = require('express');
+const { paymentController } = require('../controllers');
+const { validate } = require('../middlewares');
+const { paymentValidation } = require('../validations');
+
+const router = express.Router();
+
+/**
+ * @route   POST /api/v1/payments/fake/:paymentId/confirm
+ * @desc    Confirm a fake payment with a success, failure or 3DS outcome
+ * @access  Public (client secret checked; only mounted with the fake provider)
+ */
+router.post(
+  '/fake/:paymentId/confirm',
+  validate(paymentValidation.confirmFakePayment),
+  paymentController.confirmFakePayment
+);
+
+/**
+ * @route   POST /api/v1/payments/fake/:paymentId/authenticate
+ * @desc    Pass or fail the 3D Secure challenge of a fake payment
+ * @access  Public (client secret checked; only mounted with the fake provider)
+ */
+router.post(
+  '/fake/:paymentId/authenticate',
+  validate(paymentValidation.authenticateFakePayment),
+  paymentController.authenticateFakePayment
+);
+
+module.exports = router;
@@ -0,0 +1,73 @@
+const express = require('express');
+const { promotionController } = require('../controllers');
+const { auth, validate } = require('../middlewares');
+const { promotionValidation } = require('../validations');
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/v1/promotions
+ * @desc    Get all promotions
+ * @access  Private/Admin
+ */
+router.get(
+  '/',
+  auth.verifyToken,
+  auth.authorize('managePromotions'),
+  validate(promotionValidation.getPromotions),
+  promotionController.getPromotions
+);
+
+/**
+ * @route   POST /api/v1/promotions
+ * @desc    Create a promotion
+ * @access  Private/Admin
+ */
+router.post(
+  '/',
+  auth.verifyToken,
+  auth.authorize('managePromotions'),
+  validate(promotionValidation.createPromotion),
+  promotionController.createPromotion
+);
+
+/**
+ * @route   GET /api/v1/promotions/:promotionId
+ * @desc    Get promotion by ID
+ * @access  Private/Admin
+ */
+router.get(
+  '/:promotionId',
+  auth.verifyToken,
+  auth.authorize('managePromotions'),
+  validate(promotionValidation.getPromotion),
+  promotionController.getPromotion
+);
+
+/**
+ * @route   PATCH /api/v1/promotions/:promotionId
+ * @desc    Update promotion by ID
+ * @access  Private/Admin
+ */
+router.patch(
+  '/:promotionId',
+  auth.verifyToken,
+  auth.authorize('managePromotions'),
+  validate(promotionValidation.updatePromotion),
+  promotionController.updatePromotion
+);
+
+/**
+ * @route   DELETE /api/v1/promotions/:promotionId
+ * @desc    Delete promotion by ID
+ * @access  Private/Admin
+ */
+router.delete(
+  '/:promotionId',
+  auth.verifyToken,
+  auth.authorize('managePromotions'),
+  validate(promotionValidation.deletePromotion),
+  promotionController.deletePromotion
+);
+
+module.exports = router;
@@ -0,0 +1,132 @@
+const express = require('express');
+const { returnController } = require('../controllers');
+const { auth, validate } = require('../middlewares');
+const { returnValidation } = require('../validations');
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/v1/returns
+ * @desc    Get all returns
+ * @access  Private/Admin
+ */
+router.get(
+  '/',
+  auth.verifyToken,
+  auth.authorize('getOrders'),
+  validate(returnValidation.getReturns),
+  returnController.getReturns
+);
+
+/**
+ * @route   POST /api/v1/returns
+ * @desc    Request a return for a delivered order
+ * @access  Private
+ */
+router.post(
+  '/',
+  auth.verifyToken,
+  auth.authorize('viewOwnOrders'),
+  validate(returnValidation.createReturn),
+  returnController.createReturn
+);
+
+/**
+ * @route   GET /api/v1/returns/me
+ * @desc    Get current user's returns
+ * @access  Private
+ */
+router.get('/me', auth.verifyToken, auth.authorize('viewOwnOrders'), returnController.getMyReturns);
+
+/**
+ * @route   GET /api/v1/returns/:returnId
+ * @desc    Get return by ID
+ * @access  Private/Admin
+ */
+router.get(
+  '/:returnId',
+  auth.verifyToken,
+  auth.authorize('getOrders'),
+  validate(returnValidation.getReturn),
+  returnController.getReturn
+);
+
+/**
+ * @route   POST /api/v1/returns/:returnId/approve
+ * @desc    Approve a requested return
+ * @access  Private/Admin
+ */
+router.post(
+  '/:returnId/approve',
+  auth.verifyToken,
+  auth.authorize('manageOrders'),
+  validate(returnValidation.updateReturn),
+  returnController.approveReturn
+);
+
+/**
+ * @route   POST /api/v1/returns/:returnId/reject
+ * @desc    Reject a requested return
+ * @access  Private/Admin
+ */
+router.post(
+  '/:returnId/reject',
+  auth.verifyToken,
+  auth.authorize('manageOrders'),
+  validate(returnValidation.updateReturn),
+  returnController.rejectReturn
+);
+
+/**
+ * @route   POST /api/v1/returns/:returnId/receive
+ * @desc    Mark returned items as received
+ * @access  Private/Admin
+ */
+router.post(
+  '/:returnId/receive',
+  auth.verifyToken,
+  auth.authorize('manageOrders'),
+  validate(returnValidation.updateReturn),
+  returnController.receiveReturn
+);
+
+/**
+ * @route   POST /api/v1/returns/:returnId/inspect
+ * @desc    Record inspection results and restock items
+ * @access  Private/Admin
+ */
+router.post(
+  '/:returnId/inspect',
+  auth.verifyToken,
+  auth.authorize('manageOrders'),
+  validate(returnValidation.inspectReturn),
+  returnController.inspectReturn
+);
+
+/**
+ * @route   POST /api/v1/returns/:returnId/refund
+ * @desc    Refund the returned items
+ * @access  Private/Admin
+ */
+router.post(
+  '/:returnId/refund',
+  auth.verifyToken,
+  auth.authorize('manageOrders'),
+  validate(returnValidation.updateReturn),
+  returnController.refundReturn
+);
+
+/**
+ * @route   POST /api/v1/returns/:returnId/close
+ * @desc    Close an inspected return without refund
+ * @access  Private/Admin
+ */
+router.post(
+  '/:returnId/close',
+  auth.verifyToken,
+  auth.authorize('manageOrders'),
+  validate(returnValidation.updateReturn),
+  returnController.closeReturn
+);
+
+module.exports = router;
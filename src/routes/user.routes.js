@@ -55,6 +55,32 @@ router.get(
   userController.searchUsers
 );
 
+/**
+ * @route   GET /api/v1/users/me/store-credit
+ * @desc    Get the current user's store credit
+ * @access  Private
+ */
+router.get(
+  '/me/store-credit',
+  auth.verifyToken,
+  auth.authorize('manageOwnProfile'),
+  validate(userValidation.getMyStoreCredit),
+  userController.getMyStoreCredit
+);
+
+/**
+ * @route   GET /api/v1/users/me/points
+ * @desc    Get the current user's loyalty points and their history
+ * @access  Private
+ */
+router.get(
+  '/me/points',
+  auth.verifyToken,
+  auth.authorize('manageOwnProfile'),
+  validate(userValidation.getMyPoints),
+  userController.getMyPoints
+);
+
 /**
  * @route   GET /api/v1/users/:userId
  * @desc    Get user by ID
@@ -120,4 +146,56 @@ router.post(
   userController.activateUser
 );
 
+/**
+ * @route   GET /api/v1/users/:userId/store-credit
+ * @desc    Get a user's store credit and its transactions
+ * @access  Private/Admin
+ */
+router.get(
+  '/:userId/store-credit',
+  auth.verifyToken,
+  auth.authorize('getUsers'),
+  validate(userValidation.getStoreCredit),
+  userController.getStoreCredit
+);
+
+/**
+ * @route   POST /api/v1/users/:userId/store-credit/adjustments
+ * @desc    Adjust a user's store credit
+ * @access  Private/Admin
+ */
+router.post(
+  '/:userId/store-credit/adjustments',
+  auth.verifyToken,
+  auth.authorize('manageUsers'),
+  validate(userValidation.adjustStoreCredit),
+  userController.adjustStoreCredit
+);
+
+/**
+ * @route   GET /api/v1/users/:userId/points
+ * @desc    Get a user's loyalty points and their history
+ * @access  Private/Admin
+ */
+router.get(
+  '/:userId/points',
+  auth.verifyToken,
+  auth.authorize('getUsers'),
+  validate(userValidation.getPoints),
+  userController.getPoints
+);
+
+/**
+ * @route   POST /api/v1/users/:userId/points/bonus
+ * @desc    Grant bonus loyalty points to a user
+ * @access  Private/Admin
+ */
+router.post(
+  '/:userId/points/bonus',
+  auth.verifyToken,
+  auth.authorize('manageUsers'),
+  validate(userValidation.awardBonusPoints),
+  userController.awardBonusPoints
+);
+
 module.exports = router;
@@ -0,0 +1,143 @@
+const express = require('express');
+const { wishlistController } = require('../controllers');
+const { auth, validate } = require('../middlewares');
+const { wishlistValidation } = require('../validations');
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/v1/wishlists/shared/:shareToken
+ * @desc    Get a wishlist shared through a public link
+ * @access  Public
+ */
+router.get(
+  '/shared/:shareToken',
+  validate(wishlistValidation.getSharedWishlist),
+  wishlistController.getSharedWishlist
+);
+
+/**
+ * @route   GET /api/v1/wishlists
+ * @desc    List the current user's wishlists
+ * @access  Private
+ */
+router.get('/', auth.verifyToken, auth.authorize('createOrder'), wishlistController.getWishlists);
+
+/**
+ * @route   POST /api/v1/wishlists
+ * @desc    Create a wishlist
+ * @access  Private
+ */
+router.post(
+  '/',
+  auth.verifyToken,
+  auth.authorize('createOrder'),
+  validate(wishlistValidation.createWishlist),
+  wishlistController.createWishlist
+);
+
+/**
+ * @route   GET /api/v1/wishlists/:wishlistId
+ * @desc    Get a wishlist with the current price and stock of its products
+ * @access  Private
+ */
+router.get(
+  '/:wishlistId',
+  auth.verifyToken,
+  auth.authorize('createOrder'),
+  validate(wishlistValidation.getWishlist),
+  wishlistController.getWishlist
+);
+
+/**
+ * @route   PATCH /api/v1/wishlists/:wishlistId
+ * @desc    Rename a wishlist
+ * @access  Private
+ */
+router.patch(
+  '/:wishlistId',
+  auth.verifyToken,
+  auth.authorize('createOrder'),
+  validate(wishlistValidation.updateWishlist),
+  wishlistController.updateWishlist
+);
+
+/**
+ * @route   DELETE /api/v1/wishlists/:wishlistId
+ * @desc    Delete a wishlist
+ * @access  Private
+ */
+router.delete(
+  '/:wishlistId',
+  auth.verifyToken,
+  auth.authorize('createOrder'),
+  validate(wishlistValidation.getWishlist),
+  wishlistController.deleteWishlist
+);
+
+/**
+ * @route   POST /api/v1/wishlists/:wishlistId/share
+ * @desc    Share a wishlist through a public link
+ * @access  Private
+ */
+router.post(
+  '/:wishlistId/share',
+  auth.verifyToken,
+  auth.authorize('createOrder'),
+  validate(wishlistValidation.getWishlist),
+  wishlistController.shareWishlist
+);
+
+/**
+ * @route   DELETE /api/v1/wishlists/:wishlistId/share
+ * @desc    Stop sharing a wishlist
+ * @access  Private
+ */
+router.delete(
+  '/:wishlistId/share',
+  auth.verifyToken,
+  auth.authorize('createOrder'),
+  validate(wishlistValidation.getWishlist),
+  wishlistController.unshareWishlist
+);
+
+/**
+ * @route   POST /api/v1/wishlists/:wishlistId/items
+ * @desc    Save a product to a wishlist, optionally with price-drop and back-in-stock alerts
+ * @access  Private
+ */
+router.post(
+  '/:wishlistId/items',
+  auth.verifyToken,
+  auth.authorize('createOrder'),
+  validate(wishlistValidation.addItem),
+  wishlistController.addItem
+);
+
+/**
+ * @route   PATCH /api/v1/wishlists/:wishlistId/items/:productId
+ * @desc    Change the alerts of a saved product
+ * @access  Private
+ */
+router.patch(
+  '/:wishlistId/items/:productId',
+  auth.verifyToken,
+  auth.authorize('createOrder'),
+  validate(wishlistValidation.updateItem),
+  wishlistController.updateItem
+);
+
+/**
+ * @route   DELETE /api/v1/wishlists/:wishlistId/items/:productId
+ * @desc    Remove a product from a wishlist
+ * @access  Private
+ */
+router.delete(
+  '/:wishlistId/items/:productId',
+  auth.verifyToken,
+  auth.authorize('createOrder'),
+  validate(wishlistValidation.removeItem),
+  wishlistController.removeItem
+);
+
+module.exports = router;
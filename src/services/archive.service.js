@@ -0,0 +1,83 @@
+const { Order, OrderArchive, orderStatuses } = require('../models');
+const { config, logger } = require('../config');
+
+// Orders in these statuses are settled and no longer change
+const archivableStatuses = [
+  orderStatuses.DELIVERED,
+  orderStatuses.CANCELLED,
+  orderStatuses.REFUNDED,
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Copy a batch of orders into the archive collection
+ * Upserts by ID, so a batch copied by a run that died before deleting the
+ * live orders is simply copied again.
+ * @param {Object[]} orders - Plain order documents
+ * @param {Date} archivedAt - Archive time
+ */
+const copyToArchive = async (orders, archivedAt) => {
+  const operations = orders.map((order) => ({
+    replaceOne: {
+      filter: { _id: order._id },
+      replacement: { ...order, archivedAt },
+      upsert: true,
+    },
+  }));
+  await OrderArchive.collection.bulkWrite(operations, { ordered: false });
+};
+
+/**
+ * Remove archived orders from the live collection
+ * Only orders unchanged since they were copied are removed; an order updated
+ * in between stays live and its stale copy is replaced on the next run.
+ * @param {Object[]} orders - Plain order documents as copied
+ * @returns {Promise<number>} - Number of orders removed
+ */
+const removeArchived = async (orders) => {
+  const copied = orders.map((order) => ({ _id: order._id, updatedAt: order.updatedAt }));
+  const result = await Order.deleteMany({ $or: copied });
+  return result.deletedCount;
+};
+
+/**
+ * Move settled orders older than the configured age to the archive collection
+ * Works in batches; each batch is copied before it is deleted, so the job can
+ * be interrupted at any point and resumed by running it again.
+ * @param {Object} options - Age in days and batch size, defaults from config
+ * @returns {Promise<Object>} - Number of orders archived and batches run
+ */
+const archiveOrders = async (options = {}) => {
+  const afterDays = options.afterDays || config.order.archiveAfterDays;
+  const batchSize = options.batchSize || config.order.archiveBatchSize;
+  const cutoff = new Date(Date.now() - afterDays * DAY_MS);
+  const filter = { status: { $in: archivableStatuses }, updatedAt: { $lt: cutoff } };
+
+  let archived = 0;
+  let batches = 0;
+  for (;;) {
+    const orders = await Order.find(filter).sort({ _id: 1 }).limit(batchSize).lean();
+    if (!orders.length) {
+      break;
+    }
+
+    await copyToArchive(orders, new Date());
+    const removed = await removeArchived(orders);
+    archived += removed;
+    batches += 1;
+    logger.debug(`Archive batch ${batches}: moved ${removed} of ${orders.length} orders`);
+
+    // Never spin on a batch that could not be removed
+    if (orders.length < batchSize || removed === 0) {
+      break;
+    }
+  }
+
+  return { archived, batches };
+};
+
+module.exports = {
+  archivableStatuses,
+  archiveOrders,
+};
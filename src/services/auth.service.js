@@ -1,6 +1,7 @@
 const { User, Token, tokenTypes } = require('../models');
 const tokenService = require('./token.service');
 const emailService = require('./email.service');
+const orderService = require('./order.service');
 const { UnauthorizedError, BadRequestError, NotFoundError, ConflictError } = require('../utils');
 const { logger } = require('../config');
 
@@ -146,6 +147,13 @@ const verifyEmail = async (verifyEmailToken) => {
     user.isEmailVerified = true;
     await user.save({ validateBeforeSave: false });
 
+    // Orders placed as a guest with this email now belong to the account
+    try {
+      await orderService.claimGuestOrders(user);
+    } catch (error) {
+      logger.error('Failed to claim guest orders:', error);
+    }
+
     // Send welcome email
     try {
       await emailService.sendWelcomeEmail(user.email, user.name);
@@ -0,0 +1,290 @@
+const {
+  GiftCard,
+  User,
+  Order,
+  BalanceTransaction,
+  balanceTransactionTypes,
+  tenderTypes,
+} = require('../models');
+const { NotFoundError, BadRequestError, ConflictError, helpers } = require('../utils');
+
+// Most gift cards accepted on one order
+const MAX_GIFT_CARDS_PER_ORDER = 5;
+
+/**
+ * Change a gift card balance or a user's store credit and record the change
+ * on the ledger. The change is applied atomically; debits only go through
+ * while the balance covers them, and gift card debits while the card is
+ * usable.
+ * @param {Object} account - { giftCard } or { user } ID whose balance changes
+ * @param {number} amount - Positive to credit, negative to debit
+ * @param {Object} details - Transaction type, order, reason and createdBy
+ * @returns {Promise<number|null>} - Balance after the change, or null when a
+ * debit was refused
+ */
+const changeBalance = async (account, amount, details) => {
+  const [Model, field] = account.giftCard ? [GiftCard, 'balance'] : [User, 'storeCredit'];
+  const filter = { _id: account.giftCard || account.user };
+  if (amount < 0) {
+    filter[field] = { $gte: -amount };
+    if (account.giftCard) {
+      filter.isActive = true;
+      filter.$or = [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }];
+    }
+  }
+
+  const current = { $ifNull: [`$${field}`, 0] };
+  const update = [{ $set: { [field]: { $round: [{ $add: [current, amount] }, 2] } } }];
+  const updated = await Model.findOneAndUpdate(filter, update, { new: true }).select(field);
+  if (!updated) {
+    return null;
+  }
+
+  await BalanceTransaction.create({
+    ...account,
+    ...details,
+    amount,
+    balanceAfter: updated[field],
+  });
+  return updated[field];
+};
+
+/**
+ * Get balance transactions with pagination, newest first
+ * @param {Object} filter - MongoDB filter
+ * @param {Object} options - Query options
+ * @returns {Promise<Object>} - Paginated transactions
+ */
+const getTransactions = async (filter, options) => {
+  const { page = 1, limit = 20 } = options;
+  const skip = (page - 1) * limit;
+
+  const [transactions, total] = await Promise.all([
+    BalanceTransaction.find(filter)
+      .sort({ createdAt: -1, _id: -1 })
+      .skip(skip)
+      .limit(limit)
+      .populate('order', 'orderNumber')
+      .populate('createdBy', 'name'),
+    BalanceTransaction.countDocuments(filter),
+  ]);
+
+  return {
+    results: transactions,
+    page,
+    limit,
+    totalPages: Math.ceil(total / limit),
+    totalResults: total,
+  };
+};
+
+/**
+ * Get the account a tender was paid from
+ * @param {Order} order - Order object
+ * @param {Object} tender - Order tender
+ * @returns {Object} - { giftCard } or { user }
+ */
+const getTenderAccount = (order, tender) => {
+  if (tender.type === tenderTypes.GIFT_CARD) {
+    return { giftCard: tender.giftCard };
+  }
+  return { user: order.user };
+};
+
+/**
+ * Pay part or all of a new order with gift cards and store credit
+ * Gift cards are used in the order given, then store credit, each for as
+ * much as is still due. If a tender cannot be taken, what was already taken
+ * is given back and nothing is recorded on the order.
+ * @param {Order} order - New order
+ * @param {Object} tenderBody - Gift card codes and whether to use store credit
+ * @returns {Promise<Order>} - Order with its tenders
+ */
+const applyTenders = async (order, tenderBody) => {
+  const codes = tenderBody.giftCardCodes || [];
+  if (codes.length > MAX_GIFT_CARDS_PER_ORDER) {
+    throw new BadRequestError(`At most ${MAX_GIFT_CARDS_PER_ORDER} gift cards can be used`);
+  }
+
+  const details = { type: balanceTransactionTypes.REDEMPTION, order: order._id };
+  const tenders = [];
+  let due = order.pricing.total;
+
+  const take = async (tender, available) => {
+    const amount = helpers.roundMoney(Math.min(available, due));
+    if ((await changeBalance(getTenderAccount(order, tender), -amount, details)) === null) {
+      throw new ConflictError('A balance changed while placing the order, please try again');
+    }
+    tenders.push({ ...tender, amount });
+    due = helpers.roundMoney(due - amount);
+  };
+
+  try {
+    for (const code of codes) {
+      const giftCard = await GiftCard.findByCode(code);
+      if (!giftCard || !giftCard.isUsable()) {
+        throw new BadRequestError(`Gift card ${code} is not valid`);
+      }
+      if (giftCard.balance <= 0) {
+        throw new BadRequestError(`Gift card ${code} has no balance left`);
+      }
+      if (due > 0) {
+        const tender = {
+          type: tenderTypes.GIFT_CARD,
+          giftCard: giftCard._id,
+          codeEnding: giftCard.code.slice(-4),
+        };
+        await take(tender, giftCard.balance);
+      }
+    }
+
+    if (tenderBody.useStoreCredit && order.user && due > 0) {
+      const user = await User.findById(order.user).select('storeCredit');
+      if (user && user.storeCredit > 0) {
+        await take({ type: tenderTypes.STORE_CREDIT }, user.storeCredit);
+      }
+    }
+  } catch (error) {
+    const release = { type: balanceTransactionTypes.RELEASE, order: order._id };
+    for (const tender of tenders) {
+      await changeBalance(getTenderAccount(order, tender), tender.amount, release);
+    }
+    throw error;
+  }
+
+  if (tenders.length === 0) {
+    return order;
+  }
+  const update = { $set: { 'payment.tenders': tenders } };
+  return Order.findByIdAndUpdate(order._id, update, { new: true });
+};
+
+/**
+ * Get the part of an order's tenders that has not been given back yet
+ * @param {Order} order - Order object
+ * @returns {number} - Amount still held on gift cards and store credit
+ */
+const getTenderBalance = (order) => {
+  const tenders = order.payment.tenders || [];
+  const held = tenders.reduce((sum, tender) => sum + tender.amount - tender.returned, 0);
+  return helpers.roundMoney(held);
+};
+
+/**
+ * Pay an amount back to the gift cards and store credit an order was paid
+ * with, the last one used first. Each tender's share is marked as returned on
+ * the order before its balance is credited, so concurrent calls never give
+ * back more than was taken.
+ * @param {Order} order - Order object
+ * @param {number} amount - Amount to give back
+ * @param {Object} details - Transaction type, reason and createdBy
+ * @returns {Promise<number>} - Amount given back
+ */
+const returnToTenders = async (order, amount, details) => {
+  let left = helpers.roundMoney(amount);
+
+  for (const tender of [...(order.payment.tenders || [])].reverse()) {
+    const share = helpers.roundMoney(Math.min(left, tender.amount - tender.returned));
+    if (share <= 0) {
+      continue;
+    }
+
+    const maxReturned = helpers.roundMoney(tender.amount - share);
+    const filter = {
+      _id: order._id,
+      'payment.tenders': { $elemMatch: { _id: tender._id, returned: { $lte: maxReturned } } },
+    };
+    const update = { $inc: { 'payment.tenders.$.returned': share } };
+    const result = await Order.updateOne(filter, update);
+    if (result.modifiedCount === 0) {
+      continue;
+    }
+
+    await changeBalance(getTenderAccount(order, tender), share, { ...details, order: order._id });
+    left = helpers.roundMoney(left - share);
+  }
+
+  return helpers.roundMoney(amount - left);
+};
+
+/**
+ * Give back everything an order still holds on gift cards and store credit,
+ * for an order that was cancelled before it was paid or could not be placed
+ * @param {Order} order - Order object
+ * @param {string} reason - Why the balance is given back
+ * @returns {Promise<number>} - Amount given back
+ */
+const releaseTenders = async (order, reason) => {
+  const held = getTenderBalance(order);
+  if (held <= 0) {
+    return 0;
+  }
+  return returnToTenders(order, held, { type: balanceTransactionTypes.RELEASE, reason });
+};
+
+/**
+ * Credit a refund to the store credit of the order's customer
+ * @param {Order} order - Order object
+ * @param {number} amount - Amount refunded
+ * @param {Object} details - Reason and createdBy
+ */
+const refundToStoreCredit = async (order, amount, details) => {
+  await changeBalance({ user: order.user }, amount, {
+    ...details,
+    type: balanceTransactionTypes.REFUND,
+    order: order._id,
+  });
+};
+
+/**
+ * Get a user's store credit and its transactions
+ * @param {ObjectId} userId - User ID
+ * @param {Object} options - Query options
+ * @returns {Promise<Object>} - Balance and paginated transactions
+ */
+const getStoreCredit = async (userId, options) => {
+  const user = await User.findById(userId).select('storeCredit');
+  if (!user) {
+    throw new NotFoundError('User not found');
+  }
+
+  const transactions = await getTransactions({ user: userId }, options);
+  return { balance: user.storeCredit || 0, transactions };
+};
+
+/**
+ * Adjust a user's store credit by hand
+ * @param {ObjectId} userId - User ID
+ * @param {Object} adjustment - Signed amount and reason
+ * @param {ObjectId} actorId - Staff member making the adjustment
+ * @returns {Promise<Object>} - Balance and paginated transactions
+ */
+const adjustStoreCredit = async (userId, adjustment, actorId) => {
+  if (!(await User.exists({ _id: userId }))) {
+    throw new NotFoundError('User not found');
+  }
+
+  const balance = await changeBalance({ user: userId }, adjustment.amount, {
+    type: balanceTransactionTypes.ADJUSTMENT,
+    reason: adjustment.reason,
+    createdBy: actorId,
+  });
+  if (balance === null) {
+    throw new BadRequestError('Store credit cannot go below zero');
+  }
+
+  return getStoreCredit(userId, {});
+};
+
+module.exports = {
+  MAX_GIFT_CARDS_PER_ORDER,
+  changeBalance,
+  getTransactions,
+  applyTenders,
+  getTenderBalance,
+  returnToTenders,
+  releaseTenders,
+  refundToStoreCredit,
+  getStoreCredit,
+  adjustStoreCredit,
+};
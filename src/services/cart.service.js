@@ -0,0 +1,304 @@
+const { Cart, Product, MAX_CART_ITEMS } = require('../models');
+const pricingService = require('./pricing.service');
+const couponService = require('./coupon.service');
+const promotionService = require('./promotion.service');
+const { NotFoundError, BadRequestError, ConflictError } = require('../utils');
+const { config, logger } = require('../config');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Carts are looked up by their owner: { user } for customers, or
+// { anonymousId } for visitors who have not signed in
+
+/**
+ * Add the expiry of anonymous carts to an update, pushing it back on every change
+ * @param {Object} owner - Cart owner
+ * @param {Object} update - Cart update
+ * @returns {Object} - Cart update
+ */
+const withExpiry = (owner, update) => {
+  if (!owner.anonymousId) {
+    return update;
+  }
+  const expiresAt = new Date(Date.now() + config.cart.anonymousTtlDays * DAY_MS);
+  return { ...update, $set: { ...update.$set, expiresAt } };
+};
+
+/**
+ * Get a cart, creating an empty one on first use
+ * @param {Object} owner - Cart owner
+ * @returns {Promise<Cart>} - Cart object
+ */
+const getOrCreateCart = async (owner) => {
+  const update = withExpiry(owner, { $setOnInsert: { items: [] } });
+  return Cart.findOneAndUpdate(owner, update, { new: true, upsert: true });
+};
+
+/**
+ * Load a product and check that the requested quantity can be bought
+ * @param {ObjectId} productId - Product ID
+ * @param {number} quantity - Quantity the cart would hold
+ * @returns {Promise<Product>} - Product object
+ */
+const getPurchasableProduct = async (productId, quantity) => {
+  const product = await Product.findById(productId);
+  if (!pricingService.isPurchasable(product)) {
+    throw new BadRequestError(`Product ${productId} is not available`);
+  }
+  if (quantity > product.quantity) {
+    throw new BadRequestError(`Only ${product.quantity} of ${product.name} in stock`);
+  }
+  return product;
+};
+
+/**
+ * Reprice a cart from the catalogue
+ * Every line carries its current price and flags for a price change since it
+ * was added, missing stock, or a product that can no longer be bought. The
+ * totals, and the promotions they include, only cover the lines that can be
+ * ordered as they are.
+ * @param {Cart} cart - Cart object
+ * @returns {Promise<Object>} - Priced cart
+ */
+const priceCart = async (cart) => {
+  const productIds = cart.items.map((item) => item.product);
+  const products = await Product.find({ _id: { $in: productIds } });
+  const productsById = new Map(products.map((product) => [product.id, product]));
+
+  const items = cart.items.map((item) => {
+    const product = productsById.get(item.product.toString());
+    if (!pricingService.isPurchasable(product)) {
+      const { product: productId, quantity, priceWhenAdded } = item;
+      return { product: productId, quantity, priceWhenAdded, unavailable: true };
+    }
+
+    return {
+      ...pricingService.toLine(product, item.quantity),
+      priceWhenAdded: item.priceWhenAdded,
+      priceChanged: product.price !== item.priceWhenAdded,
+      availableQuantity: product.quantity,
+      outOfStock: product.quantity === 0,
+      insufficientStock: item.quantity > product.quantity,
+      unavailable: false,
+    };
+  });
+
+  const orderable = items.filter((item) => !item.unavailable && !item.insufficientStock);
+  const hasIssues = items.some((item) => {
+    return item.unavailable || item.insufficientStock || item.priceChanged;
+  });
+  const promotions = await promotionService.applyPromotions(orderable);
+
+  return {
+    id: cart.id,
+    items,
+    itemCount: items.reduce((sum, item) => sum + item.quantity, 0),
+    pricing: pricingService.calculateTotals(orderable, { promotions }),
+    hasIssues,
+    updatedAt: cart.updatedAt,
+  };
+};
+
+/**
+ * Get a cart with live prices
+ * Nothing is saved until something is added to the cart.
+ * @param {Object} owner - Cart owner
+ * @returns {Promise<Object>} - Priced cart
+ */
+const getCart = async (owner) => {
+  const cart = await Cart.findOne(owner);
+  return priceCart(cart || new Cart({ ...owner, items: [] }));
+};
+
+/**
+ * Add a product to the cart, or more of a product already in it
+ * The line is repriced to the current price, which the buyer sees when adding.
+ * @param {Object} owner - Cart owner
+ * @param {Object} itemBody - Product and quantity to add
+ * @returns {Promise<Object>} - Priced cart
+ */
+const addItem = async (owner, itemBody) => {
+  const cart = await getOrCreateCart(owner);
+  const existing = cart.items.find((item) => item.product.toString() === itemBody.product);
+  const quantity = (existing ? existing.quantity : 0) + itemBody.quantity;
+  const product = await getPurchasableProduct(itemBody.product, quantity);
+
+  let filter;
+  let update;
+  if (existing) {
+    // Only applies if no other request changed the line in the meantime
+    const line = { product: product._id, quantity: existing.quantity };
+    filter = { _id: cart._id, items: { $elemMatch: line } };
+    const changes = { 'items.$.quantity': quantity, 'items.$.priceWhenAdded': product.price };
+    update = { $set: changes };
+  } else {
+    if (cart.items.length >= MAX_CART_ITEMS) {
+      throw new BadRequestError(`A cart can hold at most ${MAX_CART_ITEMS} products`);
+    }
+    filter = { _id: cart._id, 'items.product': { $ne: product._id } };
+    const item = { product: product._id, quantity, priceWhenAdded: product.price };
+    update = { $push: { items: item } };
+  }
+
+  const updated = await Cart.findOneAndUpdate(filter, withExpiry(owner, update), { new: true });
+  if (!updated) {
+    throw new ConflictError('Cart was changed by another request, please retry');
+  }
+  return priceCart(updated);
+};
+
+/**
+ * Change the quantity of a product in the cart
+ * @param {Object} owner - Cart owner
+ * @param {ObjectId} productId - Product ID
+ * @param {number} quantity - New quantity
+ * @returns {Promise<Object>} - Priced cart
+ */
+const updateItemQuantity = async (owner, productId, quantity) => {
+  const product = await getPurchasableProduct(productId, quantity);
+
+  const filter = { ...owner, 'items.product': product._id };
+  const changes = { 'items.$.quantity': quantity, 'items.$.priceWhenAdded': product.price };
+  const update = withExpiry(owner, { $set: changes });
+  const updated = await Cart.findOneAndUpdate(filter, update, { new: true });
+  if (!updated) {
+    throw new NotFoundError('Product is not in the cart');
+  }
+  return priceCart(updated);
+};
+
+/**
+ * Remove a product from the cart
+ * @param {Object} owner - Cart owner
+ * @param {ObjectId} productId - Product ID
+ * @returns {Promise<Object>} - Priced cart
+ */
+const removeItem = async (owner, productId) => {
+  const filter = { ...owner, 'items.product': productId };
+  const update = withExpiry(owner, { $pull: { items: { product: productId } } });
+  const updated = await Cart.findOneAndUpdate(filter, update, { new: true });
+  if (!updated) {
+    throw new NotFoundError('Product is not in the cart');
+  }
+  return priceCart(updated);
+};
+
+/**
+ * Remove every product from the cart
+ * @param {Object} owner - Cart owner
+ * @returns {Promise<Object>} - Priced cart
+ */
+const clearCart = async (owner) => {
+  const update = withExpiry(owner, { $set: { items: [] } });
+  const cart = await Cart.findOneAndUpdate(owner, update, { new: true });
+  return priceCart(cart || new Cart({ ...owner, items: [] }));
+};
+
+/**
+ * Combine the lines of a saved cart with those of an anonymous cart
+ * A product in both keeps the larger quantity, so adding a product again
+ * before signing in does not double it and merging twice changes nothing.
+ * On a tie the saved line is kept, with the price it was added at. Saved
+ * lines come first, then the new anonymous lines while the cart has room.
+ * @param {Array} savedItems - Lines of the user's cart
+ * @param {Array} anonymousItems - Lines of the anonymous cart
+ * @returns {Array} - Merged lines
+ */
+const mergeItems = (savedItems, anonymousItems) => {
+  const anonymousByProduct = new Map(anonymousItems.map((item) => [item.product.toString(), item]));
+
+  const items = savedItems.map((item) => {
+    const anonymous = anonymousByProduct.get(item.product.toString());
+    anonymousByProduct.delete(item.product.toString());
+    return anonymous && anonymous.quantity > item.quantity ? anonymous : item;
+  });
+
+  for (const item of anonymousByProduct.values()) {
+    if (items.length >= MAX_CART_ITEMS) {
+      break;
+    }
+    items.push(item);
+  }
+
+  return items.map(({ product, quantity, priceWhenAdded, addedAt }) => {
+    return { product, quantity, priceWhenAdded, addedAt };
+  });
+};
+
+/**
+ * Move an anonymous cart into a user's cart when they sign in, then discard it
+ * Failures are logged rather than thrown so that they never block signing in;
+ * the anonymous cart is then kept to be merged on the next sign-in.
+ * @param {string} anonymousId - Anonymous cart ID from the cart cookie
+ * @param {ObjectId} userId - User ID
+ * @returns {Promise<boolean>} - Whether the anonymous cart was merged
+ */
+const mergeAnonymousCart = async (anonymousId, userId) => {
+  try {
+    const anonymous = await Cart.findOne({ anonymousId });
+    if (!anonymous) {
+      return true;
+    }
+
+    if (anonymous.items.length > 0) {
+      const cart = await getOrCreateCart({ user: userId });
+      const items = mergeItems(cart.items, anonymous.items);
+
+      // Only applies if no other request changed the cart in the meantime
+      const filter = { _id: cart._id, updatedAt: cart.updatedAt };
+      const updated = await Cart.findOneAndUpdate(filter, { $set: { items } });
+      if (!updated) {
+        throw new ConflictError('Cart was changed by another request, please retry');
+      }
+    }
+
+    await Cart.deleteOne({ _id: anonymous._id });
+    return true;
+  } catch (error) {
+    logger.error(`Failed to merge anonymous cart into the cart of user ${userId}:`, error);
+    return false;
+  }
+};
+
+/**
+ * Check a coupon code against the cart without redeeming it
+ * The per-user limit is only checked for signed-in buyers; guests are checked
+ * again when they place their order.
+ * @param {Object} owner - Cart owner
+ * @param {string} code - Coupon code
+ * @returns {Promise<Object>} - Discount and repriced totals, or the reason the
+ * code was rejected
+ */
+const checkCoupon = async (owner, code) => {
+  const pricedCart = await getCart(owner);
+  const lines = pricedCart.items.filter((item) => !item.unavailable && !item.insufficientStock);
+  const coupon = await couponService.findByCode(code);
+  const customer = owner.user ? { user: owner.user } : undefined;
+
+  const result = await couponService.evaluateCoupon(coupon, lines, customer);
+  if (result.rejection) {
+    return { valid: false, code: code.toUpperCase(), ...result.rejection };
+  }
+
+  const { discount, freeShipping } = result;
+  const promotions = await promotionService.applyPromotions(lines, { withCoupon: true });
+  return {
+    valid: true,
+    code: coupon.code,
+    type: coupon.type,
+    discount,
+    freeShipping,
+    pricing: pricingService.calculateTotals(lines, { discount, freeShipping, promotions }),
+  };
+};
+
+module.exports = {
+  priceCart,
+  getCart,
+  addItem,
+  updateItemQuantity,
+  removeItem,
+  clearCart,
+  mergeAnonymousCart,
+  checkCoupon,
+};
@@ -0,0 +1,240 @@
+const { Cart, CartReminder, cartReminderStatuses, Order } = require('../models');
+const cartService = require('./cart.service');
+const emailService = require('./email.service');
+const { helpers } = require('../utils');
+const { config, logger } = require('../config');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const openStatuses = [cartReminderStatuses.ACTIVE, cartReminderStatuses.WAITING];
+
+/**
+ * Find the first order a user placed since a date
+ * @param {ObjectId} userId - User ID
+ * @param {Date} since - Earliest order date
+ * @returns {Promise<Order|null>} - Order object
+ */
+const findOrderSince = (userId, since) => {
+  return Order.findOne({ user: userId, createdAt: { $gte: since } })
+    .sort({ createdAt: 1 })
+    .select('pricing.total createdAt');
+};
+
+/**
+ * Close the reminder sequences that led to an order, or whose recovery
+ * window has passed without one
+ * @param {Date} now - Current time
+ * @returns {Promise<number>} - Number of sequences recovered
+ */
+const settleSequences = async (now) => {
+  const windowStart = new Date(now.getTime() - config.cart.recoveryWindowDays * DAY_MS);
+  const sequences = await CartReminder.find({ status: { $in: openStatuses } });
+  let recovered = 0;
+
+  for (const sequence of sequences) {
+    const order = await findOrderSince(sequence.user, sequence.firstReminderAt);
+    const filter = { _id: sequence._id, status: sequence.status };
+
+    if (order) {
+      const recovery = {
+        order: order._id,
+        orderTotal: order.pricing.total,
+        recoveredAt: order.createdAt,
+      };
+      const update = { status: cartReminderStatuses.RECOVERED, recovery };
+      if (await CartReminder.findOneAndUpdate(filter, update)) {
+        recovered += 1;
+      }
+    } else if (sequence.lastReminderAt < windowStart) {
+      await CartReminder.findOneAndUpdate(filter, { status: cartReminderStatuses.LOST });
+    }
+  }
+
+  return recovered;
+};
+
+/**
+ * Send the next reminder for an idle cart if one is due
+ * The reminder is recorded before it is emailed, so that it is sent at most
+ * once even if several instances run the job.
+ * @param {Cart} cart - Idle cart, with its user populated
+ * @param {Date} now - Current time
+ * @returns {Promise<boolean>} - Whether a reminder was sent
+ */
+const remindCart = async (cart, now) => {
+  const intervals = config.cart.reminderIntervalsHours;
+  const { user } = cart;
+  if (!user || !user.isActive || !user.preferences.notifications.email) {
+    return false;
+  }
+
+  const sequence = await CartReminder.findOne({ cart: cart._id, status: { $in: openStatuses } });
+  if (sequence && sequence.idleSince.getTime() !== cart.updatedAt.getTime()) {
+    // The user came back to the cart: this sequence is over, and a new one
+    // starts once it is settled and the cart is left again
+    if (sequence.status === cartReminderStatuses.ACTIVE) {
+      const filter = { _id: sequence._id, status: cartReminderStatuses.ACTIVE };
+      await CartReminder.findOneAndUpdate(filter, { status: cartReminderStatuses.WAITING });
+    }
+    return false;
+  }
+
+  const sent = sequence ? sequence.remindersSent : 0;
+  if (sent >= intervals.length || (sequence && sequence.status !== cartReminderStatuses.ACTIVE)) {
+    return false;
+  }
+  if (cart.updatedAt.getTime() + intervals[sent] * HOUR_MS > now.getTime()) {
+    return false;
+  }
+
+  // Carts that were already ordered are not abandoned
+  if (await findOrderSince(user._id, cart.updatedAt)) {
+    return false;
+  }
+
+  // Nothing to remind about if none of the products can still be ordered
+  const pricedCart = await cartService.priceCart(cart);
+  if (!pricedCart.items.some((item) => !item.unavailable && !item.outOfStock)) {
+    return false;
+  }
+
+  const isLast = sent + 1 === intervals.length;
+  const status = isLast ? cartReminderStatuses.WAITING : cartReminderStatuses.ACTIVE;
+  if (sequence) {
+    const filter = { _id: sequence._id, remindersSent: sent };
+    const update = { $inc: { remindersSent: 1 }, $set: { lastReminderAt: now, status } };
+    if (!(await CartReminder.findOneAndUpdate(filter, update))) {
+      return false;
+    }
+  } else {
+    try {
+      await CartReminder.create({
+        user: user._id,
+        cart: cart._id,
+        idleSince: cart.updatedAt,
+        status,
+        remindersSent: 1,
+        firstReminderAt: now,
+        lastReminderAt: now,
+        cartTotal: pricedCart.pricing.total,
+      });
+    } catch (error) {
+      // Another instance started this sequence
+      if (error.code === 11000) {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  await emailService.sendCartReminderEmail(user.email, user.name, pricedCart, sent + 1);
+  return true;
+};
+
+/**
+ * Email reminders for carts that signed-in users left idle, and record which
+ * reminders were followed by an order
+ * Reminders go out after each of CART_REMINDER_INTERVALS_HOURS of idleness and
+ * stop as soon as the user orders or changes the cart.
+ * @returns {Promise<Object>} - Number of reminders sent and carts recovered
+ */
+const sendCartReminders = async () => {
+  const now = new Date();
+  const recovered = await settleSequences(now);
+
+  const idleSince = new Date(now.getTime() - config.cart.reminderIntervalsHours[0] * HOUR_MS);
+  const filter = {
+    user: { $exists: true },
+    'items.0': { $exists: true },
+    updatedAt: { $lte: idleSince },
+  };
+  const cursor = Cart.find(filter).populate('user', 'name email isActive preferences').cursor();
+  let sent = 0;
+
+  for await (const cart of cursor) {
+    try {
+      if (await remindCart(cart, now)) {
+        sent += 1;
+      }
+    } catch (error) {
+      logger.error(`Cart reminder failed for cart ${cart._id}:`, error);
+    }
+  }
+
+  return { sent, recovered };
+};
+
+/**
+ * Get conversion figures for reminder sequences started in a period
+ * @param {Object} filter - Optional from and to dates of the first reminder
+ * @returns {Promise<Object>} - Recovery statistics
+ */
+const getRecoveryStats = async (filter = {}) => {
+  const match = {};
+  if (filter.from || filter.to) {
+    match.firstReminderAt = {};
+    if (filter.from) {
+      match.firstReminderAt.$gte = new Date(filter.from);
+    }
+    if (filter.to) {
+      match.firstReminderAt.$lte = new Date(filter.to);
+    }
+  }
+
+  const [byStatus, byReminder] = await Promise.all([
+    CartReminder.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: '$status',
+          count: { $sum: 1 },
+          reminders: { $sum: '$remindersSent' },
+          cartTotal: { $sum: '$cartTotal' },
+          recoveredRevenue: { $sum: { $ifNull: ['$recovery.orderTotal', 0] } },
+        },
+      },
+    ]),
+    CartReminder.aggregate([
+      { $match: { ...match, status: cartReminderStatuses.RECOVERED } },
+      { $group: { _id: '$remindersSent', count: { $sum: 1 } } },
+      { $sort: { _id: 1 } },
+    ]),
+  ]);
+
+  const statuses = Object.values(cartReminderStatuses);
+  const counts = Object.fromEntries(statuses.map((status) => [status, 0]));
+  let sequences = 0;
+  let remindersSent = 0;
+  let abandonedValue = 0;
+  let recoveredRevenue = 0;
+  byStatus.forEach((group) => {
+    counts[group._id] = group.count;
+    sequences += group.count;
+    remindersSent += group.reminders;
+    abandonedValue += group.cartTotal;
+    recoveredRevenue += group.recoveredRevenue;
+  });
+
+  // Open sequences may still convert, so the rate only counts settled ones
+  const settled = counts.recovered + counts.lost;
+  const rate = (count, total) => (total > 0 ? Math.round((count / total) * 10000) / 100 : 0);
+
+  return {
+    sequences,
+    remindersSent,
+    ...counts,
+    conversionRate: rate(counts.recovered, settled),
+    abandonedValue: helpers.roundMoney(abandonedValue),
+    recoveredRevenue: helpers.roundMoney(recoveredRevenue),
+    recoveredAfterReminder: byReminder.reduce((acc, group) => {
+      acc[group._id] = group.count;
+      return acc;
+    }, {}),
+  };
+};
+
+module.exports = {
+  sendCartReminders,
+  getRecoveryStats,
+};
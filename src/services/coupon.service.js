@@ -0,0 +1,371 @@
+const { Coupon, CouponUsage, couponTypes, Order, Product, orderStatuses } = require('../models');
+const { NotFoundError, BadRequestError, helpers } = require('../utils');
+
+// Reasons a coupon code is rejected
+const couponRejections = {
+  NOT_FOUND: 'not_found',
+  INACTIVE: 'inactive',
+  NOT_STARTED: 'not_started',
+  EXPIRED: 'expired',
+  USAGE_LIMIT_REACHED: 'usage_limit_reached',
+  USER_LIMIT_REACHED: 'user_limit_reached',
+  MINIMUM_NOT_MET: 'minimum_not_met',
+  NOT_APPLICABLE: 'not_applicable',
+};
+
+// Product scope of a coupon that applies to every product
+const unscopedCoupon = {
+  products: [],
+  categories: [],
+  excludedProducts: [],
+  excludedCategories: [],
+};
+
+/**
+ * Check that a coupon's settings are consistent
+ * @param {Coupon} coupon - Coupon object
+ */
+const checkCouponSettings = (coupon) => {
+  if (coupon.type === couponTypes.PERCENTAGE && !(coupon.value > 0 && coupon.value <= 100)) {
+    throw new BadRequestError('Percentage coupons take a value between 0 and 100');
+  }
+  if (coupon.type === couponTypes.FIXED && !(coupon.value > 0)) {
+    throw new BadRequestError('Fixed coupons take a value above 0');
+  }
+  if (coupon.startsAt && coupon.endsAt && coupon.endsAt <= coupon.startsAt) {
+    throw new BadRequestError('A coupon must end after it starts');
+  }
+};
+
+/**
+ * Create a coupon
+ * @param {Object} couponBody - Coupon data
+ * @returns {Promise<Coupon>} - Coupon object
+ */
+const createCoupon = async (couponBody) => {
+  const coupon = new Coupon(couponBody);
+  checkCouponSettings(coupon);
+  await coupon.save();
+  return coupon;
+};
+
+/**
+ * Get coupons with pagination
+ * @param {Object} filter - MongoDB filter
+ * @param {Object} options - Query options
+ * @returns {Promise<Object>} - Paginated coupons
+ */
+const getCoupons = async (filter, options) => {
+  const { sortBy = 'createdAt', order = 'desc', page = 1, limit = 10 } = options;
+
+  const skip = (page - 1) * limit;
+  const sortOrder = order === 'desc' ? -1 : 1;
+
+  const [coupons, total] = await Promise.all([
+    Coupon.find(filter)
+      .sort({ [sortBy]: sortOrder })
+      .skip(skip)
+      .limit(limit),
+    Coupon.countDocuments(filter),
+  ]);
+
+  return {
+    results: coupons,
+    page,
+    limit,
+    totalPages: Math.ceil(total / limit),
+    totalResults: total,
+  };
+};
+
+/**
+ * Get coupon by ID
+ * @param {ObjectId} couponId - Coupon ID
+ * @returns {Promise<Coupon>} - Coupon object
+ */
+const getCouponById = async (couponId) => {
+  const coupon = await Coupon.findById(couponId);
+  if (!coupon) {
+    throw new NotFoundError('Coupon not found');
+  }
+  return coupon;
+};
+
+/**
+ * Update coupon by ID
+ * @param {ObjectId} couponId - Coupon ID
+ * @param {Object} updateBody - Update data
+ * @returns {Promise<Coupon>} - Updated coupon
+ */
+const updateCouponById = async (couponId, updateBody) => {
+  const coupon = await getCouponById(couponId);
+  Object.assign(coupon, updateBody);
+  checkCouponSettings(coupon);
+  await coupon.save();
+  return coupon;
+};
+
+/**
+ * Delete coupon by ID
+ * Orders keep the code and discount they were placed with.
+ * @param {ObjectId} couponId - Coupon ID
+ * @returns {Promise<Coupon>} - Deleted coupon
+ */
+const deleteCouponById = async (couponId) => {
+  const coupon = await getCouponById(couponId);
+  await coupon.deleteOne();
+  return coupon;
+};
+
+/**
+ * Pick the lines a coupon discounts
+ * @param {Coupon} coupon - Coupon object
+ * @param {Array} lines - Priced lines
+ * @returns {Promise<Array>} - Eligible lines
+ */
+const getEligibleLines = async (coupon, lines) => {
+  const productIds = lines.map((line) => line.product);
+  const fields = 'category subcategory isGiftCard';
+  const products = await Product.find({ _id: { $in: productIds } }).select(fields);
+  const productsById = new Map(products.map((product) => [product.id, product]));
+
+  const has = (ids, id) => Boolean(id) && ids.some((listed) => listed.equals(id));
+  const inCategories = (ids, product) =>
+    has(ids, product.category) || has(ids, product.subcategory);
+  const hasInclusions = coupon.products.length > 0 || coupon.categories.length > 0;
+
+  return lines.filter((line) => {
+    const product = productsById.get(line.product.toString());
+    // Gift cards are sold at face value
+    if (!product || product.isGiftCard) {
+      return false;
+    }
+    const excluded =
+      has(coupon.excludedProducts, product._id) || inCategories(coupon.excludedCategories, product);
+    if (excluded) {
+      return false;
+    }
+    const included = has(coupon.products, product._id) || inCategories(coupon.categories, product);
+    return !hasInclusions || included;
+  });
+};
+
+/**
+ * Work out what a coupon takes off the lines it applies to
+ * Fixed amounts never exceed the value of those lines.
+ * @param {string} type - Coupon type
+ * @param {number} value - Percent or amount off
+ * @param {Array} eligible - Lines the coupon discounts
+ * @returns {number} - Discount
+ */
+const calculateDiscount = (type, value, eligible) => {
+  const eligibleTotal = eligible.reduce((sum, line) => sum + line.price * line.quantity, 0);
+  if (type === couponTypes.PERCENTAGE) {
+    return helpers.roundMoney((eligibleTotal * value) / 100);
+  }
+  if (type === couponTypes.FIXED) {
+    return helpers.roundMoney(Math.min(value, eligibleTotal));
+  }
+  return 0;
+};
+
+/**
+ * Work out whether a coupon applies to a set of lines, and what it takes off
+ * Rejections carry one of couponRejections and a message for the buyer.
+ * @param {Coupon|null} coupon - Coupon object
+ * @param {Array} lines - Priced lines ({ product, price, quantity })
+ * @param {Object} [customer] - Order filter matching the buyer's orders, to
+ * enforce the per-user limit; left out for visitors who are not known yet
+ * @returns {Promise<Object>} - { coupon, discount, freeShipping } or { rejection }
+ */
+const evaluateCoupon = async (coupon, lines, customer) => {
+  const reject = (reason, message) => ({ rejection: { reason, message } });
+  const now = new Date();
+
+  if (!coupon) {
+    return reject(couponRejections.NOT_FOUND, 'This coupon code does not exist');
+  }
+  if (!coupon.isActive) {
+    return reject(couponRejections.INACTIVE, 'This coupon is no longer available');
+  }
+  if (coupon.startsAt && coupon.startsAt > now) {
+    const date = coupon.startsAt.toISOString().split('T')[0];
+    return reject(couponRejections.NOT_STARTED, `This coupon can only be used from ${date}`);
+  }
+  if (coupon.endsAt && coupon.endsAt <= now) {
+    const date = coupon.endsAt.toISOString().split('T')[0];
+    return reject(couponRejections.EXPIRED, `This coupon expired on ${date}`);
+  }
+  if (coupon.usageLimit && coupon.usageCount >= coupon.usageLimit) {
+    return reject(couponRejections.USAGE_LIMIT_REACHED, 'This coupon has been fully redeemed');
+  }
+
+  if (coupon.usageLimitPerUser && customer) {
+    const notCancelled = { $ne: orderStatuses.CANCELLED };
+    const filter = { ...customer, 'coupon.code': coupon.code, status: notCancelled };
+    const used = await Order.countDocuments(filter);
+    if (used >= coupon.usageLimitPerUser) {
+      const times = coupon.usageLimitPerUser === 1 ? 'once' : `${coupon.usageLimitPerUser} times`;
+      const message = `This coupon can only be used ${times} per customer`;
+      return reject(couponRejections.USER_LIMIT_REACHED, message);
+    }
+  }
+
+  const lineTotal = (sum, line) => sum + line.price * line.quantity;
+  const subtotal = helpers.roundMoney(lines.reduce(lineTotal, 0));
+  if (subtotal < coupon.minSubtotal) {
+    const missing = helpers.roundMoney(coupon.minSubtotal - subtotal);
+    const message = `Spend at least $${coupon.minSubtotal.toFixed(2)} to use this coupon ($${missing.toFixed(2)} to go)`;
+    return reject(couponRejections.MINIMUM_NOT_MET, message);
+  }
+
+  const eligible = await getEligibleLines(coupon, lines);
+  if (eligible.length === 0) {
+    const message = 'This coupon does not apply to any product in your cart';
+    return reject(couponRejections.NOT_APPLICABLE, message);
+  }
+
+  const discount = calculateDiscount(coupon.type, coupon.value, eligible);
+  return { coupon, discount, freeShipping: coupon.type === couponTypes.FREE_SHIPPING };
+};
+
+/**
+ * Look up a coupon by the code a buyer typed
+ * @param {string} code - Coupon code, in any case
+ * @returns {Promise<Coupon|null>} - Coupon object
+ */
+const findByCode = (code) => Coupon.findOne({ code: code.trim().toUpperCase() });
+
+/**
+ * Get the key a customer's coupon uses are counted under
+ * @param {Object} customer - Order filter matching the buyer's orders
+ * @returns {string}
+ */
+const getCustomerKey = (customer) => {
+  return customer.user ? `user:${customer.user}` : `guest:${customer['guest.email']}`;
+};
+
+/**
+ * Count a use of a coupon against its per-customer limit
+ * The update only matches while the customer is below the limit; otherwise
+ * its upsert fails on the unique index, so concurrent checkouts cannot both
+ * take the last use. A failed upsert is retried once, for a first use that
+ * raced another first use.
+ * @param {Coupon} coupon - Coupon object
+ * @param {Object} customer - Order filter matching the buyer's orders
+ * @returns {Promise<boolean>} - Whether the use was counted
+ */
+const claimCustomerUse = async (coupon, customer) => {
+  const filter = {
+    code: coupon.code,
+    customer: getCustomerKey(customer),
+    uses: { $lt: coupon.usageLimitPerUser },
+  };
+  const claim = () => CouponUsage.updateOne(filter, { $inc: { uses: 1 } }, { upsert: true });
+
+  for (let attempt = 1; attempt <= 2; attempt += 1) {
+    try {
+      await claim();
+      return true;
+    } catch (error) {
+      if (error.code !== 11000) {
+        throw error;
+      }
+    }
+  }
+  return false;
+};
+
+/**
+ * Apply a coupon to the lines of a new order and count its use
+ * Both the global and the per-customer limit are enforced atomically; the
+ * per-customer limit is also checked against the buyer's orders that were not
+ * cancelled, which covers uses made before uses were counted per customer.
+ * @param {string} code - Coupon code
+ * @param {Array} lines - Priced order lines
+ * @param {Object} customer - Order filter matching the buyer's orders
+ * @returns {Promise<Object>} - Order coupon, discount and free shipping flag
+ */
+const redeemCoupon = async (code, lines, customer) => {
+  const result = await evaluateCoupon(await findByCode(code), lines, customer);
+  if (result.rejection) {
+    throw new BadRequestError(result.rejection.message);
+  }
+
+  const { coupon, discount, freeShipping } = result;
+  const filter = { _id: coupon._id };
+  if (coupon.usageLimit) {
+    filter.usageCount = { $lt: coupon.usageLimit };
+  }
+  if (!(await Coupon.findOneAndUpdate(filter, { $inc: { usageCount: 1 } }))) {
+    throw new BadRequestError('This coupon has been fully redeemed');
+  }
+
+  const limitedPerCustomer = Boolean(coupon.usageLimitPerUser);
+  if (limitedPerCustomer && !(await claimCustomerUse(coupon, customer))) {
+    const counted = { _id: coupon._id, usageCount: { $gt: 0 } };
+    await Coupon.updateOne(counted, { $inc: { usageCount: -1 } });
+    throw new BadRequestError('You have already used this coupon as many times as allowed');
+  }
+
+  const { type, value, minSubtotal } = coupon;
+  return {
+    coupon: { code: coupon.code, type, value, discount, minSubtotal, limitedPerCustomer },
+    discount,
+    freeShipping,
+  };
+};
+
+/**
+ * Work out the discount of an order's coupon for its edited lines
+ * The coupon takes the value it had when the order was placed off the lines
+ * it still applies to; no use is counted. A coupon that was deleted since is
+ * applied to every line, but never for more than it took off at checkout.
+ * @param {Object} orderCoupon - Coupon recorded on the order
+ * @param {Array} lines - Order lines after the edit
+ * @returns {Promise<number>} - Discount
+ */
+const recalculateDiscount = async (orderCoupon, lines) => {
+  const coupon = await findByCode(orderCoupon.code);
+  const eligible = await getEligibleLines(coupon || unscopedCoupon, lines);
+
+  // Orders placed before the value was recorded use the coupon as it is now
+  const value = orderCoupon.value ?? coupon?.value;
+  const checkoutDiscount = orderCoupon.discount || 0;
+  if (value === undefined) {
+    return calculateDiscount(couponTypes.FIXED, checkoutDiscount, eligible);
+  }
+
+  const discount = calculateDiscount(orderCoupon.type, value, eligible);
+  return coupon ? discount : Math.min(discount, checkoutDiscount);
+};
+
+/**
+ * Give back the use of a coupon, for an order that was cancelled or could
+ * not be placed
+ * @param {Object} orderCoupon - Coupon recorded on the order
+ * @param {Object} customer - Order filter matching the buyer's orders
+ */
+const releaseCoupon = async (orderCoupon, customer) => {
+  const { code } = orderCoupon;
+  await Coupon.updateOne({ code, usageCount: { $gt: 0 } }, { $inc: { usageCount: -1 } });
+
+  if (orderCoupon.limitedPerCustomer) {
+    const filter = { code, customer: getCustomerKey(customer), uses: { $gt: 0 } };
+    await CouponUsage.updateOne(filter, { $inc: { uses: -1 } });
+  }
+};
+
+module.exports = {
+  couponRejections,
+  createCoupon,
+  getCoupons,
+  getCouponById,
+  updateCouponById,
+  deleteCouponById,
+  findByCode,
+  evaluateCoupon,
+  redeemCoupon,
+  recalculateDiscount,
+  releaseCoupon,
+};
@@ -1,5 +1,6 @@
 const nodemailer = require('nodemailer');
 const { config, logger } = require('../config');
+const { helpers } = require('../utils');
 
 // Create transporter
 const transporter = nodemailer.createTransport({
@@ -29,14 +30,16 @@ if (config.env !== 'test') {
  * @param {string} subject - Email subject
  * @param {string} html - Email HTML content
  * @param {string} text - Email plain text content
+ * @param {Array} attachments - Nodemailer attachments
  */
-const sendEmail = async (to, subject, html, text = '') => {
+const sendEmail = async (to, subject, html, text = '', attachments = []) => {
   const msg = {
     from: `"${config.email.fromName}" <${config.email.from}>`,
     to,
     subject,
     html,
     text: text || html.replace(/<[^>]+>/g, ''),
+    attachments,
   };
 
   try {
@@ -190,12 +193,62 @@ const sendWelcomeEmail = async (to, name) => {
   await sendEmail(to, subject, html);
 };
 
+/**
+ * Render the bank details and reference for an order awaiting a bank transfer
+ * @param {Object} order - Order details
+ * @returns {string} - HTML section, empty if no transfer is expected
+ */
+const renderTransferInstructions = (order) => {
+  const { method, status, reference, dueAt } = order.payment;
+  if (method !== 'bank_transfer' || status === 'succeeded' || !reference) {
+    return '';
+  }
+
+  const bank = config.bankTransfer;
+  const deadline = dueAt.toISOString().split('T')[0];
+  return `
+        <h3>Payment Instructions</h3>
+        <p>Please transfer <strong>$${order.amountDue.toFixed(2)}</strong> by ${deadline} to:</p>
+        <p>
+          ${helpers.escapeHtml(bank.accountHolder)}<br>
+          ${helpers.escapeHtml(bank.bankName)}<br>
+          IBAN: ${helpers.escapeHtml(bank.iban)}<br>
+          BIC: ${helpers.escapeHtml(bank.bic)}
+        </p>
+        <p>Payment reference: <strong>${reference}</strong></p>
+        <p>Please quote the reference exactly so we can match your payment. Orders not paid by then are cancelled.</p>
+  `;
+};
+
+/**
+ * Render the gift card and store credit amounts that paid for an order
+ * @param {Object} order - Order details
+ * @returns {string} - HTML section, empty if none were used
+ */
+const renderTenders = (order) => {
+  const tenders = order.payment.tenders || [];
+  if (!tenders.length) {
+    return '';
+  }
+
+  const rows = tenders.map((tender) => {
+    const label = tender.giftCard ? `Gift card ending ${tender.codeEnding}` : 'Store credit';
+    return `<li>${label}: -$${tender.amount.toFixed(2)}</li>`;
+  });
+  return `
+        <ul>${rows.join('')}</ul>
+        <p><strong>Left to pay: $${order.amountDue.toFixed(2)}</strong></p>
+  `;
+};
+
 /**
  * Send order confirmation email
+ * Orders awaiting a bank transfer include the payment instructions.
  * @param {string} to - Recipient email
  * @param {Object} order - Order details
+ * @param {Array} attachments - Attachments such as the invoice PDF
  */
-const sendOrderConfirmationEmail = async (to, order) => {
+const sendOrderConfirmationEmail = async (to, order, attachments = []) => {
   const subject = `Order Confirmation - ${order.orderNumber}`;
 
   const itemsHtml = order.items
@@ -240,6 +293,7 @@ const sendOrderConfirmationEmail = async (to, order) => {
           </tbody>
         </table>
         <p class="total">Total: $${order.pricing.total.toFixed(2)}</p>
+        ${renderTenders(order)}
         <h3>Shipping Address</h3>
         <p>
           ${order.shippingAddress.fullName}<br>
@@ -247,12 +301,378 @@ const sendOrderConfirmationEmail = async (to, order) => {
           ${order.shippingAddress.city}, ${order.shippingAddress.state} ${order.shippingAddress.postalCode}<br>
           ${order.shippingAddress.country}
         </p>
+        ${renderTransferInstructions(order)}
+        ${attachments.length ? '<p>Your invoice is attached to this email.</p>' : ''}
         <p>We'll send you another email when your order ships.</p>
       </div>
     </body>
     </html>
   `;
 
+  await sendEmail(to, subject, html, '', attachments);
+};
+
+/**
+ * Send the order status link to a buyer who checked out as a guest
+ * @param {string} to - Recipient email
+ * @param {Object} order - Order details
+ * @param {string} lookupToken - Guest order lookup token
+ */
+const sendGuestOrderEmail = async (to, order, lookupToken) => {
+  const subject = `Your Order ${order.orderNumber}`;
+  const orderUrl = `${process.env.CLIENT_URL || 'http://localhost:3001'}/orders/guest/${lookupToken}`;
+
+  const html = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <style>
+        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+        .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+        .button {
+          display: inline-block;
+          padding: 12px 24px;
+          background-color: #007bff;
+          color: white !important;
+          text-decoration: none;
+          border-radius: 4px;
+          margin: 20px 0;
+        }
+        .footer { margin-top: 30px; font-size: 12px; color: #666; }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <h2>Thank you for your order!</h2>
+        <p>We received order <strong>${order.orderNumber}</strong> for $${order.pricing.total.toFixed(2)}.</p>
+        <p>You can check its status at any time with the link below:</p>
+        <a href="${orderUrl}" class="button">View Order</a>
+        <p>Create an account with this email address to see all your orders in one place.</p>
+        <div class="footer">
+          <p>Keep this email private: anyone with the link can see your order.</p>
+          <p>${orderUrl}</p>
+        </div>
+      </div>
+    </body>
+    </html>
+  `;
+
+  await sendEmail(to, subject, html);
+};
+
+/**
+ * Send order shipped email
+ * @param {string} to - Recipient email
+ * @param {Object} order - Order details
+ * @param {Object} shipment - Parcel that shipped, when the order ships in several
+ */
+const sendOrderShippedEmail = async (to, order, shipment) => {
+  const subject = `Your Order Has Shipped - ${order.orderNumber}`;
+  const { estimatedDelivery } = order.shipping || {};
+  const { carrier, trackingNumber, trackingUrl } = shipment || order.shipping || {};
+
+  let shipmentItemsHtml = '';
+  if (shipment) {
+    const describe = (item) => `<li>${item.quantity} x ${order.items.id(item.orderItem).name}</li>`;
+    shipmentItemsHtml = `<p>This parcel contains:</p><ul>${shipment.items.map(describe).join('')}</ul>`;
+  }
+
+  const trackingHtml = trackingNumber
+    ? `
+        <p><strong>Carrier:</strong> ${carrier || 'N/A'}</p>
+        <p><strong>Tracking Number:</strong> ${trackingNumber}</p>
+        ${trackingUrl ? `<a href="${trackingUrl}" class="button">Track Package</a>` : ''}
+      `
+    : '';
+
+  const html = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <style>
+        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+        .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+        .button { 
+          display: inline-block; 
+          padding: 12px 24px; 
+          background-color: #007bff; 
+          color: white !important; 
+          text-decoration: none; 
+          border-radius: 4px; 
+          margin: 20px 0;
+        }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <h2>Your Order Is On Its Way</h2>
+        <p>Good news! Order <strong>${order.orderNumber}</strong> has shipped.</p>
+        ${trackingHtml}
+        ${shipmentItemsHtml}
+        ${estimatedDelivery ? `<p><strong>Estimated Delivery:</strong> ${new Date(estimatedDelivery).toDateString()}</p>` : ''}
+        <p>Thank you for shopping with us!</p>
+      </div>
+    </body>
+    </html>
+  `;
+
+  await sendEmail(to, subject, html);
+};
+
+/**
+ * Send a new order message to the customer or to the support inbox
+ * @param {string} to - Recipient email
+ * @param {Object} order - Order details
+ * @param {Object} message - Order message
+ * @param {boolean} toStaff - Whether the recipient is staff
+ */
+const sendOrderMessageEmail = async (to, order, message, toStaff = false) => {
+  let subject = `New message about your order ${order.orderNumber}`;
+  let intro = `We replied to your message about order <strong>${order.orderNumber}</strong>:`;
+  if (toStaff) {
+    subject = `New customer message - ${order.orderNumber}`;
+    intro = `The customer wrote about order <strong>${order.orderNumber}</strong>:`;
+  }
+  const body = helpers.escapeHtml(message.body).replace(/\n/g, '<br>');
+
+  const html = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <style>
+        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+        .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+        .message { padding: 15px; background-color: #f5f5f5; border-radius: 4px; }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <h2>New Message</h2>
+        <p>${intro}</p>
+        <div class="message">${body}</div>
+      </div>
+    </body>
+    </html>
+  `;
+
+  await sendEmail(to, subject, html, message.body);
+};
+
+// Customer-facing messages for return status updates
+const returnStatusMessages = {
+  approved: 'Your return has been approved. Please send the items back to us.',
+  rejected: 'Unfortunately your return request could not be approved.',
+  received: 'We have received your returned items and will inspect them shortly.',
+  refunded: 'Your refund has been issued.',
+  closed: 'Your return has been closed after inspection.',
+};
+
+/**
+ * Send return status update email
+ * @param {string} to - Recipient email
+ * @param {Object} returnRequest - Return details
+ * @param {string} note - Optional note from staff
+ */
+const sendReturnStatusEmail = async (to, returnRequest, note = '') => {
+  const subject = `Return ${returnRequest.returnNumber} - ${returnRequest.status}`;
+  const message = returnStatusMessages[returnRequest.status] || 'Your return has been updated.';
+
+  const refundHtml =
+    returnRequest.status === 'refunded' && returnRequest.refund
+      ? `<p><strong>Refund Amount:</strong> $${returnRequest.refund.amount.toFixed(2)}</p>`
+      : '';
+
+  const html = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <style>
+        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+        .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+        .note { padding: 10px; background-color: #f5f5f5; border-radius: 4px; }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <h2>Return Update</h2>
+        <p><strong>Return Number:</strong> ${returnRequest.returnNumber}</p>
+        <p>${message}</p>
+        ${refundHtml}
+        ${note ? `<p class="note">${note}</p>` : ''}
+      </div>
+    </body>
+    </html>
+  `;
+
+  await sendEmail(to, subject, html);
+};
+
+/**
+ * Remind a user of the products left in their cart
+ * @param {string} to - Recipient email
+ * @param {string} name - User's name
+ * @param {Object} cart - Priced cart
+ * @param {number} reminderNumber - 1 for the first reminder, 2 for the second, ...
+ */
+const sendCartReminderEmail = async (to, name, cart, reminderNumber) => {
+  let subject = 'Your cart is still waiting for you';
+  if (reminderNumber === 1) {
+    subject = 'You left something in your cart';
+  }
+  const cartUrl = `${process.env.CLIENT_URL || 'http://localhost:3001'}/cart`;
+
+  const renderItem = (item) => `
+        <tr>
+          <td>${helpers.escapeHtml(item.name)}</td>
+          <td>${item.quantity}</td>
+          <td>$${(item.price * item.quantity).toFixed(2)}</td>
+        </tr>
+  `;
+  const itemsHtml = cart.items
+    .filter((item) => !item.unavailable)
+    .map(renderItem)
+    .join('');
+
+  const html = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <style>
+        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+        .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+        table { width: 100%; border-collapse: collapse; margin: 20px 0; }
+        th, td { padding: 10px; text-align: left; border-bottom: 1px solid #ddd; }
+        .button {
+          display: inline-block;
+          padding: 12px 24px;
+          background-color: #007bff;
+          color: white !important;
+          text-decoration: none;
+          border-radius: 4px;
+          margin: 20px 0;
+        }
+        .footer { margin-top: 30px; font-size: 12px; color: #666; }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <h2>Hello ${helpers.escapeHtml(name)},</h2>
+        <p>You left these products in your cart:</p>
+        <table>
+          <thead>
+            <tr>
+              <th>Product</th>
+              <th>Qty</th>
+              <th>Price</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${itemsHtml}
+          </tbody>
+        </table>
+        <p><strong>Total: $${cart.pricing.total.toFixed(2)}</strong></p>
+        <p>Prices and stock may have changed since you added them.</p>
+        <a href="${cartUrl}" class="button">Return to Your Cart</a>
+        <div class="footer">
+          <p>Your cart is saved to your account; sign in to pick up where you left off. You can turn off these emails in your notification preferences.</p>
+        </div>
+      </div>
+    </body>
+    </html>
+  `;
+
+  await sendEmail(to, subject, html);
+};
+
+/**
+ * Send price-drop and back-in-stock alerts for products on a wishlist
+ * @param {string} to - Recipient email
+ * @param {string} name - User's name
+ * @param {Object} wishlist - Wishlist details
+ * @param {Array} alerts - Due alerts, each with its type and product
+ */
+const sendWishlistAlertEmail = async (to, name, wishlist, alerts) => {
+  const subject = `Good news about your wishlist "${wishlist.name}"`;
+  const clientUrl = process.env.CLIENT_URL || 'http://localhost:3001';
+
+  const alertsHtml = alerts
+    .map(({ type, product, previousPrice }) => {
+      const link = `<a href="${clientUrl}/products/${product.slug}">${helpers.escapeHtml(product.name)}</a>`;
+      if (type === 'priceDrop') {
+        return `<li>${link} is now $${product.price.toFixed(2)} (was $${previousPrice.toFixed(2)})</li>`;
+      }
+      return `<li>${link} is back in stock</li>`;
+    })
+    .join('');
+
+  const html = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <style>
+        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+        .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+        .footer { margin-top: 30px; font-size: 12px; color: #666; }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <h2>Hello ${helpers.escapeHtml(name)},</h2>
+        <p>Some products on your wishlist <strong>${helpers.escapeHtml(wishlist.name)}</strong> have news:</p>
+        <ul>${alertsHtml}</ul>
+        <div class="footer">
+          <p>You receive these alerts because you turned them on for these products. Turn them off in your wishlist or your notification preferences.</p>
+        </div>
+      </div>
+    </body>
+    </html>
+  `;
+
+  await sendEmail(to, subject, html);
+};
+
+/**
+ * Send gift card codes to their recipient
+ * @param {string} to - Recipient email
+ * @param {Array} giftCards - Gift cards with their code and balance
+ * @param {string} [note] - Message from the buyer or staff
+ */
+const sendGiftCardEmail = async (to, giftCards, note) => {
+  const subject = giftCards.length > 1 ? 'Your gift cards' : 'Your gift card';
+  const clientUrl = process.env.CLIENT_URL || 'http://localhost:3001';
+
+  const cardsHtml = giftCards
+    .map((card) => {
+      const validUntil = card.expiresAt && card.expiresAt.toISOString().split('T')[0];
+      const expiry = validUntil ? `, valid until ${validUntil}` : '';
+      return `<li><strong>${card.code}</strong>: $${card.balance.toFixed(2)}${expiry}</li>`;
+    })
+    .join('');
+
+  const html = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <style>
+        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+        .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+        .footer { margin-top: 30px; font-size: 12px; color: #666; }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <h2>${subject}</h2>
+        ${note ? `<p>${helpers.escapeHtml(note)}</p>` : ''}
+        <ul>${cardsHtml}</ul>
+        <p>Enter the code at checkout on <a href="${clientUrl}">our store</a> to pay with it. Any balance left stays on the card for your next order.</p>
+        <div class="footer">
+          <p>Keep this email safe: anyone with the code can spend the balance.</p>
+        </div>
+      </div>
+    </body>
+    </html>
+  `;
+
   await sendEmail(to, subject, html);
 };
 
@@ -262,4 +682,11 @@ module.exports = {
   sendVerificationEmail,
   sendWelcomeEmail,
   sendOrderConfirmationEmail,
+  sendGuestOrderEmail,
+  sendOrderShippedEmail,
+  sendOrderMessageEmail,
+  sendReturnStatusEmail,
+  sendCartReminderEmail,
+  sendWishlistAlertEmail,
+  sendGiftCardEmail,
 };
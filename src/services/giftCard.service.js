@@ -0,0 +1,220 @@
+const crypto = require('crypto');
+const { GiftCard, Product, BalanceTransaction, balanceTransactionTypes } = require('../models');
+const balanceService = require('./balance.service');
+const emailService = require('./email.service');
+const { NotFoundError, BadRequestError } = require('../utils');
+const { logger } = require('../config');
+
+// Letters and digits that cannot be mistaken for one another
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+/**
+ * Generate a random gift card code (XXXX-XXXX-XXXX-XXXX)
+ * @returns {string} - Gift card code
+ */
+const generateCode = () => {
+  const characters = Array.from(crypto.randomBytes(16), (byte) => CODE_ALPHABET[byte % 32]);
+  return characters.join('').match(/.{4}/g).join('-');
+};
+
+/**
+ * Issue a gift card and record its initial balance on the ledger
+ * @param {Object} giftCardBody - Amount and card details
+ * @returns {Promise<GiftCard>} - Gift card object
+ */
+const issueGiftCard = async (giftCardBody) => {
+  const { amount, ...details } = giftCardBody;
+  const giftCard = await GiftCard.create({
+    ...details,
+    code: generateCode(),
+    initialBalance: amount,
+    balance: amount,
+  });
+
+  await BalanceTransaction.create({
+    giftCard: giftCard._id,
+    type: balanceTransactionTypes.ISSUE,
+    amount,
+    balanceAfter: amount,
+    order: giftCard.purchase && giftCard.purchase.order,
+    createdBy: giftCard.issuedBy,
+  });
+
+  return giftCard;
+};
+
+/**
+ * Issue a gift card from the admin panel and email it to its recipient
+ * @param {Object} giftCardBody - Amount, expiry, recipient email and note
+ * @param {ObjectId} actorId - Staff member issuing the card
+ * @returns {Promise<GiftCard>} - Gift card object
+ */
+const createGiftCard = async (giftCardBody, actorId) => {
+  const giftCard = await issueGiftCard({ ...giftCardBody, issuedBy: actorId });
+
+  if (giftCard.recipientEmail) {
+    try {
+      await emailService.sendGiftCardEmail(giftCard.recipientEmail, [giftCard], giftCard.note);
+    } catch (error) {
+      logger.error(`Failed to email gift card ${giftCard.id}:`, error);
+    }
+  }
+
+  return giftCard;
+};
+
+/**
+ * Issue the gift cards bought on an order, one per unit of each gift card
+ * product, worth the price paid for it. Cards already issued for the order
+ * are left alone, so this is safe to call again.
+ * @param {Order} order - Paid order
+ * @param {string} to - Buyer email the new cards are sent to
+ * @returns {Promise<Array>} - Gift cards issued by this call
+ */
+const issuePurchasedGiftCards = async (order, to) => {
+  const productIds = order.items.map((item) => item.product);
+  const giftCardProducts = await Product.find({ _id: { $in: productIds }, isGiftCard: true });
+  if (giftCardProducts.length === 0) {
+    return [];
+  }
+
+  const ids = new Set(giftCardProducts.map((product) => product.id));
+  const issued = [];
+  for (const item of order.items.filter((line) => ids.has(line.product.toString()))) {
+    for (let unit = 1; unit <= item.quantity; unit += 1) {
+      try {
+        const purchase = { order: order._id, orderItem: item._id, unit };
+        issued.push(await issueGiftCard({ amount: item.price, purchase, purchaser: order.user }));
+      } catch (error) {
+        // Already issued for this unit
+        if (error.code !== 11000) {
+          throw error;
+        }
+      }
+    }
+  }
+
+  if (issued.length > 0) {
+    await emailService.sendGiftCardEmail(to, issued);
+  }
+  return issued;
+};
+
+/**
+ * Get gift cards with pagination
+ * @param {Object} filter - MongoDB filter
+ * @param {Object} options - Query options
+ * @returns {Promise<Object>} - Paginated gift cards
+ */
+const getGiftCards = async (filter, options) => {
+  const { sortBy = 'createdAt', order = 'desc', page = 1, limit = 10 } = options;
+
+  const skip = (page - 1) * limit;
+  const sortOrder = order === 'desc' ? -1 : 1;
+
+  const [giftCards, total] = await Promise.all([
+    GiftCard.find(filter)
+      .sort({ [sortBy]: sortOrder })
+      .skip(skip)
+      .limit(limit),
+    GiftCard.countDocuments(filter),
+  ]);
+
+  return {
+    results: giftCards,
+    page,
+    limit,
+    totalPages: Math.ceil(total / limit),
+    totalResults: total,
+  };
+};
+
+/**
+ * Get gift card by ID
+ * @param {ObjectId} giftCardId - Gift card ID
+ * @returns {Promise<GiftCard>} - Gift card object
+ */
+const getGiftCardById = async (giftCardId) => {
+  const giftCard = await GiftCard.findById(giftCardId);
+  if (!giftCard) {
+    throw new NotFoundError('Gift card not found');
+  }
+  return giftCard;
+};
+
+/**
+ * Get a gift card with its transactions
+ * @param {ObjectId} giftCardId - Gift card ID
+ * @param {Object} options - Query options for the transactions
+ * @returns {Promise<Object>} - Gift card and paginated transactions
+ */
+const getGiftCardWithTransactions = async (giftCardId, options) => {
+  const giftCard = await getGiftCardById(giftCardId);
+  const transactions = await balanceService.getTransactions({ giftCard: giftCard._id }, options);
+  return { giftCard, transactions };
+};
+
+/**
+ * Update gift card by ID
+ * The balance only changes through adjustments.
+ * @param {ObjectId} giftCardId - Gift card ID
+ * @param {Object} updateBody - Active flag, expiry and note
+ * @returns {Promise<GiftCard>} - Updated gift card
+ */
+const updateGiftCardById = async (giftCardId, updateBody) => {
+  const giftCard = await getGiftCardById(giftCardId);
+  Object.assign(giftCard, updateBody);
+  await giftCard.save();
+  return giftCard;
+};
+
+/**
+ * Adjust a gift card balance by hand
+ * @param {ObjectId} giftCardId - Gift card ID
+ * @param {Object} adjustment - Signed amount and reason
+ * @param {ObjectId} actorId - Staff member making the adjustment
+ * @returns {Promise<GiftCard>} - Updated gift card
+ */
+const adjustGiftCard = async (giftCardId, adjustment, actorId) => {
+  const giftCard = await getGiftCardById(giftCardId);
+  const details = {
+    type: balanceTransactionTypes.ADJUSTMENT,
+    reason: adjustment.reason,
+    createdBy: actorId,
+  };
+  const account = { giftCard: giftCard._id };
+  if ((await balanceService.changeBalance(account, adjustment.amount, details)) === null) {
+    throw new BadRequestError('The card is inactive or expired, or its balance is too low');
+  }
+  return getGiftCardById(giftCardId);
+};
+
+/**
+ * Check the balance of a gift card by its code
+ * @param {string} code - Gift card code
+ * @returns {Promise<Object>} - Balance, expiry and whether the card can be used
+ */
+const checkGiftCard = async (code) => {
+  const giftCard = await GiftCard.findByCode(code);
+  if (!giftCard) {
+    throw new NotFoundError('Gift card not found');
+  }
+
+  return {
+    codeEnding: giftCard.code.slice(-4),
+    balance: giftCard.balance,
+    expiresAt: giftCard.expiresAt,
+    usable: giftCard.isUsable() && giftCard.balance > 0,
+  };
+};
+
+module.exports = {
+  createGiftCard,
+  issuePurchasedGiftCards,
+  getGiftCards,
+  getGiftCardById,
+  getGiftCardWithTransactions,
+  updateGiftCardById,
+  adjustGiftCard,
+  checkGiftCard,
+};
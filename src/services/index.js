@@ -5,3 +5,23 @@ module.exports.userService = require('./user.service');
 module.exports.productService = require('./product.service');
 module.exports.stripeService = require('./stripe.service');
 module.exports.openaiService = require('./openai.service');
+module.exports.pricingService = require('./pricing.service');
+module.exports.invoiceService = require('./invoice.service');
+module.exports.paymentService = require('./payment.service');
+module.exports.refundService = require('./refund.service');
+module.exports.riskService = require('./risk.service');
+module.exports.couponService = require('./coupon.service');
+module.exports.promotionService = require('./promotion.service');
+module.exports.balanceService = require('./balance.service');
+module.exports.giftCardService = require('./giftCard.service');
+module.exports.loyaltyService = require('./loyalty.service');
+module.exports.cartService = require('./cart.service');
+module.exports.cartRecoveryService = require('./cartRecovery.service');
+module.exports.wishlistService = require('./wishlist.service');
+module.exports.orderService = require('./order.service');
+module.exports.orderEditService = require('./orderEdit.service');
+module.exports.paymentWebhookService = require('./paymentWebhook.service');
+module.exports.shipmentService = require('./shipment.service');
+module.exports.orderMessageService = require('./orderMessage.service');
+module.exports.returnService = require('./return.service');
+module.exports.archiveService = require('./archive.service');
@@ -0,0 +1,511 @@
+const PDFDocument = require('pdfkit');
+const { Invoice, User, invoiceTypes, orderStatuses, refundSources } = require('../models');
+const { NotFoundError, ConflictError, helpers } = require('../utils');
+const { config, logger } = require('../config');
+
+// Attempts at allocating the next number before giving up under contention
+const MAX_ALLOCATION_ATTEMPTS = 5;
+
+// Order statuses in which an invoice exists (or is issued on request)
+const invoiceableStatuses = [
+  orderStatuses.CONFIRMED,
+  orderStatuses.PROCESSING,
+  orderStatuses.PARTIALLY_SHIPPED,
+  orderStatuses.SHIPPED,
+  orderStatuses.DELIVERED,
+  orderStatuses.REFUNDED,
+];
+
+// Totals printed on an invoice
+const totalFields = ['subtotal', 'discount', 'shipping', 'tax', 'taxRate', 'total'];
+
+const documentTitles = {
+  [invoiceTypes.INVOICE]: 'INVOICE',
+  [invoiceTypes.CREDIT_NOTE]: 'CREDIT NOTE',
+};
+
+/**
+ * Format a document number, e.g. INV-000042
+ * @param {string} type - Document type
+ * @param {number} sequence - Sequence number
+ * @returns {string}
+ */
+const formatNumber = (type, sequence) => {
+  const prefix =
+    type === invoiceTypes.INVOICE ? config.invoice.prefix : config.invoice.creditNotePrefix;
+  return `${prefix}-${sequence.toString().padStart(6, '0')}`;
+};
+
+/**
+ * Create a document with the next number of its sequence
+ * The next number is derived from the last issued document and claimed by
+ * inserting it; the unique index makes a concurrent insert of the same
+ * number fail, in which case the next number is tried. Numbers are only
+ * consumed by documents that exist, so the sequence has no gaps.
+ * @param {Object} data - Document data
+ * @returns {Promise<Invoice>} - Created document
+ */
+const createWithNextNumber = async (data) => {
+  for (let attempt = 1; attempt <= MAX_ALLOCATION_ATTEMPTS; attempt += 1) {
+    const last = await Invoice.findOne({ type: data.type })
+      .sort({ sequence: -1 })
+      .select('sequence');
+    const sequence = last ? last.sequence + 1 : 1;
+
+    try {
+      return await Invoice.create({ ...data, sequence, number: formatNumber(data.type, sequence) });
+    } catch (error) {
+      const numberTaken =
+        error.code === 11000 && (error.keyPattern.sequence || error.keyPattern.number);
+      if (!numberTaken) {
+        throw error;
+      }
+    }
+  }
+
+  throw new ConflictError('Could not allocate a document number, please retry');
+};
+
+/**
+ * Return the document matching a filter, issuing it if it does not exist yet
+ * @param {Object} filter - Filter identifying the document
+ * @param {Function} build - Builds the document data
+ * @returns {Promise<Invoice>}
+ */
+const findOrIssue = async (filter, build) => {
+  const existing = await Invoice.findOne(filter);
+  if (existing) {
+    return existing;
+  }
+
+  try {
+    return await createWithNextNumber(await build());
+  } catch (error) {
+    // Another request issued the same document first
+    if (error.code === 11000) {
+      const issued = await Invoice.findOne(filter);
+      if (issued) {
+        return issued;
+      }
+    }
+    throw error;
+  }
+};
+
+/**
+ * Get the customer details printed on documents
+ * @param {Order} order - Order object
+ * @returns {Promise<Object>} - Customer name and email
+ */
+const getCustomer = async (order) => {
+  if (!order.user) {
+    return { name: order.shippingAddress.fullName, email: order.guest.email };
+  }
+
+  const user = await User.findById(order.user).select('name email');
+  return user ? { name: user.name, email: user.email } : {};
+};
+
+/**
+ * Get the billing address of an order, falling back to the shipping address
+ * @param {Order} order - Order object
+ * @returns {Object}
+ */
+const getBillingAddress = (order) => {
+  const fields = ['fullName', 'address', 'city', 'state', 'postalCode', 'country'];
+  const hasBillingAddress = order.billingAddress && order.billingAddress.fullName;
+  const address = hasBillingAddress ? order.billingAddress : order.shippingAddress;
+  return helpers.pick(address, fields);
+};
+
+/**
+ * Build the invoice lines of an order's items
+ * @param {Order} order - Order object
+ * @returns {Array} - Invoice lines
+ */
+const buildInvoiceLines = (order) => {
+  return order.items.map((item) => ({
+    description: item.name,
+    sku: item.sku,
+    quantity: item.quantity,
+    unitPrice: item.price,
+    amount: helpers.roundMoney(item.price * item.quantity),
+  }));
+};
+
+/**
+ * Get the current invoice of an order, the latest revision issued
+ * @param {ObjectId} orderId - Order ID
+ * @returns {Promise<Invoice|null>}
+ */
+const getCurrentInvoice = (orderId) => {
+  return Invoice.findOne({ type: invoiceTypes.INVOICE, order: orderId }).sort({ revision: -1 });
+};
+
+/**
+ * Check whether an invoice still matches the items and total of its order
+ * Only order edits change them once an invoice has been issued.
+ * @param {Invoice} invoice - Invoice object
+ * @param {Order} order - Order object
+ * @returns {boolean}
+ */
+const matchesOrder = (invoice, order) => {
+  const lines = buildInvoiceLines(order);
+  const sameLine = (line, index) => {
+    const issued = invoice.lines[index];
+    return (
+      issued.description === line.description &&
+      issued.quantity === line.quantity &&
+      issued.unitPrice === line.unitPrice
+    );
+  };
+
+  return (
+    invoice.totals.total === order.pricing.total &&
+    invoice.lines.length === lines.length &&
+    lines.every(sameLine)
+  );
+};
+
+/**
+ * Issue an invoice revision of an order
+ * @param {Order} order - Order object
+ * @param {number} revision - Revision number
+ * @returns {Promise<Invoice>}
+ */
+const issueRevision = async (order, revision) => {
+  const filter = { type: invoiceTypes.INVOICE, order: order._id, revision };
+
+  return findOrIssue(filter, async () => ({
+    ...filter,
+    orderNumber: order.orderNumber,
+    currency: config.order.currency,
+    customer: await getCustomer(order),
+    billingAddress: getBillingAddress(order),
+    lines: buildInvoiceLines(order),
+    totals: helpers.pick(order.pricing, totalFields),
+  }));
+};
+
+/**
+ * Replace an invoice that no longer matches its edited order
+ * The invoice is cancelled in full by a credit note and the order is
+ * invoiced again under the next revision. Concurrent calls issue both
+ * documents once.
+ * @param {Order} order - Edited order
+ * @param {Invoice} invoice - Current invoice of the order
+ * @returns {Promise<Invoice>} - New invoice
+ */
+const replaceInvoice = async (order, invoice) => {
+  const filter = { type: invoiceTypes.CREDIT_NOTE, cancels: invoice._id };
+  await findOrIssue(filter, async () => ({
+    ...filter,
+    order: order._id,
+    invoice: invoice._id,
+    orderNumber: invoice.orderNumber,
+    currency: invoice.currency,
+    customer: invoice.customer,
+    billingAddress: invoice.billingAddress,
+    lines: invoice.lines.map((line) => line.toObject()),
+    totals: helpers.pick(invoice.totals, totalFields),
+    reason: `Replaces invoice ${invoice.number} after the order was edited`,
+  }));
+
+  return issueRevision(order, invoice.revision + 1);
+};
+
+/**
+ * Reissue the invoice of an order whose items changed since it was issued
+ * Orders without an invoice, or whose invoice is up to date, are left alone.
+ * @param {Order} order - Order object
+ * @returns {Promise<Invoice|null>} - Current invoice
+ */
+const reissueInvoice = async (order) => {
+  const invoice = await getCurrentInvoice(order._id);
+  if (!invoice || matchesOrder(invoice, order)) {
+    return invoice;
+  }
+  return replaceInvoice(order, invoice);
+};
+
+/**
+ * Issue the invoice of an order
+ * Idempotent: an order has one current invoice, reissued only when the order
+ * was edited after it was issued.
+ * @param {Order} order - Order object
+ * @returns {Promise<Invoice>}
+ */
+const issueInvoice = async (order) => {
+  const invoice = await reissueInvoice(order);
+  return invoice || issueRevision(order, 1);
+};
+
+/**
+ * Build the lines and totals of a credit note
+ * Item refunds list the refunded lines with their share of discount and tax;
+ * amount refunds are a single line with the tax share of the order.
+ * @param {Order} order - Order object
+ * @param {Object} refund - Refund ledger entry
+ * @returns {Object} - Lines and totals
+ */
+const buildCreditNoteLines = (order, refund) => {
+  const { pricing } = order;
+
+  if (!refund.items.length) {
+    const taxShare = pricing.total ? pricing.tax / pricing.total : 0;
+    const tax = helpers.roundMoney(refund.amount * taxShare);
+    const net = helpers.roundMoney(refund.amount - tax);
+    return {
+      lines: [{ description: refund.reason || 'Refund', quantity: 1, unitPrice: net, amount: net }],
+      totals: { subtotal: net, tax, taxRate: pricing.taxRate, total: refund.amount },
+    };
+  }
+
+  const lines = refund.items.map((refundItem) => {
+    const item = order.items.id(refundItem.orderItem);
+    return {
+      description: item.name,
+      sku: item.sku,
+      quantity: refundItem.quantity,
+      unitPrice: item.price,
+      amount: helpers.roundMoney(item.price * refundItem.quantity),
+    };
+  });
+
+  const subtotal = helpers.roundMoney(lines.reduce((sum, line) => sum + line.amount, 0));
+  const discount = pricing.subtotal
+    ? helpers.roundMoney((subtotal * pricing.discount) / pricing.subtotal)
+    : 0;
+  // Tax is the remainder so the document always adds up to the refunded amount
+  const tax = helpers.roundMoney(refund.amount - subtotal + discount);
+
+  return {
+    lines,
+    totals: { subtotal, discount, tax, taxRate: pricing.taxRate, total: refund.amount },
+  };
+};
+
+/**
+ * Issue the credit note of a refund
+ * Idempotent: a refund only ever has one credit note.
+ * @param {Order} order - Order object
+ * @param {Object} refund - Refund ledger entry
+ * @returns {Promise<Invoice>}
+ */
+const issueCreditNote = async (order, refund) => {
+  const invoice = await issueInvoice(order);
+  const filter = { type: invoiceTypes.CREDIT_NOTE, refund: refund._id };
+
+  return findOrIssue(filter, async () => ({
+    ...filter,
+    ...buildCreditNoteLines(order, refund),
+    order: order._id,
+    invoice: invoice._id,
+    orderNumber: order.orderNumber,
+    currency: invoice.currency,
+    customer: invoice.customer,
+    billingAddress: invoice.billingAddress,
+    reason: refund.reason,
+  }));
+};
+
+/**
+ * Check whether a refund gets its own credit note
+ * Order edit refunds are covered by the invoice reissued for the edit.
+ * @param {Object} refund - Refund ledger entry
+ * @returns {boolean}
+ */
+const isCreditedRefund = (refund) => refund.source !== refundSources.ORDER_EDIT;
+
+/**
+ * Issue credit notes for every refund of an order that does not have one
+ * Failures are logged rather than thrown because the refunds themselves have
+ * already been made; missing documents are issued when first downloaded.
+ * @param {Order} order - Order with an up-to-date refund ledger
+ */
+const issueCreditNotes = async (order) => {
+  try {
+    for (const refund of order.refunds.filter(isCreditedRefund)) {
+      await issueCreditNote(order, refund);
+    }
+  } catch (error) {
+    logger.error(`Failed to issue credit notes for order ${order.orderNumber}:`, error);
+  }
+};
+
+/**
+ * Get the current invoice of an order, issuing it if the order should have
+ * one and reissuing it if the order was edited since
+ * @param {Order} order - Order object
+ * @returns {Promise<Invoice>}
+ */
+const getOrderInvoice = async (order) => {
+  const invoice = await reissueInvoice(order);
+  if (invoice) {
+    return invoice;
+  }
+
+  if (!invoiceableStatuses.includes(order.status)) {
+    throw new NotFoundError('No invoice has been issued for this order');
+  }
+  return issueRevision(order, 1);
+};
+
+/**
+ * Get the credit note of one of an order's refunds
+ * Refunds of order edits only have one if it was issued before invoices were
+ * reissued on edits.
+ * @param {Order} order - Order object
+ * @param {ObjectId} refundId - Refund ledger entry ID
+ * @returns {Promise<Invoice>}
+ */
+const getCreditNote = async (order, refundId) => {
+  const refund = order.refunds.id(refundId);
+  if (!refund) {
+    throw new NotFoundError('Refund not found');
+  }
+  if (!isCreditedRefund(refund)) {
+    const filter = { type: invoiceTypes.CREDIT_NOTE, refund: refund._id };
+    const creditNote = await Invoice.findOne(filter);
+    if (!creditNote) {
+      throw new NotFoundError('Order edits are credited by reissuing the invoice');
+    }
+    return creditNote;
+  }
+  return issueCreditNote(order, refund);
+};
+
+/**
+ * Render an invoice or credit note as PDF
+ * @param {Invoice} invoice - Invoice or credit note
+ * @returns {Promise<Buffer>} - PDF document
+ */
+const renderPdf = (invoice) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: invoice.number } });
+  const chunks = [];
+  const done = new Promise((resolve, reject) => {
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+  });
+
+  const currency = invoice.currency.toUpperCase();
+  const money = (amount) => `${(amount || 0).toFixed(2)} ${currency}`;
+  const { seller } = config.invoice;
+
+  // Seller
+  doc
+    .fontSize(16)
+    .font('Helvetica-Bold')
+    .text(seller.name || '', 50, 50);
+  doc.fontSize(9).font('Helvetica');
+  seller.address.forEach((line) => doc.text(line));
+  if (seller.taxId) {
+    doc.text(`Tax ID: ${seller.taxId}`);
+  }
+
+  // Document details
+  doc.fontSize(18).font('Helvetica-Bold').text(documentTitles[invoice.type], 350, 50, {
+    width: 195,
+    align: 'right',
+  });
+  doc.fontSize(9).font('Helvetica');
+  const details = [
+    `Number: ${invoice.number}`,
+    `Date: ${invoice.issuedAt.toISOString().split('T')[0]}`,
+    `Order: ${invoice.orderNumber}`,
+  ];
+  details.forEach((line) => doc.text(line, { width: 195, align: 'right' }));
+
+  // Billing address
+  const address = invoice.billingAddress || {};
+  doc.fontSize(10).font('Helvetica-Bold').text('Bill to', 50, 150);
+  doc.font('Helvetica');
+  [
+    address.fullName,
+    address.address,
+    [address.postalCode, address.city, address.state].filter(Boolean).join(' '),
+    address.country,
+    invoice.customer && invoice.customer.email,
+  ]
+    .filter(Boolean)
+    .forEach((line) => doc.text(line));
+
+  if (invoice.reason) {
+    doc.moveDown().text(`Reason: ${invoice.reason}`);
+  }
+
+  // Lines
+  const columns = { description: 50, quantity: 310, unitPrice: 370, amount: 460 };
+  let y = Math.max(doc.y + 30, 260);
+  doc.font('Helvetica-Bold');
+  doc.text('Description', columns.description, y);
+  doc.text('Qty', columns.quantity, y, { width: 50, align: 'right' });
+  doc.text('Unit price', columns.unitPrice, y, { width: 80, align: 'right' });
+  doc.text('Amount', columns.amount, y, { width: 85, align: 'right' });
+  doc
+    .moveTo(50, y + 15)
+    .lineTo(545, y + 15)
+    .stroke();
+  doc.font('Helvetica');
+
+  y += 25;
+  invoice.lines.forEach((line) => {
+    const description = line.sku ? `${line.description} (${line.sku})` : line.description;
+    doc.text(description, columns.description, y, { width: 250 });
+    const rowBottom = doc.y;
+    doc.text(String(line.quantity), columns.quantity, y, { width: 50, align: 'right' });
+    doc.text(money(line.unitPrice), columns.unitPrice, y, { width: 80, align: 'right' });
+    doc.text(money(line.amount), columns.amount, y, { width: 85, align: 'right' });
+    y = Math.max(rowBottom, doc.y) + 8;
+  });
+  doc.moveTo(50, y).lineTo(545, y).stroke();
+
+  // Totals
+  const { totals } = invoice;
+  const totalRows = [['Subtotal', totals.subtotal]];
+  if (totals.discount) {
+    totalRows.push(['Discount', -totals.discount]);
+  }
+  if (totals.shipping) {
+    totalRows.push(['Shipping', totals.shipping]);
+  }
+  totalRows.push([`Tax (${totals.taxRate || 0}%)`, totals.tax]);
+
+  y += 10;
+  totalRows.forEach(([label, amount]) => {
+    doc.text(label, 350, y, { width: 100, align: 'right' });
+    doc.text(money(amount), columns.amount, y, { width: 85, align: 'right' });
+    y += 15;
+  });
+
+  const totalLabel = invoice.type === invoiceTypes.CREDIT_NOTE ? 'Total credited' : 'Total';
+  doc.font('Helvetica-Bold');
+  doc.text(totalLabel, 350, y + 5, { width: 100, align: 'right' });
+  doc.text(money(totals.total), columns.amount, y + 5, { width: 85, align: 'right' });
+
+  doc.end();
+  return done;
+};
+
+/**
+ * Render a document as an email attachment
+ * @param {Invoice} invoice - Invoice or credit note
+ * @returns {Promise<Object>} - Nodemailer attachment
+ */
+const renderAttachment = async (invoice) => ({
+  filename: `${invoice.number}.pdf`,
+  content: await renderPdf(invoice),
+  contentType: 'application/pdf',
+});
+
+module.exports = {
+  issueInvoice,
+  reissueInvoice,
+  issueCreditNote,
+  issueCreditNotes,
+  getOrderInvoice,
+  getCreditNote,
+  renderPdf,
+  renderAttachment,
+};
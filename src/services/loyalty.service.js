@@ -0,0 +1,410 @@
+const {
+  User,
+  Order,
+  Product,
+  Category,
+  PointsTransaction,
+  pointsTransactionTypes,
+  pointsBonusTypes,
+  refundSources,
+} = require('../models');
+const { NotFoundError, BadRequestError, ConflictError, helpers } = require('../utils');
+const { config } = require('../config');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Expired lots handled per batch by the expiry job
+const EXPIRY_BATCH_SIZE = 500;
+
+/**
+ * Credit points to a user as a new lot that expires after the configured
+ * number of days
+ * @param {ObjectId} userId - User ID
+ * @param {number} points - Points to credit
+ * @param {Object} details - Transaction type, order, bonus type, reason and createdBy
+ * @returns {Promise<PointsTransaction|null>} - Transaction, or null if the user does not exist
+ */
+const creditPoints = async (userId, points, details) => {
+  const update = { $inc: { loyaltyPoints: points } };
+  const user = await User.findByIdAndUpdate(userId, update, { new: true }).select('loyaltyPoints');
+  if (!user) {
+    return null;
+  }
+
+  return PointsTransaction.create({
+    ...details,
+    user: userId,
+    points,
+    balanceAfter: user.loyaltyPoints,
+    remaining: points,
+    expiresAt: new Date(Date.now() + config.loyalty.expiryDays * DAY_MS),
+  });
+};
+
+/**
+ * Take points off a user's balance
+ * @param {ObjectId} userId - User ID
+ * @param {number} points - Points to take
+ * @param {boolean} partial - Take what the balance has when it is short,
+ * instead of refusing
+ * @returns {Promise<Object|null>} - Points taken and the balance after, or
+ * null when the balance does not cover them
+ */
+const debitBalance = async (userId, points, partial) => {
+  if (!partial) {
+    const filter = { _id: userId, loyaltyPoints: { $gte: points } };
+    const update = { $inc: { loyaltyPoints: -points } };
+    const user = await User.findOneAndUpdate(filter, update, { new: true }).select('loyaltyPoints');
+    return user ? { taken: points, balanceAfter: user.loyaltyPoints } : null;
+  }
+
+  const current = { $ifNull: ['$loyaltyPoints', 0] };
+  const update = [{ $set: { loyaltyPoints: { $max: [{ $subtract: [current, points] }, 0] } } }];
+  const before = await User.findByIdAndUpdate(userId, update).select('loyaltyPoints');
+  if (!before) {
+    return null;
+  }
+  const taken = Math.min(before.loyaltyPoints || 0, points);
+  return { taken, balanceAfter: (before.loyaltyPoints || 0) - taken };
+};
+
+/**
+ * Spend points from the lots that expire first
+ * @param {ObjectId} userId - User ID
+ * @param {number} points - Points spent
+ */
+const consumeLots = async (userId, points) => {
+  const lots = await PointsTransaction.find({ user: userId, remaining: { $gt: 0 } }).sort({
+    expiresAt: 1,
+    createdAt: 1,
+  });
+
+  let left = points;
+  for (const lot of lots) {
+    if (left <= 0) {
+      break;
+    }
+    const taken = Math.min(left, lot.remaining);
+    const filter = { _id: lot._id, remaining: { $gte: taken } };
+    const result = await PointsTransaction.updateOne(filter, { $inc: { remaining: -taken } });
+    if (result.modifiedCount > 0) {
+      left -= taken;
+    }
+  }
+};
+
+/**
+ * Debit points from a user and record the transaction
+ * @param {ObjectId} userId - User ID
+ * @param {number} points - Points to debit
+ * @param {Object} details - Transaction type, order, reason and createdBy
+ * @param {boolean} [partial] - Take what the balance has when it is short
+ * @returns {Promise<number|null>} - Points debited, or null when refused
+ */
+const debitPoints = async (userId, points, details, partial = false) => {
+  const debit = await debitBalance(userId, points, partial);
+  if (!debit) {
+    return null;
+  }
+  if (debit.taken > 0) {
+    await consumeLots(userId, debit.taken);
+    await PointsTransaction.create({
+      ...details,
+      user: userId,
+      points: -debit.taken,
+      balanceAfter: debit.balanceAfter,
+    });
+  }
+  return debit.taken;
+};
+
+/**
+ * Check that a customer can redeem points on a new order
+ * @param {ObjectId} [userId] - Customer placing the order; guests cannot redeem
+ * @param {number} points - Points the customer asks to redeem
+ */
+const checkRedeemablePoints = async (userId, points) => {
+  if (!userId) {
+    throw new BadRequestError('Sign in to redeem loyalty points');
+  }
+
+  const user = await User.findById(userId).select('loyaltyPoints');
+  const balance = (user && user.loyaltyPoints) || 0;
+  if (balance < points) {
+    throw new BadRequestError(`You have ${balance} points to redeem`);
+  }
+};
+
+/**
+ * Work out the discount points buy on a new order
+ * Gift cards are sold at face value, so points only pay for the other lines,
+ * and no more points are used than it takes to bring those to zero.
+ * @param {number} points - Points the customer asks to redeem
+ * @param {Array} lines - Priced order lines
+ * @param {number} discount - Coupon and promotion discount on the lines
+ * @returns {Promise<Object>} - Points used and the discount they buy
+ */
+const getPointsDiscount = async (points, lines, discount) => {
+  const productIds = lines.map((line) => line.product);
+  const giftCards = await Product.find({ _id: { $in: productIds }, isGiftCard: true });
+  const giftCardIds = new Set(giftCards.map((product) => product.id));
+  const eligible = lines
+    .filter((line) => !giftCardIds.has(line.product.toString()))
+    .reduce((sum, line) => sum + line.price * line.quantity, 0);
+
+  const { pointValue } = config.loyalty;
+  const payable = Math.max(eligible - discount, 0);
+  const used = Math.min(points, Math.floor(payable / pointValue + 1e-9));
+  return { points: used, discount: helpers.roundMoney(used * pointValue) };
+};
+
+/**
+ * Spend the points redeemed on a new order
+ * @param {Order} order - Order with loyalty.redeemedPoints set
+ */
+const redeemPoints = async (order) => {
+  const details = { type: pointsTransactionTypes.REDEMPTION, order: order._id };
+  const points = order.loyalty.redeemedPoints;
+  if ((await debitPoints(order.user, points, details)) === null) {
+    throw new ConflictError('Your points balance changed while placing the order, please retry');
+  }
+};
+
+/**
+ * Give back the points redeemed on an order that was cancelled or could not
+ * be placed. They come back as a new lot. Safe to call more than once.
+ * @param {Order} order - Order object
+ * @param {string} reason - Why the points are given back
+ */
+const releaseRedeemedPoints = async (order, reason) => {
+  if (!order.user || !order.loyalty || !order.loyalty.redeemedPoints) {
+    return;
+  }
+
+  const filter = { _id: order._id, 'loyalty.redemptionReleased': { $ne: true } };
+  const update = { $set: { 'loyalty.redemptionReleased': true } };
+  const result = await Order.updateOne(filter, update);
+  if (result.modifiedCount === 0) {
+    return;
+  }
+
+  await creditPoints(order.user, order.loyalty.redeemedPoints, {
+    type: pointsTransactionTypes.RELEASE,
+    order: order._id,
+    reason,
+  });
+};
+
+/**
+ * Get the points multiplier of each product on an order
+ * Gift cards earn no points.
+ * @param {Array} items - Order items
+ * @returns {Promise<Map<string, number>>} - Multiplier per product ID
+ */
+const getMultipliers = async (items) => {
+  const productIds = items.map((item) => item.product);
+  const products = await Product.find({ _id: { $in: productIds } });
+  const categoryIds = products.flatMap((product) => [product.category, product.subcategory]);
+  const categories = await Category.find({ _id: { $in: categoryIds.filter(Boolean) } });
+  const byCategory = new Map(categories.map((category) => [category.id, category]));
+
+  const multiplierOf = (categoryId) => {
+    const category = categoryId && byCategory.get(categoryId.toString());
+    return category ? category.pointsMultiplier : undefined;
+  };
+  const productMultiplier = (product) => {
+    if (product.isGiftCard) {
+      return 0;
+    }
+    return multiplierOf(product.subcategory) ?? multiplierOf(product.category) ?? 1;
+  };
+
+  return new Map(products.map((product) => [product.id, productMultiplier(product)]));
+};
+
+/**
+ * Take back the points earned on the refunded part of an order
+ * The points taken back follow the share of the order total refunded so
+ * far. Points the customer has already spent cannot be taken back.
+ * @param {Order} order - Order object, with its refunds
+ * @returns {Promise<number>} - Points taken back by this call
+ */
+const reverseRefundedPoints = async (order) => {
+  const { earnedPoints = 0, reversedPoints = 0 } = order.loyalty || {};
+  if (!order.user || earnedPoints <= 0 || !order.pricing.total) {
+    return 0;
+  }
+
+  const refunded = order.refunds
+    .filter((refund) => refund.source !== refundSources.ORDER_EDIT)
+    .reduce((sum, refund) => sum + refund.amount, 0);
+  const share = Math.min(refunded / order.pricing.total, 1);
+  const target = Math.floor(earnedPoints * share + 1e-9);
+  if (target <= reversedPoints) {
+    return 0;
+  }
+
+  const filter = { _id: order._id, 'loyalty.reversedPoints': reversedPoints };
+  const update = { $set: { 'loyalty.reversedPoints': target } };
+  if ((await Order.updateOne(filter, update)).modifiedCount === 0) {
+    return 0;
+  }
+
+  const details = { type: pointsTransactionTypes.REVERSAL, order: order._id };
+  return debitPoints(order.user, target - reversedPoints, details, true);
+};
+
+/**
+ * Award the points earned on a delivered order
+ * Points are earned on what was paid for the products, after discounts and
+ * before shipping and tax, times the multiplier of their category. Refunds
+ * issued before delivery are taken back straight away.
+ * @param {Order} order - Delivered order
+ * @returns {Promise<number>} - Points earned
+ */
+const awardOrderPoints = async (order) => {
+  if (!order.user || !order.pricing.subtotal) {
+    return 0;
+  }
+
+  const multipliers = await getMultipliers(order.items);
+  const paidRatio = (order.pricing.subtotal - order.pricing.discount) / order.pricing.subtotal;
+  const weighted = order.items.reduce((sum, item) => {
+    const multiplier = multipliers.get(item.product.toString()) || 0;
+    return sum + item.price * item.quantity * multiplier;
+  }, 0);
+  const points = Math.floor(weighted * paidRatio * config.loyalty.pointsPerUnit + 1e-9);
+  if (points <= 0) {
+    return 0;
+  }
+
+  // Only the first call for an order awards its points
+  const filter = { _id: order._id, 'loyalty.earnedPoints': { $in: [0, null] } };
+  const update = { $set: { 'loyalty.earnedPoints': points } };
+  const earned = await Order.findOneAndUpdate(filter, update, { new: true });
+  if (!earned) {
+    return 0;
+  }
+
+  await creditPoints(order.user, points, { type: pointsTransactionTypes.EARN, order: order._id });
+  await reverseRefundedPoints(earned);
+  return points;
+};
+
+/**
+ * Grant bonus points to a user
+ * Reviews and referrals default to their configured bonus.
+ * @param {ObjectId} userId - User ID
+ * @param {Object} bonus - Bonus type, points and reason
+ * @param {ObjectId} actorId - Staff member granting the bonus
+ * @returns {Promise<PointsTransaction>} - Bonus transaction
+ */
+const awardBonusPoints = async (userId, bonus, actorId) => {
+  const points = bonus.points || config.loyalty.bonuses[bonus.type];
+  if (!points) {
+    throw new BadRequestError('Give the number of points to grant');
+  }
+
+  const transaction = await creditPoints(userId, points, {
+    type: pointsTransactionTypes.BONUS,
+    bonusType: bonus.type || pointsBonusTypes.OTHER,
+    reason: bonus.reason,
+    createdBy: actorId,
+  });
+  if (!transaction) {
+    throw new NotFoundError('User not found');
+  }
+  return transaction;
+};
+
+/**
+ * Get a user's points balance and history
+ * @param {ObjectId} userId - User ID
+ * @param {Object} options - Query options for the history
+ * @returns {Promise<Object>} - Balance, its value, the next expiry and paginated transactions
+ */
+const getPoints = async (userId, options) => {
+  const user = await User.findById(userId).select('loyaltyPoints');
+  if (!user) {
+    throw new NotFoundError('User not found');
+  }
+
+  const { page = 1, limit = 20 } = options;
+  const filter = { user: userId };
+  const [transactions, total, nextLot] = await Promise.all([
+    PointsTransaction.find(filter)
+      .sort({ createdAt: -1, _id: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate('order', 'orderNumber'),
+    PointsTransaction.countDocuments(filter),
+    PointsTransaction.findOne({ user: userId, remaining: { $gt: 0 } }).sort({ expiresAt: 1 }),
+  ]);
+
+  const balance = user.loyaltyPoints || 0;
+  return {
+    balance,
+    value: helpers.roundMoney(balance * config.loyalty.pointValue),
+    nextExpiry: nextLot ? { points: nextLot.remaining, expiresAt: nextLot.expiresAt } : null,
+    transactions: {
+      results: transactions,
+      page,
+      limit,
+      totalPages: Math.ceil(total / limit),
+      totalResults: total,
+    },
+  };
+};
+
+/**
+ * Expire the points left on lots past their expiry date
+ * Each lot is claimed before the balance is debited, so concurrent runs never
+ * expire the same points twice.
+ * @returns {Promise<number>} - Points expired
+ */
+const expirePoints = async () => {
+  let expired = 0;
+
+  for (;;) {
+    const lots = await PointsTransaction.find({
+      remaining: { $gt: 0 },
+      expiresAt: { $lte: new Date() },
+    }).limit(EXPIRY_BATCH_SIZE);
+    if (lots.length === 0) {
+      return expired;
+    }
+
+    for (const lot of lots) {
+      const filter = { _id: lot._id, remaining: { $gt: 0 } };
+      const claimed = await PointsTransaction.findOneAndUpdate(filter, { $set: { remaining: 0 } });
+      if (!claimed) {
+        continue;
+      }
+
+      const debit = await debitBalance(claimed.user, claimed.remaining, true);
+      if (debit && debit.taken > 0) {
+        const earnedOn = claimed.createdAt.toISOString().split('T')[0];
+        await PointsTransaction.create({
+          user: claimed.user,
+          type: pointsTransactionTypes.EXPIRY,
+          points: -debit.taken,
+          balanceAfter: debit.balanceAfter,
+          reason: `Points from ${earnedOn} expired`,
+        });
+        expired += debit.taken;
+      }
+    }
+  }
+};
+
+module.exports = {
+  checkRedeemablePoints,
+  getPointsDiscount,
+  redeemPoints,
+  releaseRedeemedPoints,
+  awardOrderPoints,
+  reverseRefundedPoints,
+  awardBonusPoints,
+  getPoints,
+  expirePoints,
+};
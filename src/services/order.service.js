@@ -0,0 +1,1175 @@
+const crypto = require('crypto');
+const { once } = require('events');
+const mongoose = require('mongoose');
+const {
+  Order,
+  OrderArchive,
+  User,
+  orderStatuses,
+  paymentStatuses,
+  refundSources,
+  riskDecisions,
+} = require('../models');
+const pricingService = require('./pricing.service');
+const productService = require('./product.service');
+const couponService = require('./coupon.service');
+const promotionService = require('./promotion.service');
+const balanceService = require('./balance.service');
+const giftCardService = require('./giftCard.service');
+const loyaltyService = require('./loyalty.service');
+const refundService = require('./refund.service');
+const riskService = require('./risk.service');
+const invoiceService = require('./invoice.service');
+const paymentService = require('./payment.service');
+const emailService = require('./email.service');
+const { NotFoundError, BadRequestError, ConflictError, helpers } = require('../utils');
+const { config, logger } = require('../config');
+const { roleRights } = require('../config/roles');
+
+// Attempts at creating an order before giving up on order number collisions
+const MAX_ORDER_NUMBER_ATTEMPTS = 3;
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// Payments collected outside payment providers and recorded by staff
+const offlinePaymentMethods = ['cod', 'bank_transfer'];
+
+// Statuses in which customers may still cancel their own order
+const customerCancellableStatuses = [
+  orderStatuses.PENDING,
+  orderStatuses.REVIEW,
+  orderStatuses.CONFIRMED,
+];
+
+// Fields hidden from customers viewing their own orders
+const customerHiddenFields =
+  '-notes.internal -metadata -hasUnreadMessages -risk -payment.receivedBy';
+const customerHiddenProjection = {
+  'notes.internal': 0,
+  metadata: 0,
+  hasUnreadMessages: 0,
+  risk: 0,
+  'payment.receivedBy': 0,
+  'guest.lookupTokenHash': 0,
+  archivedAt: 0,
+};
+
+/**
+ * Persist a new order, retrying with a fresh number if it is already taken
+ * Numbers come from a shared counter and do not normally collide; this covers
+ * counters that were reset or a changed number format.
+ * @param {Object} orderData - Order data without order number
+ * @returns {Promise<Order>} - Created order
+ */
+const createWithOrderNumber = async (orderData) => {
+  for (let attempt = 1; ; attempt += 1) {
+    try {
+      return await Order.create(orderData);
+    } catch (error) {
+      const numberTaken = error.code === 11000 && error.keyPattern && error.keyPattern.orderNumber;
+      if (!numberTaken || attempt >= MAX_ORDER_NUMBER_ATTEMPTS) {
+        throw error;
+      }
+      logger.warn(`Order number ${error.keyValue.orderNumber} already taken, retrying`);
+    }
+  }
+};
+
+/**
+ * Hash a guest order lookup token for storage and lookup
+ * @param {string} token - Lookup token
+ * @returns {string} - SHA-256 hex digest
+ */
+const hashLookupToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+/**
+ * Score a new or changed order for fraud risk and hold it for review if needed
+ * Only pending orders are held; orders already approved by staff are not held
+ * again. A failed assessment is logged rather than thrown so screening never
+ * blocks checkout.
+ * @param {Order} order - Order object
+ * @returns {Promise<Order>} - Order, updated if it was held
+ */
+const screenOrder = async (order) => {
+  let assessment;
+  try {
+    assessment = await riskService.assessOrder(order);
+  } catch (error) {
+    logger.error(`Risk assessment failed for order ${order.orderNumber}:`, error);
+    return order;
+  }
+
+  const set = {
+    'risk.score': assessment.score,
+    'risk.rules': assessment.rules,
+    'risk.assessedAt': new Date(),
+  };
+
+  const approved = order.risk?.review?.decision === riskDecisions.APPROVED;
+  const hold =
+    riskService.requiresReview(assessment.score) &&
+    order.status === orderStatuses.PENDING &&
+    !approved;
+  if (!hold) {
+    await Order.updateOne({ _id: order._id }, { $set: set });
+    return order;
+  }
+
+  const codes = assessment.rules.map((rule) => rule.code).join(', ');
+  const note = `Held for review: risk score ${assessment.score} (${codes})`;
+  return transitionStatus(order, orderStatuses.REVIEW, { note, set });
+};
+
+/**
+ * Re-read a newly placed order as its customer sees it
+ * @param {Order} order - Order object
+ * @returns {Promise<Order>} - Order without staff-only fields
+ */
+const getPlacedOrder = async (order) => {
+  return Order.findById(order._id).select(customerHiddenFields);
+};
+
+/**
+ * Confirm a new cash-on-delivery order, which is paid when it is delivered
+ * Orders held for fraud review are confirmed when they are approved.
+ * @param {Order} order - Order object
+ * @returns {Promise<Order>} - Order
+ */
+const confirmCashOnDelivery = async (order) => {
+  if (order.status !== orderStatuses.PENDING) {
+    return order;
+  }
+  return transitionStatus(order, orderStatuses.CONFIRMED, { note: 'Cash on delivery' });
+};
+
+/**
+ * Give a new bank-transfer order its payment reference and deadline
+ * The confirmation email carries the payment instructions; the order stays
+ * pending until staff mark the transfer as received, and is cancelled if it
+ * does not arrive in time.
+ * @param {Order} order - Order object
+ * @returns {Promise<Order>} - Updated order
+ */
+const requestBankTransfer = async (order) => {
+  const set = {
+    'payment.reference': helpers.creditorReference(order.orderNumber),
+    'payment.dueAt': new Date(Date.now() + config.bankTransfer.paymentDays * DAY_MS),
+  };
+  const updated = await Order.findByIdAndUpdate(order._id, { $set: set }, { new: true });
+
+  const sendInstructions = (to) => emailService.sendOrderConfirmationEmail(to, updated);
+  await notifyCustomer(updated, sendInstructions);
+
+  return updated;
+};
+
+/**
+ * Place an order for a customer account or a guest
+ * Every line is repriced from the product catalogue and stock is reserved
+ * atomically before the order is persisted. Running promotions are applied
+ * and a coupon is checked against the repriced lines and its use counted;
+ * stock and coupon are given back if the order cannot be placed. Loyalty
+ * points, gift cards and store credit are taken once the order exists; the
+ * payment method is only charged what they leave due.
+ * @param {Object} owner - Either the user ID or the guest details of the order
+ * @param {Object} orderBody - Order data
+ * @param {Object} metadata - Request metadata (ip, userAgent)
+ * @param {Object} payer - Stripe customer and user IDs for the payment
+ * @returns {Promise<Object>} - Created order and the payment for the client to complete
+ */
+const placeOrder = async (owner, orderBody, metadata, payer) => {
+  const items = await pricingService.priceItems(orderBody.items);
+  const customer = owner.user ? { user: owner.user } : { 'guest.email': owner.guest.email };
+  if (orderBody.redeemPoints) {
+    await loyaltyService.checkRedeemablePoints(owner.user, orderBody.redeemPoints);
+  }
+  const withCoupon = Boolean(orderBody.couponCode);
+  const promotions = await promotionService.applyPromotions(items, { withCoupon });
+  const redemption = withCoupon
+    ? await couponService.redeemCoupon(orderBody.couponCode, items, customer)
+    : null;
+  let pricing = pricingService.calculateTotals(items, { ...redemption, promotions });
+  const points = orderBody.redeemPoints
+    ? await loyaltyService.getPointsDiscount(orderBody.redeemPoints, items, pricing.discount)
+    : { points: 0, discount: 0 };
+  if (points.points > 0) {
+    const pointsDiscount = points.discount;
+    pricing = pricingService.calculateTotals(items, { ...redemption, promotions, pointsDiscount });
+  }
+  const billingAddress =
+    orderBody.billingAddress ||
+    helpers.pick(orderBody.shippingAddress, [
+      'fullName',
+      'address',
+      'city',
+      'state',
+      'postalCode',
+      'country',
+    ]);
+
+  // Gives back what was held for an order that could not be placed
+  const releaseHolds = async (stockReserved) => {
+    if (stockReserved) {
+      await productService.releaseStock(items);
+    }
+    if (redemption) {
+      await couponService.releaseCoupon(redemption.coupon, customer);
+    }
+  };
+
+  try {
+    await productService.reserveStock(items);
+  } catch (error) {
+    await releaseHolds(false);
+    throw error;
+  }
+
+  let order;
+  try {
+    order = await createWithOrderNumber({
+      ...owner,
+      items,
+      shippingAddress: orderBody.shippingAddress,
+      billingAddress,
+      payment: { method: orderBody.paymentMethod },
+      pricing,
+      ...(redemption && { coupon: redemption.coupon }),
+      loyalty: { redeemedPoints: points.points },
+      notes: { customer: orderBody.notes },
+      metadata,
+    });
+  } catch (error) {
+    await releaseHolds(true);
+    throw error;
+  }
+
+  const usesBalance = Boolean(orderBody.giftCardCodes?.length || orderBody.useStoreCredit);
+  let pointsRedeemed = false;
+  try {
+    if (points.points > 0) {
+      await loyaltyService.redeemPoints(order);
+      pointsRedeemed = true;
+    }
+    if (usesBalance) {
+      order = await balanceService.applyTenders(order, orderBody);
+    }
+  } catch (error) {
+    if (pointsRedeemed) {
+      await loyaltyService.releaseRedeemedPoints(order, 'Order could not be placed');
+    }
+    await releaseHolds(true);
+    await order.deleteOne();
+    throw error;
+  }
+
+  const screened = await screenOrder(order);
+
+  if ((usesBalance || points.points > 0) && order.amountDue === 0) {
+    // Paid in full with points, gift cards and store credit
+    await recordPaymentSuccess(order._id);
+    return { order: await getPlacedOrder(order) };
+  }
+
+  if (order.payment.method === 'cod') {
+    await confirmCashOnDelivery(screened);
+    return { order: await getPlacedOrder(order) };
+  }
+  if (order.payment.method === 'bank_transfer') {
+    await requestBankTransfer(screened);
+    return { order: await getPlacedOrder(order) };
+  }
+  if (!paymentService.isOnlineMethod(order.payment.method)) {
+    return { order: await getPlacedOrder(order) };
+  }
+
+  let provider;
+  let payment;
+  try {
+    provider = paymentService.getProviderForMethod(order.payment.method);
+    payment = await provider.createPayment({
+      amount: order.amountDue,
+      currency: config.order.currency,
+      customerId: payer.customerId,
+      orderId: order.id,
+      userId: payer.userId,
+    });
+  } catch (error) {
+    logger.error(`Payment setup failed for order ${order.orderNumber}, releasing stock`);
+    await releaseHolds(true);
+    await balanceService.releaseTenders(order, 'Order could not be placed');
+    await loyaltyService.releaseRedeemedPoints(order, 'Order could not be placed');
+    await order.deleteOne();
+    throw error;
+  }
+
+  const update = { 'payment.provider': provider.name, 'payment.providerPaymentId': payment.id };
+  await Order.updateOne({ _id: order._id }, update);
+
+  const clientPayment = paymentService.toClientPayment(provider, payment);
+  return { order: await getPlacedOrder(order), payment: clientPayment };
+};
+
+/**
+ * Create an order for a registered customer
+ * @param {User} user - Customer placing the order
+ * @param {Object} orderBody - Order data
+ * @param {Object} metadata - Request metadata (ip, userAgent)
+ * @returns {Promise<Object>} - Created order and payment
+ */
+const createOrder = async (user, orderBody, metadata = {}) => {
+  const payer = { customerId: user.stripeCustomerId || undefined, userId: user.id };
+  return placeOrder({ user: user.id }, orderBody, metadata, payer);
+};
+
+/**
+ * Create an order without a customer account
+ * The buyer gets a random lookup token by email; only its hash is stored.
+ * @param {Object} orderBody - Order data including the buyer's email
+ * @param {Object} metadata - Request metadata (ip, userAgent)
+ * @returns {Promise<Object>} - Created order, payment and lookup token
+ */
+const createGuestOrder = async (orderBody, metadata = {}) => {
+  const lookupToken = crypto.randomBytes(32).toString('hex');
+  const guest = { email: orderBody.email, lookupTokenHash: hashLookupToken(lookupToken) };
+  const { order, payment } = await placeOrder({ guest }, orderBody, metadata, {});
+
+  try {
+    await emailService.sendGuestOrderEmail(order.guest.email, order, lookupToken);
+  } catch (error) {
+    logger.error(`Failed to send lookup link for guest order ${order.orderNumber}:`, error);
+  }
+
+  return { order, payment, lookupToken };
+};
+
+/**
+ * Find an order in the live collection, falling back to the archive
+ * Archived orders are read-only; anything that changes an order must go
+ * through getOrderById, which only sees live orders.
+ * @param {Object} filter - MongoDB filter
+ * @param {string} [select] - Fields to select
+ * @returns {Promise<Order|null>} - Order object
+ */
+const findLiveOrArchivedOrder = async (filter, select) => {
+  const order = await Order.findOne(filter).select(select);
+  if (order) {
+    return order;
+  }
+
+  const archived = await OrderArchive.findOne(filter).select(select).lean();
+  return archived ? Order.hydrate(archived) : null;
+};
+
+/**
+ * Get order by ID
+ * @param {ObjectId} id - Order ID
+ * @returns {Promise<Order>} - Order object
+ */
+const getOrderById = async (id) => {
+  const order = await Order.findById(id);
+  if (!order) {
+    throw new NotFoundError('Order not found');
+  }
+  return order;
+};
+
+/**
+ * Look up an order by ID, including archived orders
+ * @param {ObjectId} id - Order ID
+ * @returns {Promise<Order>} - Order object
+ */
+const lookupOrderById = async (id) => {
+  const order = await findLiveOrArchivedOrder({ _id: id });
+  if (!order) {
+    throw new NotFoundError('Order not found');
+  }
+  return order;
+};
+
+/**
+ * Look up an order by order number, including archived orders
+ * @param {string} orderNumber - Order number
+ * @returns {Promise<Order>} - Order object
+ */
+const lookupOrderByNumber = async (orderNumber) => {
+  const order = await findLiveOrArchivedOrder({ orderNumber });
+  if (!order) {
+    throw new NotFoundError('Order not found');
+  }
+  return order;
+};
+
+/**
+ * Get an order the user may view, including archived orders
+ * Staff may view any order; customers only their own, and other customers'
+ * orders are reported as not found.
+ * @param {ObjectId} orderId - Order ID
+ * @param {User} user - Requesting user
+ * @returns {Promise<Order>} - Order object
+ */
+const getViewableOrder = async (orderId, user) => {
+  const order = await lookupOrderById(orderId);
+  const isStaff = roleRights.get(user.role).includes('getOrders');
+  if (!isStaff && !(order.user && order.user.equals(user._id))) {
+    throw new NotFoundError('Order not found');
+  }
+  return order;
+};
+
+/**
+ * Build a MongoDB filter from admin console query parameters
+ * @param {Object} query - Query parameters
+ * @returns {Promise<Object>} - MongoDB filter
+ */
+const buildOrderFilter = async (query) => {
+  const filter = {};
+
+  if (query.status) {
+    filter.status = query.status;
+  }
+  if (query.paymentStatus) {
+    filter['payment.status'] = query.paymentStatus;
+  }
+  if (query.orderNumber) {
+    filter.orderNumber = { $regex: `^${helpers.escapeRegex(query.orderNumber)}`, $options: 'i' };
+  }
+
+  // Date range (inclusive)
+  if (query.from || query.to) {
+    filter.createdAt = {};
+    if (query.from) {
+      filter.createdAt.$gte = new Date(query.from);
+    }
+    if (query.to) {
+      filter.createdAt.$lte = new Date(query.to);
+    }
+  }
+
+  // Total range
+  if (query.minTotal !== undefined || query.maxTotal !== undefined) {
+    filter['pricing.total'] = {};
+    if (query.minTotal !== undefined) {
+      filter['pricing.total'].$gte = query.minTotal;
+    }
+    if (query.maxTotal !== undefined) {
+      filter['pricing.total'].$lte = query.maxTotal;
+    }
+  }
+
+  if (query.minRiskScore !== undefined) {
+    filter['risk.score'] = { $gte: query.minRiskScore };
+  }
+
+  if (query.hasUnreadMessages !== undefined) {
+    filter.hasUnreadMessages = query.hasUnreadMessages;
+  }
+
+  // Customer email (partial, case-insensitive)
+  if (query.email) {
+    const emailPattern = { $regex: helpers.escapeRegex(query.email), $options: 'i' };
+    const users = await User.find({ email: emailPattern }).select('_id');
+    const userIds = users.map((user) => user._id);
+    filter.$or = [{ user: { $in: userIds } }, { 'guest.email': emailPattern }];
+  }
+
+  return filter;
+};
+
+/**
+ * Get orders for the admin console
+ * @param {Object} filter - MongoDB filter
+ * @param {Object} options - Query options
+ * @returns {Promise<Object>} - Paginated orders
+ */
+const getOrders = async (filter, options) => {
+  const result = await Order.paginate(filter, options);
+  await Order.populate(result.results, { path: 'user', select: 'name email' });
+  return result;
+};
+
+// Columns of the CSV order export
+const csvColumns = [
+  ['Order Number', (order) => order.orderNumber],
+  ['Created At', (order) => order.createdAt],
+  ['Status', (order) => order.status],
+  ['Payment Method', (order) => order.payment.method],
+  ['Payment Status', (order) => order.payment.status],
+  ['Paid At', (order) => order.payment.paidAt],
+  ['Customer Name', (order) => (order.user ? order.user.name : order.shippingAddress.fullName)],
+  ['Customer Email', (order) => (order.user ? order.user.email : order.guest && order.guest.email)],
+  ['Items', (order) => order.items.reduce((count, item) => count + item.quantity, 0)],
+  ['Subtotal', (order) => order.pricing.subtotal],
+  ['Discount', (order) => order.pricing.discount],
+  ['Shipping', (order) => order.pricing.shipping],
+  ['Tax', (order) => order.pricing.tax],
+  ['Total', (order) => order.pricing.total],
+  ['Shipping Country', (order) => order.shippingAddress.country],
+];
+
+/**
+ * Stream orders matching a filter as CSV
+ * Orders are read through a cursor and written with backpressure, so the
+ * export never holds the full result set in memory.
+ * @param {Object} filter - MongoDB filter
+ * @param {stream.Writable} output - Destination stream (e.g. the response)
+ */
+const streamOrdersCsv = async (filter, output) => {
+  const cursor = Order.find(filter)
+    .sort({ createdAt: 1 })
+    .populate('user', 'name email')
+    .lean()
+    .cursor();
+
+  output.write(helpers.toCsvRow(csvColumns.map(([header]) => header)));
+
+  for await (const order of cursor) {
+    const row = helpers.toCsvRow(csvColumns.map(([, value]) => value(order)));
+    if (!output.write(row)) {
+      await once(output, 'drain');
+    }
+  }
+};
+
+/**
+ * Get the order history of a customer, including archived orders
+ * @param {ObjectId} userId - Customer ID
+ * @param {Object} filter - Additional MongoDB filter
+ * @param {Object} options - Query options
+ * @returns {Promise<Object>} - Paginated orders
+ */
+const getUserOrders = async (userId, filter = {}, options = {}) => {
+  const { sortBy = 'createdAt', order = 'desc', page = 1, limit = 10 } = options;
+  const match = { ...filter, user: new mongoose.Types.ObjectId(userId) };
+
+  // Aggregation bypasses schema casting, so the user ID is cast above and the
+  // merged history is hydrated back into order documents below
+  const [result] = await Order.aggregate([
+    { $match: match },
+    { $unionWith: { coll: OrderArchive.collection.name, pipeline: [{ $match: match }] } },
+    { $project: customerHiddenProjection },
+    { $sort: { [sortBy]: order === 'desc' ? -1 : 1, _id: -1 } },
+    {
+      $facet: {
+        results: [{ $skip: (page - 1) * limit }, { $limit: limit }],
+        total: [{ $count: 'count' }],
+      },
+    },
+  ]);
+
+  const total = result.total.length ? result.total[0].count : 0;
+  return {
+    results: result.results.map((doc) => Order.hydrate(doc)),
+    page,
+    limit,
+    totalPages: Math.ceil(total / limit),
+    totalResults: total,
+  };
+};
+
+/**
+ * Get a customer's live order by order number
+ * Orders of other customers are reported as not found.
+ * @param {ObjectId} userId - Customer ID
+ * @param {string} orderNumber - Order number
+ * @returns {Promise<Order>} - Order object
+ */
+const getUserOrderByNumber = async (userId, orderNumber) => {
+  const order = await Order.findOne({ orderNumber, user: userId }).select(customerHiddenFields);
+  if (!order) {
+    throw new NotFoundError('Order not found');
+  }
+  return order;
+};
+
+/**
+ * Look up a customer's order by order number, including archived orders
+ * Orders of other customers are reported as not found.
+ * @param {ObjectId} userId - Customer ID
+ * @param {string} orderNumber - Order number
+ * @returns {Promise<Order>} - Order object
+ */
+const lookupUserOrderByNumber = async (userId, orderNumber) => {
+  const order = await findLiveOrArchivedOrder({ orderNumber, user: userId }, customerHiddenFields);
+  if (!order) {
+    throw new NotFoundError('Order not found');
+  }
+  return order;
+};
+
+/**
+ * Get a guest order by the lookup token emailed to the buyer, including
+ * archived orders
+ * @param {string} lookupToken - Lookup token
+ * @returns {Promise<Order>} - Order object
+ */
+const getGuestOrder = async (lookupToken) => {
+  const filter = { 'guest.lookupTokenHash': hashLookupToken(lookupToken) };
+  const order = await findLiveOrArchivedOrder(filter, customerHiddenFields);
+  if (!order) {
+    throw new NotFoundError('Order not found');
+  }
+  return order;
+};
+
+/**
+ * Attach the guest orders placed with a verified email address to its account
+ * Archived orders are claimed too so they show up in the order history.
+ * @param {User} user - Customer whose email was just verified
+ * @returns {Promise<number>} - Number of orders claimed
+ */
+const claimGuestOrders = async (user) => {
+  const filter = { 'guest.email': user.email, user: null };
+  const update = { $set: { user: user._id, 'guest.claimedAt': new Date() } };
+  const [live, archived] = await Promise.all([
+    Order.updateMany(filter, update),
+    OrderArchive.updateMany(filter, update),
+  ]);
+
+  const claimed = live.modifiedCount + archived.modifiedCount;
+  if (claimed > 0) {
+    logger.info(`Claimed ${claimed} guest orders for user ${user.id}`);
+  }
+  return claimed;
+};
+
+/**
+ * Resolve the email address notifications for an order are sent to
+ * @param {Order} order - Order object
+ * @returns {Promise<string|null>} - Customer email
+ */
+const getCustomerEmail = async (order) => {
+  if (!order.user) {
+    return order.guest.email;
+  }
+
+  const user = await User.findById(order.user).select('email');
+  return user ? user.email : null;
+};
+
+/**
+ * Send a customer notification without failing the calling operation
+ * @param {Order} order - Order object
+ * @param {Function} send - Email service function (to, order)
+ */
+const notifyCustomer = async (order, send) => {
+  try {
+    const email = await getCustomerEmail(order);
+    if (email) {
+      await send(email, order);
+    }
+  } catch (error) {
+    logger.error(`Failed to send notification for order ${order.orderNumber}:`, error);
+  }
+};
+
+/**
+ * Refund the captured payment of a cancelled order
+ * Failures are logged rather than thrown because the cancellation itself
+ * has already been committed; the order keeps its paid status for follow-up.
+ * @param {Order} order - Cancelled order
+ */
+const refundCancelledOrder = async (order) => {
+  if (!refundService.isPaymentCaptured(order)) {
+    // Nothing was charged, but gift cards and store credit were taken
+    try {
+      await balanceService.releaseTenders(order, order.cancelReason || 'Order cancelled');
+    } catch (error) {
+      logger.error(`Failed to give back gift cards of order ${order.orderNumber}:`, error);
+    }
+    return;
+  }
+
+  const amount = refundService.getRefundableAmount(order);
+  if (amount <= 0) {
+    return;
+  }
+
+  try {
+    const refundBody = { amount, reason: order.cancelReason || 'Order cancelled' };
+    await refundService.issueRefund(order, refundBody, { source: refundSources.CANCELLATION });
+  } catch (error) {
+    logger.error(`Refund failed for cancelled order ${order.orderNumber}:`, error);
+  }
+};
+
+/**
+ * Issue the invoice of a confirmed order and render it for email
+ * Failures are logged rather than thrown; the invoice is issued on first
+ * download instead and the confirmation goes out without it.
+ * @param {Order} order - Confirmed order
+ * @returns {Promise<Array>} - Email attachments
+ */
+const issueInvoiceAttachments = async (order) => {
+  try {
+    const invoice = await invoiceService.issueInvoice(order);
+    return [await invoiceService.renderAttachment(invoice)];
+  } catch (error) {
+    logger.error(`Failed to issue invoice for order ${order.orderNumber}:`, error);
+    return [];
+  }
+};
+
+/**
+ * Award the loyalty points earned on a delivered order
+ * Failures are logged rather than thrown because the delivery has already
+ * been committed.
+ * @param {Order} order - Delivered order
+ */
+const awardOrderPoints = async (order) => {
+  try {
+    await loyaltyService.awardOrderPoints(order);
+  } catch (error) {
+    logger.error(`Failed to award loyalty points for order ${order.orderNumber}:`, error);
+  }
+};
+
+/**
+ * Issue the gift cards bought with a paid order and email them to the buyer
+ * Failures are logged rather than thrown; cards missing from a confirmed
+ * order are issued again when it is delivered.
+ * @param {Order} order - Order object
+ */
+const issuePurchasedGiftCards = async (order) => {
+  if (!refundService.isPaymentCaptured(order)) {
+    return;
+  }
+
+  try {
+    const email = await getCustomerEmail(order);
+    await giftCardService.issuePurchasedGiftCards(order, email);
+  } catch (error) {
+    logger.error(`Failed to issue gift cards for order ${order.orderNumber}:`, error);
+  }
+};
+
+// Side effects run once an order has entered a status
+const statusEffects = {
+  [orderStatuses.CONFIRMED]: async (order) => {
+    const attachments = await issueInvoiceAttachments(order);
+    const sendConfirmation = (to) =>
+      emailService.sendOrderConfirmationEmail(to, order, attachments);
+    await notifyCustomer(order, sendConfirmation);
+    await issuePurchasedGiftCards(order);
+  },
+  [orderStatuses.SHIPPED]: async (order) => {
+    // Orders shipped in parcels are notified per shipment instead
+    if (!order.shipments.length) {
+      await notifyCustomer(order, emailService.sendOrderShippedEmail);
+    }
+  },
+  [orderStatuses.DELIVERED]: async (order) => {
+    // Cash on delivery is only collected now
+    await issuePurchasedGiftCards(order);
+    await awardOrderPoints(order);
+  },
+  [orderStatuses.CANCELLED]: async (order) => {
+    await productService.releaseStock(order.items);
+    if (order.coupon && order.coupon.code) {
+      const customer = order.user ? { user: order.user } : { 'guest.email': order.guest.email };
+      await couponService.releaseCoupon(order.coupon, customer);
+    }
+    try {
+      await loyaltyService.releaseRedeemedPoints(order, order.cancelReason || 'Order cancelled');
+    } catch (error) {
+      logger.error(`Failed to give back loyalty points of order ${order.orderNumber}:`, error);
+    }
+    await refundCancelledOrder(order);
+  },
+};
+
+// Fields stamped when an order enters a status
+const statusTimestamps = {
+  [orderStatuses.SHIPPED]: 'shipping.shippedAt',
+  [orderStatuses.DELIVERED]: 'shipping.deliveredAt',
+  [orderStatuses.CANCELLED]: 'cancelledAt',
+};
+
+/**
+ * Move an order to a new status
+ * The transition is validated against the declared status graph and applied
+ * with a compare-and-set on the current status, so concurrent requests
+ * cannot apply the same transition (and its side effects) twice.
+ * @param {Order} order - Order object
+ * @param {string} status - Target status
+ * @param {Object} options - Transition options
+ * @param {ObjectId} options.updatedBy - User performing the change
+ * @param {string} options.note - Note recorded in the status history
+ * @param {Object} options.set - Additional fields to set with the transition
+ * @returns {Promise<Order>} - Updated order
+ */
+const transitionStatus = async (order, status, options = {}) => {
+  const { updatedBy, note, set = {} } = options;
+
+  if (!order.canTransitionTo(status)) {
+    throw new BadRequestError(`Cannot change order status from ${order.status} to ${status}`);
+  }
+
+  const now = new Date();
+  const update = {
+    $set: { ...set, status },
+    $push: { statusHistory: { status, note, updatedBy, updatedAt: now } },
+  };
+
+  if (statusTimestamps[status]) {
+    update.$set[statusTimestamps[status]] = now;
+  }
+  if (status === orderStatuses.CANCELLED && note) {
+    update.$set.cancelReason = note;
+  }
+  // Cash on delivery is collected by the carrier
+  const isCashCollected = order.payment.method === 'cod' && !refundService.isPaymentCaptured(order);
+  if (status === orderStatuses.DELIVERED && isCashCollected) {
+    update.$set['payment.status'] = paymentStatuses.SUCCEEDED;
+    update.$set['payment.paidAt'] = now;
+  }
+
+  const filter = { _id: order._id, status: order.status };
+  const updatedOrder = await Order.findOneAndUpdate(filter, update, { new: true });
+
+  if (!updatedOrder) {
+    throw new ConflictError('Order status was changed by another request, please retry');
+  }
+
+  logger.info(`Order ${updatedOrder.orderNumber}: ${order.status} -> ${status}`);
+
+  if (statusEffects[status]) {
+    await statusEffects[status](updatedOrder);
+  }
+
+  return updatedOrder;
+};
+
+/**
+ * Update order status by ID (staff)
+ * @param {ObjectId} orderId - Order ID
+ * @param {Object} statusBody - Status, note and optional shipping details
+ * @param {User} actor - Staff member performing the change
+ * @returns {Promise<Order>} - Updated order
+ */
+const updateOrderStatus = async (orderId, statusBody, actor) => {
+  if (statusBody.status === orderStatuses.PARTIALLY_SHIPPED) {
+    throw new BadRequestError('Partial shipments are recorded by creating a shipment');
+  }
+
+  const order = await getOrderById(orderId);
+  if ([order.status, statusBody.status].includes(orderStatuses.REVIEW)) {
+    throw new BadRequestError('Orders under review are released with the review actions');
+  }
+  const set = {};
+
+  if (statusBody.shipping) {
+    Object.entries(statusBody.shipping).forEach(([key, value]) => {
+      set[`shipping.${key}`] = value;
+    });
+  }
+
+  return transitionStatus(order, statusBody.status, {
+    updatedBy: actor.id,
+    note: statusBody.note,
+    set,
+  });
+};
+
+/**
+ * Cancel a customer's own order
+ * Stock is released and captured payments are refunded by the transition.
+ * @param {ObjectId} userId - Customer ID
+ * @param {string} orderNumber - Order number
+ * @param {string} reason - Cancellation reason
+ * @returns {Promise<Order>} - Cancelled order
+ */
+const cancelUserOrder = async (userId, orderNumber, reason) => {
+  const order = await getUserOrderByNumber(userId, orderNumber);
+
+  if (!customerCancellableStatuses.includes(order.status)) {
+    throw new BadRequestError(`Orders that are ${order.status} can no longer be cancelled`);
+  }
+
+  await transitionStatus(order, orderStatuses.CANCELLED, {
+    updatedBy: userId,
+    note: reason || 'Cancelled by customer',
+  });
+
+  return getUserOrderByNumber(userId, orderNumber);
+};
+
+/**
+ * Move a fully refunded order to the refunded status
+ * Orders that are only partially refunded, or whose status does not allow
+ * it (e.g. cancelled orders), are returned unchanged.
+ * @param {Order} order - Order with an up-to-date refund ledger
+ * @param {Object} options - Transition options (updatedBy, note)
+ * @returns {Promise<Order>} - Order
+ */
+const settleRefund = async (order, options = {}) => {
+  const fullyRefunded = order.payment.status === paymentStatuses.REFUNDED;
+  if (!fullyRefunded || !order.canTransitionTo(orderStatuses.REFUNDED)) {
+    return order;
+  }
+
+  return transitionStatus(order, orderStatuses.REFUNDED, options);
+};
+
+/**
+ * Refund an order (staff)
+ * @param {ObjectId} orderId - Order ID
+ * @param {Object} refundBody - Either an amount or items to refund, a reason,
+ * and whether to pay it into the customer's store credit
+ * @param {User} actor - Staff member issuing the refund
+ * @returns {Promise<Order>} - Updated order
+ */
+const refundOrder = async (orderId, refundBody, actor) => {
+  const order = await getOrderById(orderId);
+  const refunded = await refundService.issueRefund(order, refundBody, {
+    source: refundSources.ADMIN,
+    createdBy: actor.id,
+    toStoreCredit: refundBody.toStoreCredit,
+  });
+
+  const note = refundBody.reason || 'Order refunded';
+  return settleRefund(refunded, { updatedBy: actor.id, note });
+};
+
+/**
+ * Record a successful payment and confirm the order
+ * Providers may report the same payment more than once; payments already
+ * recorded are left alone, but an order still pending is confirmed, so a
+ * delivery retried after a failed confirmation completes it.
+ * @param {ObjectId} orderId - Order ID
+ * @param {Object} paymentDetails - Payment fields to store (e.g. providerChargeId)
+ * @returns {Promise<Order|null>} - Updated order
+ */
+const recordPaymentSuccess = async (orderId, paymentDetails = {}) => {
+  const order = await Order.findById(orderId);
+  if (!order) {
+    return null;
+  }
+
+  if (!refundService.isPaymentCaptured(order)) {
+    order.payment.status = paymentStatuses.SUCCEEDED;
+    order.payment.paidAt = new Date();
+    Object.assign(order.payment, paymentDetails);
+    await order.save();
+  }
+
+  if (order.status === orderStatuses.PENDING) {
+    return transitionStatus(order, orderStatuses.CONFIRMED, { note: 'Payment received' });
+  }
+
+  return order;
+};
+
+/**
+ * Record a cash-on-delivery or bank-transfer payment (staff)
+ * Pending orders are confirmed; orders held for fraud review stay held.
+ * @param {ObjectId} orderId - Order ID
+ * @param {Object} paymentBody - Optional payment date and note
+ * @param {User} actor - Staff member recording the payment
+ * @returns {Promise<Order>} - Updated order
+ */
+const markOrderPaid = async (orderId, paymentBody, actor) => {
+  const order = await getOrderById(orderId);
+
+  if (!offlinePaymentMethods.includes(order.payment.method)) {
+    throw new BadRequestError('Only cash-on-delivery and bank-transfer payments can be recorded');
+  }
+  if (refundService.isPaymentCaptured(order)) {
+    throw new BadRequestError('Order is already paid');
+  }
+  if ([orderStatuses.CANCELLED, orderStatuses.REFUNDED].includes(order.status)) {
+    throw new BadRequestError(`Orders that are ${order.status} cannot be marked as paid`);
+  }
+
+  const filter = { _id: order._id, 'payment.status': order.payment.status };
+  const update = {
+    $set: {
+      'payment.status': paymentStatuses.SUCCEEDED,
+      'payment.paidAt': paymentBody.paidAt || new Date(),
+      'payment.receivedBy': actor.id,
+    },
+  };
+  const paid = await Order.findOneAndUpdate(filter, update, { new: true });
+  if (!paid) {
+    throw new ConflictError('Order was changed by another request, please retry');
+  }
+
+  if (paid.status !== orderStatuses.PENDING) {
+    await issuePurchasedGiftCards(paid);
+    return paid;
+  }
+  const note = paymentBody.note || 'Payment received';
+  return transitionStatus(paid, orderStatuses.CONFIRMED, { updatedBy: actor.id, note });
+};
+
+/**
+ * Cancel bank-transfer orders whose payment did not arrive in time
+ * Cancelling releases their stock. Orders changed concurrently are skipped
+ * and picked up by the next run.
+ * @returns {Promise<number>} - Number of orders cancelled
+ */
+const cancelOverdueTransfers = async () => {
+  const overdue = await Order.find({
+    'payment.method': 'bank_transfer',
+    'payment.status': { $in: [paymentStatuses.PENDING, paymentStatuses.FAILED] },
+    'payment.dueAt': { $lt: new Date() },
+    status: { $in: [orderStatuses.PENDING, orderStatuses.REVIEW] },
+  });
+
+  let cancelled = 0;
+  for (const order of overdue) {
+    try {
+      const note = 'Bank transfer not received in time';
+      await transitionStatus(order, orderStatuses.CANCELLED, { note });
+      cancelled += 1;
+    } catch (error) {
+      logger.error(`Failed to cancel overdue order ${order.orderNumber}:`, error);
+    }
+  }
+
+  return cancelled;
+};
+
+/**
+ * Cancel pending online orders whose payment was never completed
+ * The provider payment is cancelled first so that the buyer can no longer
+ * pay for the order; orders whose payment cannot be cancelled (e.g. because
+ * it just went through) are left for the payment webhook. Cancelling
+ * releases their stock.
+ * @returns {Promise<number>} - Number of orders cancelled
+ */
+const expireUnpaidOrders = async () => {
+  const { paymentTimeoutMinutes } = config.order;
+  const cutoff = new Date(Date.now() - paymentTimeoutMinutes * MINUTE_MS);
+  const abandoned = await Order.find({
+    'payment.method': { $in: paymentService.onlinePaymentMethods },
+    'payment.status': { $in: [paymentStatuses.PENDING, paymentStatuses.FAILED] },
+    status: orderStatuses.PENDING,
+    createdAt: { $lt: cutoff },
+  });
+
+  let cancelled = 0;
+  for (const order of abandoned) {
+    try {
+      if (order.payment.providerPaymentId) {
+        const provider = paymentService.getOrderProvider(order);
+        await provider.cancelPayment(order.payment.providerPaymentId);
+      }
+      const note = `Payment not completed within ${paymentTimeoutMinutes} minutes`;
+      await transitionStatus(order, orderStatuses.CANCELLED, { note });
+      cancelled += 1;
+    } catch (error) {
+      logger.error(`Failed to expire unpaid order ${order.orderNumber}:`, error);
+    }
+  }
+
+  return cancelled;
+};
+
+/**
+ * Record a failed payment attempt and re-screen the order
+ * @param {ObjectId} orderId - Order ID
+ * @returns {Promise<Order|null>} - Updated order
+ */
+const recordPaymentFailure = async (orderId) => {
+  const update = {
+    $set: { 'payment.status': paymentStatuses.FAILED },
+    $inc: { 'payment.failedAttempts': 1 },
+  };
+  const order = await Order.findByIdAndUpdate(orderId, update, { new: true });
+  if (!order) {
+    return null;
+  }
+
+  return screenOrder(order);
+};
+
+/**
+ * Approve or reject an order held for fraud review (staff)
+ * Approved orders continue where they were held: confirmed if the payment was
+ * already captured or is collected on delivery, otherwise pending payment.
+ * Rejected orders are cancelled, which releases their stock and refunds any
+ * captured payment.
+ * @param {ObjectId} orderId - Order ID
+ * @param {string} decision - Review decision (approved or rejected)
+ * @param {Object} reviewBody - Optional note
+ * @param {User} actor - Staff member reviewing the order
+ * @returns {Promise<Order>} - Updated order
+ */
+const reviewOrder = async (orderId, decision, reviewBody, actor) => {
+  const order = await getOrderById(orderId);
+  if (order.status !== orderStatuses.REVIEW) {
+    throw new BadRequestError('Order is not awaiting review');
+  }
+
+  const { note } = reviewBody;
+  const set = {
+    'risk.review': { decision, note, reviewedBy: actor.id, reviewedAt: new Date() },
+  };
+
+  if (decision === riskDecisions.REJECTED) {
+    const options = { updatedBy: actor.id, note: note || 'Rejected after fraud review', set };
+    return transitionStatus(order, orderStatuses.CANCELLED, options);
+  }
+
+  let status = orderStatuses.PENDING;
+  if (refundService.isPaymentCaptured(order) || order.payment.method === 'cod') {
+    status = orderStatuses.CONFIRMED;
+  }
+  const options = { updatedBy: actor.id, note: note || 'Approved after fraud review', set };
+  return transitionStatus(order, status, options);
+};
+
+/**
+ * Release an order held for fraud review (staff)
+ * @param {ObjectId} orderId - Order ID
+ * @param {Object} reviewBody - Optional note
+ * @param {User} actor - Staff member reviewing the order
+ * @returns {Promise<Order>} - Updated order
+ */
+const approveOrder = async (orderId, reviewBody, actor) => {
+  return reviewOrder(orderId, riskDecisions.APPROVED, reviewBody, actor);
+};
+
+/**
+ * Reject and cancel an order held for fraud review (staff)
+ * @param {ObjectId} orderId - Order ID
+ * @param {Object} reviewBody - Optional note
+ * @param {User} actor - Staff member reviewing the order
+ * @returns {Promise<Order>} - Cancelled order
+ */
+const rejectOrder = async (orderId, reviewBody, actor) => {
+  return reviewOrder(orderId, riskDecisions.REJECTED, reviewBody, actor);
+};
+
+module.exports = {
+  createOrder,
+  createGuestOrder,
+  getOrderById,
+  lookupOrderById,
+  lookupOrderByNumber,
+  getViewableOrder,
+  buildOrderFilter,
+  getOrders,
+  streamOrdersCsv,
+  getUserOrders,
+  getUserOrderByNumber,
+  lookupUserOrderByNumber,
+  getGuestOrder,
+  claimGuestOrders,
+  getCustomerEmail,
+  transitionStatus,
+  updateOrderStatus,
+  cancelUserOrder,
+  settleRefund,
+  refundOrder,
+  recordPaymentSuccess,
+  recordPaymentFailure,
+  markOrderPaid,
+  cancelOverdueTransfers,
+  expireUnpaidOrders,
+  approveOrder,
+  rejectOrder,
+};
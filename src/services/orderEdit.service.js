@@ -0,0 +1,380 @@
+const {
+  Order,
+  orderStatuses,
+  adjustmentStatuses,
+  refundSources,
+  couponTypes,
+} = require('../models');
+const orderService = require('./order.service');
+const pricingService = require('./pricing.service');
+const productService = require('./product.service');
+const refundService = require('./refund.service');
+const balanceService = require('./balance.service');
+const couponService = require('./coupon.service');
+const promotionService = require('./promotion.service');
+const invoiceService = require('./invoice.service');
+const paymentService = require('./payment.service');
+const { BadRequestError, ConflictError, helpers } = require('../utils');
+const { config, logger } = require('../config');
+
+// Order statuses in which the items of an order can still be changed
+const editableStatuses = [orderStatuses.PENDING, orderStatuses.CONFIRMED];
+
+// Adjustment payments that were requested but not (yet) paid; failed
+// payments can still be retried by the customer
+const outstandingAdjustmentStatuses = [adjustmentStatuses.PENDING, adjustmentStatuses.FAILED];
+
+/**
+ * Build the new order lines for an edit
+ * Lines already on the order keep the price they were ordered at; added
+ * products are priced from the catalogue.
+ * @param {Order} order - Order object
+ * @param {Array} requestedItems - Complete new item list ({ product, quantity })
+ * @returns {Promise<Array>} - Order lines
+ */
+const buildEditedLines = async (order, requestedItems) => {
+  const quantities = pricingService.mergeQuantities(requestedItems);
+  const existing = new Map(order.items.map((item) => [item.product.toString(), item]));
+
+  const added = [...quantities]
+    .filter(([productId]) => !existing.has(productId))
+    .map(([product, quantity]) => ({ product, quantity }));
+  const addedLines = await pricingService.priceItems(added);
+
+  const keptLines = [...quantities]
+    .filter(([productId]) => existing.has(productId))
+    .map(([productId, quantity]) => ({ ...existing.get(productId).toObject(), quantity }));
+
+  return [...keptLines, ...addedLines];
+};
+
+/**
+ * Work out the stock to reserve and release for an edit
+ * @param {Array} previousLines - Lines before the edit
+ * @param {Array} lines - Lines after the edit
+ * @returns {Object} - Lines to reserve and to release ({ product, quantity, name })
+ */
+const getStockChanges = (previousLines, lines) => {
+  const deltas = new Map();
+  const track = (line, sign) => {
+    const key = line.product.toString();
+    const delta = deltas.get(key) || { product: line.product, name: line.name, quantity: 0 };
+    delta.quantity += sign * line.quantity;
+    deltas.set(key, delta);
+  };
+  previousLines.forEach((line) => track(line, -1));
+  lines.forEach((line) => track(line, 1));
+
+  const changes = [...deltas.values()];
+  return {
+    reserve: changes.filter((change) => change.quantity > 0),
+    release: changes
+      .filter((change) => change.quantity < 0)
+      .map((change) => ({ ...change, quantity: -change.quantity })),
+  };
+};
+
+/**
+ * Check that an edited order still meets the minimum subtotal of its coupon
+ * Orders placed before the minimum was recorded on the order are checked
+ * against the coupon as it is now.
+ * @param {Order} order - Order object
+ * @param {Array} lines - Lines after the edit
+ */
+const checkCouponMinimum = async (order, lines) => {
+  if (!order.coupon || !order.coupon.code) {
+    return;
+  }
+
+  let { minSubtotal } = order.coupon;
+  if (minSubtotal === undefined) {
+    const coupon = await couponService.findByCode(order.coupon.code);
+    minSubtotal = coupon ? coupon.minSubtotal : 0;
+  }
+
+  const lineTotal = (sum, line) => sum + line.price * line.quantity;
+  const subtotal = helpers.roundMoney(lines.reduce(lineTotal, 0));
+  if (subtotal < minSubtotal) {
+    const message = `Coupon ${order.coupon.code} needs a subtotal of at least $${minSubtotal.toFixed(2)}`;
+    throw new BadRequestError(message);
+  }
+};
+
+/**
+ * Reissue the invoice of an edited order
+ * Failures are logged rather than thrown because the edit has already been
+ * committed; the invoice is reissued when it is next downloaded.
+ * @param {Order} order - Edited order
+ */
+const reissueInvoice = async (order) => {
+  try {
+    await invoiceService.reissueInvoice(order);
+  } catch (error) {
+    logger.error(`Failed to reissue the invoice of order ${order.orderNumber}:`, error);
+  }
+};
+
+/**
+ * Describe an edit for the status history
+ * @param {Array} previousLines - Lines before the edit
+ * @param {Array} lines - Lines after the edit
+ * @param {Object} totals - Order total before and after
+ * @returns {string} - Summary of the changes
+ */
+const describeEdit = (previousLines, lines, totals) => {
+  const before = new Map(previousLines.map((line) => [line.product.toString(), line]));
+  const after = new Map(lines.map((line) => [line.product.toString(), line]));
+  const changes = [];
+
+  after.forEach((line, productId) => {
+    const previous = before.get(productId);
+    if (!previous) {
+      changes.push(`added ${line.quantity} x ${line.name}`);
+    } else if (previous.quantity !== line.quantity) {
+      changes.push(`${line.name} ${previous.quantity} -> ${line.quantity}`);
+    }
+  });
+  before.forEach((line, productId) => {
+    if (!after.has(productId)) {
+      changes.push(`removed ${line.name}`);
+    }
+  });
+
+  return `Items edited: ${changes.join(', ')}; total ${totals.from} -> ${totals.to}`;
+};
+
+/**
+ * Get the adjustment payments of an order that have not been paid
+ * @param {Order} order - Order object
+ * @returns {Array} - Outstanding adjustments
+ */
+const getOutstandingAdjustments = (order) => {
+  return order.payment.adjustments.filter((adjustment) => {
+    return outstandingAdjustmentStatuses.includes(adjustment.status);
+  });
+};
+
+/**
+ * Cancel adjustment payments that a newer edit replaces
+ * @param {Array} adjustments - Outstanding adjustments
+ * @param {Order} order - Order object
+ */
+const cancelAdjustments = async (adjustments, order) => {
+  const provider = paymentService.getOrderProvider(order);
+  for (const adjustment of adjustments) {
+    const paymentId = adjustment.providerPaymentId;
+    try {
+      await provider.cancelPayment(paymentId);
+    } catch (error) {
+      logger.error(`Failed to cancel adjustment payment ${paymentId}:`, error);
+    }
+
+    const filter = { _id: order._id, 'payment.adjustments._id': adjustment._id };
+    const update = { $set: { 'payment.adjustments.$.status': adjustmentStatuses.CANCELLED } };
+    await Order.updateOne(filter, update);
+  }
+};
+
+/**
+ * Request payment of the amount added to a paid order
+ * @param {Order} order - Order object
+ * @param {number} amount - Amount to collect
+ * @param {User} actor - User editing the order
+ * @returns {Promise<Object>} - Updated order and the payment for the client to complete
+ */
+const collectDifference = async (order, amount, actor) => {
+  const provider = paymentService.getOrderProvider(order);
+  const adjustment = order.payment.adjustments.create({ amount, createdBy: actor.id });
+  const payment = await provider.createPayment({
+    amount,
+    currency: config.order.currency,
+    orderId: order.id,
+    userId: order.user ? order.user.toString() : undefined,
+    adjustmentId: adjustment.id,
+  });
+  adjustment.providerPaymentId = payment.id;
+
+  const update = { $push: { 'payment.adjustments': adjustment } };
+  const updated = await Order.findByIdAndUpdate(order._id, update, { new: true });
+
+  return { order: updated, payment: paymentService.toClientPayment(provider, payment) };
+};
+
+/**
+ * Settle the payment after the order total changed
+ * Unpaid online payments are changed to what the new total leaves due after
+ * gift cards and store credit. For paid orders the
+ * difference is collected with a new payment, or paid back with a partial
+ * refund; outstanding adjustments from earlier edits are replaced. Offline
+ * payments are collected at the new total.
+ * @param {Order} order - Edited order
+ * @param {number} previousTotal - Order total before the edit
+ * @param {User} actor - User editing the order
+ * @returns {Promise<Object>} - Updated order and payment
+ */
+const settleDifference = async (order, previousTotal, actor) => {
+  if (!order.payment.providerPaymentId) {
+    return { order };
+  }
+
+  if (!refundService.isPaymentCaptured(order)) {
+    const provider = paymentService.getOrderProvider(order);
+    await provider.updatePaymentAmount(order.payment.providerPaymentId, order.amountDue);
+    return { order };
+  }
+
+  const outstanding = getOutstandingAdjustments(order);
+  const unpaid = outstanding.reduce((sum, adjustment) => sum + adjustment.amount, 0);
+  const paidTotal = helpers.roundMoney(previousTotal - unpaid);
+  const difference = helpers.roundMoney(order.pricing.total - paidTotal);
+
+  let result = { order };
+  if (difference > 0) {
+    result = await collectDifference(order, difference, actor);
+  } else if (difference < 0) {
+    const refundBody = { amount: -difference, reason: 'Items removed from order' };
+    const options = { source: refundSources.ORDER_EDIT, createdBy: actor.id };
+    result = { order: await refundService.issueRefund(order, refundBody, options) };
+  }
+
+  await cancelAdjustments(outstanding, order);
+  return result;
+};
+
+/**
+ * Replace the items of an unfulfilled order
+ * Stock is reserved for added quantities before the order is changed and
+ * released for removed ones afterwards; the change is applied only if the
+ * order was not modified in the meantime, and rolled back if the payment
+ * cannot be adjusted. Running promotions and the coupon are applied to the
+ * new lines, so a discount lasts only as long as the lines that qualify for
+ * it. An invoice already issued for the order is reissued.
+ * @param {Order} order - Order object
+ * @param {Object} editBody - Complete new item list and optional note
+ * @param {User} actor - User editing the order
+ * @returns {Promise<Object>} - Updated order and payment
+ */
+const editItems = async (order, editBody, actor) => {
+  if (!editableStatuses.includes(order.status)) {
+    throw new BadRequestError(`Orders that are ${order.status} can no longer be edited`);
+  }
+  // Refunds point at the order's lines and total, which the edit replaces
+  const isRefunded = order.refunds.some((refund) => refund.source !== refundSources.ORDER_EDIT);
+  if (isRefunded) {
+    throw new BadRequestError('Orders with refunds cannot be edited');
+  }
+
+  const previousLines = order.items.map((item) => item.toObject());
+  const lines = await buildEditedLines(order, editBody.items);
+  const { reserve, release } = getStockChanges(previousLines, lines);
+  if (!reserve.length && !release.length) {
+    throw new BadRequestError('The order already contains these items');
+  }
+  await checkCouponMinimum(order, lines);
+
+  // Running promotions and the coupon are applied to the new lines; the points
+  // discount is kept as the amount taken off when the order was placed
+  const withCoupon = Boolean(order.coupon && order.coupon.code);
+  const promotions = await promotionService.applyPromotions(lines, { withCoupon });
+  const discount = withCoupon ? await couponService.recalculateDiscount(order.coupon, lines) : 0;
+  const pointsDiscount = order.pricing.pointsDiscount || 0;
+  const freeShipping = withCoupon && order.coupon.type === couponTypes.FREE_SHIPPING;
+  const options = { discount, freeShipping, promotions, pointsDiscount };
+  const pricing = pricingService.calculateTotals(lines, options);
+  const tendered = balanceService.getTenderBalance(order);
+  if (pricing.total < tendered) {
+    const message = `The total cannot go below the ${tendered} paid with gift cards and store credit`;
+    throw new BadRequestError(message);
+  }
+  const totals = { from: order.pricing.total, to: pricing.total };
+  const summary = describeEdit(previousLines, lines, totals);
+  const note = editBody.note ? `${summary} (${editBody.note})` : summary;
+
+  await productService.reserveStock(reserve);
+
+  const filter = { _id: order._id, status: { $in: editableStatuses }, updatedAt: order.updatedAt };
+  const historyEntry = { status: order.status, note, updatedBy: actor.id, updatedAt: new Date() };
+  const edit = { items: lines, pricing, ...(withCoupon && { 'coupon.discount': discount }) };
+  const update = { $set: edit, $push: { statusHistory: historyEntry } };
+  const edited = await Order.findOneAndUpdate(filter, update, { new: true });
+  if (!edited) {
+    await productService.releaseStock(reserve);
+    throw new ConflictError('Order was changed by another request, please retry');
+  }
+
+  let result;
+  try {
+    result = await settleDifference(edited, order.pricing.total, actor);
+  } catch (error) {
+    logger.error(`Payment adjustment failed for order ${order.orderNumber}, reverting edit`);
+    const entry = edited.statusHistory[edited.statusHistory.length - 1];
+    const previousCoupon = withCoupon && { 'coupon.discount': order.coupon.discount };
+    const revert = {
+      $set: { items: previousLines, pricing: order.pricing.toObject(), ...previousCoupon },
+      $pull: { statusHistory: { _id: entry._id } },
+    };
+    await Order.updateOne({ _id: order._id }, revert);
+    await productService.releaseStock(reserve);
+    throw error;
+  }
+
+  await productService.releaseStock(release);
+  await reissueInvoice(result.order);
+  logger.info(`Order ${order.orderNumber} edited: ${summary}`);
+
+  return result;
+};
+
+/**
+ * Edit the items of any unfulfilled order (staff)
+ * @param {ObjectId} orderId - Order ID
+ * @param {Object} editBody - Complete new item list and optional note
+ * @param {User} actor - Staff member
+ * @returns {Promise<Object>} - Updated order and payment
+ */
+const editOrder = async (orderId, editBody, actor) => {
+  const order = await orderService.getOrderById(orderId);
+  return editItems(order, editBody, actor);
+};
+
+/**
+ * Edit the items of one of the customer's own orders
+ * @param {User} user - Customer
+ * @param {string} orderNumber - Order number
+ * @param {Object} editBody - Complete new item list and optional note
+ * @returns {Promise<Object>} - Updated order and payment
+ */
+const editUserOrder = async (user, orderNumber, editBody) => {
+  const order = await orderService.getUserOrderByNumber(user.id, orderNumber);
+  const { payment } = await editItems(order, editBody, user);
+  const updated = await orderService.getUserOrderByNumber(user.id, orderNumber);
+
+  return { order: updated, payment };
+};
+
+/**
+ * Record the outcome of an adjustment payment reported by the provider
+ * @param {Object} event - Payment event with the order and adjustment IDs
+ * @param {boolean} succeeded - Whether the payment succeeded
+ * @returns {Promise<Order|null>} - Updated order
+ */
+const recordAdjustmentPayment = async (event, succeeded) => {
+  const { orderId, adjustmentId } = event;
+  const filter = { _id: orderId, 'payment.adjustments._id': adjustmentId };
+
+  const update = { $set: {} };
+  if (succeeded) {
+    update.$set['payment.adjustments.$.status'] = adjustmentStatuses.SUCCEEDED;
+    update.$set['payment.adjustments.$.paidAt'] = new Date();
+  } else {
+    update.$set['payment.adjustments.$.status'] = adjustmentStatuses.FAILED;
+  }
+
+  return Order.findOneAndUpdate(filter, update, { new: true });
+};
+
+module.exports = {
+  editOrder,
+  editUserOrder,
+  recordAdjustmentPayment,
+};
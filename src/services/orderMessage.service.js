@@ -0,0 +1,132 @@
+const { Order, OrderMessage, messageAuthorTypes } = require('../models');
+const orderService = require('./order.service');
+const emailService = require('./email.service');
+const { config, logger } = require('../config');
+
+/**
+ * Get the messages of an order in the order they were posted
+ * @param {Order} order - Order object
+ * @param {Object} options - Thread options
+ * @param {boolean} options.includeInternal - Include internal staff notes
+ * @returns {Promise<OrderMessage[]>} - Messages
+ */
+const getThread = async (order, { includeInternal = false } = {}) => {
+  const filter = { order: order._id };
+  if (!includeInternal) {
+    filter.internal = false;
+  }
+
+  return OrderMessage.find(filter).sort({ createdAt: 1 }).populate('author', 'name');
+};
+
+/**
+ * Email a new message without failing the caller
+ * @param {string|null} to - Recipient email
+ * @param {Order} order - Order object
+ * @param {OrderMessage} message - New message
+ * @param {boolean} toStaff - Whether the recipient is staff
+ */
+const notifyMessage = async (to, order, message, toStaff) => {
+  if (!to) {
+    return;
+  }
+
+  try {
+    await emailService.sendOrderMessageEmail(to, order, message, toStaff);
+  } catch (error) {
+    logger.error(`Failed to send message email for order ${order.orderNumber}:`, error);
+  }
+};
+
+/**
+ * Get the conversation of one of the customer's orders, without staff notes
+ * @param {ObjectId} userId - Customer ID
+ * @param {string} orderNumber - Order number
+ * @returns {Promise<OrderMessage[]>} - Messages
+ */
+const getCustomerThread = async (userId, orderNumber) => {
+  const order = await orderService.lookupUserOrderByNumber(userId, orderNumber);
+  return getThread(order);
+};
+
+/**
+ * Post a message about one of the customer's orders
+ * The order is flagged as unread for staff and the support inbox is notified.
+ * @param {User} user - Customer
+ * @param {string} orderNumber - Order number
+ * @param {Object} messageBody - Message text
+ * @returns {Promise<OrderMessage>} - Created message
+ */
+const postCustomerMessage = async (user, orderNumber, messageBody) => {
+  const order = await orderService.getUserOrderByNumber(user.id, orderNumber);
+
+  const message = await OrderMessage.create({
+    order: order._id,
+    author: user.id,
+    authorType: messageAuthorTypes.CUSTOMER,
+    body: messageBody.body,
+  });
+
+  const update = { hasUnreadMessages: true, lastMessageAt: message.createdAt };
+  await Order.updateOne({ _id: order._id }, update);
+  await notifyMessage(config.email.support, order, message, true);
+
+  return message;
+};
+
+/**
+ * Get the full conversation of an order, including staff notes (staff)
+ * @param {ObjectId} orderId - Order ID
+ * @returns {Promise<OrderMessage[]>} - Messages
+ */
+const getStaffThread = async (orderId) => {
+  const order = await orderService.lookupOrderById(orderId);
+  return getThread(order, { includeInternal: true });
+};
+
+/**
+ * Post a reply to the customer or an internal note (staff)
+ * Replies are emailed to the customer and mark the conversation as read;
+ * internal notes change nothing the customer can see.
+ * @param {ObjectId} orderId - Order ID
+ * @param {Object} messageBody - Message text and internal flag
+ * @param {User} actor - Staff member
+ * @returns {Promise<OrderMessage>} - Created message
+ */
+const postStaffMessage = async (orderId, messageBody, actor) => {
+  const order = await orderService.getOrderById(orderId);
+
+  const message = await OrderMessage.create({
+    order: order._id,
+    author: actor.id,
+    authorType: messageAuthorTypes.STAFF,
+    body: messageBody.body,
+    internal: Boolean(messageBody.internal),
+  });
+
+  if (!message.internal) {
+    const update = { hasUnreadMessages: false, lastMessageAt: message.createdAt };
+    await Order.updateOne({ _id: order._id }, update);
+    await notifyMessage(await orderService.getCustomerEmail(order), order, message, false);
+  }
+
+  return message;
+};
+
+/**
+ * Mark the customer messages of an order as read (staff)
+ * @param {ObjectId} orderId - Order ID
+ * @returns {Promise<Order>} - Updated order
+ */
+const markRead = async (orderId) => {
+  const order = await orderService.getOrderById(orderId);
+  return Order.findByIdAndUpdate(order._id, { hasUnreadMessages: false }, { new: true });
+};
+
+module.exports = {
+  getCustomerThread,
+  postCustomerMessage,
+  getStaffThread,
+  postStaffMessage,
+  markRead,
+};
@@ -0,0 +1,125 @@
+const stripeProvider = require('./providers/stripe.provider');
+const paypalProvider = require('./providers/paypal.provider');
+const fakeProvider = require('./providers/fake.provider');
+const { providerPaymentStatuses, paymentEventTypes } = require('./providers/types');
+const { BadRequestError, NotFoundError } = require('../utils');
+const { config } = require('../config');
+
+// Every provider implements isConfigured, createPayment, capturePayment,
+// updatePaymentAmount, cancelPayment, refundPayment and parseWebhook
+const providers = {
+  [stripeProvider.name]: stripeProvider,
+  [paypalProvider.name]: paypalProvider,
+  [fakeProvider.name]: fakeProvider,
+};
+
+// Payment methods paid online through a payment provider
+const onlinePaymentMethods = ['stripe', 'paypal'];
+
+/**
+ * Check whether a payment method is paid online
+ * @param {string} method - Order payment method
+ * @returns {boolean}
+ */
+const isOnlineMethod = (method) => onlinePaymentMethods.includes(method);
+
+/**
+ * Get a payment provider by name
+ * @param {string} name - Provider name
+ * @returns {Object} - Payment provider
+ */
+const getProvider = (name) => {
+  if (!Object.prototype.hasOwnProperty.call(providers, name)) {
+    throw new BadRequestError(`Unknown payment provider: ${name}`);
+  }
+  return providers[name];
+};
+
+/**
+ * Get the provider that takes new payments for a payment method
+ * When the fake provider is enabled it takes every online payment.
+ * @param {string} method - Order payment method
+ * @returns {Object} - Payment provider
+ */
+const getProviderForMethod = (method) => {
+  const provider = config.payment.fakeProvider ? fakeProvider : getProvider(method);
+  if (!provider.isConfigured()) {
+    throw new BadRequestError('Payment service not available');
+  }
+  return provider;
+};
+
+/**
+ * Get the provider that processed an order's payment
+ * Orders paid before providers were recorded were all paid through Stripe.
+ * @param {Order} order - Order object
+ * @returns {Object} - Payment provider
+ */
+const getOrderProvider = (order) => {
+  return getProvider(order.payment.provider || order.payment.method);
+};
+
+/**
+ * Describe a new payment for the client completing it
+ * @param {Object} provider - Payment provider
+ * @param {Object} payment - Provider payment
+ * @returns {Object} - Client payment details
+ */
+const toClientPayment = (provider, payment) => ({
+  provider: provider.name,
+  id: payment.id,
+  status: payment.status,
+  clientSecret: payment.clientSecret,
+  redirectUrl: payment.redirectUrl,
+});
+
+/**
+ * Check the client secret of a fake payment, as the provider's client
+ * library would before letting the buyer act on it
+ * @param {string} paymentId - Fake payment ID
+ * @param {string} clientSecret - Client secret returned with the order
+ */
+const checkFakeClientSecret = (paymentId, clientSecret) => {
+  const payment = fakeProvider.getPayment(paymentId);
+  if (payment.clientSecret !== clientSecret) {
+    throw new NotFoundError('Payment not found');
+  }
+};
+
+/**
+ * Confirm a fake payment as the buyer
+ * @param {string} paymentId - Fake payment ID
+ * @param {Object} confirmBody - Client secret, scenario and webhook delay
+ * @returns {Promise<Object>} - Provider payment
+ */
+const confirmFakePayment = async (paymentId, confirmBody) => {
+  const { clientSecret, ...options } = confirmBody;
+  checkFakeClientSecret(paymentId, clientSecret);
+  return fakeProvider.confirmPayment(paymentId, options);
+};
+
+/**
+ * Complete the 3D Secure challenge of a fake payment as the buyer
+ * @param {string} paymentId - Fake payment ID
+ * @param {Object} authenticateBody - Client secret, outcome and webhook delay
+ * @returns {Promise<Object>} - Provider payment
+ */
+const authenticateFakePayment = async (paymentId, authenticateBody) => {
+  const { clientSecret, ...options } = authenticateBody;
+  checkFakeClientSecret(paymentId, clientSecret);
+  return fakeProvider.authenticatePayment(paymentId, options);
+};
+
+module.exports = {
+  providerPaymentStatuses,
+  paymentEventTypes,
+  fakeProvider,
+  onlinePaymentMethods,
+  isOnlineMethod,
+  getProvider,
+  getProviderForMethod,
+  getOrderProvider,
+  toClientPayment,
+  confirmFakePayment,
+  authenticateFakePayment,
+};
@@ -0,0 +1,127 @@
+const paymentService = require('./payment.service');
+const orderService = require('./order.service');
+const orderEditService = require('./orderEdit.service');
+const refundService = require('./refund.service');
+const { NotFoundError } = require('../utils');
+const { logger } = require('../config');
+
+const { paymentEventTypes, providerPaymentStatuses, fakeProvider } = paymentService;
+
+/**
+ * Record a successful payment for an order or an order adjustment
+ * @param {Object} event - Payment event
+ */
+const handlePaymentSuccess = async (event) => {
+  // Payments for items added to an already paid order
+  if (event.adjustmentId) {
+    await orderEditService.recordAdjustmentPayment(event, true);
+    logger.info(`Adjustment payment succeeded for order: ${event.orderId}`);
+    return;
+  }
+
+  if (event.orderId) {
+    const paymentDetails = event.chargeId ? { providerChargeId: event.chargeId } : {};
+    await orderService.recordPaymentSuccess(event.orderId, paymentDetails);
+    logger.info(`Payment succeeded for order: ${event.orderId}`);
+  }
+};
+
+/**
+ * Record a failed payment for an order or an order adjustment
+ * @param {Object} event - Payment event
+ */
+const handlePaymentFailure = async (event) => {
+  if (event.adjustmentId) {
+    await orderEditService.recordAdjustmentPayment(event, false);
+    logger.info(`Adjustment payment failed for order: ${event.orderId}`);
+    return;
+  }
+
+  if (event.orderId) {
+    await orderService.recordPaymentFailure(event.orderId);
+    logger.info(`Payment failed for order: ${event.orderId}`);
+  }
+};
+
+/**
+ * Capture a payment the buyer approved with the provider
+ * @param {Object} provider - Payment provider
+ * @param {Object} event - Payment event
+ */
+const handlePaymentApproved = async (provider, event) => {
+  const payment = await provider.capturePayment(event.paymentId);
+  if (payment.status === providerPaymentStatuses.SUCCEEDED) {
+    await handlePaymentSuccess({ ...event, chargeId: payment.chargeId });
+  }
+};
+
+/**
+ * Record refunds reported by the provider and settle the order
+ * @param {Object} event - Payment event
+ */
+const handleRefund = async (event) => {
+  const order = await refundService.recordProviderRefunds(event);
+
+  if (order) {
+    await orderService.settleRefund(order, { note: 'Charge refunded' });
+    logger.info(`Refund processed for order: ${order._id}`);
+  }
+};
+
+/**
+ * Check whether an event failed for a reason that retrying cannot fix, such
+ * as an order that does not exist
+ * @param {Error} error - Error thrown while handling the event
+ * @returns {boolean}
+ */
+const isPermanentFailure = (error) => {
+  return error instanceof NotFoundError || error.name === 'CastError';
+};
+
+/**
+ * Handle a payment event reported by a provider
+ * Other failures are thrown so that the webhook is answered with an error and
+ * the provider delivers the event again; handlers are safe to repeat. Events
+ * that can never be processed are only logged, so the provider does not keep
+ * retrying them.
+ * @param {string} providerName - Provider that sent the event
+ * @param {Object} event - Payment event
+ */
+const handleEvent = async (providerName, event) => {
+  try {
+    const provider = paymentService.getProvider(providerName);
+
+    switch (event.type) {
+      case paymentEventTypes.APPROVED:
+        await handlePaymentApproved(provider, event);
+        break;
+
+      case paymentEventTypes.SUCCEEDED:
+        await handlePaymentSuccess(event);
+        break;
+
+      case paymentEventTypes.FAILED:
+        await handlePaymentFailure(event);
+        break;
+
+      case paymentEventTypes.REFUNDED:
+        await handleRefund(event);
+        break;
+
+      default:
+        logger.info(`Unhandled ${providerName} payment event type: ${event.type}`);
+    }
+  } catch (error) {
+    logger.error(`Error handling ${providerName} payment event ${event.type}:`, error);
+    if (!isPermanentFailure(error)) {
+      throw error;
+    }
+  }
+};
+
+// The fake provider delivers its events in-process instead of over HTTP
+fakeProvider.onEvent((event) => handleEvent(fakeProvider.name, event));
+
+module.exports = {
+  handleEvent,
+};
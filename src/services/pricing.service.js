@@ -0,0 +1,130 @@
+const { Product } = require('../models');
+const { BadRequestError, helpers } = require('../utils');
+const { config } = require('../config');
+
+/**
+ * Merge duplicate product lines into a single quantity per product
+ * @param {Array} items - Requested items ({ product, quantity })
+ * @returns {Map<string, number>} - Quantity per product ID
+ */
+const mergeQuantities = (items) => {
+  return items.reduce((quantities, item) => {
+    const productId = item.product.toString();
+    quantities.set(productId, (quantities.get(productId) || 0) + item.quantity);
+    return quantities;
+  }, new Map());
+};
+
+/**
+ * Check whether a product can be sold
+ * @param {Product|null} product - Product object
+ * @returns {boolean}
+ */
+const isPurchasable = (product) => {
+  return Boolean(product) && product.status === 'active' && product.isPublished;
+};
+
+/**
+ * Build a line for a product at its current price
+ * @param {Product} product - Product object
+ * @param {number} quantity - Quantity
+ * @returns {Object} - Priced line
+ */
+const toLine = (product, quantity) => {
+  const image = product.images.find((img) => img.isPrimary) || product.images[0];
+
+  return {
+    product: product._id,
+    name: product.name,
+    price: product.price,
+    quantity,
+    image: image ? image.url : undefined,
+    sku: product.sku,
+  };
+};
+
+/**
+ * Build order lines from requested items using current product prices
+ * Client-supplied prices are never used.
+ * @param {Array} items - Requested items ({ product, quantity })
+ * @returns {Promise<Array>} - Priced order lines
+ */
+const priceItems = async (items) => {
+  const quantities = mergeQuantities(items);
+  const products = await Product.find({ _id: { $in: [...quantities.keys()] } });
+  const productsById = new Map(products.map((product) => [product.id, product]));
+
+  return [...quantities].map(([productId, quantity]) => {
+    const product = productsById.get(productId);
+
+    if (!isPurchasable(product)) {
+      throw new BadRequestError(`Product ${productId} is not available`);
+    }
+
+    return toLine(product, quantity);
+  });
+};
+
+/**
+ * Calculate order totals for priced lines
+ * @param {Array} lines - Priced lines ({ price, quantity })
+ * @param {Object} options - Pricing options
+ * @param {number} options.discount - Discount applied to the subtotal
+ * @param {boolean} options.freeShipping - Waive the shipping fee
+ * @param {Array} options.promotions - Applied promotions, each with its discount
+ * @param {number} options.pointsDiscount - Discount paid with loyalty points
+ * @returns {Object} - Pricing breakdown
+ */
+const calculateTotals = (lines, options = {}) => {
+  const { taxRate, shippingFee, freeShippingThreshold } = config.order;
+
+  const lineTotal = lines.reduce((sum, line) => sum + line.price * line.quantity, 0);
+  const subtotal = helpers.roundMoney(lineTotal);
+  const promotions = options.promotions || [];
+  const promotionDiscount = promotions.reduce((sum, promotion) => sum + promotion.discount, 0);
+  const pointsDiscount = options.pointsDiscount || 0;
+  const totalDiscount = (options.discount || 0) + promotionDiscount + pointsDiscount;
+  const discount = helpers.roundMoney(Math.min(totalDiscount, subtotal));
+  const qualifiesForFreeShipping = freeShippingThreshold > 0 && subtotal >= freeShippingThreshold;
+  const waiveShipping = qualifiesForFreeShipping || Boolean(options.freeShipping);
+  const shipping = lines.length === 0 || waiveShipping ? 0 : shippingFee;
+  const tax = helpers.roundMoney(((subtotal - discount) * taxRate) / 100);
+  const total = helpers.roundMoney(subtotal - discount + shipping + tax);
+
+  return {
+    subtotal,
+    tax,
+    taxRate,
+    shipping,
+    discount,
+    promotions,
+    pointsDiscount,
+    total,
+  };
+};
+
+/**
+ * Calculate the refundable amount for a subset of an order's lines
+ * The lines carry their share of the order discount and tax; shipping is
+ * not refunded.
+ * @param {Object} pricing - Order pricing breakdown
+ * @param {number} linesSubtotal - Merchandise value of the refunded lines
+ * @returns {number} - Refundable amount
+ */
+const calculateLineRefund = (pricing, linesSubtotal) => {
+  if (!pricing.subtotal) {
+    return 0;
+  }
+
+  const ratio = (pricing.total - pricing.shipping) / pricing.subtotal;
+  return helpers.roundMoney(linesSubtotal * ratio);
+};
+
+module.exports = {
+  mergeQuantities,
+  isPurchasable,
+  toLine,
+  priceItems,
+  calculateTotals,
+  calculateLineRefund,
+};
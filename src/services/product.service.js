@@ -1,5 +1,5 @@
 const { Product } = require('../models');
-const { NotFoundError } = require('../utils');
+const { NotFoundError, ConflictError } = require('../utils');
 
 /**
  * Create a new product
@@ -149,28 +149,73 @@ const getRelatedProducts = async (productId, limit = 4) => {
 
 /**
  * Update product stock
+ * Uses a conditional atomic update so concurrent writers cannot oversell
  * @param {ObjectId} productId - Product ID
  * @param {number} quantity - Quantity to add/subtract
  * @param {string} operation - 'add' or 'subtract'
  * @returns {Promise<Product>} - Updated product
  */
 const updateStock = async (productId, quantity, operation = 'subtract') => {
-  const product = await getProductById(productId);
+  const filter = { _id: productId };
+  const update = { $inc: { quantity } };
 
   if (operation === 'subtract') {
-    if (product.quantity < quantity) {
-      throw new Error('Insufficient stock');
-    }
-    product.quantity -= quantity;
-    product.soldCount += quantity;
-  } else {
-    product.quantity += quantity;
+    filter.quantity = { $gte: quantity };
+    update.$inc = { quantity: -quantity, soldCount: quantity };
+  }
+
+  const product = await Product.findOneAndUpdate(filter, update, { new: true });
+  if (!product) {
+    // Distinguish a missing product from insufficient stock
+    await getProductById(productId);
+    throw new ConflictError('Insufficient stock');
   }
 
-  await product.save();
   return product;
 };
 
+/**
+ * Reserve stock for a set of order items
+ * Each line is decremented atomically; if any line cannot be fulfilled,
+ * the lines already reserved are released again before failing.
+ * @param {Array} items - Items with product, quantity and name
+ */
+const reserveStock = async (items) => {
+  const reserved = [];
+
+  for (const item of items) {
+    const filter = { _id: item.product, quantity: { $gte: item.quantity } };
+    const update = { $inc: { quantity: -item.quantity, soldCount: item.quantity } };
+
+    const result = await Product.updateOne(filter, update);
+    if (result.modifiedCount === 0) {
+      await releaseStock(reserved);
+      throw new ConflictError(`Insufficient stock for ${item.name || item.product}`);
+    }
+
+    reserved.push(item);
+  }
+};
+
+/**
+ * Release previously reserved stock
+ * @param {Array} items - Items with product and quantity
+ */
+const releaseStock = async (items) => {
+  if (!items.length) {
+    return;
+  }
+
+  const operations = items.map((item) => ({
+    updateOne: {
+      filter: { _id: item.product },
+      update: { $inc: { quantity: item.quantity, soldCount: -item.quantity } },
+    },
+  }));
+
+  await Product.bulkWrite(operations);
+};
+
 /**
  * Increment product views
  * @param {ObjectId} productId - Product ID
@@ -250,6 +295,8 @@ module.exports = {
   getFeaturedProducts,
   getRelatedProducts,
   updateStock,
+  reserveStock,
+  releaseStock,
   incrementViews,
   getLowStockProducts,
   getOutOfStockProducts,
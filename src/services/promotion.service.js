@@ -0,0 +1,321 @@
+const { Promotion, promotionTypes, promotionDiscountTypes, Product } = require('../models');
+const { NotFoundError, BadRequestError, helpers } = require('../utils');
+
+/**
+ * Check that a promotion has the settings its type needs
+ * @param {Promotion} promotion - Promotion object
+ */
+const checkPromotionSettings = (promotion) => {
+  const isPercentage = promotion.discountType === promotionDiscountTypes.PERCENTAGE;
+
+  if (promotion.type === promotionTypes.BUY_X_GET_Y) {
+    if (!promotion.buyQuantity || !promotion.getQuantity) {
+      throw new BadRequestError('Buy X get Y promotions need a buyQuantity and a getQuantity');
+    }
+    if (!(promotion.value > 0 && promotion.value <= 100)) {
+      throw new BadRequestError('Buy X get Y promotions take a percent off between 0 and 100');
+    }
+  }
+  if (promotion.type === promotionTypes.SPEND_THRESHOLD) {
+    if (promotion.tiers.length === 0) {
+      throw new BadRequestError('Spend threshold promotions need at least one tier');
+    }
+    const percentages = promotion.tiers.filter((tier) => {
+      return tier.discountType === promotionDiscountTypes.PERCENTAGE;
+    });
+    if (percentages.some((tier) => tier.value > 100)) {
+      throw new BadRequestError('Percentage tiers take a value up to 100');
+    }
+  }
+  if (promotion.type === promotionTypes.BUNDLE) {
+    if (promotion.bundleItems.length < 2) {
+      throw new BadRequestError('Bundles need at least two products');
+    }
+    const validValue = promotion.value > 0 && !(isPercentage && promotion.value > 100);
+    if (!promotion.discountType || !validValue) {
+      throw new BadRequestError('Bundles need a discountType and a value');
+    }
+  }
+  if (promotion.startsAt && promotion.endsAt && promotion.endsAt <= promotion.startsAt) {
+    throw new BadRequestError('A promotion must end after it starts');
+  }
+};
+
+/**
+ * Create a promotion
+ * @param {Object} promotionBody - Promotion data
+ * @returns {Promise<Promotion>} - Promotion object
+ */
+const createPromotion = async (promotionBody) => {
+  const promotion = new Promotion(promotionBody);
+  checkPromotionSettings(promotion);
+  await promotion.save();
+  return promotion;
+};
+
+/**
+ * Get promotions with pagination
+ * @param {Object} filter - MongoDB filter
+ * @param {Object} options - Query options
+ * @returns {Promise<Object>} - Paginated promotions
+ */
+const getPromotions = async (filter, options) => {
+  const { sortBy = 'priority', order = 'desc', page = 1, limit = 10 } = options;
+
+  const skip = (page - 1) * limit;
+  const sortOrder = order === 'desc' ? -1 : 1;
+
+  const [promotions, total] = await Promise.all([
+    Promotion.find(filter)
+      .sort({ [sortBy]: sortOrder })
+      .skip(skip)
+      .limit(limit),
+    Promotion.countDocuments(filter),
+  ]);
+
+  return {
+    results: promotions,
+    page,
+    limit,
+    totalPages: Math.ceil(total / limit),
+    totalResults: total,
+  };
+};
+
+/**
+ * Get promotion by ID
+ * @param {ObjectId} promotionId - Promotion ID
+ * @returns {Promise<Promotion>} - Promotion object
+ */
+const getPromotionById = async (promotionId) => {
+  const promotion = await Promotion.findById(promotionId);
+  if (!promotion) {
+    throw new NotFoundError('Promotion not found');
+  }
+  return promotion;
+};
+
+/**
+ * Update promotion by ID
+ * @param {ObjectId} promotionId - Promotion ID
+ * @param {Object} updateBody - Update data
+ * @returns {Promise<Promotion>} - Updated promotion
+ */
+const updatePromotionById = async (promotionId, updateBody) => {
+  const promotion = await getPromotionById(promotionId);
+  Object.assign(promotion, updateBody);
+  checkPromotionSettings(promotion);
+  await promotion.save();
+  return promotion;
+};
+
+/**
+ * Delete promotion by ID
+ * Orders keep the promotions they were placed with.
+ * @param {ObjectId} promotionId - Promotion ID
+ * @returns {Promise<Promotion>} - Deleted promotion
+ */
+const deletePromotionById = async (promotionId) => {
+  const promotion = await getPromotionById(promotionId);
+  await promotion.deleteOne();
+  return promotion;
+};
+
+/**
+ * Get the promotions running now, highest priority first
+ * @returns {Promise<Array>} - Promotion objects
+ */
+const getRunningPromotions = () => {
+  const now = new Date();
+  return Promotion.find({
+    isActive: true,
+    $and: [
+      { $or: [{ startsAt: null }, { startsAt: { $lte: now } }] },
+      { $or: [{ endsAt: null }, { endsAt: { $gt: now } }] },
+    ],
+  }).sort({ priority: -1, createdAt: 1 });
+};
+
+/**
+ * Check whether a product is in a promotion's scope
+ * @param {Promotion} promotion - Promotion object
+ * @param {Product} product - Product with its categories
+ * @returns {boolean}
+ */
+const inScope = (promotion, product) => {
+  if (promotion.products.length === 0 && promotion.categories.length === 0) {
+    return true;
+  }
+  const has = (ids, id) => Boolean(id) && ids.some((listed) => listed.equals(id));
+  return (
+    has(promotion.products, product._id) ||
+    has(promotion.categories, product.category) ||
+    has(promotion.categories, product.subcategory)
+  );
+};
+
+/**
+ * Take up to an amount off the lines, in order, without going below zero
+ * @param {Array} entries - Lines with the amount still payable ({ remaining })
+ * @param {number} amount - Amount to take off
+ * @returns {number} - Amount taken off
+ */
+const takeAmount = (entries, amount) => {
+  let left = amount;
+  entries.forEach((entry) => {
+    const taken = Math.min(left, entry.remaining);
+    entry.remaining -= taken;
+    left -= taken;
+  });
+  return amount - left;
+};
+
+/**
+ * Take a percentage off what is still payable on the lines
+ * @param {Array} entries - Lines with the amount still payable ({ remaining })
+ * @param {number} percent - Percent off
+ * @returns {number} - Amount taken off
+ */
+const takePercent = (entries, percent) => {
+  return entries.reduce((sum, entry) => {
+    const taken = (entry.remaining * percent) / 100;
+    entry.remaining -= taken;
+    return sum + taken;
+  }, 0);
+};
+
+// Work out the discount of each promotion type. Each gets the lines in the
+// cart with what is still payable on them after higher-priority promotions.
+const evaluators = {
+  [promotionTypes.BUY_X_GET_Y]: (promotion, entries) => {
+    const scoped = entries.filter((entry) => inScope(promotion, entry.product));
+    const units = scoped.flatMap((entry) => Array(entry.line.quantity).fill(entry));
+    const groupSize = promotion.buyQuantity + promotion.getQuantity;
+    const freeUnits = Math.floor(units.length / groupSize) * promotion.getQuantity;
+
+    // The cheapest units are the ones discounted
+    units.sort((a, b) => a.line.price - b.line.price);
+    return units.slice(0, freeUnits).reduce((sum, entry) => {
+      const unitDiscount = (entry.line.price * promotion.value) / 100;
+      return sum + takeAmount([entry], unitDiscount);
+    }, 0);
+  },
+
+  [promotionTypes.SPEND_THRESHOLD]: (promotion, entries) => {
+    const scoped = entries.filter((entry) => inScope(promotion, entry.product));
+    // Spend already taken off by earlier promotions does not count
+    const spent = scoped.reduce((sum, entry) => sum + entry.remaining, 0);
+    const reached = promotion.tiers.filter((tier) => spent >= tier.minSubtotal);
+    if (reached.length === 0) {
+      return 0;
+    }
+
+    const best = (a, b) => (b.minSubtotal > a.minSubtotal ? b : a);
+    const tier = reached.reduce(best);
+    if (tier.discountType === promotionDiscountTypes.PERCENTAGE) {
+      return takePercent(scoped, tier.value);
+    }
+    return takeAmount(scoped, tier.value);
+  },
+
+  [promotionTypes.BUNDLE]: (promotion, entries) => {
+    const parts = promotion.bundleItems.map((item) => ({
+      item,
+      entry: entries.find((entry) => item.product.equals(entry.line.product)),
+    }));
+    if (parts.some((part) => !part.entry)) {
+      return 0;
+    }
+
+    const counts = parts.map((part) => Math.floor(part.entry.line.quantity / part.item.quantity));
+    const bundles = Math.min(...counts);
+    if (bundles === 0) {
+      return 0;
+    }
+
+    const bundled = parts.map((part) => part.entry);
+    if (promotion.discountType === promotionDiscountTypes.PERCENTAGE) {
+      // Only the units that form bundles are discounted
+      return parts.reduce((sum, part) => {
+        const bundledValue = part.entry.line.price * part.item.quantity * bundles;
+        return sum + takeAmount([part.entry], (bundledValue * promotion.value) / 100);
+      }, 0);
+    }
+    return takeAmount(bundled, promotion.value * bundles);
+  },
+};
+
+/**
+ * Apply the running promotions to a set of priced lines
+ * Promotions are applied from the highest priority down, each to what is
+ * still payable after the ones before it, so stacked discounts never exceed
+ * the lines' value. Promotions that do not combine with coupons are skipped
+ * when the buyer uses one.
+ * @param {Array} lines - Priced lines ({ product, price, quantity })
+ * @param {Object} [options] - Pricing options
+ * @param {boolean} [options.withCoupon] - Whether a coupon is used as well
+ * @returns {Promise<Array>} - Applied promotions ({ promotion, name, type, discount })
+ */
+const applyPromotions = async (lines, options = {}) => {
+  if (lines.length === 0) {
+    return [];
+  }
+
+  const promotions = await getRunningPromotions();
+  if (promotions.length === 0) {
+    return [];
+  }
+
+  const productIds = lines.map((line) => line.product);
+  // Gift cards are sold at face value
+  const discountable = { _id: { $in: productIds }, isGiftCard: { $ne: true } };
+  const products = await Product.find(discountable).select('category subcategory');
+  const productsById = new Map(products.map((product) => [product.id, product]));
+  const entries = lines
+    .map((line) => ({
+      line,
+      product: productsById.get(line.product.toString()),
+      remaining: line.price * line.quantity,
+    }))
+    .filter((entry) => entry.product);
+
+  const applied = [];
+  for (const promotion of promotions) {
+    if (options.withCoupon && !promotion.combinesWithCoupons) {
+      continue;
+    }
+    if (promotion.exclusive && applied.length > 0) {
+      continue;
+    }
+
+    // Work on a copy so that a promotion which takes nothing off leaves the
+    // lines untouched
+    const attempt = entries.map((entry) => ({ ...entry }));
+    const discount = helpers.roundMoney(evaluators[promotion.type](promotion, attempt));
+    if (discount > 0) {
+      attempt.forEach((entry, index) => {
+        entries[index].remaining = entry.remaining;
+      });
+      applied.push({
+        promotion: promotion._id,
+        name: promotion.name,
+        type: promotion.type,
+        discount,
+      });
+      if (promotion.exclusive) {
+        break;
+      }
+    }
+  }
+
+  return applied;
+};
+
+module.exports = {
+  createPromotion,
+  getPromotions,
+  getPromotionById,
+  updatePromotionById,
+  deletePromotionById,
+  applyPromotions,
+};
@@ -0,0 +1,303 @@
+const crypto = require('crypto');
+const { config, logger } = require('../../config');
+const { BadRequestError, NotFoundError, helpers } = require('../../utils');
+const { providerPaymentStatuses, paymentEventTypes } = require('./types');
+
+const name = 'fake';
+
+// Outcomes a fake payment can be confirmed with
+const fakeScenarios = {
+  SUCCESS: 'success',
+  FAILURE: 'failure',
+  // The card asks for 3D Secure, settled with authenticatePayment
+  REQUIRES_ACTION: 'requires_action',
+};
+
+// Payments and refunds only live as long as the process
+const payments = new Map();
+const refundsByKey = new Map();
+
+const eventHandlers = [];
+const pendingDeliveries = new Set();
+
+const randomId = (prefix) => `${prefix}_${crypto.randomBytes(12).toString('hex')}`;
+
+/**
+ * Check if the fake provider is enabled
+ * @returns {boolean}
+ */
+const isConfigured = () => Boolean(config.payment.fakeProvider);
+
+/**
+ * Get a fake payment
+ * @param {string} paymentId - Payment ID
+ * @returns {Object} - Stored payment
+ */
+const getPayment = (paymentId) => {
+  const payment = payments.get(paymentId);
+  if (!payment) {
+    throw new NotFoundError('Payment not found');
+  }
+  return payment;
+};
+
+/**
+ * Convert a stored payment to a provider payment
+ * @param {Object} payment - Stored payment
+ * @returns {Object} - Provider payment
+ */
+const toPayment = (payment) => ({
+  id: payment.id,
+  status: payment.status,
+  clientSecret: payment.clientSecret,
+  chargeId: payment.chargeId,
+});
+
+/**
+ * Deliver an event to the registered handlers, like a webhook would
+ * Delivery is always asynchronous; use flush to wait for it.
+ * @param {Object} event - Payment event
+ * @param {number} [delayMs] - Delay before delivery
+ */
+const emit = (event, delayMs = config.payment.fakeWebhookDelayMs) => {
+  const delivery = new Promise((resolve) => setTimeout(resolve, delayMs))
+    .then(() => Promise.all(eventHandlers.map((handler) => handler(event))))
+    .catch((error) => logger.error(`Fake payment event ${event.type} failed:`, error))
+    .finally(() => pendingDeliveries.delete(delivery));
+  pendingDeliveries.add(delivery);
+};
+
+/**
+ * Build an event about a payment
+ * @param {string} type - Payment event type
+ * @param {Object} payment - Stored payment
+ * @returns {Object} - Payment event
+ */
+const paymentEvent = (type, payment) => ({
+  id: randomId('fake_evt'),
+  type,
+  paymentId: payment.id,
+  chargeId: payment.chargeId,
+  orderId: payment.orderId,
+  adjustmentId: payment.adjustmentId,
+});
+
+/**
+ * Settle a payment that was confirmed or authenticated
+ * Failed payments go back to pending so that they can be retried.
+ * @param {Object} payment - Stored payment
+ * @param {boolean} succeeded - Whether the payment went through
+ * @param {number} [webhookDelayMs] - Delay before the webhook is delivered
+ */
+const settle = (payment, succeeded, webhookDelayMs) => {
+  if (succeeded) {
+    payment.status = providerPaymentStatuses.SUCCEEDED;
+    payment.chargeId = randomId('fake_ch');
+    emit(paymentEvent(paymentEventTypes.SUCCEEDED, payment), webhookDelayMs);
+  } else {
+    payment.status = providerPaymentStatuses.PENDING;
+    emit(paymentEvent(paymentEventTypes.FAILED, payment), webhookDelayMs);
+  }
+};
+
+/**
+ * Create a fake payment for the client to confirm
+ * @param {Object} paymentData - Amount, currency, order and adjustment IDs
+ * @returns {Promise<Object>} - Provider payment
+ */
+const createPayment = async (paymentData) => {
+  const id = randomId('fake_pay');
+  const payment = {
+    id,
+    amount: paymentData.amount,
+    currency: paymentData.currency,
+    orderId: paymentData.orderId,
+    adjustmentId: paymentData.adjustmentId,
+    status: providerPaymentStatuses.PENDING,
+    clientSecret: randomId(`${id}_secret`),
+    refunds: [],
+  };
+  payments.set(id, payment);
+
+  logger.info(`Fake payment created: ${id}`);
+  return toPayment(payment);
+};
+
+/**
+ * Confirm a payment the way the buyer would at checkout
+ * @param {string} paymentId - Payment ID
+ * @param {Object} options - Confirmation options
+ * @param {string} [options.scenario] - One of fakeScenarios
+ * @param {number} [options.webhookDelayMs] - Delay before the webhook is delivered
+ * @returns {Promise<Object>} - Provider payment
+ */
+const confirmPayment = async (paymentId, options = {}) => {
+  const { scenario = fakeScenarios.SUCCESS, webhookDelayMs } = options;
+  const payment = getPayment(paymentId);
+  if (payment.status !== providerPaymentStatuses.PENDING) {
+    throw new BadRequestError(`Payments that are ${payment.status} cannot be confirmed`);
+  }
+
+  if (scenario === fakeScenarios.REQUIRES_ACTION) {
+    payment.status = providerPaymentStatuses.REQUIRES_ACTION;
+  } else {
+    settle(payment, scenario === fakeScenarios.SUCCESS, webhookDelayMs);
+  }
+
+  return toPayment(payment);
+};
+
+/**
+ * Complete or fail the 3D Secure challenge of a payment
+ * @param {string} paymentId - Payment ID
+ * @param {Object} options - Authentication options
+ * @param {boolean} [options.passed] - Whether the buyer passed the challenge
+ * @param {number} [options.webhookDelayMs] - Delay before the webhook is delivered
+ * @returns {Promise<Object>} - Provider payment
+ */
+const authenticatePayment = async (paymentId, { passed = true, webhookDelayMs } = {}) => {
+  const payment = getPayment(paymentId);
+  if (payment.status !== providerPaymentStatuses.REQUIRES_ACTION) {
+    throw new BadRequestError('Payment does not require authentication');
+  }
+
+  settle(payment, passed, webhookDelayMs);
+  return toPayment(payment);
+};
+
+/**
+ * Capture a payment; fake payments are captured when they are confirmed
+ * @param {string} paymentId - Payment ID
+ * @returns {Promise<Object>} - Provider payment
+ */
+const capturePayment = async (paymentId) => {
+  return toPayment(getPayment(paymentId));
+};
+
+/**
+ * Change the amount of an unpaid payment
+ * @param {string} paymentId - Payment ID
+ * @param {number} amount - New amount
+ * @returns {Promise<Object>} - Provider payment
+ */
+const updatePaymentAmount = async (paymentId, amount) => {
+  const payment = getPayment(paymentId);
+  if (payment.status === providerPaymentStatuses.SUCCEEDED) {
+    throw new BadRequestError('Paid payments cannot be changed');
+  }
+
+  payment.amount = amount;
+  return toPayment(payment);
+};
+
+/**
+ * Cancel an unpaid payment
+ * @param {string} paymentId - Payment ID
+ * @returns {Promise<Object>} - Provider payment
+ */
+const cancelPayment = async (paymentId) => {
+  const payment = getPayment(paymentId);
+  if (payment.status === providerPaymentStatuses.SUCCEEDED) {
+    throw new BadRequestError('Paid payments cannot be cancelled');
+  }
+
+  payment.status = providerPaymentStatuses.CANCELLED;
+  return toPayment(payment);
+};
+
+/**
+ * Refund part or all of a payment
+ * Called without metadata it stands in for a refund made on the provider's
+ * dashboard. Every refund is followed by a webhook listing all refunds.
+ * @param {Object} refundData - Payment ID, amount, idempotency key and metadata
+ * @returns {Promise<Object>} - Provider refund ({ id })
+ */
+const refundPayment = async (refundData) => {
+  if (refundData.idempotencyKey && refundsByKey.has(refundData.idempotencyKey)) {
+    return { id: refundsByKey.get(refundData.idempotencyKey).id };
+  }
+
+  const payment = getPayment(refundData.paymentId);
+  if (payment.status !== providerPaymentStatuses.SUCCEEDED) {
+    throw new BadRequestError('Payment has not been captured');
+  }
+
+  const amountRefunded = payment.refunds.reduce((sum, refund) => sum + refund.amount, 0);
+  if (refundData.amount > helpers.roundMoney(payment.amount - amountRefunded)) {
+    throw new BadRequestError('Refund exceeds the amount left on the payment');
+  }
+
+  const refund = {
+    id: randomId('fake_re'),
+    amount: refundData.amount,
+    reason: refundData.reason,
+    entryId: refundData.metadata && refundData.metadata.refundId,
+    failed: false,
+  };
+  payment.refunds.push(refund);
+  if (refundData.idempotencyKey) {
+    refundsByKey.set(refundData.idempotencyKey, refund);
+  }
+
+  emit({
+    ...paymentEvent(paymentEventTypes.REFUNDED, payment),
+    refunds: [...payment.refunds],
+    amountRefunded: helpers.roundMoney(amountRefunded + refund.amount),
+  });
+
+  logger.info(`Fake refund created: ${refund.id}`);
+  return { id: refund.id };
+};
+
+/**
+ * The fake provider has no webhook endpoint; events are delivered in-process
+ * @throws {BadRequestError}
+ */
+const parseWebhook = async () => {
+  throw new BadRequestError('The fake payment provider does not send webhooks');
+};
+
+/**
+ * Register a handler for the provider's events
+ * @param {Function} handler - Called with each payment event
+ */
+const onEvent = (handler) => {
+  eventHandlers.push(handler);
+};
+
+/**
+ * Wait until every scheduled event has been delivered, including events
+ * emitted while handling them
+ * @returns {Promise<void>}
+ */
+const flush = async () => {
+  while (pendingDeliveries.size) {
+    await Promise.all([...pendingDeliveries]);
+  }
+};
+
+/**
+ * Forget all payments and refunds
+ */
+const reset = () => {
+  payments.clear();
+  refundsByKey.clear();
+};
+
+module.exports = {
+  name,
+  fakeScenarios,
+  isConfigured,
+  createPayment,
+  confirmPayment,
+  authenticatePayment,
+  capturePayment,
+  updatePaymentAmount,
+  cancelPayment,
+  refundPayment,
+  parseWebhook,
+  onEvent,
+  flush,
+  reset,
+  getPayment,
+};
@@ -0,0 +1,280 @@
+const axios = require('axios');
+const { config, logger } = require('../../config');
+const { BadRequestError } = require('../../utils');
+const { providerPaymentStatuses, paymentEventTypes } = require('./types');
+
+const name = 'paypal';
+
+const baseUrls = {
+  sandbox: 'https://api-m.sandbox.paypal.com',
+  live: 'https://api-m.paypal.com',
+};
+
+const orderStatuses = {
+  CREATED: providerPaymentStatuses.PENDING,
+  SAVED: providerPaymentStatuses.PENDING,
+  APPROVED: providerPaymentStatuses.PENDING,
+  PAYER_ACTION_REQUIRED: providerPaymentStatuses.REQUIRES_ACTION,
+  VOIDED: providerPaymentStatuses.CANCELLED,
+  COMPLETED: providerPaymentStatuses.SUCCEEDED,
+};
+
+// Access tokens are reused until shortly before they expire
+let accessToken = null;
+
+/**
+ * Check if PayPal is configured
+ * @returns {boolean}
+ */
+const isConfigured = () => {
+  return Boolean(config.paypal.clientId && config.paypal.clientSecret);
+};
+
+/**
+ * Get an OAuth access token for the REST API
+ * @returns {Promise<string>} - Access token
+ */
+const getAccessToken = async () => {
+  if (accessToken && accessToken.expiresAt > Date.now()) {
+    return accessToken.value;
+  }
+
+  const url = `${baseUrls[config.paypal.mode]}/v1/oauth2/token`;
+  const options = {
+    auth: { username: config.paypal.clientId, password: config.paypal.clientSecret },
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+  };
+  const response = await axios.post(url, 'grant_type=client_credentials', options);
+
+  const { access_token: value, expires_in: expiresIn } = response.data;
+  accessToken = { value, expiresAt: Date.now() + (expiresIn - 60) * 1000 };
+  return value;
+};
+
+/**
+ * Call the PayPal REST API
+ * @param {string} method - HTTP method
+ * @param {string} path - API path
+ * @param {Object} data - Request body
+ * @param {Object} headers - Extra request headers
+ * @returns {Promise<Object>} - Response body
+ */
+const request = async (method, path, data, headers = {}) => {
+  if (!isConfigured()) {
+    throw new BadRequestError('Payment service not available');
+  }
+
+  try {
+    const token = await getAccessToken();
+    const response = await axios({
+      method,
+      url: `${baseUrls[config.paypal.mode]}${path}`,
+      data,
+      headers: { Authorization: `Bearer ${token}`, ...headers },
+    });
+    return response.data;
+  } catch (error) {
+    logger.error(`PayPal ${method.toUpperCase()} ${path} error:`, error.response?.data || error);
+    throw new BadRequestError('Payment provider request failed');
+  }
+};
+
+/**
+ * Format an amount for the API
+ * @param {number} amount - Amount
+ * @param {string} currency - Currency code
+ * @returns {Object} - PayPal money object
+ */
+const toMoney = (amount, currency = config.order.currency) => ({
+  currency_code: currency.toUpperCase(),
+  value: amount.toFixed(2),
+});
+
+// Links the buyer is sent to for approving the payment
+const approvalRels = ['approve', 'payer-action'];
+
+/**
+ * Convert a PayPal order to a provider payment
+ * @param {Object} order - PayPal order object
+ * @returns {Object} - Provider payment
+ */
+const toPayment = (order) => {
+  const approveLink = (order.links || []).find((link) => approvalRels.includes(link.rel));
+  const capture = order.purchase_units?.[0]?.payments?.captures?.[0];
+  return {
+    id: order.id,
+    status: orderStatuses[order.status],
+    redirectUrl: approveLink ? approveLink.href : undefined,
+    chargeId: capture ? capture.id : undefined,
+  };
+};
+
+// Order and adjustment IDs travel in the purchase unit's custom ID
+const toCustomId = ({ orderId, adjustmentId }) => [orderId, adjustmentId].filter(Boolean).join(':');
+
+const fromCustomId = (customId = '') => {
+  const [orderId, adjustmentId] = customId.split(':');
+  return { orderId, adjustmentId };
+};
+
+/**
+ * Create a PayPal order for the buyer to approve
+ * @param {Object} paymentData - Amount, currency, order and adjustment IDs
+ * @returns {Promise<Object>} - Provider payment with the approval URL
+ */
+const createPayment = async (paymentData) => {
+  const order = await request('post', '/v2/checkout/orders', {
+    intent: 'CAPTURE',
+    purchase_units: [
+      {
+        reference_id: 'default',
+        custom_id: toCustomId(paymentData),
+        amount: toMoney(paymentData.amount, paymentData.currency),
+      },
+    ],
+  });
+
+  logger.info(`PayPal order created: ${order.id}`);
+  return toPayment(order);
+};
+
+/**
+ * Capture an approved PayPal order
+ * @param {string} paymentId - PayPal order ID
+ * @returns {Promise<Object>} - Provider payment
+ */
+const capturePayment = async (paymentId) => {
+  return toPayment(await request('post', `/v2/checkout/orders/${paymentId}/capture`, {}));
+};
+
+/**
+ * Change the amount of an order that has not been captured
+ * @param {string} paymentId - PayPal order ID
+ * @param {number} amount - New amount
+ * @returns {Promise<Object>} - Provider payment
+ */
+const updatePaymentAmount = async (paymentId, amount) => {
+  const path = "/purchase_units/@reference_id=='default'/amount";
+  const patch = [{ op: 'replace', path, value: toMoney(amount) }];
+  await request('patch', `/v2/checkout/orders/${paymentId}`, patch);
+  return { id: paymentId, status: providerPaymentStatuses.PENDING };
+};
+
+/**
+ * Give up on an order that has not been captured
+ * PayPal orders cannot be cancelled; uncaptured orders expire on their own.
+ * @param {string} paymentId - PayPal order ID
+ * @returns {Promise<Object>} - Provider payment
+ */
+const cancelPayment = async (paymentId) => {
+  logger.info(`PayPal order ${paymentId} abandoned; it expires if not captured`);
+  return { id: paymentId, status: providerPaymentStatuses.CANCELLED };
+};
+
+/**
+ * Refund part or all of a captured payment
+ * @param {Object} refundData - Capture ID, amount, idempotency key and metadata
+ * @returns {Promise<Object>} - Provider refund ({ id })
+ */
+const refundPayment = async (refundData) => {
+  if (!refundData.chargeId) {
+    throw new BadRequestError('Payment has not been captured');
+  }
+
+  // Retrying with the same request ID returns the original refund
+  const headers = {};
+  if (refundData.idempotencyKey) {
+    headers['PayPal-Request-Id'] = refundData.idempotencyKey;
+  }
+  const body = {
+    amount: toMoney(refundData.amount),
+    custom_id: refundData.metadata && refundData.metadata.refundId,
+  };
+  const path = `/v2/payments/captures/${refundData.chargeId}/refund`;
+  const refund = await request('post', path, body, headers);
+
+  logger.info(`PayPal refund created: ${refund.id}`);
+  return { id: refund.id };
+};
+
+/**
+ * Get the ID of the resource a PayPal object links up to
+ * @param {Object} resource - PayPal resource
+ * @returns {string|undefined} - Linked resource ID
+ */
+const getParentId = (resource) => {
+  const up = (resource.links || []).find((link) => link.rel === 'up');
+  return up ? up.href.split('/').pop() : undefined;
+};
+
+// PayPal events translated into payment events; others are ignored
+const eventParsers = {
+  'CHECKOUT.ORDER.APPROVED': (order) => ({
+    type: paymentEventTypes.APPROVED,
+    paymentId: order.id,
+    ...fromCustomId(order.purchase_units?.[0]?.custom_id),
+  }),
+  'PAYMENT.CAPTURE.COMPLETED': (capture) => ({
+    type: paymentEventTypes.SUCCEEDED,
+    paymentId: capture.supplementary_data?.related_ids?.order_id,
+    chargeId: capture.id,
+    ...fromCustomId(capture.custom_id),
+  }),
+  'PAYMENT.CAPTURE.DENIED': (capture) => ({
+    type: paymentEventTypes.FAILED,
+    paymentId: capture.supplementary_data?.related_ids?.order_id,
+    ...fromCustomId(capture.custom_id),
+  }),
+  'PAYMENT.CAPTURE.REFUNDED': (refund) => ({
+    type: paymentEventTypes.REFUNDED,
+    chargeId: getParentId(refund),
+    refunds: [
+      {
+        id: refund.id,
+        amount: Number(refund.amount.value),
+        reason: refund.note_to_payer,
+        entryId: refund.custom_id,
+        failed: refund.status === 'FAILED',
+      },
+    ],
+  }),
+};
+
+/**
+ * Verify a PayPal webhook with the API and translate it into payment events
+ * @param {Buffer} rawBody - Raw request body
+ * @param {Object} headers - Request headers
+ * @returns {Promise<Object[]>} - Payment events
+ */
+const parseWebhook = async (rawBody, headers) => {
+  const event = JSON.parse(rawBody.toString('utf8'));
+  const verification = await request('post', '/v1/notifications/verify-webhook-signature', {
+    auth_algo: headers['paypal-auth-algo'],
+    cert_url: headers['paypal-cert-url'],
+    transmission_id: headers['paypal-transmission-id'],
+    transmission_sig: headers['paypal-transmission-sig'],
+    transmission_time: headers['paypal-transmission-time'],
+    webhook_id: config.paypal.webhookId,
+    webhook_event: event,
+  });
+  if (verification.verification_status !== 'SUCCESS') {
+    throw new BadRequestError('Webhook signature verification failed');
+  }
+
+  const parse = eventParsers[event.event_type];
+  if (!parse) {
+    return [];
+  }
+  return [{ id: event.id, ...parse(event.resource) }];
+};
+
+module.exports = {
+  name,
+  isConfigured,
+  createPayment,
+  capturePayment,
+  updatePaymentAmount,
+  cancelPayment,
+  refundPayment,
+  parseWebhook,
+};
@@ -0,0 +1,152 @@
+const stripeService = require('../stripe.service');
+const { providerPaymentStatuses, paymentEventTypes } = require('./types');
+
+const name = 'stripe';
+
+const paymentStatuses = {
+  requires_payment_method: providerPaymentStatuses.PENDING,
+  requires_confirmation: providerPaymentStatuses.PENDING,
+  requires_action: providerPaymentStatuses.REQUIRES_ACTION,
+  processing: providerPaymentStatuses.PENDING,
+  requires_capture: providerPaymentStatuses.PENDING,
+  canceled: providerPaymentStatuses.CANCELLED,
+  succeeded: providerPaymentStatuses.SUCCEEDED,
+};
+
+/**
+ * Convert a Stripe payment intent to a provider payment
+ * @param {Object} paymentIntent - Stripe payment intent object
+ * @returns {Object} - Provider payment
+ */
+const toPayment = (paymentIntent) => ({
+  id: paymentIntent.id,
+  status: paymentStatuses[paymentIntent.status],
+  clientSecret: paymentIntent.client_secret,
+  chargeId: paymentIntent.latest_charge,
+});
+
+/**
+ * Check if Stripe is configured
+ * @returns {boolean}
+ */
+const isConfigured = () => stripeService.isConfigured();
+
+/**
+ * Create a payment intent for the client to confirm
+ * @param {Object} paymentData - Amount, currency, order and customer IDs
+ * @returns {Promise<Object>} - Provider payment
+ */
+const createPayment = async (paymentData) => {
+  return toPayment(await stripeService.createPaymentIntent(paymentData));
+};
+
+/**
+ * Capture an authorized payment
+ * @param {string} paymentId - Payment intent ID
+ * @returns {Promise<Object>} - Provider payment
+ */
+const capturePayment = async (paymentId) => {
+  return toPayment(await stripeService.capturePaymentIntent(paymentId));
+};
+
+/**
+ * Change the amount of an unpaid payment
+ * @param {string} paymentId - Payment intent ID
+ * @param {number} amount - New amount
+ * @returns {Promise<Object>} - Provider payment
+ */
+const updatePaymentAmount = async (paymentId, amount) => {
+  return toPayment(await stripeService.updatePaymentIntentAmount(paymentId, amount));
+};
+
+/**
+ * Cancel an unpaid payment
+ * @param {string} paymentId - Payment intent ID
+ * @returns {Promise<Object>} - Provider payment
+ */
+const cancelPayment = async (paymentId) => {
+  return toPayment(await stripeService.cancelPaymentIntent(paymentId));
+};
+
+/**
+ * Refund part or all of a payment
+ * @param {Object} refundData - Payment ID, amount, idempotency key and metadata
+ * @returns {Promise<Object>} - Provider refund ({ id })
+ */
+const refundPayment = async (refundData) => {
+  const refund = await stripeService.createRefund({
+    paymentIntentId: refundData.paymentId,
+    amount: refundData.amount,
+    idempotencyKey: refundData.idempotencyKey,
+    metadata: refundData.metadata,
+  });
+  return { id: refund.id };
+};
+
+/**
+ * Convert a Stripe refund to a provider refund
+ * @param {Object} refund - Stripe refund object
+ * @returns {Object} - Provider refund
+ */
+const toRefund = (refund) => ({
+  id: refund.id,
+  amount: refund.amount / 100,
+  reason: refund.reason,
+  entryId: refund.metadata && refund.metadata.refundId,
+  failed: refund.status === 'failed',
+});
+
+// Stripe events translated into payment events; others are ignored
+const eventParsers = {
+  'payment_intent.succeeded': (paymentIntent) => ({
+    type: paymentEventTypes.SUCCEEDED,
+    paymentId: paymentIntent.id,
+    chargeId: paymentIntent.latest_charge,
+    orderId: paymentIntent.metadata?.orderId,
+    adjustmentId: paymentIntent.metadata?.adjustmentId,
+  }),
+  'payment_intent.payment_failed': (paymentIntent) => ({
+    type: paymentEventTypes.FAILED,
+    paymentId: paymentIntent.id,
+    orderId: paymentIntent.metadata?.orderId,
+    adjustmentId: paymentIntent.metadata?.adjustmentId,
+  }),
+  'checkout.session.completed': (session) => ({
+    type: paymentEventTypes.SUCCEEDED,
+    paymentId: session.payment_intent,
+    orderId: session.metadata?.orderId,
+  }),
+  'charge.refunded': (charge) => ({
+    type: paymentEventTypes.REFUNDED,
+    paymentId: charge.payment_intent,
+    chargeId: charge.id,
+    refunds: ((charge.refunds && charge.refunds.data) || []).map(toRefund),
+    amountRefunded: charge.amount_refunded / 100,
+  }),
+};
+
+/**
+ * Verify a Stripe webhook and translate it into payment events
+ * @param {Buffer} rawBody - Raw request body
+ * @param {Object} headers - Request headers
+ * @returns {Promise<Object[]>} - Payment events
+ */
+const parseWebhook = async (rawBody, headers) => {
+  const event = stripeService.constructWebhookEvent(rawBody, headers['stripe-signature']);
+  const parse = eventParsers[event.type];
+  if (!parse) {
+    return [];
+  }
+  return [{ id: event.id, ...parse(event.data.object) }];
+};
+
+module.exports = {
+  name,
+  isConfigured,
+  createPayment,
+  capturePayment,
+  updatePaymentAmount,
+  cancelPayment,
+  refundPayment,
+  parseWebhook,
+};
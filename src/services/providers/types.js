@@ -0,0 +1,22 @@
+// Payment states reported by providers, normalized across providers
+const providerPaymentStatuses = {
+  PENDING: 'pending',
+  REQUIRES_ACTION: 'requires_action',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled',
+};
+
+// Webhook events every provider translates its own events into
+const paymentEventTypes = {
+  // The buyer approved the payment and it must be captured (e.g. PayPal)
+  APPROVED: 'payment.approved',
+  SUCCEEDED: 'payment.succeeded',
+  FAILED: 'payment.failed',
+  REFUNDED: 'payment.refunded',
+};
+
+module.exports = {
+  providerPaymentStatuses,
+  paymentEventTypes,
+};
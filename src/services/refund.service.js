@@ -0,0 +1,370 @@
+const {
+  Order,
+  orderStatuses,
+  paymentStatuses,
+  refundSources,
+  balanceTransactionTypes,
+} = require('../models');
+const pricingService = require('./pricing.service');
+const paymentService = require('./payment.service');
+const invoiceService = require('./invoice.service');
+const balanceService = require('./balance.service');
+const loyaltyService = require('./loyalty.service');
+const { BadRequestError, ConflictError, helpers } = require('../utils');
+const { logger } = require('../config');
+
+// Payment statuses in which money has been captured and can be paid back
+const capturedPaymentStatuses = [paymentStatuses.SUCCEEDED, paymentStatuses.PARTIALLY_REFUNDED];
+
+/**
+ * Check whether the order's payment has been captured
+ * @param {Order} order - Order object
+ * @returns {boolean}
+ */
+const isPaymentCaptured = (order) => {
+  if (capturedPaymentStatuses.includes(order.payment.status)) {
+    return true;
+  }
+  // Cash on delivery is collected by the carrier when the order is delivered
+  return order.payment.method === 'cod' && order.status === orderStatuses.DELIVERED;
+};
+
+/**
+ * Get the total of refunds counted against the order total
+ * Order edit refunds are left out: they pay back items that were removed
+ * from the order, and the order total was lowered with them.
+ * @param {Order} order - Order object
+ * @returns {number} - Refunded amount
+ */
+const getRefundedAgainstTotal = (order) => {
+  const total = order.refunds
+    .filter((refund) => refund.source !== refundSources.ORDER_EDIT)
+    .reduce((sum, refund) => sum + refund.amount, 0);
+  return helpers.roundMoney(total);
+};
+
+/**
+ * Get the amount that can still be refunded on an order
+ * @param {Order} order - Order object
+ * @returns {number} - Remaining refundable amount
+ */
+const getRefundableAmount = (order) => {
+  return Math.max(helpers.roundMoney(order.pricing.total - getRefundedAgainstTotal(order)), 0);
+};
+
+/**
+ * Get the quantity already refunded per order item
+ * @param {Order} order - Order object
+ * @returns {Map<string, number>} - Refunded quantity per order item ID
+ */
+const getRefundedQuantities = (order) => {
+  const quantities = new Map();
+  order.refunds.forEach((refund) => {
+    refund.items.forEach((item) => {
+      const key = item.orderItem.toString();
+      quantities.set(key, (quantities.get(key) || 0) + item.quantity);
+    });
+  });
+  return quantities;
+};
+
+/**
+ * Check whether an order has been refunded in full
+ * An order is fully refunded once the ledger covers its total, or once every
+ * item has been refunded (shipping is not refunded with items).
+ * @param {Order} order - Order object
+ * @returns {boolean}
+ */
+const isFullyRefunded = (order) => {
+  if (getRefundedAgainstTotal(order) >= order.pricing.total) {
+    return true;
+  }
+
+  const refunded = getRefundedQuantities(order);
+  return order.items.every((item) => (refunded.get(item.id) || 0) >= item.quantity);
+};
+
+/**
+ * Resolve refund lines against the order and price them
+ * @param {Order} order - Order object
+ * @param {Array} items - Items to refund ({ itemId, quantity })
+ * @returns {Object} - Ledger lines and refund amount
+ */
+const priceRefundItems = (order, items) => {
+  const refunded = getRefundedQuantities(order);
+  let linesSubtotal = 0;
+
+  const lines = items.map((requested) => {
+    const orderItem = order.items.id(requested.itemId);
+    if (!orderItem) {
+      throw new BadRequestError(`Item ${requested.itemId} is not part of this order`);
+    }
+
+    const alreadyRefunded = refunded.get(orderItem.id) || 0;
+    const refundable = orderItem.quantity - alreadyRefunded;
+    if (requested.quantity > refundable) {
+      throw new BadRequestError(`Only ${refundable} of ${orderItem.name} can be refunded`);
+    }
+    refunded.set(orderItem.id, alreadyRefunded + requested.quantity);
+
+    linesSubtotal += orderItem.price * requested.quantity;
+    return { orderItem: orderItem._id, quantity: requested.quantity };
+  });
+
+  return { lines, amount: pricingService.calculateLineRefund(order.pricing, linesSubtotal) };
+};
+
+/**
+ * Update the payment status from the refund ledger and issue credit notes
+ * @param {Order} order - Order object
+ * @returns {Promise<Order>} - Updated order
+ */
+const syncPaymentStatus = async (order) => {
+  if (!order.refunds.length) {
+    return order;
+  }
+
+  const status = isFullyRefunded(order)
+    ? paymentStatuses.REFUNDED
+    : paymentStatuses.PARTIALLY_REFUNDED;
+
+  const update = { 'payment.status': status };
+  const updated = await Order.findByIdAndUpdate(order._id, update, { new: true });
+  await invoiceService.issueCreditNotes(updated);
+
+  return updated;
+};
+
+/**
+ * Pay the balance part of a refund back to gift cards and store credit
+ * Failures are logged rather than thrown because the refund is already on
+ * the order's ledger; the transactions show what still has to be credited.
+ * @param {Order} order - Order object
+ * @param {number} amount - Amount to pay back
+ * @param {Object} details - Reason, createdBy and whether to pay it all into
+ * store credit
+ */
+const refundToBalances = async (order, amount, details) => {
+  const { toStoreCredit, ...transaction } = details;
+  try {
+    if (toStoreCredit) {
+      await balanceService.refundToStoreCredit(order, amount, transaction);
+      return;
+    }
+    const type = balanceTransactionTypes.REFUND;
+    const returned = await balanceService.returnToTenders(order, amount, { ...transaction, type });
+    if (returned < amount) {
+      const missing = helpers.roundMoney(amount - returned);
+      logger.error(`Could not credit ${missing} back to the tenders of ${order.orderNumber}`);
+    }
+  } catch (error) {
+    logger.error(`Failed to credit the refund of order ${order.orderNumber}:`, error);
+  }
+};
+
+/**
+ * Take back the loyalty points earned on the refunded part of an order
+ * The refund has already gone through, so failures are only logged.
+ * @param {Order} order - Order object with the refund recorded
+ */
+const reverseLoyaltyPoints = async (order) => {
+  try {
+    await loyaltyService.reverseRefundedPoints(order);
+  } catch (error) {
+    logger.error(`Failed to reverse loyalty points of order ${order.orderNumber}:`, error);
+  }
+};
+
+/**
+ * Refund an order and record the refund on its ledger
+ * The amount is reserved on the ledger before the payment provider is called,
+ * with a guard that keeps the sum of all refunds within the order total even
+ * under concurrent requests. Whatever the order was paid with gift cards or
+ * store credit is paid back there first, or all of it goes to the customer's
+ * store credit when asked; only the rest goes through the payment provider.
+ * Orders not paid through a payment provider are recorded as refunded offline.
+ * Loyalty points earned on the refunded share of the order are taken back.
+ * @param {Order} order - Order object
+ * @param {Object} refundBody - Either an amount or items to refund, and a reason
+ * @param {Object} options - Ledger options
+ * @param {string} options.source - Where the refund originated; order edit
+ * refunds are bounded by the edit instead of the order total
+ * @param {ObjectId} options.createdBy - User issuing the refund
+ * @param {ObjectId} options.returnRequest - Return the refund settles
+ * @param {boolean} options.toStoreCredit - Pay the whole refund into the
+ * customer's store credit
+ * @returns {Promise<Order>} - Updated order
+ */
+const issueRefund = async (order, refundBody, options = {}) => {
+  if (!isPaymentCaptured(order)) {
+    throw new BadRequestError('Only paid orders can be refunded');
+  }
+
+  const { lines, amount } = refundBody.items
+    ? priceRefundItems(order, refundBody.items)
+    : { lines: [], amount: helpers.roundMoney(refundBody.amount) };
+
+  if (amount <= 0) {
+    throw new BadRequestError('Refund amount must be greater than zero');
+  }
+
+  const source = options.source || refundSources.ADMIN;
+  const isEditRefund = source === refundSources.ORDER_EDIT;
+
+  const refundable = getRefundableAmount(order);
+  if (!isEditRefund && amount > refundable) {
+    throw new BadRequestError(`Only ${refundable} can still be refunded on this order`);
+  }
+  if (options.toStoreCredit && !order.user) {
+    throw new BadRequestError('Only orders placed with an account can be refunded to store credit');
+  }
+
+  // Edits never take the total below what gift cards and store credit paid,
+  // so what they remove goes back through the payment method
+  let balanceAmount = 0;
+  if (options.toStoreCredit) {
+    balanceAmount = amount;
+  } else if (!isEditRefund) {
+    balanceAmount = Math.min(amount, balanceService.getTenderBalance(order));
+  }
+  const providerAmount = helpers.roundMoney(amount - balanceAmount);
+
+  const entry = order.refunds.create({
+    amount,
+    balanceAmount,
+    reason: refundBody.reason,
+    items: lines,
+    source,
+    returnRequest: options.returnRequest,
+    createdBy: options.createdBy,
+  });
+
+  const filter = { _id: order._id };
+  if (!isEditRefund) {
+    const isCounted = { $ne: ['$$this.source', refundSources.ORDER_EDIT] };
+    const counted = { $filter: { input: '$refunds', cond: isCounted } };
+    const refunded = { $sum: { $map: { input: counted, in: '$$this.amount' } } };
+    const refundsAfter = { $round: [{ $add: [refunded, amount] }, 2] };
+    filter.$expr = { $lte: [refundsAfter, '$pricing.total'] };
+  }
+  const update = { $push: { refunds: entry } };
+  const reserved = await Order.findOneAndUpdate(filter, update, { new: true });
+
+  if (!reserved) {
+    throw new ConflictError('Refund exceeds the amount left to refund on this order');
+  }
+
+  let recorded = reserved;
+  if (providerAmount > 0 && order.payment.providerPaymentId) {
+    let refund;
+    try {
+      const provider = paymentService.getOrderProvider(order);
+      refund = await provider.refundPayment({
+        paymentId: order.payment.providerPaymentId,
+        chargeId: order.payment.providerChargeId,
+        amount: providerAmount,
+        idempotencyKey: `refund-${entry.id}`,
+        metadata: { orderId: order.id, refundId: entry.id },
+      });
+    } catch (error) {
+      await Order.updateOne({ _id: order._id }, { $pull: { refunds: { _id: entry._id } } });
+      throw error;
+    }
+
+    const entryFilter = { _id: order._id, 'refunds._id': entry._id };
+    const entryUpdate = { $set: { 'refunds.$.providerRefundId': refund.id } };
+    recorded = await Order.findOneAndUpdate(entryFilter, entryUpdate, { new: true });
+  } else if (providerAmount > 0) {
+    logger.info(`Offline refund of ${providerAmount} recorded for order ${order.orderNumber}`);
+  }
+
+  if (balanceAmount > 0) {
+    await refundToBalances(order, balanceAmount, {
+      reason: refundBody.reason,
+      createdBy: options.createdBy,
+      toStoreCredit: options.toStoreCredit,
+    });
+  }
+
+  if (!isEditRefund) {
+    await reverseLoyaltyPoints(recorded);
+  }
+
+  return syncPaymentStatus(recorded);
+};
+
+/**
+ * Record a single provider refund on the order's ledger
+ * @param {Order} order - Order object
+ * @param {Object} refund - Provider refund from a payment event
+ */
+const recordProviderRefund = async (order, refund) => {
+  if (refund.entryId) {
+    const entryFilter = { _id: order._id, 'refunds._id': refund.entryId };
+    const entryUpdate = { $set: { 'refunds.$.providerRefundId': refund.id } };
+    const result = await Order.updateOne(entryFilter, entryUpdate);
+    if (result.matchedCount > 0) {
+      return;
+    }
+  }
+
+  const entry = {
+    amount: refund.amount,
+    reason: refund.reason,
+    source: refundSources.PROVIDER,
+    providerRefundId: refund.id,
+  };
+  const filter = { _id: order._id, 'refunds.providerRefundId': { $ne: refund.id } };
+  await Order.updateOne(filter, { $push: { refunds: entry } });
+};
+
+/**
+ * Reconcile a refund reported by the payment provider with the order's ledger
+ * Refunds issued through the API are matched by the ledger entry ID they
+ * carry; refunds made elsewhere (e.g. the provider's dashboard) are added to
+ * the ledger. Safe to call repeatedly for the same event.
+ * @param {Object} event - Refund payment event
+ * @returns {Promise<Order|null>} - Updated order
+ */
+const recordProviderRefunds = async (event) => {
+  const matches = [];
+  if (event.chargeId) {
+    matches.push({ 'payment.providerChargeId': event.chargeId });
+  }
+  if (event.paymentId) {
+    matches.push({ 'payment.providerPaymentId': event.paymentId });
+  }
+  const order = matches.length ? await Order.findOne({ $or: matches }) : null;
+  if (!order) {
+    return null;
+  }
+
+  for (const refund of event.refunds || []) {
+    if (!refund.failed) {
+      await recordProviderRefund(order, refund);
+    }
+  }
+
+  // Some events only report the refunded total; record any unmatched amount
+  const latest = await Order.findById(order._id);
+  if (event.amountRefunded !== undefined) {
+    // Parts of refunds paid to gift cards and store credit never reach the provider
+    const providerPart = (sum, refund) => sum + refund.amount - refund.balanceAmount;
+    const providerRefunded = latest.refunds.reduce(providerPart, 0);
+    const unrecorded = helpers.roundMoney(event.amountRefunded - providerRefunded);
+    if (unrecorded > 0) {
+      latest.refunds.push({ amount: unrecorded, source: refundSources.PROVIDER });
+      await latest.save();
+    }
+  }
+
+  await reverseLoyaltyPoints(latest);
+  return syncPaymentStatus(latest);
+};
+
+module.exports = {
+  isPaymentCaptured,
+  getRefundableAmount,
+  issueRefund,
+  recordProviderRefunds,
+};
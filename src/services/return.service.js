@@ -0,0 +1,391 @@
+const {
+  Return,
+  User,
+  Counter,
+  returnStatuses,
+  orderStatuses,
+  refundSources,
+} = require('../models');
+const orderService = require('./order.service');
+const productService = require('./product.service');
+const refundService = require('./refund.service');
+const emailService = require('./email.service');
+const { NotFoundError, BadRequestError, ConflictError } = require('../utils');
+const { config, logger } = require('../config');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Attempts at numbering a return before giving up on collisions
+const MAX_RETURN_NUMBER_ATTEMPTS = 3;
+
+// Statuses the customer is emailed about; inspection is an internal step
+const customerNotifiedStatuses = [
+  returnStatuses.APPROVED,
+  returnStatuses.REJECTED,
+  returnStatuses.RECEIVED,
+  returnStatuses.REFUNDED,
+  returnStatuses.CLOSED,
+];
+
+/**
+ * Get the quantity already under return per order item
+ * Rejected returns do not count against the returnable quantity.
+ * @param {ObjectId} orderId - Order ID
+ * @returns {Promise<Map<string, number>>} - Returned quantity per order item ID
+ */
+const getReturnedQuantities = async (orderId) => {
+  const returns = await Return.find({
+    order: orderId,
+    status: { $ne: returnStatuses.REJECTED },
+  }).select('items');
+
+  const quantities = new Map();
+  returns.forEach((returnRequest) => {
+    returnRequest.items.forEach((item) => {
+      const key = item.orderItem.toString();
+      quantities.set(key, (quantities.get(key) || 0) + item.quantity);
+    });
+  });
+
+  return quantities;
+};
+
+/**
+ * Create a return numbered after its order (ORD-...-R1, -R2, ...)
+ * Numbers come from a counter per order, so concurrent returns for the same
+ * order never share one. Numbers already taken by returns created before the
+ * counter existed are skipped.
+ * @param {Order} order - Order the return is for
+ * @param {Object} data - Return data
+ * @returns {Promise<Return>} - Created return
+ */
+const createWithReturnNumber = async (order, data) => {
+  for (let attempt = 1; attempt <= MAX_RETURN_NUMBER_ATTEMPTS; attempt += 1) {
+    const seq = await Counter.next(`return:${order._id}`);
+    try {
+      return await Return.create({ ...data, returnNumber: `${order.orderNumber}-R${seq}` });
+    } catch (error) {
+      if (error.code !== 11000 || !error.keyPattern.returnNumber) {
+        throw error;
+      }
+    }
+  }
+
+  throw new ConflictError('Could not number the return, please retry');
+};
+
+/**
+ * Request a return for a delivered order (customer)
+ * @param {User} user - Customer requesting the return
+ * @param {Object} returnBody - Order number, items and note
+ * @returns {Promise<Return>} - Created return
+ */
+const createReturn = async (user, returnBody) => {
+  const order = await orderService.getUserOrderByNumber(user.id, returnBody.orderNumber);
+
+  if (order.status !== orderStatuses.DELIVERED) {
+    throw new BadRequestError('Only delivered orders can be returned');
+  }
+
+  const deliveredAt = order.shipping.deliveredAt || order.updatedAt;
+  if (Date.now() - deliveredAt.getTime() > config.order.returnWindowDays * DAY_MS) {
+    throw new BadRequestError('The return window for this order has closed');
+  }
+
+  const returned = await getReturnedQuantities(order._id);
+
+  const items = returnBody.items.map((requested) => {
+    const orderItem = order.items.id(requested.itemId);
+    if (!orderItem) {
+      throw new BadRequestError(`Item ${requested.itemId} is not part of this order`);
+    }
+
+    const alreadyReturned = returned.get(orderItem.id) || 0;
+    const returnable = orderItem.quantity - alreadyReturned;
+    if (requested.quantity > returnable) {
+      throw new BadRequestError(`Only ${returnable} of ${orderItem.name} can be returned`);
+    }
+    returned.set(orderItem.id, alreadyReturned + requested.quantity);
+
+    return {
+      orderItem: orderItem._id,
+      product: orderItem.product,
+      name: orderItem.name,
+      price: orderItem.price,
+      quantity: requested.quantity,
+      reason: requested.reason,
+    };
+  });
+
+  return createWithReturnNumber(order, {
+    order: order._id,
+    user: user.id,
+    items,
+    customerNote: returnBody.note,
+  });
+};
+
+/**
+ * Get returns with pagination (staff)
+ * @param {Object} filter - MongoDB filter
+ * @param {Object} options - Query options
+ * @returns {Promise<Object>} - Paginated returns
+ */
+const getReturns = async (filter, options) => {
+  const { sortBy = 'createdAt', order = 'desc', page = 1, limit = 10 } = options;
+
+  const skip = (page - 1) * limit;
+  const sortOrder = order === 'desc' ? -1 : 1;
+
+  const [returns, total] = await Promise.all([
+    Return.find(filter)
+      .sort({ [sortBy]: sortOrder })
+      .skip(skip)
+      .limit(limit)
+      .populate('order', 'orderNumber')
+      .populate('user', 'name email'),
+    Return.countDocuments(filter),
+  ]);
+
+  return {
+    results: returns,
+    page,
+    limit,
+    totalPages: Math.ceil(total / limit),
+    totalResults: total,
+  };
+};
+
+/**
+ * Get the returns requested by a customer
+ * @param {ObjectId} userId - Customer ID
+ * @returns {Promise<Array>} - Returns
+ */
+const getUserReturns = async (userId) => {
+  return Return.find({ user: userId })
+    .sort({ createdAt: -1 })
+    .select('-statusHistory.updatedBy -inspection.inspectedBy')
+    .populate('order', 'orderNumber');
+};
+
+/**
+ * Get return by ID
+ * @param {ObjectId} id - Return ID
+ * @returns {Promise<Return>} - Return object
+ */
+const getReturnById = async (id) => {
+  const returnRequest = await Return.findById(id);
+  if (!returnRequest) {
+    throw new NotFoundError('Return not found');
+  }
+  return returnRequest;
+};
+
+/**
+ * Notify the customer about a return status change without failing the caller
+ * @param {Return} returnRequest - Return object
+ * @param {string} note - Note from staff
+ */
+const notifyCustomer = async (returnRequest, note) => {
+  try {
+    const user = await User.findById(returnRequest.user).select('email');
+    if (user) {
+      await emailService.sendReturnStatusEmail(user.email, returnRequest, note);
+    }
+  } catch (error) {
+    logger.error(`Failed to send return email for ${returnRequest.returnNumber}:`, error);
+  }
+};
+
+/**
+ * Move a return to a new status
+ * Applied with a compare-and-set on the current status like order transitions.
+ * @param {Return} returnRequest - Return object
+ * @param {string} status - Target status
+ * @param {Object} options - Transition options (updatedBy, note, set)
+ * @returns {Promise<Return>} - Updated return
+ */
+const transitionStatus = async (returnRequest, status, options = {}) => {
+  const { updatedBy, note, set = {} } = options;
+
+  if (!returnRequest.canTransitionTo(status)) {
+    const message = `Cannot change return status from ${returnRequest.status} to ${status}`;
+    throw new BadRequestError(message);
+  }
+
+  const filter = { _id: returnRequest._id, status: returnRequest.status };
+  const update = {
+    $set: { ...set, status },
+    $push: { statusHistory: { status, note, updatedBy, updatedAt: new Date() } },
+  };
+
+  const updated = await Return.findOneAndUpdate(filter, update, { new: true });
+  if (!updated) {
+    throw new ConflictError('Return status was changed by another request, please retry');
+  }
+
+  logger.info(`Return ${updated.returnNumber}: ${returnRequest.status} -> ${status}`);
+
+  if (customerNotifiedStatuses.includes(status)) {
+    await notifyCustomer(updated, note);
+  }
+
+  return updated;
+};
+
+/**
+ * Approve a requested return
+ * @param {ObjectId} returnId - Return ID
+ * @param {User} actor - Staff member
+ * @param {string} note - Note for the customer
+ * @returns {Promise<Return>} - Updated return
+ */
+const approveReturn = async (returnId, actor, note) => {
+  const returnRequest = await getReturnById(returnId);
+  return transitionStatus(returnRequest, returnStatuses.APPROVED, { updatedBy: actor.id, note });
+};
+
+/**
+ * Reject a requested return
+ * @param {ObjectId} returnId - Return ID
+ * @param {User} actor - Staff member
+ * @param {string} note - Reason shown to the customer
+ * @returns {Promise<Return>} - Updated return
+ */
+const rejectReturn = async (returnId, actor, note) => {
+  const returnRequest = await getReturnById(returnId);
+  return transitionStatus(returnRequest, returnStatuses.REJECTED, { updatedBy: actor.id, note });
+};
+
+/**
+ * Mark the returned parcel as received
+ * @param {ObjectId} returnId - Return ID
+ * @param {User} actor - Staff member
+ * @param {string} note - Note for the customer
+ * @returns {Promise<Return>} - Updated return
+ */
+const receiveReturn = async (returnId, actor, note) => {
+  const returnRequest = await getReturnById(returnId);
+  return transitionStatus(returnRequest, returnStatuses.RECEIVED, { updatedBy: actor.id, note });
+};
+
+/**
+ * Record the inspection of received items and restock the sellable ones
+ * @param {ObjectId} returnId - Return ID
+ * @param {Object} inspectionBody - Restock quantities per item and note
+ * @param {User} actor - Staff member
+ * @returns {Promise<Return>} - Updated return
+ */
+const inspectReturn = async (returnId, inspectionBody, actor) => {
+  const returnRequest = await getReturnById(returnId);
+  const inspectedItems = inspectionBody.items || [];
+  const restockById = new Map(inspectedItems.map((item) => [item.itemId, item.restockQuantity]));
+
+  const items = returnRequest.items.map((item) => {
+    const restockQuantity = restockById.get(item.id) || 0;
+    if (restockQuantity > item.quantity) {
+      throw new BadRequestError(`Cannot restock more than ${item.quantity} of ${item.name}`);
+    }
+    return { ...item.toObject(), restockedQuantity: restockQuantity };
+  });
+
+  const updated = await transitionStatus(returnRequest, returnStatuses.INSPECTED, {
+    updatedBy: actor.id,
+    note: inspectionBody.note,
+    set: {
+      items,
+      'inspection.note': inspectionBody.note,
+      'inspection.inspectedBy': actor.id,
+      'inspection.inspectedAt': new Date(),
+    },
+  });
+
+  // Returned units go back into sellable stock
+  const restockLines = items
+    .filter((item) => item.restockedQuantity > 0)
+    .map((item) => ({ product: item.product, quantity: item.restockedQuantity }));
+  await productService.releaseStock(restockLines);
+
+  return updated;
+};
+
+/**
+ * Refund the returned lines of an inspected return
+ * Only the returned lines (with their share of discount and tax) are refunded,
+ * through the order's refund ledger.
+ * @param {ObjectId} returnId - Return ID
+ * @param {User} actor - Staff member
+ * @param {string} note - Note for the customer
+ * @returns {Promise<Return>} - Updated return
+ */
+const refundReturn = async (returnId, actor, note) => {
+  const returnRequest = await getReturnById(returnId);
+  if (!returnRequest.canTransitionTo(returnStatuses.REFUNDED)) {
+    throw new BadRequestError(`Cannot refund a return that is ${returnRequest.status}`);
+  }
+
+  const isForReturn = (refund) =>
+    refund.returnRequest && refund.returnRequest.equals(returnRequest._id);
+
+  // A previous attempt may have refunded the return before failing to record it
+  let order = await orderService.getOrderById(returnRequest.order);
+  if (!order.refunds.some(isForReturn)) {
+    const refundBody = {
+      items: returnRequest.items.map((item) => ({
+        itemId: item.orderItem.toString(),
+        quantity: item.quantity,
+      })),
+      reason: `Return ${returnRequest.returnNumber}`,
+    };
+    order = await refundService.issueRefund(order, refundBody, {
+      source: refundSources.RETURN,
+      createdBy: actor.id,
+      returnRequest: returnRequest._id,
+    });
+  }
+
+  const refund = order.refunds.find(isForReturn);
+  const updated = await transitionStatus(returnRequest, returnStatuses.REFUNDED, {
+    updatedBy: actor.id,
+    note,
+    set: {
+      refund: {
+        amount: refund.amount,
+        providerRefundId: refund.providerRefundId,
+        refundedAt: refund.createdAt,
+      },
+    },
+  });
+
+  await orderService.settleRefund(order, {
+    updatedBy: actor.id,
+    note: 'All items returned and refunded',
+  });
+
+  return updated;
+};
+
+/**
+ * Close an inspected return without a refund
+ * @param {ObjectId} returnId - Return ID
+ * @param {User} actor - Staff member
+ * @param {string} note - Note for the customer
+ * @returns {Promise<Return>} - Updated return
+ */
+const closeReturn = async (returnId, actor, note) => {
+  const returnRequest = await getReturnById(returnId);
+  return transitionStatus(returnRequest, returnStatuses.CLOSED, { updatedBy: actor.id, note });
+};
+
+module.exports = {
+  createReturn,
+  getReturns,
+  getUserReturns,
+  getReturnById,
+  approveReturn,
+  rejectReturn,
+  receiveReturn,
+  inspectReturn,
+  refundReturn,
+  closeReturn,
+};
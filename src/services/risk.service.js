@@ -0,0 +1,145 @@
+const { Order, User } = require('../models');
+const { config } = require('../config');
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// Points each rule adds to the risk score when it matches; the score is
+// capped at 100
+const ruleScores = {
+  COUNTRY_MISMATCH: 25,
+  IP_VELOCITY: 35,
+  NEW_ACCOUNT_HIGH_VALUE: 30,
+  FAILED_PAYMENTS: 50,
+};
+
+const MAX_SCORE = 100;
+
+/**
+ * Get the filter matching all orders of the same customer
+ * @param {Order} order - Order object
+ * @returns {Object} - MongoDB filter
+ */
+const getCustomerFilter = (order) => {
+  if (order.user) {
+    return { user: order.user };
+  }
+  return { 'guest.email': order.guest.email };
+};
+
+/**
+ * Billing and shipping addresses in different countries
+ * @param {Order} order - Order object
+ * @returns {Promise<string|null>} - Rule detail when the rule matches
+ */
+const checkCountryMismatch = async (order) => {
+  const shipping = (order.shippingAddress?.country || '').trim().toUpperCase();
+  const billing = (order.billingAddress?.country || '').trim().toUpperCase();
+  if (!shipping || !billing || shipping === billing) {
+    return null;
+  }
+  return `Billing country ${billing} differs from shipping country ${shipping}`;
+};
+
+/**
+ * Many orders placed from the same IP address in a short window
+ * @param {Order} order - Order object
+ * @returns {Promise<string|null>} - Rule detail when the rule matches
+ */
+const checkIpVelocity = async (order) => {
+  const ip = order.metadata?.ip;
+  if (!ip) {
+    return null;
+  }
+
+  const { ipWindowMinutes, ipMaxOrders } = config.risk;
+  const since = new Date(order.createdAt.getTime() - ipWindowMinutes * MINUTE_MS);
+  const count = await Order.countDocuments({ 'metadata.ip': ip, createdAt: { $gte: since } });
+  if (count <= ipMaxOrders) {
+    return null;
+  }
+  return `${count} orders from ${ip} in the last ${ipWindowMinutes} minutes`;
+};
+
+/**
+ * High order value from a guest or a recently registered account
+ * @param {Order} order - Order object
+ * @returns {Promise<string|null>} - Rule detail when the rule matches
+ */
+const checkNewAccountHighValue = async (order) => {
+  const { highOrderValue, newAccountDays } = config.risk;
+  if (order.pricing.total < highOrderValue) {
+    return null;
+  }
+
+  if (!order.user) {
+    return `Guest order of ${order.pricing.total}`;
+  }
+
+  const user = await User.findById(order.user).select('createdAt');
+  const accountAge = order.createdAt - (user?.createdAt || order.createdAt);
+  if (accountAge >= newAccountDays * DAY_MS) {
+    return null;
+  }
+  return `Order of ${order.pricing.total} from an account created less than ${newAccountDays} days ago`;
+};
+
+/**
+ * Repeated failed payments by the same customer
+ * Counts the failed attempts on all of the customer's recent orders, so
+ * retrying with a fresh order does not reset the count.
+ * @param {Order} order - Order object
+ * @returns {Promise<string|null>} - Rule detail when the rule matches
+ */
+const checkFailedPayments = async (order) => {
+  const since = new Date(order.createdAt.getTime() - DAY_MS);
+  const match = { ...getCustomerFilter(order), createdAt: { $gte: since } };
+  const [result] = await Order.aggregate([
+    { $match: match },
+    { $group: { _id: null, failedAttempts: { $sum: '$payment.failedAttempts' } } },
+  ]);
+
+  const failedAttempts = result ? result.failedAttempts : 0;
+  if (failedAttempts < config.risk.maxFailedPayments) {
+    return null;
+  }
+  return `${failedAttempts} failed payment attempts in the last 24 hours`;
+};
+
+const ruleChecks = {
+  COUNTRY_MISMATCH: checkCountryMismatch,
+  IP_VELOCITY: checkIpVelocity,
+  NEW_ACCOUNT_HIGH_VALUE: checkNewAccountHighValue,
+  FAILED_PAYMENTS: checkFailedPayments,
+};
+
+/**
+ * Score an order against the fraud rules
+ * @param {Order} order - Persisted order object
+ * @returns {Promise<Object>} - Risk score (0-100) and the rules that matched
+ */
+const assessOrder = async (order) => {
+  const rules = [];
+  for (const [code, check] of Object.entries(ruleChecks)) {
+    const detail = await check(order);
+    if (detail) {
+      rules.push({ code, score: ruleScores[code], detail });
+    }
+  }
+
+  const total = rules.reduce((sum, rule) => sum + rule.score, 0);
+  return { score: Math.min(total, MAX_SCORE), rules };
+};
+
+/**
+ * Whether a risk score calls for manual review
+ * @param {number} score - Risk score
+ * @returns {boolean}
+ */
+const requiresReview = (score) => score >= config.risk.reviewThreshold;
+
+module.exports = {
+  ruleScores,
+  assessOrder,
+  requiresReview,
+};
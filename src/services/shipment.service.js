@@ -0,0 +1,205 @@
+const { Order, orderStatuses, shipmentStatuses } = require('../models');
+const orderService = require('./order.service');
+const emailService = require('./email.service');
+const { NotFoundError, BadRequestError, ConflictError } = require('../utils');
+const { logger } = require('../config');
+const { carrierDetails, getTrackingUrl } = require('../config/carriers');
+
+// Order statuses in which (further) shipments can be created
+const shippableStatuses = [orderStatuses.PROCESSING, orderStatuses.PARTIALLY_SHIPPED];
+
+// Attempts at syncing the order status when concurrent requests race on it
+const MAX_SYNC_ATTEMPTS = 3;
+
+/**
+ * Get the quantity already shipped per order item
+ * @param {Order} order - Order object
+ * @returns {Map<string, number>} - Shipped quantity per order item ID
+ */
+const getShippedQuantities = (order) => {
+  const quantities = new Map();
+  order.shipments.forEach((shipment) => {
+    shipment.items.forEach((item) => {
+      const key = item.orderItem.toString();
+      quantities.set(key, (quantities.get(key) || 0) + item.quantity);
+    });
+  });
+  return quantities;
+};
+
+/**
+ * Derive the fulfilment status of an order from its shipments
+ * @param {Order} order - Order object
+ * @returns {string|null} - Order status, or null without shipments
+ */
+const getFulfilmentStatus = (order) => {
+  if (!order.shipments.length) {
+    return null;
+  }
+
+  const shipped = getShippedQuantities(order);
+  const fullyShipped = order.items.every((item) => (shipped.get(item.id) || 0) >= item.quantity);
+  if (!fullyShipped) {
+    return orderStatuses.PARTIALLY_SHIPPED;
+  }
+
+  const isDelivered = (shipment) => shipment.status === shipmentStatuses.DELIVERED;
+  return order.shipments.every(isDelivered) ? orderStatuses.DELIVERED : orderStatuses.SHIPPED;
+};
+
+/**
+ * Move the order to the status its shipments call for
+ * Re-reads the order and retries when a concurrent request changed the
+ * status first, so the last shipment update always wins.
+ * @param {ObjectId} orderId - Order ID
+ * @param {Object} options - Transition options (updatedBy, note)
+ * @returns {Promise<Order>} - Updated order
+ */
+const syncFulfilmentStatus = async (orderId, options) => {
+  for (let attempt = 1; ; attempt += 1) {
+    const order = await orderService.getOrderById(orderId);
+    const status = getFulfilmentStatus(order);
+    if (!status || status === order.status || !order.canTransitionTo(status)) {
+      return order;
+    }
+
+    try {
+      return await orderService.transitionStatus(order, status, options);
+    } catch (error) {
+      if (!(error instanceof ConflictError) || attempt >= MAX_SYNC_ATTEMPTS) {
+        throw error;
+      }
+    }
+  }
+};
+
+/**
+ * Email the customer about a new shipment without failing the caller
+ * @param {Order} order - Order object
+ * @param {Object} shipment - Shipment
+ */
+const notifyShipment = async (order, shipment) => {
+  try {
+    const email = await orderService.getCustomerEmail(order);
+    if (email) {
+      await emailService.sendOrderShippedEmail(email, order, shipment);
+    }
+  } catch (error) {
+    logger.error(`Failed to send shipment email for order ${order.orderNumber}:`, error);
+  }
+};
+
+/**
+ * Ship some or all of an order's items in one parcel (staff)
+ * @param {ObjectId} orderId - Order ID
+ * @param {Object} shipmentBody - Items, carrier and tracking details
+ * @param {User} actor - Staff member
+ * @returns {Promise<Order>} - Updated order
+ */
+const createShipment = async (orderId, shipmentBody, actor) => {
+  const order = await orderService.getOrderById(orderId);
+  if (!shippableStatuses.includes(order.status)) {
+    throw new BadRequestError(`Orders that are ${order.status} cannot be shipped`);
+  }
+
+  const shipped = getShippedQuantities(order);
+  const items = shipmentBody.items.map((requested) => {
+    const orderItem = order.items.id(requested.itemId);
+    if (!orderItem) {
+      throw new BadRequestError(`Item ${requested.itemId} is not part of this order`);
+    }
+
+    const alreadyShipped = shipped.get(orderItem.id) || 0;
+    const remaining = orderItem.quantity - alreadyShipped;
+    if (requested.quantity > remaining) {
+      throw new BadRequestError(`Only ${remaining} of ${orderItem.name} are left to ship`);
+    }
+    shipped.set(orderItem.id, alreadyShipped + requested.quantity);
+
+    return { orderItem: orderItem._id, quantity: requested.quantity };
+  });
+
+  const { carrier, trackingNumber } = shipmentBody;
+  const shipment = order.shipments.create({
+    items,
+    carrier,
+    trackingNumber,
+    trackingUrl: shipmentBody.trackingUrl || getTrackingUrl(carrier, trackingNumber),
+    events: [{ status: shipmentStatuses.IN_TRANSIT, description: 'Shipped' }],
+    createdBy: actor.id,
+  });
+
+  // Guard on the shipment count so concurrent requests cannot ship the same items twice
+  const filter = {
+    _id: order._id,
+    status: { $in: shippableStatuses },
+    [`shipments.${order.shipments.length}`]: { $exists: false },
+  };
+  const pushed = await Order.updateOne(filter, { $push: { shipments: shipment } });
+  if (pushed.modifiedCount === 0) {
+    throw new ConflictError('Order was changed by another request, please retry');
+  }
+
+  const note = `Shipped with ${carrierDetails.get(carrier).name}`;
+  const updated = await syncFulfilmentStatus(order._id, { updatedBy: actor.id, note });
+  await notifyShipment(updated, shipment);
+
+  return updated;
+};
+
+/**
+ * Get the shipments of an order with their tracking history in time order
+ * @param {Order} order - Order object
+ * @returns {Array} - Shipments
+ */
+const getShipments = (order) => {
+  return order.shipments.map((shipment) => {
+    const events = shipment.events
+      .map((event) => event.toObject())
+      .sort((a, b) => a.occurredAt - b.occurredAt);
+    return { ...shipment.toObject(), id: shipment.id, events };
+  });
+};
+
+/**
+ * Record a tracking event on a shipment (staff or carrier integration)
+ * Events may arrive out of order; only the most recent one sets the shipment
+ * status. The order is marked delivered once every item has been delivered.
+ * @param {ObjectId} orderId - Order ID
+ * @param {ObjectId} shipmentId - Shipment ID
+ * @param {Object} eventBody - Status, description, location and time
+ * @param {User} actor - Staff member
+ * @returns {Promise<Order>} - Updated order
+ */
+const addTrackingEvent = async (orderId, shipmentId, eventBody, actor) => {
+  const order = await orderService.getOrderById(orderId);
+  const shipment = order.shipments.id(shipmentId);
+  if (!shipment) {
+    throw new NotFoundError('Shipment not found');
+  }
+
+  const occurredAt = eventBody.occurredAt || new Date();
+  const event = { ...eventBody, occurredAt };
+  const update = { $push: { 'shipments.$.events': event } };
+
+  const isLatest = shipment.events.every((existing) => existing.occurredAt <= occurredAt);
+  if (isLatest) {
+    update.$set = { 'shipments.$.status': event.status };
+    if (event.status === shipmentStatuses.DELIVERED) {
+      update.$set['shipments.$.deliveredAt'] = occurredAt;
+    }
+  }
+
+  await Order.updateOne({ _id: order._id, 'shipments._id': shipment._id }, update);
+
+  return syncFulfilmentStatus(order._id, {
+    updatedBy: actor.id,
+    note: 'All shipments delivered',
+  });
+};
+
+module.exports = {
+  createShipment,
+  getShipments,
+  addTrackingEvent,
+};
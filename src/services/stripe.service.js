@@ -59,6 +59,7 @@ const createPaymentIntent = async (paymentData) => {
       metadata: {
         orderId: paymentData.orderId,
         userId: paymentData.userId,
+        adjustmentId: paymentData.adjustmentId,
       },
       automatic_payment_methods: {
         enabled: true,
@@ -91,6 +92,62 @@ const retrievePaymentIntent = async (paymentIntentId) => {
   }
 };
 
+/**
+ * Change the amount of a payment intent that has not been paid yet
+ * @param {string} paymentIntentId - Payment intent ID
+ * @param {number} amount - New amount
+ * @returns {Promise<Object>} - Payment intent object
+ */
+const updatePaymentIntentAmount = async (paymentIntentId, amount) => {
+  if (!isConfigured()) {
+    throw new BadRequestError('Payment service not available');
+  }
+
+  try {
+    const update = { amount: Math.round(amount * 100) }; // Convert to cents
+    return await stripe.paymentIntents.update(paymentIntentId, update);
+  } catch (error) {
+    logger.error('Stripe update payment intent error:', error);
+    throw new BadRequestError('Failed to update payment intent');
+  }
+};
+
+/**
+ * Capture an authorized payment intent
+ * @param {string} paymentIntentId - Payment intent ID
+ * @returns {Promise<Object>} - Payment intent object
+ */
+const capturePaymentIntent = async (paymentIntentId) => {
+  if (!isConfigured()) {
+    throw new BadRequestError('Payment service not available');
+  }
+
+  try {
+    return await stripe.paymentIntents.capture(paymentIntentId);
+  } catch (error) {
+    logger.error('Stripe capture payment intent error:', error);
+    throw new BadRequestError('Failed to capture payment intent');
+  }
+};
+
+/**
+ * Cancel a payment intent that has not been paid yet
+ * @param {string} paymentIntentId - Payment intent ID
+ * @returns {Promise<Object>} - Payment intent object
+ */
+const cancelPaymentIntent = async (paymentIntentId) => {
+  if (!isConfigured()) {
+    throw new BadRequestError('Payment service not available');
+  }
+
+  try {
+    return await stripe.paymentIntents.cancel(paymentIntentId);
+  } catch (error) {
+    logger.error('Stripe cancel payment intent error:', error);
+    throw new BadRequestError('Failed to cancel payment intent');
+  }
+};
+
 /**
  * Create a refund
  * @param {Object} refundData - Refund data
@@ -102,11 +159,19 @@ const createRefund = async (refundData) => {
   }
 
   try {
-    const refund = await stripe.refunds.create({
+    // Retrying with the same idempotency key returns the original refund instead of refunding twice
+    const requestOptions = refundData.idempotencyKey
+      ? { idempotencyKey: refundData.idempotencyKey }
+      : undefined;
+
+    const refundParams = {
       payment_intent: refundData.paymentIntentId,
       amount: refundData.amount ? Math.round(refundData.amount * 100) : undefined, // Full refund if no amount
       reason: refundData.reason || 'requested_by_customer',
-    });
+      metadata: refundData.metadata,
+    };
+
+    const refund = await stripe.refunds.create(refundParams, requestOptions);
 
     logger.info(`Refund created: ${refund.id}`);
     return refund;
@@ -182,6 +247,9 @@ module.exports = {
   createCustomer,
   createPaymentIntent,
   retrievePaymentIntent,
+  updatePaymentIntentAmount,
+  capturePaymentIntent,
+  cancelPaymentIntent,
   createRefund,
   constructWebhookEvent,
   createCheckoutSession,
@@ -0,0 +1,379 @@
+const crypto = require('crypto');
+const { Wishlist, Product, MAX_WISHLISTS, MAX_WISHLIST_ITEMS } = require('../models');
+const pricingService = require('./pricing.service');
+const emailService = require('./email.service');
+const { NotFoundError, BadRequestError, ConflictError } = require('../utils');
+const { logger } = require('../config');
+
+/**
+ * Describe a wishlist with the current state of its products
+ * Alert settings and the share token are only shown to the owner.
+ * @param {Wishlist} wishlist - Wishlist object
+ * @param {boolean} isOwner - Whether the owner is viewing the wishlist
+ * @returns {Promise<Object>} - Wishlist details
+ */
+const describeWishlist = async (wishlist, isOwner) => {
+  const productIds = wishlist.items.map((item) => item.product);
+  const products = await Product.find({ _id: { $in: productIds } });
+  const productsById = new Map(products.map((product) => [product.id, product]));
+
+  const items = wishlist.items.map((item) => {
+    const product = productsById.get(item.product.toString());
+    const settings = isOwner ? { alerts: item.alerts } : {};
+    const { priceWhenAdded, addedAt } = item;
+
+    if (!pricingService.isPurchasable(product)) {
+      return { product: item.product, priceWhenAdded, addedAt, ...settings, unavailable: true };
+    }
+
+    const { name, price, image, sku } = pricingService.toLine(product, 1);
+    return {
+      product: product._id,
+      name,
+      price,
+      image,
+      sku,
+      priceWhenAdded,
+      priceDropped: price < priceWhenAdded,
+      inStock: product.quantity > 0,
+      addedAt,
+      ...settings,
+      unavailable: false,
+    };
+  });
+
+  return {
+    id: wishlist.id,
+    name: wishlist.name,
+    items,
+    itemCount: items.length,
+    ...(isOwner && { shareToken: wishlist.shareToken || null }),
+    createdAt: wishlist.createdAt,
+    updatedAt: wishlist.updatedAt,
+  };
+};
+
+/**
+ * Get a wishlist of a user
+ * @param {ObjectId} userId - Owner ID
+ * @param {ObjectId} wishlistId - Wishlist ID
+ * @returns {Promise<Wishlist>} - Wishlist object
+ */
+const getOwnWishlist = async (userId, wishlistId) => {
+  const wishlist = await Wishlist.findOne({ _id: wishlistId, user: userId });
+  if (!wishlist) {
+    throw new NotFoundError('Wishlist not found');
+  }
+  return wishlist;
+};
+
+/**
+ * List a user's wishlists, without their products
+ * @param {ObjectId} userId - Owner ID
+ * @returns {Promise<Array>} - Wishlist summaries
+ */
+const getWishlists = async (userId) => {
+  const wishlists = await Wishlist.find({ user: userId }).sort({ createdAt: 1 });
+
+  return wishlists.map((wishlist) => ({
+    id: wishlist.id,
+    name: wishlist.name,
+    itemCount: wishlist.items.length,
+    shareToken: wishlist.shareToken || null,
+    updatedAt: wishlist.updatedAt,
+  }));
+};
+
+/**
+ * Create a wishlist
+ * @param {ObjectId} userId - Owner ID
+ * @param {Object} wishlistBody - Wishlist name
+ * @returns {Promise<Object>} - Wishlist details
+ */
+const createWishlist = async (userId, wishlistBody) => {
+  const count = await Wishlist.countDocuments({ user: userId });
+  if (count >= MAX_WISHLISTS) {
+    throw new BadRequestError(`You can keep at most ${MAX_WISHLISTS} wishlists`);
+  }
+
+  const wishlist = await Wishlist.create({ user: userId, name: wishlistBody.name, items: [] });
+  return describeWishlist(wishlist, true);
+};
+
+/**
+ * Get one of a user's wishlists with the current state of its products
+ * @param {ObjectId} userId - Owner ID
+ * @param {ObjectId} wishlistId - Wishlist ID
+ * @returns {Promise<Object>} - Wishlist details
+ */
+const getWishlist = async (userId, wishlistId) => {
+  return describeWishlist(await getOwnWishlist(userId, wishlistId), true);
+};
+
+/**
+ * Rename a wishlist
+ * @param {ObjectId} userId - Owner ID
+ * @param {ObjectId} wishlistId - Wishlist ID
+ * @param {Object} updateBody - New name
+ * @returns {Promise<Object>} - Wishlist details
+ */
+const updateWishlist = async (userId, wishlistId, updateBody) => {
+  const filter = { _id: wishlistId, user: userId };
+  const update = { $set: { name: updateBody.name } };
+  const options = { new: true, runValidators: true };
+  const wishlist = await Wishlist.findOneAndUpdate(filter, update, options);
+  if (!wishlist) {
+    throw new NotFoundError('Wishlist not found');
+  }
+  return describeWishlist(wishlist, true);
+};
+
+/**
+ * Delete a wishlist
+ * @param {ObjectId} userId - Owner ID
+ * @param {ObjectId} wishlistId - Wishlist ID
+ */
+const deleteWishlist = async (userId, wishlistId) => {
+  const result = await Wishlist.deleteOne({ _id: wishlistId, user: userId });
+  if (result.deletedCount === 0) {
+    throw new NotFoundError('Wishlist not found');
+  }
+};
+
+/**
+ * Share a wishlist through a public link
+ * Sharing an already shared wishlist keeps its link.
+ * @param {ObjectId} userId - Owner ID
+ * @param {ObjectId} wishlistId - Wishlist ID
+ * @returns {Promise<Object>} - Wishlist details
+ */
+const shareWishlist = async (userId, wishlistId) => {
+  const filter = { _id: wishlistId, user: userId, shareToken: { $exists: false } };
+  const update = { $set: { shareToken: crypto.randomBytes(24).toString('hex') } };
+  const wishlist = await Wishlist.findOneAndUpdate(filter, update, { new: true });
+  return describeWishlist(wishlist || (await getOwnWishlist(userId, wishlistId)), true);
+};
+
+/**
+ * Stop sharing a wishlist; its old link stops working
+ * @param {ObjectId} userId - Owner ID
+ * @param {ObjectId} wishlistId - Wishlist ID
+ * @returns {Promise<Object>} - Wishlist details
+ */
+const unshareWishlist = async (userId, wishlistId) => {
+  const filter = { _id: wishlistId, user: userId };
+  const update = { $unset: { shareToken: 1 } };
+  const wishlist = await Wishlist.findOneAndUpdate(filter, update, { new: true });
+  if (!wishlist) {
+    throw new NotFoundError('Wishlist not found');
+  }
+  return describeWishlist(wishlist, true);
+};
+
+/**
+ * Get a shared wishlist by its public link
+ * @param {string} shareToken - Share token
+ * @returns {Promise<Object>} - Wishlist details
+ */
+const getSharedWishlist = async (shareToken) => {
+  const wishlist = await Wishlist.findOne({ shareToken });
+  if (!wishlist) {
+    throw new NotFoundError('Wishlist not found');
+  }
+  return describeWishlist(wishlist, false);
+};
+
+/**
+ * Save a product to a wishlist
+ * Products that are out of stock can be saved, to be alerted when they return.
+ * @param {ObjectId} userId - Owner ID
+ * @param {ObjectId} wishlistId - Wishlist ID
+ * @param {Object} itemBody - Product and alert settings
+ * @returns {Promise<Object>} - Wishlist details
+ */
+const addItem = async (userId, wishlistId, itemBody) => {
+  const product = await Product.findById(itemBody.product);
+  if (!pricingService.isPurchasable(product)) {
+    throw new BadRequestError(`Product ${itemBody.product} is not available`);
+  }
+
+  const item = {
+    product: product._id,
+    priceWhenAdded: product.price,
+    alerts: itemBody.alerts,
+    awaitingRestock: product.quantity === 0,
+  };
+
+  // Only applies while the product is not saved yet and the wishlist has room
+  const filter = {
+    _id: wishlistId,
+    user: userId,
+    'items.product': { $ne: product._id },
+    [`items.${MAX_WISHLIST_ITEMS - 1}`]: { $exists: false },
+  };
+  const update = { $push: { items: item } };
+  const updated = await Wishlist.findOneAndUpdate(filter, update, { new: true });
+  if (updated) {
+    return describeWishlist(updated, true);
+  }
+
+  const wishlist = await getOwnWishlist(userId, wishlistId);
+  if (wishlist.items.some((saved) => saved.product.equals(product._id))) {
+    throw new ConflictError('Product is already in the wishlist');
+  }
+  throw new BadRequestError(`A wishlist can hold at most ${MAX_WISHLIST_ITEMS} products`);
+};
+
+/**
+ * Change the alerts of a saved product
+ * @param {ObjectId} userId - Owner ID
+ * @param {ObjectId} wishlistId - Wishlist ID
+ * @param {ObjectId} productId - Product ID
+ * @param {Object} alerts - Alert settings to change
+ * @returns {Promise<Object>} - Wishlist details
+ */
+const updateItemAlerts = async (userId, wishlistId, productId, alerts) => {
+  const changes = {};
+  Object.entries(alerts).forEach(([alert, enabled]) => {
+    changes[`items.$.alerts.${alert}`] = enabled;
+  });
+
+  // Restocks are announced from now on, not for stock that came back earlier
+  if (alerts.backInStock) {
+    const product = await Product.findById(productId).select('quantity');
+    changes['items.$.awaitingRestock'] = Boolean(product) && product.quantity === 0;
+  }
+
+  const filter = { _id: wishlistId, user: userId, 'items.product': productId };
+  const wishlist = await Wishlist.findOneAndUpdate(filter, { $set: changes }, { new: true });
+  if (!wishlist) {
+    throw new NotFoundError('Product is not in the wishlist');
+  }
+  return describeWishlist(wishlist, true);
+};
+
+/**
+ * Remove a product from a wishlist
+ * @param {ObjectId} userId - Owner ID
+ * @param {ObjectId} wishlistId - Wishlist ID
+ * @param {ObjectId} productId - Product ID
+ * @returns {Promise<Object>} - Wishlist details
+ */
+const removeItem = async (userId, wishlistId, productId) => {
+  const filter = { _id: wishlistId, user: userId, 'items.product': productId };
+  const update = { $pull: { items: { product: productId } } };
+  const wishlist = await Wishlist.findOneAndUpdate(filter, update, { new: true });
+  if (!wishlist) {
+    throw new NotFoundError('Product is not in the wishlist');
+  }
+  return describeWishlist(wishlist, true);
+};
+
+/**
+ * Work out which alerts a saved product is due, and the alert state to store
+ * A price drop is announced when the price falls below the saved price and
+ * below any price already announced; once the price is back up, the next
+ * drop is announced again. A restock is announced when stock returns after
+ * the product was seen out of stock.
+ * @param {Object} item - Wishlist item
+ * @param {Product} product - Saved product
+ * @returns {Object} - Due alerts and alert state changes
+ */
+const checkItemAlerts = (item, product) => {
+  const alerts = [];
+  const changes = {};
+  if (!pricingService.isPurchasable(product)) {
+    return { alerts, changes };
+  }
+
+  if (item.alerts.priceDrop) {
+    const reference = item.lastAlertedPrice ?? item.priceWhenAdded;
+    if (product.price < reference) {
+      alerts.push({ type: 'priceDrop', product, previousPrice: item.priceWhenAdded });
+      changes.lastAlertedPrice = product.price;
+    } else if (typeof item.lastAlertedPrice === 'number' && product.price >= item.priceWhenAdded) {
+      changes.lastAlertedPrice = null;
+    }
+  }
+
+  if (item.alerts.backInStock) {
+    if (product.quantity === 0 && !item.awaitingRestock) {
+      changes.awaitingRestock = true;
+    } else if (product.quantity > 0 && item.awaitingRestock) {
+      alerts.push({ type: 'backInStock', product });
+      changes.awaitingRestock = false;
+    }
+  }
+
+  return { alerts, changes };
+};
+
+/**
+ * Email wishlist owners about price drops and restocks of the products they
+ * asked to be alerted about
+ * Alert state is stored before emailing, so an alert is sent at most once.
+ * Users who turned off email notifications get no email, but their alerts are
+ * still marked as sent so that they are not flooded when they turn them back on.
+ * @returns {Promise<number>} - Number of emails sent
+ */
+const sendWishlistAlerts = async () => {
+  const alerting = [{ 'items.alerts.priceDrop': true }, { 'items.alerts.backInStock': true }];
+  const filter = { $or: alerting };
+  const cursor = Wishlist.find(filter).populate('user', 'name email isActive preferences').cursor();
+  let sent = 0;
+
+  for await (const wishlist of cursor) {
+    try {
+      const productIds = wishlist.items.map((item) => item.product);
+      const products = await Product.find({ _id: { $in: productIds } });
+      const productsById = new Map(products.map((product) => [product.id, product]));
+
+      const alerts = [];
+      const writes = [];
+      wishlist.items.forEach((item) => {
+        const product = productsById.get(item.product.toString());
+        const result = checkItemAlerts(item, product);
+        alerts.push(...result.alerts);
+
+        if (Object.keys(result.changes).length > 0) {
+          const changes = {};
+          Object.entries(result.changes).forEach(([field, value]) => {
+            changes[`items.$.${field}`] = value;
+          });
+          const itemFilter = { _id: wishlist._id, 'items.product': item.product };
+          writes.push({ updateOne: { filter: itemFilter, update: { $set: changes } } });
+        }
+      });
+
+      if (writes.length > 0) {
+        await Wishlist.bulkWrite(writes);
+      }
+
+      const { user } = wishlist;
+      const wantsEmail = user && user.isActive && user.preferences.notifications.email;
+      if (alerts.length > 0 && wantsEmail) {
+        await emailService.sendWishlistAlertEmail(user.email, user.name, wishlist, alerts);
+        sent += 1;
+      }
+    } catch (error) {
+      logger.error(`Wishlist alerts failed for wishlist ${wishlist._id}:`, error);
+    }
+  }
+
+  return sent;
+};
+
+module.exports = {
+  getWishlists,
+  createWishlist,
+  getWishlist,
+  updateWishlist,
+  deleteWishlist,
+  shareWishlist,
+  unshareWishlist,
+  getSharedWishlist,
+  addItem,
+  updateItemAlerts,
+  removeItem,
+  sendWishlistAlerts,
+};
@@ -54,6 +54,71 @@ const formatCurrency = (amount, currency = 'USD') => {
   }).format(amount);
 };
 
+/**
+ * Round a monetary amount to two decimal places
+ * @param {number} amount - Amount to round
+ * @returns {number} - Rounded amount
+ */
+const roundMoney = (amount) => {
+  return Math.round((amount + Number.EPSILON) * 100) / 100;
+};
+
+/**
+ * Escape a string for literal use inside a regular expression
+ * @param {string} value - Raw string
+ * @returns {string} - Escaped string
+ */
+const escapeRegex = (value) => {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+};
+
+/**
+ * Format values as a single CSV row
+ * @param {Array} values - Cell values
+ * @returns {string} - CSV row terminated by a newline
+ */
+const toCsvRow = (values) => {
+  const cells = values.map((value) => {
+    if (value === null || value === undefined) {
+      return '';
+    }
+    let cell = value instanceof Date ? value.toISOString() : String(value);
+    // Neutralise spreadsheet formulas in user-supplied text
+    if (typeof value === 'string' && /^[=+\-@]/.test(cell)) {
+      cell = `'${cell}`;
+    }
+    return /[",\r\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell;
+  });
+  return `${cells.join(',')}\n`;
+};
+
+/**
+ * Escape text for safe inclusion in HTML (e.g. user input in emails)
+ * @param {string} text - Text to escape
+ * @returns {string} - Escaped text
+ */
+const escapeHtml = (text) => {
+  const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+  return String(text).replace(/[&<>"']/g, (char) => entities[char]);
+};
+
+/**
+ * Build an ISO 11649 structured creditor reference (RF + check digits)
+ * Banks validate the check digits, so mistyped references are rejected at
+ * the payer's bank instead of arriving unmatched.
+ * @param {string} value - Reference body (letters and digits, max 21)
+ * @returns {string} - Creditor reference, e.g. RF02ORD24013100042
+ */
+const creditorReference = (value) => {
+  const body = value.toUpperCase().replace(/[^A-Z0-9]/g, '');
+  // Letters count as two digits (A = 10 ... Z = 35); the remainder is taken
+  // digit by digit to stay within safe integers
+  const digits = `${body}RF00`.replace(/[A-Z]/g, (char) => char.charCodeAt(0) - 55);
+  const remainder = [...digits].reduce((rest, digit) => (rest * 10 + Number(digit)) % 97, 0);
+  const check = String(98 - remainder).padStart(2, '0');
+  return `RF${check}${body}`;
+};
+
 /**
  * Sleep for a specified duration
  * @param {number} ms - Duration in milliseconds
@@ -104,6 +169,11 @@ module.exports = {
   generateRandomString,
   getPaginationOptions,
   formatCurrency,
+  roundMoney,
+  escapeRegex,
+  escapeHtml,
+  toCsvRow,
+  creditorReference,
   sleep,
   retryWithBackoff,
   sanitizeObject,
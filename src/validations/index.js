@@ -1,4 +1,10 @@
 const Joi = require('joi');
+const { orderStatuses, paymentStatuses, shipmentStatuses } = require('../models/order.model');
+const { carriers } = require('../config/carriers');
+const { returnStatuses, returnReasons } = require('../models/return.model');
+const { couponTypes } = require('../models/coupon.model');
+const { promotionTypes, promotionDiscountTypes } = require('../models/promotion.model');
+const { pointsBonusTypes } = require('../models/pointsTransaction.model');
 
 // Custom validators
 const objectId = (value, helpers) => {
@@ -70,6 +76,18 @@ const authValidation = {
 };
 
 // User validations
+// Pages of gift card and store credit transactions
+const balanceTransactionQuery = {
+  limit: Joi.number().integer().min(1).max(100),
+  page: Joi.number().integer().min(1),
+};
+
+// Manual change to a gift card or store credit balance
+const balanceAdjustment = {
+  amount: Joi.number().precision(2).invalid(0).min(-10000).max(10000).required(),
+  reason: Joi.string().required().trim().max(500),
+};
+
 const userValidation = {
   createUser: {
     body: Joi.object().keys({
@@ -117,6 +135,42 @@ const userValidation = {
       userId: Joi.string().required().custom(objectId),
     }),
   },
+  getMyStoreCredit: {
+    query: Joi.object().keys(balanceTransactionQuery),
+  },
+  getStoreCredit: {
+    params: Joi.object().keys({
+      userId: Joi.string().required().custom(objectId),
+    }),
+    query: Joi.object().keys(balanceTransactionQuery),
+  },
+  adjustStoreCredit: {
+    params: Joi.object().keys({
+      userId: Joi.string().required().custom(objectId),
+    }),
+    body: Joi.object().keys(balanceAdjustment),
+  },
+  getMyPoints: {
+    query: Joi.object().keys(balanceTransactionQuery),
+  },
+  getPoints: {
+    params: Joi.object().keys({
+      userId: Joi.string().required().custom(objectId),
+    }),
+    query: Joi.object().keys(balanceTransactionQuery),
+  },
+  awardBonusPoints: {
+    params: Joi.object().keys({
+      userId: Joi.string().required().custom(objectId),
+    }),
+    body: Joi.object().keys({
+      type: Joi.string()
+        .valid(...Object.values(pointsBonusTypes))
+        .required(),
+      points: Joi.number().integer().min(1).max(100000),
+      reason: Joi.string().trim().max(500),
+    }),
+  },
 };
 
 // Product validations
@@ -153,6 +207,7 @@ const productValidation = {
       status: Joi.string().valid('draft', 'active', 'archived'),
       isPublished: Joi.boolean(),
       isFeatured: Joi.boolean(),
+      isGiftCard: Joi.boolean(),
       weight: Joi.object().keys({
         value: Joi.number(),
         unit: Joi.string().valid('kg', 'lb', 'g', 'oz'),
@@ -227,6 +282,7 @@ const productValidation = {
         status: Joi.string().valid('draft', 'active', 'archived'),
         isPublished: Joi.boolean(),
         isFeatured: Joi.boolean(),
+        isGiftCard: Joi.boolean(),
       })
       .min(1),
   },
@@ -237,10 +293,651 @@ const productValidation = {
   },
 };
 
+// Order validations
+const orderAddress = {
+  fullName: Joi.string().required().max(100),
+  address: Joi.string().required().max(200),
+  city: Joi.string().required().max(100),
+  state: Joi.string().required().max(100),
+  postalCode: Joi.string().required().max(20),
+  country: Joi.string().required().max(100),
+};
+
+const orderItems = Joi.array()
+  .items(
+    Joi.object().keys({
+      product: Joi.string().required().custom(objectId),
+      quantity: Joi.number().integer().min(1).max(100).required(),
+    })
+  )
+  .min(1)
+  .max(50)
+  .required();
+
+// Gift card codes are grouped in fours; buyers may leave out the dashes
+const giftCardCode = Joi.string()
+  .trim()
+  .uppercase()
+  .pattern(/^[A-Z0-9]{4}(-?[A-Z0-9]{4}){3}$/);
+
+const newOrder = {
+  items: orderItems,
+  shippingAddress: Joi.object()
+    .keys({
+      ...orderAddress,
+      phone: Joi.string().required().max(30),
+    })
+    .required(),
+  billingAddress: Joi.object().keys(orderAddress),
+  paymentMethod: Joi.string().valid('stripe', 'paypal', 'cod', 'bank_transfer').required(),
+  notes: Joi.string().max(1000),
+  couponCode: Joi.string().trim().max(32),
+  giftCardCodes: Joi.array().items(giftCardCode).max(5).unique(),
+  useStoreCredit: Joi.boolean(),
+  redeemPoints: Joi.number().integer().min(1),
+};
+
+const orderSortFields = ['createdAt', 'pricing.total', 'orderNumber', 'status', 'risk.score'];
+
+const orderFilters = {
+  status: Joi.string().valid(...Object.values(orderStatuses)),
+  paymentStatus: Joi.string().valid(...Object.values(paymentStatuses)),
+  from: Joi.date(),
+  to: Joi.date(),
+  email: Joi.string().max(100),
+  orderNumber: Joi.string().max(40),
+  minTotal: Joi.number().min(0),
+  maxTotal: Joi.number().min(0),
+  minRiskScore: Joi.number().min(0).max(100),
+  hasUnreadMessages: Joi.boolean(),
+};
+
+const orderValidation = {
+  createOrder: {
+    body: Joi.object().keys(newOrder),
+  },
+  createGuestOrder: {
+    body: Joi.object().keys({
+      ...newOrder,
+      email: Joi.string().required().email(),
+    }),
+  },
+  getGuestOrder: {
+    params: Joi.object().keys({
+      token: Joi.string().required().hex().length(64),
+    }),
+  },
+  getOrders: {
+    query: Joi.object().keys({
+      ...orderFilters,
+      sortBy: Joi.string().valid(...orderSortFields),
+      order: Joi.string().valid('asc', 'desc'),
+      limit: Joi.number().integer().min(1).max(100),
+      page: Joi.number().integer().min(1),
+    }),
+  },
+  exportOrders: {
+    query: Joi.object().keys(orderFilters),
+  },
+  getOrder: {
+    params: Joi.object().keys({
+      orderId: Joi.string().required().custom(objectId),
+    }),
+  },
+  editOrder: {
+    params: Joi.object().keys({
+      orderId: Joi.string().required().custom(objectId),
+    }),
+    body: Joi.object().keys({
+      items: orderItems,
+      note: Joi.string().max(500),
+    }),
+  },
+  editMyOrder: {
+    params: Joi.object().keys({
+      orderNumber: Joi.string().required().max(40),
+    }),
+    body: Joi.object().keys({
+      items: orderItems,
+      note: Joi.string().max(500),
+    }),
+  },
+  getMyOrderMessages: {
+    params: Joi.object().keys({
+      orderNumber: Joi.string().required().max(40),
+    }),
+  },
+  postMyOrderMessage: {
+    params: Joi.object().keys({
+      orderNumber: Joi.string().required().max(40),
+    }),
+    body: Joi.object().keys({
+      body: Joi.string().required().trim().max(5000),
+    }),
+  },
+  getOrderMessages: {
+    params: Joi.object().keys({
+      orderId: Joi.string().required().custom(objectId),
+    }),
+  },
+  postOrderMessage: {
+    params: Joi.object().keys({
+      orderId: Joi.string().required().custom(objectId),
+    }),
+    body: Joi.object().keys({
+      body: Joi.string().required().trim().max(5000),
+      internal: Joi.boolean(),
+    }),
+  },
+  getOrderByNumber: {
+    params: Joi.object().keys({
+      orderNumber: Joi.string().required().max(40),
+    }),
+  },
+  getCreditNote: {
+    params: Joi.object().keys({
+      orderId: Joi.string().required().custom(objectId),
+      refundId: Joi.string().required().custom(objectId),
+    }),
+  },
+  getMyOrders: {
+    query: Joi.object().keys({
+      status: Joi.string().valid(...Object.values(orderStatuses)),
+      sortBy: Joi.string().valid('createdAt', 'pricing.total'),
+      order: Joi.string().valid('asc', 'desc'),
+      limit: Joi.number().integer().min(1).max(100),
+      page: Joi.number().integer().min(1),
+    }),
+  },
+  getMyOrder: {
+    params: Joi.object().keys({
+      orderNumber: Joi.string().required().max(40),
+    }),
+  },
+  cancelMyOrder: {
+    params: Joi.object().keys({
+      orderNumber: Joi.string().required().max(40),
+    }),
+    body: Joi.object().keys({
+      reason: Joi.string().max(500),
+    }),
+  },
+  updateOrderStatus: {
+    params: Joi.object().keys({
+      orderId: Joi.string().required().custom(objectId),
+    }),
+    body: Joi.object().keys({
+      status: Joi.string()
+        .valid(...Object.values(orderStatuses))
+        .required(),
+      note: Joi.string().max(500),
+      shipping: Joi.object().keys({
+        method: Joi.string(),
+        carrier: Joi.string(),
+        trackingNumber: Joi.string(),
+        trackingUrl: Joi.string().uri(),
+        estimatedDelivery: Joi.date(),
+      }),
+    }),
+  },
+  createShipment: {
+    params: Joi.object().keys({
+      orderId: Joi.string().required().custom(objectId),
+    }),
+    body: Joi.object().keys({
+      items: Joi.array()
+        .items(
+          Joi.object().keys({
+            itemId: Joi.string().required().custom(objectId),
+            quantity: Joi.number().integer().min(1).required(),
+          })
+        )
+        .min(1)
+        .required(),
+      carrier: Joi.string()
+        .valid(...carriers)
+        .required(),
+      trackingNumber: Joi.string().max(100),
+      trackingUrl: Joi.string().uri(),
+    }),
+  },
+  addShipmentEvent: {
+    params: Joi.object().keys({
+      orderId: Joi.string().required().custom(objectId),
+      shipmentId: Joi.string().required().custom(objectId),
+    }),
+    body: Joi.object().keys({
+      status: Joi.string()
+        .valid(...Object.values(shipmentStatuses))
+        .required(),
+      description: Joi.string().max(500),
+      location: Joi.string().max(200),
+      occurredAt: Joi.date(),
+    }),
+  },
+  markOrderPaid: {
+    params: Joi.object().keys({
+      orderId: Joi.string().required().custom(objectId),
+    }),
+    body: Joi.object().keys({
+      paidAt: Joi.date().max('now'),
+      note: Joi.string().max(500),
+    }),
+  },
+  reviewOrder: {
+    params: Joi.object().keys({
+      orderId: Joi.string().required().custom(objectId),
+    }),
+    body: Joi.object().keys({
+      note: Joi.string().max(500),
+    }),
+  },
+  refundOrder: {
+    params: Joi.object().keys({
+      orderId: Joi.string().required().custom(objectId),
+    }),
+    body: Joi.object()
+      .keys({
+        amount: Joi.number().positive().precision(2),
+        items: Joi.array()
+          .items(
+            Joi.object().keys({
+              itemId: Joi.string().required().custom(objectId),
+              quantity: Joi.number().integer().min(1).required(),
+            })
+          )
+          .min(1),
+        reason: Joi.string().max(500),
+        toStoreCredit: Joi.boolean(),
+      })
+      .xor('amount', 'items'),
+  },
+};
+
+// Return validations
+const returnValidation = {
+  createReturn: {
+    body: Joi.object().keys({
+      orderNumber: Joi.string().required().max(40),
+      items: Joi.array()
+        .items(
+          Joi.object().keys({
+            itemId: Joi.string().required().custom(objectId),
+            quantity: Joi.number().integer().min(1).required(),
+            reason: Joi.string()
+              .valid(...returnReasons)
+              .required(),
+          })
+        )
+        .min(1)
+        .required(),
+      note: Joi.string().max(1000),
+    }),
+  },
+  getReturns: {
+    query: Joi.object().keys({
+      status: Joi.string().valid(...Object.values(returnStatuses)),
+      sortBy: Joi.string().valid('createdAt', 'updatedAt'),
+      order: Joi.string().valid('asc', 'desc'),
+      limit: Joi.number().integer().min(1).max(100),
+      page: Joi.number().integer().min(1),
+    }),
+  },
+  getReturn: {
+    params: Joi.object().keys({
+      returnId: Joi.string().required().custom(objectId),
+    }),
+  },
+  updateReturn: {
+    params: Joi.object().keys({
+      returnId: Joi.string().required().custom(objectId),
+    }),
+    body: Joi.object().keys({
+      note: Joi.string().max(1000),
+    }),
+  },
+  inspectReturn: {
+    params: Joi.object().keys({
+      returnId: Joi.string().required().custom(objectId),
+    }),
+    body: Joi.object().keys({
+      items: Joi.array().items(
+        Joi.object().keys({
+          itemId: Joi.string().required().custom(objectId),
+          restockQuantity: Joi.number().integer().min(0).required(),
+        })
+      ),
+      note: Joi.string().max(1000),
+    }),
+  },
+};
+
+// Cart validations
+const cartItemParams = Joi.object().keys({
+  productId: Joi.string().required().custom(objectId),
+});
+
+const cartValidation = {
+  addItem: {
+    body: Joi.object().keys({
+      product: Joi.string().required().custom(objectId),
+      quantity: Joi.number().integer().min(1).max(100).default(1),
+    }),
+  },
+  updateItem: {
+    params: cartItemParams,
+    body: Joi.object().keys({
+      quantity: Joi.number().integer().min(1).max(100).required(),
+    }),
+  },
+  removeItem: {
+    params: cartItemParams,
+  },
+  applyCoupon: {
+    body: Joi.object().keys({
+      code: Joi.string().required().trim().max(32),
+    }),
+  },
+  getRecoveryStats: {
+    query: Joi.object().keys({
+      from: Joi.date(),
+      to: Joi.date(),
+    }),
+  },
+};
+
+// Coupon validations
+const couponRules = {
+  description: Joi.string().max(500).allow(''),
+  value: Joi.number().min(0),
+  minSubtotal: Joi.number().min(0),
+  startsAt: Joi.date().allow(null),
+  endsAt: Joi.date().allow(null),
+  usageLimit: Joi.number().integer().min(1).allow(null),
+  usageLimitPerUser: Joi.number().integer().min(1).allow(null),
+  products: Joi.array().items(Joi.string().custom(objectId)),
+  categories: Joi.array().items(Joi.string().custom(objectId)),
+  excludedProducts: Joi.array().items(Joi.string().custom(objectId)),
+  excludedCategories: Joi.array().items(Joi.string().custom(objectId)),
+  isActive: Joi.boolean(),
+};
+
+const couponCode = Joi.string()
+  .trim()
+  .uppercase()
+  .pattern(/^[A-Z0-9_-]{3,32}$/);
+
+const couponValidation = {
+  createCoupon: {
+    body: Joi.object().keys({
+      ...couponRules,
+      code: couponCode.required(),
+      type: Joi.string()
+        .valid(...Object.values(couponTypes))
+        .required(),
+    }),
+  },
+  getCoupons: {
+    query: Joi.object().keys({
+      code: Joi.string().max(32),
+      type: Joi.string().valid(...Object.values(couponTypes)),
+      isActive: Joi.boolean(),
+      sortBy: Joi.string().valid('createdAt', 'code', 'usageCount', 'endsAt'),
+      order: Joi.string().valid('asc', 'desc'),
+      limit: Joi.number().integer().min(1).max(100),
+      page: Joi.number().integer().min(1),
+    }),
+  },
+  getCoupon: {
+    params: Joi.object().keys({
+      couponId: Joi.string().required().custom(objectId),
+    }),
+  },
+  updateCoupon: {
+    params: Joi.object().keys({
+      couponId: Joi.string().required().custom(objectId),
+    }),
+    body: Joi.object()
+      .keys({
+        ...couponRules,
+        code: couponCode,
+        type: Joi.string().valid(...Object.values(couponTypes)),
+      })
+      .min(1),
+  },
+  deleteCoupon: {
+    params: Joi.object().keys({
+      couponId: Joi.string().required().custom(objectId),
+    }),
+  },
+};
+
+// Promotion validations
+const promotionDiscountType = Joi.string().valid(...Object.values(promotionDiscountTypes));
+
+const promotionRules = {
+  description: Joi.string().max(500).allow(''),
+  priority: Joi.number().integer(),
+  exclusive: Joi.boolean(),
+  combinesWithCoupons: Joi.boolean(),
+  products: Joi.array().items(Joi.string().custom(objectId)),
+  categories: Joi.array().items(Joi.string().custom(objectId)),
+  buyQuantity: Joi.number().integer().min(1).max(100),
+  getQuantity: Joi.number().integer().min(1).max(100),
+  tiers: Joi.array()
+    .items(
+      Joi.object().keys({
+        minSubtotal: Joi.number().min(0).required(),
+        discountType: promotionDiscountType.required(),
+        value: Joi.number().positive().required(),
+      })
+    )
+    .max(10),
+  bundleItems: Joi.array()
+    .items(
+      Joi.object().keys({
+        product: Joi.string().required().custom(objectId),
+        quantity: Joi.number().integer().min(1).max(100).default(1),
+      })
+    )
+    .max(10),
+  discountType: promotionDiscountType,
+  value: Joi.number().min(0),
+  startsAt: Joi.date().allow(null),
+  endsAt: Joi.date().allow(null),
+  isActive: Joi.boolean(),
+};
+
+const promotionValidation = {
+  createPromotion: {
+    body: Joi.object().keys({
+      ...promotionRules,
+      name: Joi.string().required().trim().max(100),
+      type: Joi.string()
+        .valid(...Object.values(promotionTypes))
+        .required(),
+    }),
+  },
+  getPromotions: {
+    query: Joi.object().keys({
+      type: Joi.string().valid(...Object.values(promotionTypes)),
+      isActive: Joi.boolean(),
+      sortBy: Joi.string().valid('priority', 'createdAt', 'name', 'endsAt'),
+      order: Joi.string().valid('asc', 'desc'),
+      limit: Joi.number().integer().min(1).max(100),
+      page: Joi.number().integer().min(1),
+    }),
+  },
+  getPromotion: {
+    params: Joi.object().keys({
+      promotionId: Joi.string().required().custom(objectId),
+    }),
+  },
+  updatePromotion: {
+    params: Joi.object().keys({
+      promotionId: Joi.string().required().custom(objectId),
+    }),
+    body: Joi.object()
+      .keys({
+        ...promotionRules,
+        name: Joi.string().trim().max(100),
+        type: Joi.string().valid(...Object.values(promotionTypes)),
+      })
+      .min(1),
+  },
+  deletePromotion: {
+    params: Joi.object().keys({
+      promotionId: Joi.string().required().custom(objectId),
+    }),
+  },
+};
+
+// Gift card validations
+const giftCardValidation = {
+  checkGiftCard: {
+    body: Joi.object().keys({
+      code: giftCardCode.required(),
+    }),
+  },
+  createGiftCard: {
+    body: Joi.object().keys({
+      amount: Joi.number().positive().precision(2).max(10000).required(),
+      expiresAt: Joi.date().greater('now'),
+      recipientEmail: Joi.string().email(),
+      note: Joi.string().max(500),
+    }),
+  },
+  getGiftCards: {
+    query: Joi.object().keys({
+      isActive: Joi.boolean(),
+      purchaser: Joi.string().custom(objectId),
+      sortBy: Joi.string().valid('createdAt', 'balance', 'expiresAt'),
+      order: Joi.string().valid('asc', 'desc'),
+      limit: Joi.number().integer().min(1).max(100),
+      page: Joi.number().integer().min(1),
+    }),
+  },
+  getGiftCard: {
+    params: Joi.object().keys({
+      giftCardId: Joi.string().required().custom(objectId),
+    }),
+    query: Joi.object().keys(balanceTransactionQuery),
+  },
+  updateGiftCard: {
+    params: Joi.object().keys({
+      giftCardId: Joi.string().required().custom(objectId),
+    }),
+    body: Joi.object()
+      .keys({
+        isActive: Joi.boolean(),
+        expiresAt: Joi.date().allow(null),
+        note: Joi.string().max(500).allow(''),
+      })
+      .min(1),
+  },
+  adjustGiftCard: {
+    params: Joi.object().keys({
+      giftCardId: Joi.string().required().custom(objectId),
+    }),
+    body: Joi.object().keys(balanceAdjustment),
+  },
+};
+
+// Wishlist validations
+const wishlistParams = {
+  wishlistId: Joi.string().required().custom(objectId),
+};
+
+const wishlistItemParams = Joi.object().keys({
+  ...wishlistParams,
+  productId: Joi.string().required().custom(objectId),
+});
+
+const wishlistValidation = {
+  createWishlist: {
+    body: Joi.object().keys({
+      name: Joi.string().required().trim().max(100),
+    }),
+  },
+  getWishlist: {
+    params: Joi.object().keys(wishlistParams),
+  },
+  updateWishlist: {
+    params: Joi.object().keys(wishlistParams),
+    body: Joi.object().keys({
+      name: Joi.string().required().trim().max(100),
+    }),
+  },
+  getSharedWishlist: {
+    params: Joi.object().keys({
+      shareToken: Joi.string().required().hex().length(48),
+    }),
+  },
+  addItem: {
+    params: Joi.object().keys(wishlistParams),
+    body: Joi.object().keys({
+      product: Joi.string().required().custom(objectId),
+      alerts: Joi.object()
+        .keys({
+          priceDrop: Joi.boolean().default(false),
+          backInStock: Joi.boolean().default(false),
+        })
+        .default(),
+    }),
+  },
+  updateItem: {
+    params: wishlistItemParams,
+    body: Joi.object().keys({
+      alerts: Joi.object()
+        .keys({
+          priceDrop: Joi.boolean(),
+          backInStock: Joi.boolean(),
+        })
+        .min(1)
+        .required(),
+    }),
+  },
+  removeItem: {
+    params: wishlistItemParams,
+  },
+};
+
+// Fake payment provider validations (development and tests only)
+const fakePaymentParams = Joi.object().keys({
+  paymentId: Joi.string().required().max(100),
+});
+
+const paymentValidation = {
+  confirmFakePayment: {
+    params: fakePaymentParams,
+    body: Joi.object().keys({
+      clientSecret: Joi.string().required(),
+      scenario: Joi.string().valid('success', 'failure', 'requires_action').default('success'),
+      webhookDelayMs: Joi.number().integer().min(0).max(60000),
+    }),
+  },
+  authenticateFakePayment: {
+    params: fakePaymentParams,
+    body: Joi.object().keys({
+      clientSecret: Joi.string().required(),
+      passed: Joi.boolean().default(true),
+      webhookDelayMs: Joi.number().integer().min(0).max(60000),
+    }),
+  },
+};
+
 module.exports = {
   authValidation,
   userValidation,
   productValidation,
+  orderValidation,
+  returnValidation,
+  cartValidation,
+  couponValidation,
+  promotionValidation,
+  giftCardValidation,
+  wishlistValidation,
+  paymentValidation,
   objectId,
   password,
 };
@@ -0,0 +1,291 @@
+const request = require('supertest');
+const app = require('../src/app');
+const { User, Product, Category, Cart, CartReminder, Order } = require('../src/models');
+const { cartRecoveryService, emailService } = require('../src/services');
+const fixtures = require('./utils/fixtures');
+
+describe('Cart Endpoints', () => {
+  let user;
+  let accessToken;
+  let category;
+
+  const createProduct = (overrides) => fixtures.createProduct(user, category, overrides);
+
+  const addItem = (product, quantity = 1) =>
+    request(app)
+      .post('/api/v1/cart/items')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .send({ product: product.id, quantity });
+
+  const getCart = async () => {
+    const res = await request(app)
+      .get('/api/v1/cart')
+      .set('Authorization', `Bearer ${accessToken}`);
+    return res.body.data.cart;
+  };
+
+  beforeAll(async () => {
+    await fixtures.connectDatabase();
+
+    ({ user, accessToken } = await fixtures.createAccount({
+      name: 'Cart User',
+      email: 'cart-user@example.com',
+    }));
+    category = await Category.create({ name: 'Cart Test Category' });
+  });
+
+  beforeEach(async () => {
+    await request(app).delete('/api/v1/cart').set('Authorization', `Bearer ${accessToken}`);
+  });
+
+  afterAll(fixtures.dropDatabase);
+
+  it('should keep an anonymous cart in a signed cookie', async () => {
+    const product = await createProduct();
+    const visitor = request.agent(app);
+
+    const added = await visitor.post('/api/v1/cart/items').send({ product: product.id, quantity: 2 });
+
+    expect(added.statusCode).toBe(200);
+    expect(added.headers['set-cookie'][0]).toMatch(/^cartId=s%3A/);
+
+    const res = await visitor.get('/api/v1/cart');
+    expect(res.body.data.cart.items[0].quantity).toBe(2);
+
+    const stranger = await request(app).get('/api/v1/cart');
+    expect(stranger.body.data.cart.items).toHaveLength(0);
+  });
+
+  it('should merge the anonymous cart on login', async () => {
+    const both = await createProduct({ price: 10 });
+    const savedOnly = await createProduct();
+    const anonymousOnly = await createProduct();
+    const tie = await createProduct({ price: 5 });
+    await addItem(both, 1);
+    await addItem(savedOnly, 2);
+    await addItem(tie, 2);
+    await Product.updateOne({ _id: tie.id }, { price: 6 });
+
+    const visitor = request.agent(app);
+    const addAnonymous = (product, quantity) =>
+      visitor.post('/api/v1/cart/items').send({ product: product.id, quantity });
+    await addAnonymous(both, 3);
+    await addAnonymous(anonymousOnly, 1);
+    await addAnonymous(tie, 2);
+
+    const login = await visitor
+      .post('/api/v1/auth/login')
+      .send({ email: 'cart-user@example.com', password: 'password123' });
+
+    expect(login.statusCode).toBe(200);
+    expect(login.headers['set-cookie'].join(';')).toMatch(/cartId=;/);
+
+    const cart = await getCart();
+    const quantities = cart.items.map((item) => [item.product, item.quantity]);
+    expect(quantities).toEqual([
+      [both.id, 3],
+      [savedOnly.id, 2],
+      [tie.id, 2],
+      [anonymousOnly.id, 1],
+    ]);
+    expect(cart.items[2].priceWhenAdded).toBe(5);
+
+    const anonymous = await visitor.get('/api/v1/cart');
+    expect(anonymous.body.data.cart.items).toHaveLength(0);
+  });
+
+  it('should start with an empty cart', async () => {
+    const cart = await getCart();
+
+    expect(cart.items).toHaveLength(0);
+    expect(cart.pricing.total).toBe(0);
+  });
+
+  it('should add products and merge repeated adds', async () => {
+    const product = await createProduct({ price: 12.5 });
+
+    await addItem(product, 2);
+    const res = await addItem(product, 1);
+
+    expect(res.statusCode).toBe(200);
+    const { cart } = res.body.data;
+    expect(cart.items).toHaveLength(1);
+    expect(cart.items[0].quantity).toBe(3);
+    expect(cart.itemCount).toBe(3);
+    expect(cart.pricing.subtotal).toBe(37.5);
+  });
+
+  it('should reject products that cannot be bought', async () => {
+    const unpublished = await createProduct({ isPublished: false });
+    const draft = await createProduct({ status: 'draft' });
+    const scarce = await createProduct({ quantity: 2 });
+
+    expect((await addItem(unpublished)).statusCode).toBe(400);
+    expect((await addItem(draft)).statusCode).toBe(400);
+    expect((await addItem(scarce, 3)).statusCode).toBe(400);
+    expect((await getCart()).items).toHaveLength(0);
+  });
+
+  it('should update quantities and remove items', async () => {
+    const product = await createProduct({ quantity: 5 });
+    const other = await createProduct();
+    await addItem(product);
+    await addItem(other);
+
+    const updated = await request(app)
+      .patch(`/api/v1/cart/items/${product.id}`)
+      .set('Authorization', `Bearer ${accessToken}`)
+      .send({ quantity: 4 });
+
+    expect(updated.statusCode).toBe(200);
+    expect(updated.body.data.cart.items[0].quantity).toBe(4);
+
+    const tooMany = await request(app)
+      .patch(`/api/v1/cart/items/${product.id}`)
+      .set('Authorization', `Bearer ${accessToken}`)
+      .send({ quantity: 6 });
+
+    expect(tooMany.statusCode).toBe(400);
+
+    const removed = await request(app)
+      .delete(`/api/v1/cart/items/${other.id}`)
+      .set('Authorization', `Bearer ${accessToken}`);
+
+    expect(removed.statusCode).toBe(200);
+    expect(removed.body.data.cart.items).toHaveLength(1);
+
+    const missing = await request(app)
+      .delete(`/api/v1/cart/items/${other.id}`)
+      .set('Authorization', `Bearer ${accessToken}`);
+
+    expect(missing.statusCode).toBe(404);
+  });
+
+  it('should flag price changes and missing stock', async () => {
+    const repriced = await createProduct({ price: 20 });
+    const soldOut = await createProduct({ price: 30 });
+    await addItem(repriced);
+    await addItem(soldOut);
+
+    await Product.updateOne({ _id: repriced.id }, { price: 18 });
+    await Product.updateOne({ _id: soldOut.id }, { quantity: 0 });
+
+    const cart = await getCart();
+    const [repricedLine, soldOutLine] = cart.items;
+
+    expect(cart.hasIssues).toBe(true);
+    expect(repricedLine.price).toBe(18);
+    expect(repricedLine.priceWhenAdded).toBe(20);
+    expect(repricedLine.priceChanged).toBe(true);
+    expect(soldOutLine.outOfStock).toBe(true);
+    expect(cart.pricing.subtotal).toBe(18);
+  });
+
+  it('should flag products that were unpublished', async () => {
+    const product = await createProduct();
+    await addItem(product);
+
+    await Product.updateOne({ _id: product.id }, { isPublished: false });
+
+    const cart = await getCart();
+    expect(cart.items[0].unavailable).toBe(true);
+    expect(cart.pricing.total).toBe(0);
+  });
+
+  it('should clear the cart', async () => {
+    await addItem(await createProduct());
+
+    const res = await request(app)
+      .delete('/api/v1/cart')
+      .set('Authorization', `Bearer ${accessToken}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.cart.items).toHaveLength(0);
+  });
+
+  describe('Abandoned cart reminders', () => {
+    const HOUR_MS = 60 * 60 * 1000;
+    let sendReminderEmail;
+
+    // Move the cart and its reminders back in time, as if hours had passed
+    const age = async (hours) => {
+      const shift = hours * HOUR_MS;
+      const cart = await Cart.findOne({ user: user._id });
+      const updatedAt = new Date(cart.updatedAt.getTime() - shift);
+      await Cart.collection.updateOne({ _id: cart._id }, { $set: { updatedAt } });
+
+      const reminders = await CartReminder.find({ cart: cart._id });
+      for (const reminder of reminders) {
+        const changes = {
+          idleSince: new Date(reminder.idleSince.getTime() - shift),
+          firstReminderAt: new Date(reminder.firstReminderAt.getTime() - shift),
+          lastReminderAt: new Date(reminder.lastReminderAt.getTime() - shift),
+        };
+        await CartReminder.collection.updateOne({ _id: reminder._id }, { $set: changes });
+      }
+    };
+
+    beforeEach(async () => {
+      await CartReminder.deleteMany({});
+      await Order.deleteMany({ user: user._id });
+      sendReminderEmail = jest.spyOn(emailService, 'sendCartReminderEmail').mockResolvedValue();
+    });
+
+    afterEach(() => {
+      sendReminderEmail.mockRestore();
+    });
+
+    it('should send each reminder once as the cart stays idle', async () => {
+      await addItem(await createProduct());
+
+      await age(2);
+      expect((await cartRecoveryService.sendCartReminders()).sent).toBe(1);
+      expect((await cartRecoveryService.sendCartReminders()).sent).toBe(0);
+
+      await age(23);
+      expect((await cartRecoveryService.sendCartReminders()).sent).toBe(1);
+
+      await age(48);
+      expect((await cartRecoveryService.sendCartReminders()).sent).toBe(1);
+      expect((await cartRecoveryService.sendCartReminders()).sent).toBe(0);
+
+      const reminderNumbers = sendReminderEmail.mock.calls.map((call) => call[3]);
+      expect(reminderNumbers).toEqual([1, 2, 3]);
+      expect(sendReminderEmail.mock.calls[0][2].items).toHaveLength(1);
+    });
+
+    it('should stop reminding and count the cart as recovered once an order is placed', async () => {
+      const product = await createProduct();
+      await addItem(product);
+
+      await age(2);
+      await cartRecoveryService.sendCartReminders();
+
+      const items = [{ product: product.id, quantity: 1 }];
+      const order = await fixtures.placeOrder(accessToken, items, { paymentMethod: 'cod' });
+      expect(order.statusCode).toBe(201);
+
+      await age(24);
+      const result = await cartRecoveryService.sendCartReminders();
+      expect(result).toEqual({ sent: 0, recovered: 1 });
+      expect(sendReminderEmail).toHaveBeenCalledTimes(1);
+
+      const stats = await cartRecoveryService.getRecoveryStats();
+      expect(stats.recovered).toBe(1);
+      expect(stats.conversionRate).toBe(100);
+      expect(stats.recoveredAfterReminder).toEqual({ 1: 1 });
+    });
+
+    it('should not remind users who turned off email notifications', async () => {
+      await addItem(await createProduct());
+      await User.updateOne({ _id: user._id }, { 'preferences.notifications.email': false });
+
+      await age(2);
+      const result = await cartRecoveryService.sendCartReminders();
+      await User.updateOne({ _id: user._id }, { 'preferences.notifications.email': true });
+
+      expect(result.sent).toBe(0);
+      expect(sendReminderEmail).not.toHaveBeenCalled();
+    });
+  });
+});
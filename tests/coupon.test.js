@@ -0,0 +1,149 @@
+const request = require('supertest');
+const app = require('../src/app');
+const { Category, Coupon, CouponUsage } = require('../src/models');
+const fixtures = require('./utils/fixtures');
+
+describe('Coupon Endpoints', () => {
+  let user;
+  let accessToken;
+  let adminToken;
+  let category;
+
+  const createProduct = (overrides) =>
+    fixtures.createProduct(user, category, { price: 50, ...overrides });
+
+  const createCoupon = (coupon) =>
+    request(app)
+      .post('/api/v1/coupons')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send(coupon);
+
+  const applyCoupon = (code) =>
+    request(app)
+      .post('/api/v1/cart/apply-coupon')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .send({ code });
+
+  const addToCart = (product, quantity = 1) =>
+    request(app)
+      .post('/api/v1/cart/items')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .send({ product: product.id, quantity });
+
+  const placeOrder = (product, couponCode) =>
+    fixtures.placeOrder(accessToken, [{ product: product.id, quantity: 1 }], { couponCode });
+
+  beforeAll(async () => {
+    await fixtures.connectDatabase();
+
+    ({ user, accessToken } = await fixtures.createAccount({
+      name: 'Coupon User',
+      email: 'coupon-user@example.com',
+    }));
+    ({ accessToken: adminToken } = await fixtures.createAccount({
+      name: 'Coupon Admin',
+      email: 'coupon-admin@example.com',
+      role: 'admin',
+    }));
+    category = await Category.create({ name: 'Coupon Test Category' });
+  });
+
+  beforeEach(async () => {
+    await Coupon.deleteMany({});
+    await CouponUsage.deleteMany({});
+    await request(app).delete('/api/v1/cart').set('Authorization', `Bearer ${accessToken}`);
+  });
+
+  afterAll(fixtures.dropDatabase);
+
+  it('should only let admins manage coupons', async () => {
+    const res = await request(app)
+      .post('/api/v1/coupons')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .send({ code: 'SAVE10', type: 'percentage', value: 10 });
+
+    expect(res.statusCode).toBe(403);
+
+    const created = await createCoupon({ code: 'save10', type: 'percentage', value: 10 });
+    expect(created.statusCode).toBe(201);
+    expect(created.body.data.coupon.code).toBe('SAVE10');
+
+    const invalid = await createCoupon({ code: 'HALF', type: 'percentage', value: 150 });
+    expect(invalid.statusCode).toBe(400);
+  });
+
+  it('should preview a valid coupon against the cart', async () => {
+    await createCoupon({ code: 'SAVE10', type: 'percentage', value: 10 });
+    await addToCart(await createProduct({ price: 50 }), 2);
+
+    const res = await applyCoupon('save10');
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.coupon.valid).toBe(true);
+    expect(res.body.data.coupon.discount).toBe(10);
+    expect(res.body.data.coupon.pricing.discount).toBe(10);
+  });
+
+  it('should give the reason a coupon is rejected', async () => {
+    const excluded = await createProduct();
+    const yesterday = new Date(Date.now() - 24 * 60 * 60 * 1000);
+    await createCoupon({ code: 'OLD', type: 'fixed', value: 5, endsAt: yesterday });
+    await createCoupon({ code: 'BIG', type: 'fixed', value: 5, minSubtotal: 200 });
+    const products = [excluded.id];
+    await createCoupon({ code: 'NOTHIS', type: 'fixed', value: 5, excludedProducts: products });
+    await addToCart(excluded);
+
+    const reasons = {};
+    for (const code of ['NOPE', 'OLD', 'BIG', 'NOTHIS']) {
+      const res = await applyCoupon(code);
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data.coupon.valid).toBe(false);
+      reasons[code] = res.body.data.coupon.reason;
+    }
+
+    expect(reasons).toEqual({
+      NOPE: 'not_found',
+      OLD: 'expired',
+      BIG: 'minimum_not_met',
+      NOTHIS: 'not_applicable',
+    });
+  });
+
+  it('should count uses on orders and give them back on cancellation', async () => {
+    const product = await createProduct();
+    await createCoupon({ code: 'ONCE', type: 'free_shipping', usageLimitPerUser: 1 });
+
+    const placed = await placeOrder(product, 'once');
+    expect(placed.statusCode).toBe(201);
+    expect(placed.body.data.order.coupon.code).toBe('ONCE');
+    expect(placed.body.data.order.pricing.shipping).toBe(0);
+    expect((await Coupon.findOne({ code: 'ONCE' })).usageCount).toBe(1);
+
+    const again = await placeOrder(product, 'ONCE');
+    expect(again.statusCode).toBe(400);
+
+    await addToCart(product);
+    const preview = await applyCoupon('ONCE');
+    expect(preview.body.data.coupon.reason).toBe('user_limit_reached');
+
+    const { orderNumber } = placed.body.data.order;
+    await request(app)
+      .post(`/api/v1/orders/me/${orderNumber}/cancel`)
+      .set('Authorization', `Bearer ${accessToken}`);
+
+    expect((await Coupon.findOne({ code: 'ONCE' })).usageCount).toBe(0);
+    expect((await placeOrder(product, 'ONCE')).statusCode).toBe(201);
+  });
+
+  it('should let only one of two concurrent orders take a single-use coupon', async () => {
+    const product = await createProduct();
+    await createCoupon({ code: 'ONCE', type: 'free_shipping', usageLimitPerUser: 1 });
+
+    const results = await Promise.all([placeOrder(product, 'ONCE'), placeOrder(product, 'ONCE')]);
+
+    const statuses = results.map((res) => res.statusCode).sort();
+    expect(statuses).toEqual([201, 400]);
+    expect((await Coupon.findOne({ code: 'ONCE' })).usageCount).toBe(1);
+    expect((await CouponUsage.findOne({ code: 'ONCE' })).uses).toBe(1);
+  });
+});
@@ -0,0 +1,132 @@
+const request = require('supertest');
+const app = require('../src/app');
+const { User, Category, GiftCard, BalanceTransaction } = require('../src/models');
+const fixtures = require('./utils/fixtures');
+
+describe('Gift Card Endpoints', () => {
+  let user;
+  let accessToken;
+  let adminToken;
+  let category;
+
+  const createProduct = (overrides) =>
+    fixtures.createProduct(user, category, { price: 40, quantity: 20, ...overrides });
+
+  const issueGiftCard = async (amount) => {
+    const res = await request(app)
+      .post('/api/v1/gift-cards')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ amount });
+    return res.body.data.giftCard;
+  };
+
+  const placeOrder = (product, tender, quantity = 1) =>
+    fixtures.placeOrder(accessToken, [{ product: product.id, quantity }], tender);
+
+  beforeAll(async () => {
+    await fixtures.connectDatabase();
+
+    ({ user, accessToken } = await fixtures.createAccount({
+      name: 'Gift Card User',
+      email: 'gift-card-user@example.com',
+    }));
+    ({ accessToken: adminToken } = await fixtures.createAccount({
+      name: 'Gift Card Admin',
+      email: 'gift-card-admin@example.com',
+      role: 'admin',
+    }));
+    category = await Category.create({ name: 'Gift Card Test Category' });
+  });
+
+  beforeEach(async () => {
+    await GiftCard.deleteMany({});
+    await BalanceTransaction.deleteMany({});
+    await User.updateOne({ _id: user._id }, { storeCredit: 0 });
+  });
+
+  afterAll(fixtures.dropDatabase);
+
+  it('should let admins issue gift cards and anyone check their balance', async () => {
+    const forbidden = await request(app)
+      .post('/api/v1/gift-cards')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .send({ amount: 25 });
+    expect(forbidden.statusCode).toBe(403);
+
+    const giftCard = await issueGiftCard(25);
+    expect(giftCard.code).toMatch(/^[A-Z0-9]{4}(-[A-Z0-9]{4}){3}$/);
+
+    const res = await request(app)
+      .post('/api/v1/gift-cards/check')
+      .send({ code: giftCard.code.replace(/-/g, '').toLowerCase() });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.giftCard.balance).toBe(25);
+    expect(res.body.data.giftCard.usable).toBe(true);
+  });
+
+  it('should take a gift card as partial payment and give it back on cancellation', async () => {
+    const giftCard = await issueGiftCard(10);
+    const product = await createProduct();
+
+    const placed = await placeOrder(product, { giftCardCodes: [giftCard.code] });
+    expect(placed.statusCode).toBe(201);
+    const { order } = placed.body.data;
+    expect(order.payment.tenders).toHaveLength(1);
+    expect(order.payment.tenders[0].amount).toBe(10);
+    expect(order.amountDue).toBe(Math.round((order.pricing.total - 10) * 100) / 100);
+    expect((await GiftCard.findById(giftCard.id)).balance).toBe(0);
+
+    await request(app)
+      .post(`/api/v1/orders/me/${order.orderNumber}/cancel`)
+      .set('Authorization', `Bearer ${accessToken}`);
+
+    expect((await GiftCard.findById(giftCard.id)).balance).toBe(10);
+    const transactions = await BalanceTransaction.find({ giftCard: giftCard.id }).sort('createdAt');
+    const types = transactions.map((transaction) => transaction.type);
+    expect(types).toEqual(['issue', 'redemption', 'release']);
+  });
+
+  it('should pay an order in full with store credit and issue bought gift cards', async () => {
+    await request(app)
+      .post(`/api/v1/users/${user.id}/store-credit/adjustments`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ amount: 500, reason: 'Goodwill' });
+    const giftCardProduct = await createProduct({ price: 50, isGiftCard: true });
+
+    const placed = await placeOrder(giftCardProduct, { useStoreCredit: true }, 2);
+    expect(placed.statusCode).toBe(201);
+    const { order } = placed.body.data;
+    expect(order.amountDue).toBe(0);
+    expect(order.payment.status).toBe('succeeded');
+
+    const issued = await GiftCard.find({ 'purchase.order': order.id });
+    expect(issued.map((card) => card.balance)).toEqual([50, 50]);
+
+    const credit = await request(app)
+      .get('/api/v1/users/me/store-credit')
+      .set('Authorization', `Bearer ${accessToken}`);
+    expect(credit.body.data.storeCredit.balance).toBeCloseTo(500 - order.pricing.total, 2);
+  });
+
+  it('should refund to the gift cards used first, or to store credit when asked', async () => {
+    const giftCard = await issueGiftCard(1000);
+    const product = await createProduct();
+    const placed = await placeOrder(product, { giftCardCodes: [giftCard.code] });
+    const { order } = placed.body.data;
+    expect(order.payment.status).toBe('succeeded');
+
+    const refund = (body) =>
+      request(app)
+        .post(`/api/v1/orders/${order.id}/refunds`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send(body);
+
+    expect((await refund({ amount: 5 })).statusCode).toBe(201);
+    const { balance } = await GiftCard.findById(giftCard.id);
+    expect(balance).toBeCloseTo(1000 - order.pricing.total + 5, 2);
+
+    expect((await refund({ amount: 5, toStoreCredit: true })).statusCode).toBe(201);
+    expect((await User.findById(user._id)).storeCredit).toBe(5);
+  });
+});
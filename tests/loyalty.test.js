@@ -0,0 +1,132 @@
+const request = require('supertest');
+const app = require('../src/app');
+const { User, Category, Order, PointsTransaction } = require('../src/models');
+const { loyaltyService } = require('../src/services');
+const fixtures = require('./utils/fixtures');
+
+describe('Loyalty Points Endpoints', () => {
+  let user;
+  let accessToken;
+  let adminToken;
+  let category;
+
+  const createProduct = (overrides) =>
+    fixtures.createProduct(user, category, { price: 40, quantity: 20, ...overrides });
+
+  const placeOrder = (product, extra = {}) => {
+    const items = [{ product: product.id, quantity: 1 }];
+    return fixtures.placeOrder(accessToken, items, { paymentMethod: 'cod', ...extra });
+  };
+
+  const getPoints = async () => {
+    const res = await request(app)
+      .get('/api/v1/users/me/points')
+      .set('Authorization', `Bearer ${accessToken}`);
+    return res.body.data.points;
+  };
+
+  const grantBonus = (body) =>
+    request(app)
+      .post(`/api/v1/users/${user.id}/points/bonus`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send(body);
+
+  beforeAll(async () => {
+    await fixtures.connectDatabase();
+
+    ({ user, accessToken } = await fixtures.createAccount({
+      name: 'Loyalty User',
+      email: 'loyalty-user@example.com',
+    }));
+    ({ accessToken: adminToken } = await fixtures.createAccount({
+      name: 'Loyalty Admin',
+      email: 'loyalty-admin@example.com',
+      role: 'admin',
+    }));
+    category = await Category.create({ name: 'Loyalty Test Category', pointsMultiplier: 2 });
+  });
+
+  beforeEach(async () => {
+    await PointsTransaction.deleteMany({});
+    await User.updateOne({ _id: user._id }, { loyaltyPoints: 0 });
+  });
+
+  afterAll(fixtures.dropDatabase);
+
+  it('should grant review bonuses and show the balance with its history', async () => {
+    const res = await grantBonus({ type: 'review' });
+    expect(res.statusCode).toBe(201);
+    expect(res.body.data.transaction.points).toBe(50);
+
+    const points = await getPoints();
+    expect(points.balance).toBe(50);
+    expect(points.value).toBe(0.5);
+    expect(points.nextExpiry.points).toBe(50);
+    expect(points.transactions.results[0].type).toBe('bonus');
+  });
+
+  it('should redeem points as a discount and give them back on cancellation', async () => {
+    await grantBonus({ type: 'other', points: 1000, reason: 'Welcome' });
+    const product = await createProduct({ price: 40 });
+
+    const placed = await placeOrder(product, { redeemPoints: 1000 });
+    expect(placed.statusCode).toBe(201);
+    const { order } = placed.body.data;
+    expect(order.pricing.pointsDiscount).toBe(10);
+    expect(order.pricing.discount).toBe(10);
+    expect((await getPoints()).balance).toBe(0);
+
+    await request(app)
+      .post(`/api/v1/orders/me/${order.orderNumber}/cancel`)
+      .set('Authorization', `Bearer ${accessToken}`);
+
+    expect((await getPoints()).balance).toBe(1000);
+  });
+
+  it('should reject redeeming more points than the balance', async () => {
+    const product = await createProduct();
+
+    const res = await placeOrder(product, { redeemPoints: 100 });
+
+    expect(res.statusCode).toBe(400);
+  });
+
+  it('should award points on delivery and take them back on refund', async () => {
+    const product = await createProduct({ price: 40 });
+    const placed = await placeOrder(product);
+    const { order } = placed.body.data;
+
+    for (const status of ['processing', 'shipped', 'delivered']) {
+      await request(app)
+        .patch(`/api/v1/orders/${order.id}/status`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ status });
+    }
+
+    // 40 spent in a category earning double points
+    expect((await getPoints()).balance).toBe(80);
+    expect((await Order.findById(order.id)).loyalty.earnedPoints).toBe(80);
+
+    const refund = await request(app)
+      .post(`/api/v1/orders/${order.id}/refunds`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ amount: order.pricing.total, reason: 'Damaged' });
+    expect(refund.statusCode).toBe(201);
+
+    const points = await getPoints();
+    expect(points.balance).toBe(0);
+    expect(points.transactions.results[0].type).toBe('reversal');
+  });
+
+  it('should expire points past their expiry date', async () => {
+    await grantBonus({ type: 'referral' });
+    await PointsTransaction.updateMany({ user: user._id }, { expiresAt: new Date(Date.now() - 1) });
+
+    const expired = await loyaltyService.expirePoints();
+
+    expect(expired).toBe(200);
+    const points = await getPoints();
+    expect(points.balance).toBe(0);
+    expect(points.transactions.results[0].type).toBe('expiry');
+  });
+});
@@ -0,0 +1,1295 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../src/app');
+const { User, Product, Category, Order, OrderArchive, Invoice, Coupon } = require('../src/models');
+const {
+  tokenService,
+  authService,
+  archiveService,
+  orderService,
+  paymentService,
+  paymentWebhookService,
+} = require('../src/services');
+const fixtures = require('./utils/fixtures');
+
+describe('Order Endpoints', () => {
+  const { shippingAddress } = fixtures;
+
+  let user;
+  let accessToken;
+  let adminToken;
+  let category;
+
+  const createProduct = (overrides) => fixtures.createProduct(user, category, overrides);
+
+  beforeAll(async () => {
+    await fixtures.connectDatabase();
+
+    ({ user, accessToken } = await fixtures.createAccount({
+      name: 'Order User',
+      email: 'order-user@example.com',
+    }));
+    ({ accessToken: adminToken } = await fixtures.createAccount({
+      name: 'Order Admin',
+      email: 'order-admin@example.com',
+      role: 'admin',
+    }));
+    category = await Category.create({ name: 'Order Test Category' });
+  });
+
+  // Bank-transfer orders stay pending until the payment is recorded
+  const placeOrder = async (product, quantity = 1, paymentMethod = 'bank_transfer') => {
+    const items = [{ product: product.id, quantity }];
+    const res = await fixtures.placeOrder(accessToken, items, { paymentMethod });
+    return res.body.data.order;
+  };
+
+  afterAll(fixtures.dropDatabase);
+
+  describe('POST /api/v1/orders', () => {
+    it('should return 401 without token', async () => {
+      const res = await request(app).post('/api/v1/orders').send({});
+
+      expect(res.statusCode).toBe(401);
+      expect(res.body.success).toBe(false);
+    });
+
+    it('should return validation error for empty items', async () => {
+      const res = await request(app)
+        .post('/api/v1/orders')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ items: [], shippingAddress, paymentMethod: 'cod' });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.success).toBe(false);
+    });
+
+    it('should reprice items from the catalogue and reserve stock', async () => {
+      const product = await createProduct({ price: 19.99, quantity: 5 });
+
+      const res = await request(app)
+        .post('/api/v1/orders')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({
+          items: [{ product: product.id, quantity: 2, price: 0.01 }],
+          shippingAddress,
+          paymentMethod: 'cod',
+        });
+
+      expect(res.statusCode).toBe(400);
+
+      const placed = await request(app)
+        .post('/api/v1/orders')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({
+          items: [{ product: product.id, quantity: 2 }],
+          shippingAddress,
+          paymentMethod: 'cod',
+        });
+
+      expect(placed.statusCode).toBe(201);
+      expect(placed.body.data.order.items[0].price).toBe(19.99);
+      expect(placed.body.data.order.pricing.subtotal).toBe(39.98);
+
+      const updated = await Product.findById(product.id);
+      expect(updated.quantity).toBe(3);
+      expect(updated.soldCount).toBe(2);
+    });
+
+    it('should reject unpublished products', async () => {
+      const product = await createProduct({ isPublished: false });
+
+      const res = await request(app)
+        .post('/api/v1/orders')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({
+          items: [{ product: product.id, quantity: 1 }],
+          shippingAddress,
+          paymentMethod: 'cod',
+        });
+
+      expect(res.statusCode).toBe(400);
+    });
+
+    it('should not oversell under concurrent checkouts', async () => {
+      const product = await createProduct({ quantity: 3 });
+      const body = {
+        items: [{ product: product.id, quantity: 1 }],
+        shippingAddress,
+        paymentMethod: 'cod',
+      };
+
+      const responses = await Promise.all(
+        Array.from({ length: 6 }, () =>
+          request(app)
+            .post('/api/v1/orders')
+            .set('Authorization', `Bearer ${accessToken}`)
+            .send(body)
+        )
+      );
+
+      const placed = responses.filter((res) => res.statusCode === 201);
+      const rejected = responses.filter((res) => res.statusCode === 409);
+      expect(placed).toHaveLength(3);
+      expect(rejected).toHaveLength(3);
+
+      const updated = await Product.findById(product.id);
+      expect(updated.quantity).toBe(0);
+    });
+
+    it('should assign unique sequential order numbers to concurrent orders', async () => {
+      const product = await createProduct({ quantity: 20 });
+
+      const orders = await Promise.all(Array.from({ length: 10 }, () => placeOrder(product)));
+
+      const numbers = orders.map((order) => order.orderNumber);
+      expect(new Set(numbers).size).toBe(10);
+      numbers.forEach((number) => expect(number).toMatch(/^ORD-\d{6}-\d{5}$/));
+
+      const sequences = numbers.map((number) => Number(number.split('-')[2])).sort((a, b) => a - b);
+      expect(sequences[9] - sequences[0]).toBe(9);
+    });
+
+    it('should release reserved stock when a later line is out of stock', async () => {
+      const available = await createProduct({ quantity: 5 });
+      const soldOut = await createProduct({ quantity: 0 });
+
+      const res = await request(app)
+        .post('/api/v1/orders')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({
+          items: [
+            { product: available.id, quantity: 2 },
+            { product: soldOut.id, quantity: 1 },
+          ],
+          shippingAddress,
+          paymentMethod: 'cod',
+        });
+
+      expect(res.statusCode).toBe(409);
+
+      const updated = await Product.findById(available.id);
+      expect(updated.quantity).toBe(5);
+      expect(await Order.countDocuments({ 'items.product': available._id })).toBe(0);
+    });
+  });
+
+  describe('PATCH /api/v1/orders/:orderId/status', () => {
+    it('should forbid customers from changing status', async () => {
+      const order = await placeOrder(await createProduct());
+
+      const res = await request(app)
+        .patch(`/api/v1/orders/${order.id}/status`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ status: 'confirmed' });
+
+      expect(res.statusCode).toBe(403);
+    });
+
+    it('should apply a legal transition and record who made it', async () => {
+      const order = await placeOrder(await createProduct());
+
+      const res = await request(app)
+        .patch(`/api/v1/orders/${order.id}/status`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ status: 'confirmed', note: 'Verified by phone' });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data.order.status).toBe('confirmed');
+
+      const lastEntry = res.body.data.order.statusHistory.pop();
+      expect(lastEntry.status).toBe('confirmed');
+      expect(lastEntry.note).toBe('Verified by phone');
+      expect(lastEntry.updatedBy).toBeDefined();
+    });
+
+    it('should reject an illegal transition', async () => {
+      const order = await placeOrder(await createProduct());
+
+      const res = await request(app)
+        .patch(`/api/v1/orders/${order.id}/status`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ status: 'delivered' });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.message).toMatch(/pending to delivered/);
+    });
+
+    it('should release stock when an order is cancelled', async () => {
+      const product = await createProduct({ quantity: 4 });
+      const order = await placeOrder(product, 3);
+
+      const res = await request(app)
+        .patch(`/api/v1/orders/${order.id}/status`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ status: 'cancelled', note: 'Customer changed their mind' });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data.order.cancelReason).toBe('Customer changed their mind');
+
+      const updated = await Product.findById(product.id);
+      expect(updated.quantity).toBe(4);
+    });
+  });
+
+  describe('Customer order endpoints', () => {
+    it("should only list the current user's orders", async () => {
+      const order = await placeOrder(await createProduct());
+
+      const res = await request(app)
+        .get('/api/v1/orders/me')
+        .set('Authorization', `Bearer ${accessToken}`);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data.results.map((o) => o.orderNumber)).toContain(order.orderNumber);
+      res.body.data.results.forEach((o) => expect(o.user).toBe(user.id));
+    });
+
+    it("should not expose another customer's order", async () => {
+      const order = await placeOrder(await createProduct());
+
+      const res = await request(app)
+        .get(`/api/v1/orders/me/${order.orderNumber}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.statusCode).toBe(404);
+    });
+
+    it('should cancel a pending order and restock its items', async () => {
+      const product = await createProduct({ quantity: 2 });
+      const order = await placeOrder(product, 2);
+
+      const res = await request(app)
+        .post(`/api/v1/orders/me/${order.orderNumber}/cancel`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ reason: 'Ordered by mistake' });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data.order.status).toBe('cancelled');
+
+      const updated = await Product.findById(product.id);
+      expect(updated.quantity).toBe(2);
+    });
+
+    it('should refuse to cancel an order that is already processing', async () => {
+      const order = await placeOrder(await createProduct());
+      await Order.updateOne({ _id: order.id }, { status: 'processing' });
+
+      const res = await request(app)
+        .post(`/api/v1/orders/me/${order.orderNumber}/cancel`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({});
+
+      expect(res.statusCode).toBe(400);
+    });
+  });
+
+  describe('Admin order console', () => {
+    it('should forbid customers from listing all orders', async () => {
+      const res = await request(app)
+        .get('/api/v1/orders')
+        .set('Authorization', `Bearer ${accessToken}`);
+
+      expect(res.statusCode).toBe(403);
+    });
+
+    it('should filter orders by order number prefix and total range', async () => {
+      const order = await placeOrder(await createProduct({ price: 500 }));
+
+      const res = await request(app)
+        .get('/api/v1/orders')
+        .query({ orderNumber: order.orderNumber, minTotal: 400 })
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data.totalResults).toBe(1);
+      expect(res.body.data.results[0].user.email).toBe(user.email);
+    });
+
+    it('should filter orders by customer email', async () => {
+      await placeOrder(await createProduct());
+
+      const res = await request(app)
+        .get('/api/v1/orders')
+        .query({ email: 'nobody-here' })
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data.totalResults).toBe(0);
+    });
+
+    it('should export filtered orders as CSV', async () => {
+      const order = await placeOrder(await createProduct());
+
+      const res = await request(app)
+        .get('/api/v1/orders/export')
+        .query({ orderNumber: order.orderNumber })
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.headers['content-type']).toMatch(/text\/csv/);
+
+      const lines = res.text.trim().split('\n');
+      expect(lines[0]).toMatch(/^Order Number,/);
+      expect(lines).toHaveLength(2);
+      expect(lines[1]).toContain(order.orderNumber);
+    });
+  });
+
+  describe('POST /api/v1/orders/:orderId/refunds', () => {
+    const deliveredOrder = async (quantity) => {
+      const order = await placeOrder(await createProduct({ price: 50 }), quantity, 'cod');
+      await Order.updateOne({ _id: order.id }, { status: 'delivered' });
+      return order;
+    };
+
+    const refund = (order, body) =>
+      request(app)
+        .post(`/api/v1/orders/${order.id}/refunds`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send(body);
+
+    it('should require either an amount or items', async () => {
+      const order = await deliveredOrder(1);
+
+      const items = [{ itemId: order.items[0].id, quantity: 1 }];
+      const res = await refund(order, { amount: 5, items });
+
+      expect(res.statusCode).toBe(400);
+    });
+
+    it('should refund specific items and record them on the ledger', async () => {
+      const order = await deliveredOrder(2);
+
+      const res = await refund(order, {
+        items: [{ itemId: order.items[0].id, quantity: 1 }],
+        reason: 'Damaged in transit',
+      });
+
+      expect(res.statusCode).toBe(201);
+      expect(res.body.data.order.payment.status).toBe('partially_refunded');
+      expect(res.body.data.order.refunds).toHaveLength(1);
+      expect(res.body.data.order.refunds[0].reason).toBe('Damaged in transit');
+      expect(res.body.data.order.refunds[0].createdBy).toBeDefined();
+
+      const again = await refund(order, { items: [{ itemId: order.items[0].id, quantity: 2 }] });
+      expect(again.statusCode).toBe(400);
+    });
+
+    it('should never refund more than the order total', async () => {
+      const order = await deliveredOrder(1);
+
+      const tooMuch = await refund(order, { amount: order.pricing.total + 1 });
+      expect(tooMuch.statusCode).toBe(400);
+
+      const responses = await Promise.all([
+        refund(order, { amount: order.pricing.total }),
+        refund(order, { amount: order.pricing.total }),
+      ]);
+      expect(responses.filter((res) => res.statusCode === 201)).toHaveLength(1);
+
+      const updated = await Order.findById(order.id);
+      expect(updated.refundedTotal).toBe(order.pricing.total);
+      expect(updated.payment.status).toBe('refunded');
+      expect(updated.status).toBe('refunded');
+    });
+
+    it('should not refund unpaid orders', async () => {
+      const order = await placeOrder(await createProduct());
+
+      const res = await refund(order, { amount: 1 });
+
+      expect(res.statusCode).toBe(400);
+    });
+  });
+
+  describe('Invoices and credit notes', () => {
+    const confirm = (order) =>
+      request(app)
+        .patch(`/api/v1/orders/${order.id}/status`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ status: 'confirmed' });
+
+    it('should issue gap-free invoice numbers when orders are confirmed', async () => {
+      const first = await placeOrder(await createProduct());
+      const second = await placeOrder(await createProduct());
+
+      await Promise.all([confirm(first), confirm(second)]);
+
+      const invoices = await Invoice.find({ order: { $in: [first.id, second.id] } }).sort({
+        sequence: 1,
+      });
+      expect(invoices).toHaveLength(2);
+      expect(invoices[1].sequence).toBe(invoices[0].sequence + 1);
+      expect(invoices[0].number).toMatch(/^INV-\d{6}$/);
+    });
+
+    it('should let the customer download the invoice as PDF', async () => {
+      const order = await placeOrder(await createProduct());
+      await confirm(order);
+
+      const res = await request(app)
+        .get(`/api/v1/orders/${order.id}/invoice.pdf`)
+        .set('Authorization', `Bearer ${accessToken}`);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.headers['content-type']).toBe('application/pdf');
+      expect(res.headers['content-disposition']).toMatch(/INV-\d{6}\.pdf/);
+    });
+
+    it('should not have an invoice before confirmation', async () => {
+      const order = await placeOrder(await createProduct());
+
+      const res = await request(app)
+        .get(`/api/v1/orders/${order.id}/invoice.pdf`)
+        .set('Authorization', `Bearer ${accessToken}`);
+
+      expect(res.statusCode).toBe(404);
+    });
+
+    it('should issue a credit note for each refund', async () => {
+      const order = await placeOrder(await createProduct({ price: 30 }));
+      await confirm(order);
+      await Order.updateOne({ _id: order.id }, { status: 'delivered' });
+
+      const refunded = await request(app)
+        .post(`/api/v1/orders/${order.id}/refunds`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ amount: 10, reason: 'Goodwill' });
+      const [refund] = refunded.body.data.order.refunds;
+
+      const creditNote = await Invoice.findOne({ refund: refund.id });
+      expect(creditNote.type).toBe('credit_note');
+      expect(creditNote.totals.total).toBe(10);
+
+      const res = await request(app)
+        .get(`/api/v1/orders/${order.id}/refunds/${refund.id}/credit-note.pdf`)
+        .set('Authorization', `Bearer ${accessToken}`);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.headers['content-disposition']).toContain(creditNote.number);
+    });
+  });
+
+  describe('Shipments', () => {
+    const processingOrder = async (quantity) => {
+      const order = await placeOrder(await createProduct(), quantity);
+      await Order.updateOne({ _id: order.id }, { status: 'processing' });
+      return order;
+    };
+
+    const ship = (order, quantity) =>
+      request(app)
+        .post(`/api/v1/orders/${order.id}/shipments`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          items: [{ itemId: order.items[0].id, quantity }],
+          carrier: 'ups',
+          trackingNumber: `1Z${quantity}${Date.now()}`,
+        });
+
+    const track = (order, shipment, status) =>
+      request(app)
+        .post(`/api/v1/orders/${order.id}/shipments/${shipment.id}/events`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ status, location: 'Springfield, IL' });
+
+    it('should mark an order partially shipped until every item has shipped', async () => {
+      const order = await processingOrder(3);
+
+      const first = await ship(order, 2);
+      expect(first.statusCode).toBe(201);
+      expect(first.body.data.order.status).toBe('partially_shipped');
+      expect(first.body.data.order.shipments[0].trackingUrl).toContain('ups.com');
+
+      const tooMany = await ship(order, 2);
+      expect(tooMany.statusCode).toBe(400);
+
+      const second = await ship(order, 1);
+      expect(second.body.data.order.status).toBe('shipped');
+    });
+
+    it('should mark the order delivered once every shipment is delivered', async () => {
+      const order = await processingOrder(2);
+      await ship(order, 1);
+      const shipped = await ship(order, 1);
+      const [firstShipment, secondShipment] = shipped.body.data.order.shipments;
+
+      const partly = await track(order, firstShipment, 'delivered');
+      expect(partly.body.data.order.status).toBe('shipped');
+
+      const fully = await track(order, secondShipment, 'delivered');
+      expect(fully.body.data.order.status).toBe('delivered');
+      expect(fully.body.data.order.shipping.deliveredAt).toBeDefined();
+    });
+
+    it('should return the tracking history to the customer', async () => {
+      const order = await processingOrder(1);
+      const shipped = await ship(order, 1);
+      await track(order, shipped.body.data.order.shipments[0], 'out_for_delivery');
+
+      const res = await request(app)
+        .get(`/api/v1/orders/${order.id}/shipments`)
+        .set('Authorization', `Bearer ${accessToken}`);
+
+      expect(res.statusCode).toBe(200);
+      const [shipment] = res.body.data.shipments;
+      expect(shipment.status).toBe('out_for_delivery');
+      expect(shipment.events.map((event) => event.status)).toEqual([
+        'in_transit',
+        'out_for_delivery',
+      ]);
+    });
+
+    it('should let the customer download the invoice of a partially shipped order', async () => {
+      const order = await processingOrder(2);
+      await ship(order, 1);
+
+      const res = await request(app)
+        .get(`/api/v1/orders/${order.id}/invoice.pdf`)
+        .set('Authorization', `Bearer ${accessToken}`);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.headers['content-disposition']).toMatch(/INV-\d{6}\.pdf/);
+    });
+
+    it('should not ship orders that are still pending', async () => {
+      const order = await placeOrder(await createProduct());
+
+      const res = await ship(order, 1);
+
+      expect(res.statusCode).toBe(400);
+    });
+  });
+
+  describe('Order archival', () => {
+    const longAgo = new Date('2020-01-01T00:00:00Z');
+
+    const settledOrder = async () => {
+      const order = await placeOrder(await createProduct());
+      // Bypass timestamps so the order looks untouched for years
+      const settle = { $set: { status: 'delivered', updatedAt: longAgo } };
+      await Order.collection.updateOne({ _id: new mongoose.Types.ObjectId(order.id) }, settle);
+      return order;
+    };
+
+    it('should move settled orders to the archive and keep them visible', async () => {
+      const order = await settledOrder();
+      const recent = await placeOrder(await createProduct());
+
+      const result = await archiveService.archiveOrders({ batchSize: 1 });
+
+      expect(result.archived).toBeGreaterThanOrEqual(1);
+      expect(await Order.exists({ _id: order.id })).toBeNull();
+      expect(await OrderArchive.exists({ _id: order.id })).not.toBeNull();
+      expect(await Order.exists({ _id: recent.id })).not.toBeNull();
+
+      const mine = await request(app)
+        .get(`/api/v1/orders/me/${order.orderNumber}`)
+        .set('Authorization', `Bearer ${accessToken}`);
+      expect(mine.statusCode).toBe(200);
+      expect(mine.body.data.order.status).toBe('delivered');
+
+      const history = await request(app)
+        .get('/api/v1/orders/me?limit=100')
+        .set('Authorization', `Bearer ${accessToken}`);
+      const numbers = history.body.data.results.map((result) => result.orderNumber);
+      expect(numbers).toEqual(expect.arrayContaining([order.orderNumber, recent.orderNumber]));
+
+      const admin = await request(app)
+        .get(`/api/v1/orders/number/${order.orderNumber}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+      expect(admin.statusCode).toBe(200);
+      expect(admin.body.data.order.id).toBe(order.id);
+    });
+
+    it('should finish a run that died after copying a batch', async () => {
+      const order = await settledOrder();
+      const copy = await Order.findById(order.id).lean();
+      await OrderArchive.collection.insertOne({ ...copy, archivedAt: new Date() });
+
+      await archiveService.archiveOrders();
+
+      expect(await Order.exists({ _id: order.id })).toBeNull();
+      expect(await OrderArchive.countDocuments({ _id: order.id })).toBe(1);
+    });
+
+    it('should not let customers cancel archived orders', async () => {
+      const order = await settledOrder();
+      await archiveService.archiveOrders();
+
+      const res = await request(app)
+        .post(`/api/v1/orders/me/${order.orderNumber}/cancel`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ reason: 'Too late' });
+
+      expect(res.statusCode).toBe(404);
+    });
+  });
+
+  describe('Editing orders', () => {
+    const editMyOrder = (order, items) =>
+      request(app)
+        .patch(`/api/v1/orders/me/${order.orderNumber}/items`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ items });
+
+    it('should reprice the order and adjust stock when items change', async () => {
+      const shirt = await createProduct({ price: 20 });
+      const hat = await createProduct({ price: 15 });
+      const order = await placeOrder(shirt, 1);
+
+      const res = await editMyOrder(order, [
+        { product: shirt.id, quantity: 3 },
+        { product: hat.id, quantity: 1 },
+      ]);
+
+      expect(res.statusCode).toBe(200);
+      const edited = res.body.data.order;
+      expect(edited.items).toHaveLength(2);
+      expect(edited.pricing.subtotal).toBe(75);
+      expect(edited.statusHistory.pop().note).toContain('Items edited');
+      expect((await Product.findById(shirt.id)).quantity).toBe(7);
+      expect((await Product.findById(hat.id)).quantity).toBe(9);
+    });
+
+    it('should keep the original price of lines already on the order', async () => {
+      const product = await createProduct({ price: 20 });
+      const order = await placeOrder(product, 1);
+      await Product.updateOne({ _id: product.id }, { price: 30 });
+
+      const res = await editMyOrder(order, [{ product: product.id, quantity: 2 }]);
+
+      expect(res.body.data.order.items[0].price).toBe(20);
+      expect(res.body.data.order.pricing.subtotal).toBe(40);
+    });
+
+    it('should release stock of removed items', async () => {
+      const kept = await createProduct();
+      const removed = await createProduct();
+      const placed = await request(app)
+        .post('/api/v1/orders')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({
+          items: [
+            { product: kept.id, quantity: 1 },
+            { product: removed.id, quantity: 4 },
+          ],
+          shippingAddress,
+          paymentMethod: 'cod',
+        });
+
+      const res = await editMyOrder(placed.body.data.order, [{ product: kept.id, quantity: 1 }]);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data.order.items).toHaveLength(1);
+      expect((await Product.findById(removed.id)).quantity).toBe(10);
+    });
+
+    it('should reject edits that exceed the available stock', async () => {
+      const product = await createProduct({ quantity: 2 });
+      const order = await placeOrder(product, 1);
+
+      const res = await editMyOrder(order, [{ product: product.id, quantity: 5 }]);
+
+      expect(res.statusCode).toBe(409);
+      expect((await Product.findById(product.id)).quantity).toBe(1);
+    });
+
+    it('should not edit orders that are being fulfilled', async () => {
+      const product = await createProduct();
+      const order = await placeOrder(product, 1);
+      await Order.updateOne({ _id: order.id }, { status: 'processing' });
+
+      const res = await request(app)
+        .patch(`/api/v1/orders/${order.id}/items`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ items: [{ product: product.id, quantity: 2 }] });
+
+      expect(res.statusCode).toBe(400);
+    });
+
+    it('should reissue the invoice of a confirmed order when it is edited', async () => {
+      const product = await createProduct({ price: 20 });
+      const order = await placeOrder(product, 1, 'cod');
+      const original = await Invoice.findOne({ order: order.id, type: 'invoice' });
+
+      const edited = await editMyOrder(order, [{ product: product.id, quantity: 2 }]);
+      expect(edited.statusCode).toBe(200);
+
+      const res = await request(app)
+        .get(`/api/v1/orders/${order.id}/invoice.pdf`)
+        .set('Authorization', `Bearer ${accessToken}`);
+      expect(res.statusCode).toBe(200);
+
+      const reissued = await Invoice.findOne({ order: order.id, type: 'invoice', revision: 2 });
+      expect(res.headers['content-disposition']).toContain(reissued.number);
+      expect(reissued.totals.total).toBe(edited.body.data.order.pricing.total);
+      expect(reissued.lines[0].quantity).toBe(2);
+
+      const cancellation = await Invoice.findOne({ cancels: original.id });
+      expect(cancellation.type).toBe('credit_note');
+      expect(cancellation.totals.total).toBe(original.totals.total);
+    });
+
+    it('should not let an edit take the order below its coupon minimum', async () => {
+      const product = await createProduct({ price: 30 });
+      await Coupon.create({ code: 'MIN50', type: 'fixed', value: 5, minSubtotal: 50 });
+      const placed = await request(app)
+        .post('/api/v1/orders')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({
+          items: [{ product: product.id, quantity: 2 }],
+          shippingAddress,
+          paymentMethod: 'cod',
+          couponCode: 'MIN50',
+        });
+
+      const res = await editMyOrder(placed.body.data.order, [{ product: product.id, quantity: 1 }]);
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.message).toMatch(/MIN50/);
+    });
+
+    it('should work out the coupon discount again for the edited lines', async () => {
+      const shirt = await createProduct({ price: 40 });
+      const hat = await createProduct({ price: 20 });
+      await Coupon.create({ code: 'TENPCT', type: 'percentage', value: 10 });
+      await Coupon.create({ code: 'HAT25', type: 'fixed', value: 25, products: [hat._id] });
+      const placeWithCoupon = (items, couponCode) =>
+        request(app)
+          .post('/api/v1/orders')
+          .set('Authorization', `Bearer ${accessToken}`)
+          .send({ items, shippingAddress, paymentMethod: 'cod', couponCode });
+
+      const percentage = await placeWithCoupon(
+        [
+          { product: shirt.id, quantity: 1 },
+          { product: hat.id, quantity: 3 },
+        ],
+        'TENPCT'
+      );
+      expect(percentage.body.data.order.pricing.discount).toBe(10);
+      const shrunk = await editMyOrder(percentage.body.data.order, [
+        { product: shirt.id, quantity: 1 },
+      ]);
+      expect(shrunk.body.data.order.pricing.discount).toBe(4);
+      expect(shrunk.body.data.order.coupon.discount).toBe(4);
+
+      const fixed = await placeWithCoupon([{ product: hat.id, quantity: 2 }], 'HAT25');
+      expect(fixed.body.data.order.pricing.discount).toBe(25);
+      const capped = await editMyOrder(fixed.body.data.order, [
+        { product: hat.id, quantity: 1 },
+        { product: shirt.id, quantity: 1 },
+      ]);
+      expect(capped.body.data.order.pricing.discount).toBe(20);
+    });
+  });
+
+  describe('Guest checkout', () => {
+    const placeGuestOrder = async (email) => {
+      const product = await createProduct();
+      return request(app)
+        .post('/api/v1/orders/guest')
+        .send({
+          email,
+          items: [{ product: product.id, quantity: 1 }],
+          shippingAddress,
+          paymentMethod: 'cod',
+        });
+    };
+
+    it('should place an order without an account and return a lookup token', async () => {
+      const res = await placeGuestOrder('guest@example.com');
+
+      expect(res.statusCode).toBe(201);
+      expect(res.body.data.lookupToken).toHaveLength(64);
+      expect(res.body.data.order.guest.email).toBe('guest@example.com');
+      expect(res.body.data.order.guest.lookupTokenHash).toBeUndefined();
+      expect(res.body.data.order.user).toBeUndefined();
+    });
+
+    it('should show the order to anyone holding the lookup token', async () => {
+      const placed = await placeGuestOrder('guest@example.com');
+
+      const res = await request(app).get(`/api/v1/orders/guest/${placed.body.data.lookupToken}`);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data.order.orderNumber).toBe(placed.body.data.order.orderNumber);
+      expect(res.body.data.order.guest.lookupTokenHash).toBeUndefined();
+    });
+
+    it('should not find orders for an unknown token', async () => {
+      const res = await request(app).get(`/api/v1/orders/guest/${'a'.repeat(64)}`);
+
+      expect(res.statusCode).toBe(404);
+    });
+
+    it('should move guest orders into the account once its email is verified', async () => {
+      const placed = await placeGuestOrder('Claimer@Example.com');
+      const claimer = await User.create({
+        name: 'Claimer',
+        email: 'claimer@example.com',
+        password: 'password123',
+      });
+      const claimerToken = (await tokenService.generateAuthTokens(claimer)).access.token;
+
+      const before = await request(app)
+        .get('/api/v1/orders/me')
+        .set('Authorization', `Bearer ${claimerToken}`);
+      expect(before.body.data.totalResults).toBe(0);
+
+      await authService.verifyEmail(await tokenService.generateVerifyEmailToken(claimer.id));
+
+      const after = await request(app)
+        .get(`/api/v1/orders/me/${placed.body.data.order.orderNumber}`)
+        .set('Authorization', `Bearer ${claimerToken}`);
+      expect(after.statusCode).toBe(200);
+      expect(after.body.data.order.guest.claimedAt).toBeDefined();
+    });
+  });
+
+  describe('Order messages', () => {
+    const postMyMessage = (order, body) =>
+      request(app)
+        .post(`/api/v1/orders/me/${order.orderNumber}/messages`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ body });
+
+    const postStaffMessage = (order, body, internal = false) =>
+      request(app)
+        .post(`/api/v1/orders/${order.id}/messages`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ body, internal });
+
+    it('should flag orders with unread customer messages for staff', async () => {
+      const order = await placeOrder(await createProduct());
+
+      const posted = await postMyMessage(order, 'Can I change the size?');
+      expect(posted.statusCode).toBe(201);
+
+      const unread = await request(app)
+        .get('/api/v1/orders?hasUnreadMessages=true&limit=100')
+        .set('Authorization', `Bearer ${adminToken}`);
+      expect(unread.body.data.results.map((result) => result.id)).toContain(order.id);
+
+      await postStaffMessage(order, 'Yes, we changed it for you.');
+
+      const read = await request(app)
+        .get('/api/v1/orders?hasUnreadMessages=true&limit=100')
+        .set('Authorization', `Bearer ${adminToken}`);
+      expect(read.body.data.results.map((result) => result.id)).not.toContain(order.id);
+    });
+
+    it('should hide internal notes from the customer', async () => {
+      const order = await placeOrder(await createProduct());
+      await postMyMessage(order, 'Where is my parcel?');
+      await postStaffMessage(order, 'Customer called twice already', true);
+      await postStaffMessage(order, 'It ships tomorrow.');
+
+      const mine = await request(app)
+        .get(`/api/v1/orders/me/${order.orderNumber}/messages`)
+        .set('Authorization', `Bearer ${accessToken}`);
+      expect(mine.body.data.messages.map((message) => message.body)).toEqual([
+        'Where is my parcel?',
+        'It ships tomorrow.',
+      ]);
+
+      const staff = await request(app)
+        .get(`/api/v1/orders/${order.id}/messages`)
+        .set('Authorization', `Bearer ${adminToken}`);
+      expect(staff.body.data.messages).toHaveLength(3);
+    });
+
+    it('should keep an internal note from clearing the unread flag', async () => {
+      const order = await placeOrder(await createProduct());
+      await postMyMessage(order, 'Please call me');
+      await postStaffMessage(order, 'Will call after lunch', true);
+
+      expect((await Order.findById(order.id)).hasUnreadMessages).toBe(true);
+
+      const res = await request(app)
+        .post(`/api/v1/orders/${order.id}/messages/read`)
+        .set('Authorization', `Bearer ${adminToken}`);
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data.order.hasUnreadMessages).toBe(false);
+    });
+
+    it('should not let customers post on other customers\' orders', async () => {
+      const other = await User.create({
+        name: 'Other Customer',
+        email: 'other-messages@example.com',
+        password: 'password123',
+      });
+      const otherOrder = await Order.create({
+        user: other._id,
+        items: [{ product: new mongoose.Types.ObjectId(), name: 'Thing', price: 5, quantity: 1 }],
+        shippingAddress,
+        payment: { method: 'cod' },
+        pricing: { subtotal: 5, total: 5 },
+      });
+
+      const res = await postMyMessage(otherOrder, 'Hello?');
+
+      expect(res.statusCode).toBe(404);
+    });
+  });
+
+  describe('Risk review', () => {
+    const placeRiskyOrder = async (product) => {
+      const res = await request(app)
+        .post('/api/v1/orders')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({
+          items: [{ product: product.id, quantity: 1 }],
+          shippingAddress,
+          billingAddress: { ...shippingAddress, country: 'NG' },
+          paymentMethod: 'bank_transfer',
+        });
+      return res.body.data.order;
+    };
+
+    const review = (order, decision) =>
+      request(app)
+        .post(`/api/v1/orders/${order.id}/review/${decision}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ note: 'Checked with the customer' });
+
+    it('should hold high-risk orders for review and hide the score from customers', async () => {
+      const order = await placeRiskyOrder(await createProduct({ price: 600 }));
+
+      expect(order.status).toBe('review');
+      expect(order.risk).toBeUndefined();
+
+      const res = await request(app)
+        .get(`/api/v1/orders/${order.id}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+      expect(res.body.data.order.risk.score).toBe(55);
+      expect(res.body.data.order.risk.rules.map((rule) => rule.code)).toEqual([
+        'COUNTRY_MISMATCH',
+        'NEW_ACCOUNT_HIGH_VALUE',
+      ]);
+
+      const queue = await request(app)
+        .get('/api/v1/orders?status=review&limit=100')
+        .set('Authorization', `Bearer ${adminToken}`);
+      expect(queue.body.data.results.map((result) => result.id)).toContain(order.id);
+    });
+
+    it('should score low-risk orders without holding them', async () => {
+      const order = await placeRiskyOrder(await createProduct());
+
+      expect(order.status).toBe('pending');
+      expect((await Order.findById(order.id)).risk.score).toBe(25);
+    });
+
+    it('should release approved orders to pending payment', async () => {
+      const order = await placeRiskyOrder(await createProduct({ price: 600 }));
+
+      const res = await review(order, 'approve');
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data.order.status).toBe('pending');
+      expect(res.body.data.order.risk.review.decision).toBe('approved');
+    });
+
+    it('should cancel rejected orders and release their stock', async () => {
+      const product = await createProduct({ price: 600, quantity: 3 });
+      const order = await placeRiskyOrder(product);
+
+      const res = await review(order, 'reject');
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data.order.status).toBe('cancelled');
+      expect(res.body.data.order.risk.review.decision).toBe('rejected');
+      expect((await Product.findById(product.id)).quantity).toBe(3);
+    });
+
+    it('should only change review status through the review actions', async () => {
+      const order = await placeRiskyOrder(await createProduct({ price: 600 }));
+
+      const res = await request(app)
+        .patch(`/api/v1/orders/${order.id}/status`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ status: 'confirmed' });
+      expect(res.statusCode).toBe(400);
+
+      await review(order, 'approve');
+      expect((await review(order, 'approve')).statusCode).toBe(400);
+    });
+
+    it('should hold orders after repeated failed payments', async () => {
+      // A separate customer, so the failures do not count against later tests
+      const payer = await User.create({
+        name: 'Failing Payer',
+        email: 'failing-payer@example.com',
+        password: 'password123',
+      });
+      const order = await Order.create({
+        user: payer._id,
+        items: [{ product: new mongoose.Types.ObjectId(), name: 'Thing', price: 5, quantity: 1 }],
+        shippingAddress,
+        payment: { method: 'stripe' },
+        pricing: { subtotal: 5, total: 5 },
+      });
+
+      for (let attempt = 0; attempt < 3; attempt += 1) {
+        await orderService.recordPaymentFailure(order.id);
+      }
+
+      const held = await Order.findById(order.id);
+      expect(held.status).toBe('review');
+      expect(held.payment.failedAttempts).toBe(3);
+      expect(held.risk.rules.map((rule) => rule.code)).toContain('FAILED_PAYMENTS');
+    });
+  });
+
+  describe('Offline payments', () => {
+    const markPaid = (order) =>
+      request(app)
+        .post(`/api/v1/orders/${order.id}/mark-paid`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ note: 'Transfer received' });
+
+    it('should confirm cash-on-delivery orders without payment', async () => {
+      const order = await placeOrder(await createProduct(), 1, 'cod');
+
+      expect(order.status).toBe('confirmed');
+      expect(order.payment.status).toBe('pending');
+      expect(await Invoice.countDocuments({ order: order.id })).toBe(1);
+    });
+
+    it('should mark cash-on-delivery orders paid on delivery', async () => {
+      const order = await placeOrder(await createProduct(), 1, 'cod');
+      await Order.updateOne({ _id: order.id }, { status: 'shipped' });
+
+      const res = await request(app)
+        .patch(`/api/v1/orders/${order.id}/status`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ status: 'delivered' });
+
+      expect(res.body.data.order.payment.status).toBe('succeeded');
+      expect(res.body.data.order.payment.paidAt).toBeDefined();
+    });
+
+    it('should give bank-transfer orders a payment reference and deadline', async () => {
+      const order = await placeOrder(await createProduct());
+
+      expect(order.status).toBe('pending');
+      expect(order.payment.reference).toMatch(/^RF\d{2}[A-Z0-9]+$/);
+      expect(new Date(order.payment.dueAt).getTime()).toBeGreaterThan(Date.now());
+    });
+
+    it('should confirm bank-transfer orders once they are marked paid', async () => {
+      const order = await placeOrder(await createProduct());
+
+      const res = await markPaid(order);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data.order.status).toBe('confirmed');
+      expect(res.body.data.order.payment.status).toBe('succeeded');
+      expect(res.body.data.order.statusHistory.pop().note).toBe('Transfer received');
+
+      expect((await markPaid(order)).statusCode).toBe(400);
+    });
+
+    it('should not record card payments manually', async () => {
+      const order = await Order.create({
+        user: user._id,
+        items: [{ product: new mongoose.Types.ObjectId(), name: 'Thing', price: 5, quantity: 1 }],
+        shippingAddress,
+        payment: { method: 'stripe' },
+        pricing: { subtotal: 5, total: 5 },
+      });
+
+      const res = await markPaid(order);
+
+      expect(res.statusCode).toBe(400);
+    });
+
+    it('should cancel bank-transfer orders that were not paid in time', async () => {
+      const product = await createProduct({ quantity: 5 });
+      const overdue = await placeOrder(product, 2);
+      const recent = await placeOrder(product, 1);
+      const yesterday = new Date(Date.now() - 24 * 60 * 60 * 1000);
+      await Order.updateOne({ _id: overdue.id }, { 'payment.dueAt': yesterday });
+
+      await orderService.cancelOverdueTransfers();
+
+      expect((await Order.findById(overdue.id)).status).toBe('cancelled');
+      expect((await Order.findById(recent.id)).status).toBe('pending');
+      expect((await Product.findById(product.id)).quantity).toBe(4);
+    });
+  });
+
+  describe('Online payments', () => {
+    const { fakeProvider } = paymentService;
+
+    const placeCardOrder = async (product, quantity = 1) => {
+      const res = await request(app)
+        .post('/api/v1/orders')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({
+          items: [{ product: product.id, quantity }],
+          shippingAddress,
+          paymentMethod: 'stripe',
+        });
+      return res.body.data;
+    };
+
+    const confirmPayment = (payment, body = {}) =>
+      request(app)
+        .post(`/api/v1/payments/fake/${payment.id}/confirm`)
+        .send({ clientSecret: payment.clientSecret, ...body });
+
+    it('should confirm the order once the payment succeeds', async () => {
+      const { order, payment } = await placeCardOrder(await createProduct());
+
+      expect(payment.provider).toBe('fake');
+      expect(payment.clientSecret).toBeDefined();
+      expect(order.status).toBe('pending');
+
+      const res = await confirmPayment(payment);
+      await fakeProvider.flush();
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data.payment.status).toBe('succeeded');
+      const paid = await Order.findById(order.id);
+      expect(paid.status).toBe('confirmed');
+      expect(paid.payment.status).toBe('succeeded');
+      expect(paid.payment.providerChargeId).toMatch(/^fake_ch_/);
+    });
+
+    it('should let the buyer retry a failed payment', async () => {
+      const { order, payment } = await placeCardOrder(await createProduct());
+
+      await confirmPayment(payment, { scenario: 'failure' });
+      await fakeProvider.flush();
+
+      const failed = await Order.findById(order.id);
+      expect(failed.status).toBe('pending');
+      expect(failed.payment.status).toBe('failed');
+      expect(failed.payment.failedAttempts).toBe(1);
+
+      await confirmPayment(payment);
+      await fakeProvider.flush();
+
+      expect((await Order.findById(order.id)).status).toBe('confirmed');
+    });
+
+    it('should wait for 3D Secure before taking the payment', async () => {
+      const { order, payment } = await placeCardOrder(await createProduct());
+
+      const res = await confirmPayment(payment, { scenario: 'requires_action' });
+      await fakeProvider.flush();
+
+      expect(res.body.data.payment.status).toBe('requires_action');
+      expect((await Order.findById(order.id)).status).toBe('pending');
+
+      await request(app)
+        .post(`/api/v1/payments/fake/${payment.id}/authenticate`)
+        .send({ clientSecret: payment.clientSecret, passed: true });
+      await fakeProvider.flush();
+
+      expect((await Order.findById(order.id)).status).toBe('confirmed');
+    });
+
+    it('should only confirm the order when a delayed webhook arrives', async () => {
+      const { order, payment } = await placeCardOrder(await createProduct());
+
+      await confirmPayment(payment, { webhookDelayMs: 200 });
+
+      expect((await Order.findById(order.id)).status).toBe('pending');
+      await fakeProvider.flush();
+      expect((await Order.findById(order.id)).status).toBe('confirmed');
+    });
+
+    it('should reject a wrong client secret', async () => {
+      const { payment } = await placeCardOrder(await createProduct());
+
+      const res = await confirmPayment({ ...payment, clientSecret: 'wrong' });
+
+      expect(res.statusCode).toBe(404);
+    });
+
+    it('should record provider refunds on the ledger once', async () => {
+      const { order, payment } = await placeCardOrder(await createProduct({ price: 40 }));
+      await confirmPayment(payment);
+      await fakeProvider.flush();
+
+      await request(app)
+        .post(`/api/v1/orders/${order.id}/refunds`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ amount: 10, reason: 'Damaged box' });
+      await fakeProvider.flush();
+
+      // A refund made on the provider's dashboard
+      await fakeProvider.refundPayment({ paymentId: payment.id, amount: 5 });
+      await fakeProvider.flush();
+
+      const refunded = await Order.findById(order.id);
+      expect(refunded.refunds).toHaveLength(2);
+      expect(refunded.refunds.every((refund) => refund.providerRefundId)).toBe(true);
+      expect(refunded.refunds[1].source).toBe('provider');
+      expect(refunded.payment.status).toBe('partially_refunded');
+    });
+
+    it('should cancel orders that were not paid in time', async () => {
+      const product = await createProduct({ quantity: 5 });
+      const abandoned = await placeCardOrder(product, 2);
+      const paid = await placeCardOrder(product, 1);
+      await confirmPayment(paid.payment);
+      await fakeProvider.flush();
+      const twoHoursAgo = new Date(Date.now() - 2 * 60 * 60 * 1000);
+      const ids = [abandoned.order.id, paid.order.id].map((id) => new mongoose.Types.ObjectId(id));
+      // Bypasses Mongoose, which does not let createdAt change
+      const backdate = { $set: { createdAt: twoHoursAgo } };
+      await Order.collection.updateMany({ _id: { $in: ids } }, backdate);
+
+      await orderService.expireUnpaidOrders();
+
+      const expired = await Order.findById(abandoned.order.id);
+      expect(expired.status).toBe('cancelled');
+      expect(expired.cancelReason).toMatch(/^Payment not completed/);
+      expect(expired.statusHistory.pop().note).toBe(expired.cancelReason);
+      expect(fakeProvider.getPayment(abandoned.payment.id).status).toBe('cancelled');
+      expect((await Order.findById(paid.order.id)).status).toBe('confirmed');
+      expect((await Product.findById(product.id)).quantity).toBe(4);
+    });
+
+    it('should rethrow transient webhook failures so the provider retries', async () => {
+      const { order } = await placeCardOrder(await createProduct());
+      const event = { type: paymentService.paymentEventTypes.SUCCEEDED, orderId: order.id };
+      const recordPaymentSuccess = jest
+        .spyOn(orderService, 'recordPaymentSuccess')
+        .mockRejectedValueOnce(new Error('Connection reset'));
+
+      await expect(paymentWebhookService.handleEvent('fake', event)).rejects.toThrow(
+        'Connection reset'
+      );
+      await paymentWebhookService.handleEvent('fake', event);
+      recordPaymentSuccess.mockRestore();
+
+      expect((await Order.findById(order.id)).status).toBe('confirmed');
+    });
+
+    it('should drop webhook events for orders that do not exist', async () => {
+      const type = paymentService.paymentEventTypes.SUCCEEDED;
+      const unknown = { type, orderId: new mongoose.Types.ObjectId().toString() };
+
+      await expect(paymentWebhookService.handleEvent('fake', unknown)).resolves.toBeUndefined();
+      await expect(
+        paymentWebhookService.handleEvent('fake', { type, orderId: 'not-an-id' })
+      ).resolves.toBeUndefined();
+    });
+
+    it('should reject webhooks for unknown providers', async () => {
+      const res = await request(app)
+        .post('/api/v1/webhooks/unknown')
+        .set('Content-Type', 'application/json')
+        .send('{}');
+
+      expect(res.statusCode).toBe(400);
+    });
+  });
+});
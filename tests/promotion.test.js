@@ -0,0 +1,167 @@
+const request = require('supertest');
+const app = require('../src/app');
+const { Category, Promotion, Coupon } = require('../src/models');
+const fixtures = require('./utils/fixtures');
+
+describe('Promotion Endpoints', () => {
+  let user;
+  let accessToken;
+  let adminToken;
+  let category;
+
+  const createProduct = (overrides) =>
+    fixtures.createProduct(user, category, { price: 30, quantity: 20, ...overrides });
+
+  const createPromotion = (promotion) =>
+    request(app)
+      .post('/api/v1/promotions')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send(promotion);
+
+  const addToCart = (product, quantity = 1) =>
+    request(app)
+      .post('/api/v1/cart/items')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .send({ product: product.id, quantity });
+
+  const getCartPricing = async () => {
+    const res = await request(app)
+      .get('/api/v1/cart')
+      .set('Authorization', `Bearer ${accessToken}`);
+    return res.body.data.cart.pricing;
+  };
+
+  beforeAll(async () => {
+    await fixtures.connectDatabase();
+
+    ({ user, accessToken } = await fixtures.createAccount({
+      name: 'Promotion User',
+      email: 'promotion-user@example.com',
+    }));
+    ({ accessToken: adminToken } = await fixtures.createAccount({
+      name: 'Promotion Admin',
+      email: 'promotion-admin@example.com',
+      role: 'admin',
+    }));
+    category = await Category.create({ name: 'Promotion Test Category' });
+  });
+
+  beforeEach(async () => {
+    await Promotion.deleteMany({});
+    await Coupon.deleteMany({});
+    await request(app).delete('/api/v1/cart').set('Authorization', `Bearer ${accessToken}`);
+  });
+
+  afterAll(fixtures.dropDatabase);
+
+  it('should reject promotions missing the settings of their type', async () => {
+    const res = await createPromotion({ name: 'Broken', type: 'buy_x_get_y', value: 100 });
+
+    expect(res.statusCode).toBe(400);
+  });
+
+  it('should give the cheapest unit free on a 3-for-2', async () => {
+    await createPromotion({
+      name: '3 for 2',
+      type: 'buy_x_get_y',
+      buyQuantity: 2,
+      getQuantity: 1,
+      value: 100,
+      categories: [category.id],
+    });
+    await addToCart(await createProduct({ price: 30 }), 2);
+    await addToCart(await createProduct({ price: 20 }), 1);
+
+    const pricing = await getCartPricing();
+
+    expect(pricing.discount).toBe(20);
+    expect(pricing.promotions).toHaveLength(1);
+    expect(pricing.promotions[0].name).toBe('3 for 2');
+  });
+
+  it('should stack promotions by priority and stop at an exclusive one', async () => {
+    const tiers = [
+      { minSubtotal: 50, discountType: 'fixed', value: 5 },
+      { minSubtotal: 100, discountType: 'percentage', value: 10 },
+    ];
+    await createPromotion({ name: 'Spend more', type: 'spend_threshold', priority: 1, tiers });
+    const bogo = await createPromotion({
+      name: 'BOGO',
+      type: 'buy_x_get_y',
+      priority: 5,
+      buyQuantity: 1,
+      getQuantity: 1,
+      value: 100,
+    });
+    await addToCart(await createProduct({ price: 60 }), 2);
+
+    // The BOGO leaves 60 to pay, which only reaches the 50 spend tier
+    let pricing = await getCartPricing();
+    expect(pricing.promotions.map((promotion) => promotion.discount)).toEqual([60, 5]);
+    expect(pricing.discount).toBe(65);
+
+    await request(app)
+      .patch(`/api/v1/promotions/${bogo.body.data.promotion.id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ exclusive: true });
+
+    pricing = await getCartPricing();
+    expect(pricing.promotions.map((promotion) => promotion.name)).toEqual(['BOGO']);
+  });
+
+  it('should record applied promotions on the order and skip those not combining with coupons', async () => {
+    const phone = await createProduct({ price: 100 });
+    const phoneCase = await createProduct({ price: 20 });
+    await createPromotion({
+      name: 'Phone and case',
+      type: 'bundle',
+      bundleItems: [{ product: phone.id }, { product: phoneCase.id }],
+      discountType: 'fixed',
+      value: 15,
+      combinesWithCoupons: false,
+    });
+    await Coupon.create({ code: 'WELCOME', type: 'fixed', value: 5 });
+
+    const items = [
+      { product: phone.id, quantity: 1 },
+      { product: phoneCase.id, quantity: 1 },
+    ];
+    const placeOrder = (couponCode) => fixtures.placeOrder(accessToken, items, { couponCode });
+
+    const res = await placeOrder();
+    expect(res.statusCode).toBe(201);
+    expect(res.body.data.order.pricing.discount).toBe(15);
+    expect(res.body.data.order.pricing.promotions[0].name).toBe('Phone and case');
+
+    const withCoupon = await placeOrder('WELCOME');
+    expect(withCoupon.body.data.order.pricing.discount).toBe(5);
+    expect(withCoupon.body.data.order.pricing.promotions).toHaveLength(0);
+  });
+
+  it('should take back a promotion when an edit removes the lines that qualified', async () => {
+    await createPromotion({
+      name: 'BOGO',
+      type: 'buy_x_get_y',
+      buyQuantity: 1,
+      getQuantity: 1,
+      value: 100,
+    });
+    const shirt = await createProduct({ price: 30 });
+    const hat = await createProduct({ price: 20 });
+    const placed = await fixtures.placeOrder(accessToken, [
+      { product: shirt.id, quantity: 1 },
+      { product: hat.id, quantity: 1 },
+    ]);
+    const { order } = placed.body.data;
+    expect(order.pricing.discount).toBe(20);
+
+    const res = await request(app)
+      .patch(`/api/v1/orders/me/${order.orderNumber}/items`)
+      .set('Authorization', `Bearer ${accessToken}`)
+      .send({ items: [{ product: shirt.id, quantity: 1 }] });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.order.pricing.discount).toBe(0);
+    expect(res.body.data.order.pricing.promotions).toHaveLength(0);
+  });
+});
@@ -0,0 +1,120 @@
+const request = require('supertest');
+const app = require('../src/app');
+const { Product, Category, Order } = require('../src/models');
+const fixtures = require('./utils/fixtures');
+
+describe('Return Endpoints', () => {
+  let user;
+  let accessToken;
+  let adminToken;
+  let category;
+
+  beforeAll(async () => {
+    await fixtures.connectDatabase();
+
+    ({ user, accessToken } = await fixtures.createAccount({
+      name: 'Return User',
+      email: 'return-user@example.com',
+    }));
+    ({ accessToken: adminToken } = await fixtures.createAccount({
+      name: 'Return Admin',
+      email: 'return-admin@example.com',
+      role: 'admin',
+    }));
+    category = await Category.create({ name: 'Return Test Category' });
+  });
+
+  afterAll(fixtures.dropDatabase);
+
+  const deliveredOrder = async (quantity = 2, deliveredAt = new Date()) => {
+    const product = await fixtures.createProduct(user, category, { price: 40 });
+
+    const items = [{ product: product.id, quantity }];
+    const res = await fixtures.placeOrder(accessToken, items, { paymentMethod: 'cod' });
+
+    const delivered = { status: 'delivered', 'shipping.deliveredAt': deliveredAt };
+    const order = await Order.findByIdAndUpdate(res.body.data.order.id, delivered, { new: true });
+    return { order, product };
+  };
+
+  const requestReturn = (order, quantity) =>
+    request(app)
+      .post('/api/v1/returns')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .send({
+        orderNumber: order.orderNumber,
+        items: [{ itemId: order.items[0].id, quantity, reason: 'damaged' }],
+      });
+
+  const advance = (returnId, action, body = {}) =>
+    request(app)
+      .post(`/api/v1/returns/${returnId}/${action}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send(body);
+
+  it('should refuse returns outside the return window', async () => {
+    const { order } = await deliveredOrder(1, new Date('2000-01-01'));
+
+    const res = await requestReturn(order, 1);
+
+    expect(res.statusCode).toBe(400);
+  });
+
+  it('should not allow returning more than was ordered', async () => {
+    const { order } = await deliveredOrder(2);
+
+    const first = await requestReturn(order, 2);
+    const second = await requestReturn(order, 1);
+
+    expect(first.statusCode).toBe(201);
+    expect(second.statusCode).toBe(400);
+  });
+
+  it('should number concurrent returns for the same order apart', async () => {
+    const { order } = await deliveredOrder(2);
+
+    const results = await Promise.all([requestReturn(order, 1), requestReturn(order, 1)]);
+
+    expect(results.map((res) => res.statusCode)).toEqual([201, 201]);
+    const numbers = results.map((res) => res.body.data.return.returnNumber).sort();
+    expect(numbers).toEqual([`${order.orderNumber}-R1`, `${order.orderNumber}-R2`]);
+  });
+
+  it('should forbid customers from approving returns', async () => {
+    const { order } = await deliveredOrder(1);
+    const created = await requestReturn(order, 1);
+
+    const res = await request(app)
+      .post(`/api/v1/returns/${created.body.data.return.id}/approve`)
+      .set('Authorization', `Bearer ${accessToken}`)
+      .send({});
+
+    expect(res.statusCode).toBe(403);
+  });
+
+  it('should restock inspected items and refund only the returned lines', async () => {
+    const { order, product } = await deliveredOrder(2);
+    const created = await requestReturn(order, 1);
+    const returnId = created.body.data.return.id;
+
+    expect((await advance(returnId, 'refund')).statusCode).toBe(400);
+
+    await advance(returnId, 'approve');
+    await advance(returnId, 'receive');
+    const inspected = await advance(returnId, 'inspect', {
+      items: [{ itemId: created.body.data.return.items[0].id, restockQuantity: 1 }],
+    });
+    expect(inspected.statusCode).toBe(200);
+
+    const restocked = await Product.findById(product.id);
+    expect(restocked.quantity).toBe(9);
+
+    const refunded = await advance(returnId, 'refund');
+    expect(refunded.statusCode).toBe(200);
+    expect(refunded.body.data.return.status).toBe('refunded');
+    expect(refunded.body.data.return.refund.amount).toBeLessThan(order.pricing.total);
+
+    const updatedOrder = await Order.findById(order.id);
+    expect(updatedOrder.payment.status).toBe('partially_refunded');
+  });
+});
@@ -4,6 +4,10 @@ const mongoose = require('mongoose');
 process.env.NODE_ENV = 'test';
 process.env.JWT_SECRET = 'test-jwt-secret-for-testing-only';
 process.env.COOKIE_SECRET = 'test-cookie-secret';
+// Every test request comes from the same address
+process.env.RISK_IP_MAX_ORDERS = '10000';
+// Online payments go through the in-process fake provider
+process.env.PAYMENT_FAKE_PROVIDER = 'true';
 
 // Increase timeout for database operations
 jest.setTimeout(30000);
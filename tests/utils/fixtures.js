@@ -0,0 +1,97 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../../src/app');
+const { User, Product } = require('../../src/models');
+const { tokenService } = require('../../src/services');
+
+const mongoUri = process.env.MONGODB_URI || 'mongodb://localhost:27017';
+// Each jest worker gets its own database, so that suites running in parallel
+// neither see nor drop each other's data
+const dbName = `test_db_${process.env.JEST_WORKER_ID || 1}`;
+
+// Shipping address of the orders placed by the suites
+const shippingAddress = {
+  fullName: 'Test User',
+  address: '1 Main Street',
+  city: 'Springfield',
+  state: 'IL',
+  postalCode: '62701',
+  country: 'US',
+  phone: '+15555550100',
+};
+
+/**
+ * Connect to the test database of the jest worker
+ * Suites still run when MongoDB is not available.
+ */
+const connectDatabase = async () => {
+  try {
+    await mongoose.connect(mongoUri, { dbName });
+  } catch (error) {
+    console.log('MongoDB not available, skipping database tests');
+  }
+};
+
+/**
+ * Drop the test database and disconnect
+ */
+const dropDatabase = async () => {
+  if (mongoose.connection.readyState !== 0) {
+    await mongoose.connection.db.dropDatabase();
+    await mongoose.connection.close();
+  }
+};
+
+/**
+ * Create a user with an access token
+ * @param {Object} userBody - Name, email and optional role
+ * @returns {Promise<Object>} - User and access token
+ */
+const createAccount = async (userBody) => {
+  const user = await User.create({ password: 'password123', ...userBody });
+  const accessToken = (await tokenService.generateAuthTokens(user)).access.token;
+  return { user, accessToken };
+};
+
+/**
+ * Create a published product in stock
+ * @param {User} user - Creator of the product
+ * @param {Category} category - Category of the product
+ * @param {Object} [overrides] - Product fields to change
+ * @returns {Promise<Product>} - Product object
+ */
+const createProduct = (user, category, overrides = {}) =>
+  Product.create({
+    name: `Product ${new mongoose.Types.ObjectId()}`,
+    description: 'A test product',
+    price: 25,
+    quantity: 10,
+    category: category._id,
+    status: 'active',
+    isPublished: true,
+    createdBy: user._id,
+    ...overrides,
+  });
+
+/**
+ * Place an order as a customer
+ * Bank-transfer orders stay pending until the payment is recorded.
+ * @param {string} accessToken - Customer access token
+ * @param {Array} items - Order items ({ product, quantity })
+ * @param {Object} [extra] - Other order fields (paymentMethod, couponCode...)
+ * @returns {Promise<Object>} - Response
+ */
+const placeOrder = (accessToken, items, extra = {}) =>
+  request(app)
+    .post('/api/v1/orders')
+    .set('Authorization', `Bearer ${accessToken}`)
+    .send({ items, shippingAddress, paymentMethod: 'bank_transfer', ...extra });
+
+module.exports = {
+  shippingAddress,
+  connectDatabase,
+  dropDatabase,
+  createAccount,
+  createProduct,
+  placeOrder,
+};
@@ -0,0 +1,156 @@
+const request = require('supertest');
+const app = require('../src/app');
+const { User, Product, Category, Wishlist } = require('../src/models');
+const { wishlistService, emailService } = require('../src/services');
+const fixtures = require('./utils/fixtures');
+
+describe('Wishlist Endpoints', () => {
+  let user;
+  let accessToken;
+  let category;
+  let sendAlertEmail;
+
+  const createProduct = (overrides) =>
+    fixtures.createProduct(user, category, { price: 40, ...overrides });
+
+  const createWishlist = async (name = 'Birthday') => {
+    const res = await request(app)
+      .post('/api/v1/wishlists')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .send({ name });
+    return res.body.data.wishlist;
+  };
+
+  const addItem = (wishlist, product, alerts) =>
+    request(app)
+      .post(`/api/v1/wishlists/${wishlist.id}/items`)
+      .set('Authorization', `Bearer ${accessToken}`)
+      .send({ product: product.id, alerts });
+
+  beforeAll(async () => {
+    await fixtures.connectDatabase();
+
+    ({ user, accessToken } = await fixtures.createAccount({
+      name: 'Wishlist User',
+      email: 'wishlist-user@example.com',
+    }));
+    category = await Category.create({ name: 'Wishlist Test Category' });
+  });
+
+  beforeEach(async () => {
+    await Wishlist.deleteMany({});
+    await User.updateOne({ _id: user._id }, { 'preferences.notifications.email': true });
+    sendAlertEmail = jest.spyOn(emailService, 'sendWishlistAlertEmail').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    sendAlertEmail.mockRestore();
+  });
+
+  afterAll(fixtures.dropDatabase);
+
+  it('should create named wishlists and save products to them', async () => {
+    const wishlist = await createWishlist('Kitchen');
+    await createWishlist('Garden');
+    const product = await createProduct();
+
+    const added = await addItem(wishlist, product);
+    expect(added.statusCode).toBe(200);
+    expect(added.body.data.wishlist.items[0].priceWhenAdded).toBe(40);
+
+    const duplicate = await addItem(wishlist, product);
+    expect(duplicate.statusCode).toBe(409);
+
+    const res = await request(app)
+      .get('/api/v1/wishlists')
+      .set('Authorization', `Bearer ${accessToken}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.wishlists.map((list) => list.name)).toEqual(['Kitchen', 'Garden']);
+    expect(res.body.data.wishlists[0].itemCount).toBe(1);
+  });
+
+  it('should share a wishlist through a public link until it is revoked', async () => {
+    const wishlist = await createWishlist();
+    await addItem(wishlist, await createProduct(), { priceDrop: true });
+
+    const shared = await request(app)
+      .post(`/api/v1/wishlists/${wishlist.id}/share`)
+      .set('Authorization', `Bearer ${accessToken}`);
+    const { shareToken } = shared.body.data.wishlist;
+
+    const res = await request(app).get(`/api/v1/wishlists/shared/${shareToken}`);
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.wishlist.items).toHaveLength(1);
+    expect(res.body.data.wishlist.items[0].alerts).toBeUndefined();
+    expect(res.body.data.wishlist.shareToken).toBeUndefined();
+
+    await request(app)
+      .delete(`/api/v1/wishlists/${wishlist.id}/share`)
+      .set('Authorization', `Bearer ${accessToken}`);
+
+    const revoked = await request(app).get(`/api/v1/wishlists/shared/${shareToken}`);
+    expect(revoked.statusCode).toBe(404);
+  });
+
+  it('should not let other users see a private wishlist', async () => {
+    const wishlist = await createWishlist();
+    const { accessToken: otherToken } = await fixtures.createAccount({
+      name: 'Other User',
+      email: 'wishlist-other@example.com',
+    });
+
+    const res = await request(app)
+      .get(`/api/v1/wishlists/${wishlist.id}`)
+      .set('Authorization', `Bearer ${otherToken}`);
+
+    expect(res.statusCode).toBe(404);
+  });
+
+  it('should alert once per price drop below the saved price', async () => {
+    const wishlist = await createWishlist();
+    const product = await createProduct({ price: 40 });
+    const silent = await createProduct({ price: 40 });
+    await addItem(wishlist, product, { priceDrop: true });
+    await addItem(wishlist, silent);
+
+    await Product.updateMany({ _id: { $in: [product.id, silent.id] } }, { price: 30 });
+
+    expect(await wishlistService.sendWishlistAlerts()).toBe(1);
+    const [, , , alerts] = sendAlertEmail.mock.calls[0];
+    expect(alerts).toHaveLength(1);
+    expect(alerts[0].type).toBe('priceDrop');
+    expect(alerts[0].product.id).toBe(product.id);
+
+    expect(await wishlistService.sendWishlistAlerts()).toBe(0);
+
+    await Product.updateOne({ _id: product.id }, { price: 25 });
+    expect(await wishlistService.sendWishlistAlerts()).toBe(1);
+  });
+
+  it('should alert when an out-of-stock product is back in stock', async () => {
+    const wishlist = await createWishlist();
+    const product = await createProduct({ quantity: 0 });
+    await addItem(wishlist, product, { backInStock: true });
+
+    expect(await wishlistService.sendWishlistAlerts()).toBe(0);
+
+    await Product.updateOne({ _id: product.id }, { quantity: 5 });
+    expect(await wishlistService.sendWishlistAlerts()).toBe(1);
+    expect(sendAlertEmail.mock.calls[0][3][0].type).toBe('backInStock');
+
+    expect(await wishlistService.sendWishlistAlerts()).toBe(0);
+  });
+
+  it('should not email users who turned off email notifications', async () => {
+    const wishlist = await createWishlist();
+    const product = await createProduct({ price: 40 });
+    await addItem(wishlist, product, { priceDrop: true });
+    await User.updateOne({ _id: user._id }, { 'preferences.notifications.email': false });
+
+    await Product.updateOne({ _id: product.id }, { price: 20 });
+
+    expect(await wishlistService.sendWishlistAlerts()).toBe(0);
+    expect(sendAlertEmail).not.toHaveBeenCalled();
+  });
+});